@@ -0,0 +1,287 @@
+#!/usr/bin/env node
+// 家族状況共有のコマンドラインクライアント（REST APIをAPIトークンで呼び出す）
+//
+// 使い方:
+//   family-board login --member <名前> [--pin <PIN>] [--name <トークン名>]
+//       PINでサインインしてAPIトークン（状況の更新も可能）を発行し、設定ファイルに保存
+//   family-board logout                          保存したAPIトークンを設定ファイルから削除
+//   family-board status list                     全員の状況を表示
+//   family-board status set [--member <名前>] [--activity <活動>] [--state <状態>]
+//       [--message <ひとこと>] [--duration <分|none>]  状況を更新（--member 省略時はトークンのメンバー）
+//   family-board status undo [--member <名前>]      直前の変更を取り消して1つ前の状況に戻す
+//   family-board history [--member <名前>] [--limit <件数>] [--from <日時>] [--to <日時>]
+//
+// 共通オプション: --url <サーバーURL> --token <APIトークン> --json（JSONで出力）
+// 環境変数 FAMILY_BOARD_URL・FAMILY_BOARD_TOKEN でも指定できます（設定ファイルより優先）
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { parseArgs } = require('util');
+
+const DEFAULT_URL = 'http://localhost:3003';
+const CONFIG_FILE = path.join(os.homedir(), '.config', 'family-board', 'config.json');
+
+const USAGE = `Usage:
+  family-board login --member <name> [--pin <pin>] [--name <token name>]
+  family-board logout
+  family-board status list
+  family-board status set [--member <name>] [--activity <label>] [--state <label>] [--message <text>] [--duration <minutes>]
+  family-board status undo [--member <name>]
+  family-board history [--member <name>] [--limit <n>] [--from <date>] [--to <date>]
+
+Options: --url <server url> --token <api token> --json`;
+
+const { values: options, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+        url: { type: 'string' },
+        token: { type: 'string' },
+        json: { type: 'boolean', default: false },
+        member: { type: 'string' },
+        pin: { type: 'string' },
+        name: { type: 'string' },
+        activity: { type: 'string' },
+        state: { type: 'string' },
+        message: { type: 'string' },
+        duration: { type: 'string' },
+        limit: { type: 'string' },
+        from: { type: 'string' },
+        to: { type: 'string' },
+        help: { type: 'boolean', short: 'h', default: false }
+    }
+});
+
+// コマンドの失敗（メッセージのみ表示して終了コード1）
+class CliError extends Error {}
+
+// 設定ファイルを読み込み（なければ空）
+function readConfig() {
+    try {
+        return JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+    } catch (error) {
+        return {};
+    }
+}
+
+// 設定ファイルに保存（トークンを含むため本人のみ読み書き可能にする）
+function writeConfig(config) {
+    fs.mkdirSync(path.dirname(CONFIG_FILE), { recursive: true });
+    fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2), { mode: 0o600 });
+}
+
+const savedConfig = readConfig();
+const baseUrl = (options.url || process.env.FAMILY_BOARD_URL || savedConfig.url || DEFAULT_URL).replace(/\/+$/, '');
+const apiToken = options.token || process.env.FAMILY_BOARD_TOKEN || savedConfig.token || null;
+
+/**
+ * APIを呼び出す
+ * @param {string} method - HTTPメソッド
+ * @param {string} pathname - パス（クエリを含む）
+ * @param {Object} [body] - 送信するJSON
+ * @param {string|null} [token] - 使用するトークン（省略時は保存したAPIトークン）
+ * @returns {Promise<Object>} レスポンスのJSON
+ */
+async function request(method, pathname, body, token = apiToken) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) {
+        headers.Authorization = `Bearer ${token}`;
+    }
+
+    let response;
+    try {
+        response = await fetch(`${baseUrl}${pathname}`, {
+            method,
+            headers,
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+    } catch (error) {
+        throw new CliError(`サーバーに接続できません（${baseUrl}）: ${error.message}`);
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new CliError(data.error || `HTTP ${response.status}`);
+    }
+    return data;
+}
+
+// JSONまたは人が読む形式で出力
+function output(data, format) {
+    console.log(options.json ? JSON.stringify(data, null, 2) : format(data));
+}
+
+// 「5分前」のような相対時間
+function formatRelative(timestamp) {
+    if (!timestamp) {
+        return '';
+    }
+    const minutes = Math.floor((Date.now() - Date.parse(timestamp)) / 60000);
+    if (minutes < 1) {
+        return 'たった今';
+    }
+    if (minutes < 60) {
+        return `${minutes}分前`;
+    }
+    if (minutes < 24 * 60) {
+        return `${Math.floor(minutes / 60)}時間前`;
+    }
+    return `${Math.floor(minutes / (24 * 60))}日前`;
+}
+
+// 日時を端末のタイムゾーンで表示
+function formatDateTime(timestamp) {
+    return new Date(timestamp).toLocaleString('ja-JP', {
+        year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit'
+    });
+}
+
+// 全角文字を2桁として右を空白で埋める（名前の列を揃える）
+function padDisplay(text, width) {
+    const length = [...text].reduce((sum, char) => sum + (char.charCodeAt(0) > 0xff ? 2 : 1), 0);
+    return text + ' '.repeat(Math.max(width - length, 0));
+}
+
+// 活動・状態・ひとことを1行にまとめる
+function formatStatus({ activity, state, message }) {
+    const status = `${activity || '-'} / ${state || '-'}`;
+    return message ? `${status}  「${message}」` : status;
+}
+
+// 標準入力から1行読み込む（PINの入力用）
+function prompt(question) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+    return new Promise(resolve => rl.question(question, answer => {
+        rl.close();
+        resolve(answer.trim());
+    }));
+}
+
+// PINでサインインし、APIトークンを発行して保存（端末トークンは発行後すぐ失効させる）
+async function login() {
+    if (!options.member) {
+        throw new CliError('--member を指定してください');
+    }
+
+    const { members } = await request('GET', '/api/members', undefined, null);
+    const member = members.find(m => m.name === options.member);
+    if (!member) {
+        throw new CliError(`メンバーが見つかりません: ${options.member}`);
+    }
+
+    const pin = options.pin || await prompt(`${member.name}のPIN: `);
+    const session = await request('POST', '/api/auth/login', {
+        memberId: member.id,
+        pin,
+        deviceName: 'family-board CLI'
+    }, null);
+
+    try {
+        const { token, apiToken: created } = await request('POST', '/api/tokens', {
+            name: options.name || `CLI (${os.hostname()})`
+        }, session.token);
+
+        writeConfig({ url: baseUrl, token });
+        output(created, t => `${t.member_name}のAPIトークンを ${CONFIG_FILE} に保存しました`);
+    } finally {
+        await request('POST', '/api/auth/logout', {}, session.token).catch(() => {});
+    }
+}
+
+// 保存したAPIトークンを削除
+function logout() {
+    if (!savedConfig.token) {
+        console.log('保存されたAPIトークンはありません');
+        return;
+    }
+    writeConfig({ url: savedConfig.url });
+    console.log('保存したAPIトークンを削除しました（サーバー側で失効させるには DELETE /api/tokens/:id を使ってください）');
+}
+
+async function listStatus() {
+    const { members } = await request('GET', '/api/status');
+    output({ members }, data => data.members
+        .map(m => `${padDisplay(m.name, 12)}${padDisplay(formatStatus(m), 30)}  ${formatRelative(m.timestamp)}`)
+        .join('\n'));
+}
+
+async function setStatus() {
+    if (options.activity === undefined && options.state === undefined && options.message === undefined) {
+        throw new CliError('--activity・--state・--message のいずれかを指定してください');
+    }
+
+    const body = {};
+    if (options.member) {
+        body.name = options.member;
+    }
+    ['activity', 'state', 'message'].forEach(key => {
+        if (options[key] !== undefined) {
+            body[key] = options[key];
+        }
+    });
+    if (options.duration !== undefined) {
+        body.duration = options.duration === 'none' ? null : parseInt(options.duration, 10);
+    }
+
+    const result = await request('POST', '/api/status', body);
+    output(result, ({ member }) => (member ? `${member.name}: ${formatStatus(member)}` : '状況を更新しました'));
+}
+
+async function undoStatus() {
+    const result = await request('POST', '/api/status/undo', options.member ? { name: options.member } : {});
+    output(result, ({ member }) => `${member.name}: ${formatStatus(member)}（取り消しました）`);
+}
+
+async function showHistory() {
+    const params = new URLSearchParams();
+    ['limit', 'from', 'to'].forEach(key => {
+        if (options[key] !== undefined) {
+            params.set(key, options[key]);
+        }
+    });
+    if (!params.has('limit')) {
+        params.set('limit', '20');
+    }
+
+    const pathname = options.member ? `/api/history/${encodeURIComponent(options.member)}` : '/api/history';
+    const result = await request('GET', `${pathname}?${params}`);
+    output(result, data => {
+        if (data.history.length === 0) {
+            return '履歴はありません';
+        }
+        return data.history
+            .map(h => {
+                const source = h.source && h.source !== 'manual' ? `  (${h.source})` : '';
+                return `${formatDateTime(h.changed_at)}  ${padDisplay(h.member.name, 12)}${formatStatus(h)}${source}`;
+            })
+            .join('\n');
+    });
+}
+
+async function main() {
+    const [command, subcommand] = positionals;
+
+    if (options.help || !command) {
+        console.log(USAGE);
+    } else if (command === 'login') {
+        await login();
+    } else if (command === 'logout') {
+        logout();
+    } else if (command === 'status' && (subcommand === 'list' || subcommand === undefined)) {
+        await listStatus();
+    } else if (command === 'status' && subcommand === 'set') {
+        await setStatus();
+    } else if (command === 'status' && subcommand === 'undo') {
+        await undoStatus();
+    } else if (command === 'history') {
+        await showHistory();
+    } else {
+        console.error(USAGE);
+        process.exitCode = 1;
+    }
+}
+
+main().catch(error => {
+    console.error(error instanceof CliError ? `エラー: ${error.message}` : error);
+    process.exit(1);
+});
@@ -1,5 +1,46 @@
 // ポーシステム設定を一元管理
 module.exports = {
     PORT: process.env.PORT || 3003,
-    API_BASE_URL: process.env.API_BASE_URL || 'http://localhost:3003'
+    API_BASE_URL: process.env.API_BASE_URL || 'http://localhost:3003',
+    // 管理者パスフレーズ（メンバーのPIN設定などに使用。未設定の場合は管理者サインイン不可）
+    ADMIN_PASSPHRASE: process.env.ADMIN_PASSPHRASE || '',
+    // 自動解除のチェック間隔（ミリ秒）
+    EXPIRY_CHECK_INTERVAL_MS: parseInt(process.env.EXPIRY_CHECK_INTERVAL_MS, 10) || 30000,
+    // 繰り返しの予定のチェック間隔（ミリ秒）
+    SCHEDULE_CHECK_INTERVAL_MS: parseInt(process.env.SCHEDULE_CHECK_INTERVAL_MS, 10) || 30000,
+    // 直前の変更を取り消せる時間（ミリ秒）
+    UNDO_WINDOW_MS: parseInt(process.env.UNDO_WINDOW_MS, 10) || 5 * 60 * 1000,
+    // Idempotency-Key 付きのリクエストの結果を保持する期間（ミリ秒、この間の再送には同じ結果を返す）
+    IDEMPOTENCY_KEY_TTL_MS: parseInt(process.env.IDEMPOTENCY_KEY_TTL_MS, 10) || 24 * 60 * 60 * 1000,
+    // 変更系のリクエスト数を数える期間（ミリ秒）
+    RATE_LIMIT_WINDOW_MS: parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 60000,
+    // 期間内に受け付ける変更系のリクエスト数（端末トークン・APIトークンごと。サインイン前は接続元ごと）
+    RATE_LIMIT_MAX_MUTATIONS: parseInt(process.env.RATE_LIMIT_MAX_MUTATIONS, 10) || 60,
+    // 期間内に受け付けるサインインの試行回数（接続元ごと。PINの総当たり対策）
+    RATE_LIMIT_MAX_LOGINS: parseInt(process.env.RATE_LIMIT_MAX_LOGINS, 10) || 10,
+    // リバースプロキシの内側で動かす場合の Express の trust proxy（例: loopback, 1。接続元のIPアドレスの判定に使用）
+    TRUST_PROXY: process.env.TRUST_PROXY || '',
+    // 旧形式のJSONファイル（family-status.json）への書き出し（JSON_EXPORT=false で無効）
+    JSON_EXPORT_ENABLED: process.env.JSON_EXPORT !== 'false',
+    // SSEの再送用に保持するイベント数（これより遅れて再接続したクライアントにはスナップショットを送信）
+    SSE_REPLAY_BUFFER_SIZE: parseInt(process.env.SSE_REPLAY_BUFFER_SIZE, 10) || 500,
+    // 家族のタイムゾーン（集計の日・週の区切りに使用）
+    FAMILY_TIMEZONE: process.env.FAMILY_TIMEZONE || 'Asia/Tokyo',
+    // 履歴をそのまま残す日数（過ぎた履歴は日ごとの滞在時間に集約して削除。0 は無期限）
+    HISTORY_RETENTION_DAYS: parseInt(process.env.HISTORY_RETENTION_DAYS, 10) || 0,
+    // 履歴の集約を実行する間隔（ミリ秒）
+    HISTORY_COMPACTION_INTERVAL_MS: parseInt(process.env.HISTORY_COMPACTION_INTERVAL_MS, 10) || 6 * 60 * 60 * 1000,
+    // リストアで受け付けるアーカイブの最大サイズ
+    RESTORE_MAX_BYTES: process.env.RESTORE_MAX_BYTES || '50mb',
+    // Webhookの再送待ちを確認する間隔（ミリ秒）
+    WEBHOOK_CHECK_INTERVAL_MS: parseInt(process.env.WEBHOOK_CHECK_INTERVAL_MS, 10) || 15000,
+    // Webhookの最大試行回数（超えると failed として記録）
+    WEBHOOK_MAX_ATTEMPTS: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6,
+    // Webhookの初回の再送までの待ち時間（ミリ秒、以降は2倍ずつ延ばす）
+    WEBHOOK_RETRY_BASE_MS: parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 30000,
+    // Web PushのVAPID鍵（未設定の場合は初回起動時に生成してDBに保存）
+    VAPID_PUBLIC_KEY: process.env.VAPID_PUBLIC_KEY || '',
+    VAPID_PRIVATE_KEY: process.env.VAPID_PRIVATE_KEY || '',
+    // プッシュサービスが問い合わせに使う連絡先（mailto: または https: のURL）
+    VAPID_SUBJECT: process.env.VAPID_SUBJECT || 'mailto:family-board@example.com'
 };
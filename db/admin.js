@@ -0,0 +1,225 @@
+// サーバー管理用のCLI（DBファイルを直接操作するため、サーバーを停止してから実行する）
+//
+// 使い方:
+//   node db/admin.js members list [--all]                       メンバー一覧（--all でアーカイブ済みも表示）
+//   node db/admin.js members add <名前> [--emoji 🐱] [--color #rrggbb]
+//   node db/admin.js members rename <名前> <新しい名前>
+//   node db/admin.js members delete <名前> --yes                メンバーと履歴を削除
+//   node db/admin.js members set-pin <名前> <PIN> [--admin]    PINを設定（--admin で管理者権限も付与。初期設定用）
+//   node db/admin.js history prune --days <日数> [--dry-run]    指定日数より古い履歴を削除
+//   node db/admin.js history compact [--days <日数>] [--dry-run]
+//       保持期間を過ぎた履歴を日ごとの滞在時間に集約して削除（--days 省略時は HISTORY_RETENTION_DAYS）
+//   node db/admin.js check [--fix]                              整合性チェック（--fix でメンバーのいない履歴・壊れた日時を修復）
+//   node db/admin.js import-json [ファイル]                     旧形式のJSONからメンバーを取り込み（既存の名前はスキップ）
+//   node db/admin.js vacuum                                     DBファイルを最適化して空き領域を解放
+const config = require('../config');
+const db = require('./database');
+const { DATA_FILE } = require('../lib/jsonStore');
+const retention = require('../lib/retention');
+const auth = require('../lib/auth');
+
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const MAX_NAME_LENGTH = 20;
+const MIN_PIN_LENGTH = 4;
+const MAX_PIN_LENGTH = 64;
+
+const USAGE = `Usage:
+  node db/admin.js members list [--all]
+  node db/admin.js members add <name> [--emoji <emoji>] [--color <#rrggbb>]
+  node db/admin.js members rename <name> <new name>
+  node db/admin.js members delete <name> --yes
+  node db/admin.js members set-pin <name> <pin> [--admin]
+  node db/admin.js history prune --days <n> [--dry-run]
+  node db/admin.js history compact [--days <n>] [--dry-run]
+  node db/admin.js check [--fix]
+  node db/admin.js import-json [file]
+  node db/admin.js vacuum`;
+
+// 値を取るオプション（--days 30 など）
+const VALUE_OPTIONS = ['--emoji', '--color', '--days'];
+
+// 引数をコマンド・位置引数・オプションに分ける
+function parseArgs(argv) {
+  const args = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (VALUE_OPTIONS.includes(argv[i])) {
+      options[argv[i].slice(2)] = argv[++i];
+    } else if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = true;
+    } else {
+      args.push(argv[i]);
+    }
+  }
+  return { args, options };
+}
+
+// コマンドの失敗（メッセージのみ表示して終了コード1）
+class AdminError extends Error {}
+
+// 名前からメンバーを取得（見つからない場合はエラー）
+function findMember(name) {
+  const member = name ? db.getMemberByName(name) : null;
+  if (!member) {
+    throw new AdminError(`メンバーが見つかりません: ${name || ''}`);
+  }
+  return member;
+}
+
+// 新しいメンバー名の入力チェック
+function validateNewName(name) {
+  if (!name || !name.trim()) {
+    throw new AdminError('名前が必要です');
+  }
+  if (name.trim().length > MAX_NAME_LENGTH) {
+    throw new AdminError(`名前は${MAX_NAME_LENGTH}文字以内で入力してください`);
+  }
+  if (db.getMemberByName(name.trim())) {
+    throw new AdminError(`同じ名前のメンバーが既に存在します: ${name.trim()}`);
+  }
+  return name.trim();
+}
+
+// value: rename では新しい名前、set-pin ではPIN
+function members([subcommand, name, value], options) {
+  if (subcommand === 'list') {
+    const rows = db.getAllMembers({ includeArchived: Boolean(options.all) });
+    rows.forEach(m => {
+      const flags = [m.is_admin ? '管理者' : null, m.has_pin ? 'PINあり' : null, m.archived_at ? 'アーカイブ済み' : null]
+        .filter(Boolean);
+      console.log(`${String(m.id).padStart(4)}  ${m.emoji} ${m.name}${flags.length > 0 ? `  (${flags.join(', ')})` : ''}`);
+    });
+    console.log(`${rows.length} members`);
+  } else if (subcommand === 'add') {
+    if (options.color !== undefined && !COLOR_PATTERN.test(options.color)) {
+      throw new AdminError('色は #rrggbb 形式で指定してください');
+    }
+    const member = db.createMember({
+      name: validateNewName(name),
+      ...(options.emoji ? { emoji: options.emoji } : {}),
+      ...(options.color ? { color: options.color } : {})
+    });
+    console.log(`Member added: ${member.name} (id ${member.id})`);
+  } else if (subcommand === 'rename') {
+    const member = findMember(name);
+    const updated = db.updateMemberProfile(member.id, { name: validateNewName(value) });
+    console.log(`Member renamed: ${member.name} -> ${updated.name}`);
+  } else if (subcommand === 'delete') {
+    const member = findMember(name);
+    if (!options.yes) {
+      throw new AdminError(`${member.name}の履歴も全て削除されます。実行する場合は --yes を付けてください（残す場合は画面からアーカイブ）`);
+    }
+    db.deleteMember(member.name);
+    console.log(`Member deleted: ${member.name}`);
+  } else if (subcommand === 'set-pin') {
+    // ADMIN_PASSPHRASE を設定していない場合も、ここで管理者にしたメンバーのPINでサインインして画面から設定できる
+    const member = findMember(name);
+    if (!value || value.length < MIN_PIN_LENGTH || value.length > MAX_PIN_LENGTH) {
+      throw new AdminError(`PINは${MIN_PIN_LENGTH}〜${MAX_PIN_LENGTH}文字で指定してください`);
+    }
+    db.setMemberPinHash(member.id, auth.hashPin(value));
+    db.revokeMemberDeviceTokens(member.id);
+    if (options.admin) {
+      db.setMemberAdmin(member.id, true);
+    }
+    console.log(`PIN set: ${member.name}${options.admin ? ' (admin)' : ''}`);
+  } else {
+    throw new AdminError(USAGE);
+  }
+}
+
+function history([subcommand], options) {
+  const days = options.days !== undefined || subcommand === 'prune'
+    ? parseInt(options.days, 10)
+    : config.HISTORY_RETENTION_DAYS;
+  if (!['prune', 'compact'].includes(subcommand) || !Number.isInteger(days) || days < 1) {
+    throw new AdminError(USAGE);
+  }
+
+  if (subcommand === 'compact') {
+    const result = retention.compactHistory({
+      retentionDays: days,
+      timeZone: config.FAMILY_TIMEZONE,
+      dryRun: Boolean(options['dry-run'])
+    });
+    console.log(`${result.dryRun ? '[dry-run] ' : ''}History before ${result.until}: ${result.deleted} rows ${result.dryRun ? 'would be deleted' : 'deleted'}, ${result.summaries} daily summaries`);
+    return;
+  }
+
+  const before = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  const count = db.pruneHistory(before, { dryRun: Boolean(options['dry-run']) });
+  console.log(`${options['dry-run'] ? '[dry-run] ' : ''}History entries before ${before}: ${count} ${options['dry-run'] ? 'would be deleted' : 'deleted'}`);
+}
+
+function check(options) {
+  const report = db.checkIntegrity();
+  const { integrity, foreignKeyViolations, orphanedHistory, malformedTimestamps } = report;
+  const problems = [];
+
+  if (integrity.length !== 1 || integrity[0] !== 'ok') {
+    problems.push(`integrity_check: ${integrity.join('; ')}`);
+  }
+  Object.entries(foreignKeyViolations).forEach(([table, count]) => {
+    problems.push(`foreign key violations in ${table}: ${count}`);
+  });
+  if (orphanedHistory.length > 0) {
+    problems.push(`history rows without member: ${orphanedHistory.length} (ids: ${orphanedHistory.map(h => h.id).join(', ')})`);
+  }
+  malformedTimestamps.members.forEach(m => {
+    problems.push(`malformed member timestamp: ${m.name} (id ${m.id}) = ${JSON.stringify(m.timestamp)}`);
+  });
+  malformedTimestamps.history.forEach(h => {
+    problems.push(`malformed history changed_at: id ${h.id} = ${JSON.stringify(h.changed_at)}`);
+  });
+
+  if (problems.length === 0) {
+    console.log('No problems found');
+    return;
+  }
+  problems.forEach(problem => console.log(`- ${problem}`));
+
+  if (!options.fix) {
+    console.log('Run with --fix to delete broken history rows and clear malformed member timestamps');
+    process.exitCode = 1;
+    return;
+  }
+  const { deletedHistory, clearedMemberTimestamps } = db.repairIntegrity();
+  console.log(`Repaired: ${deletedHistory} history rows deleted, ${clearedMemberTimestamps} member timestamps cleared`);
+}
+
+function main() {
+  const { args: [command, ...args], options } = parseArgs(process.argv.slice(2));
+
+  if (!command || options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  db.initDatabase();
+  try {
+    if (command === 'members') {
+      members(args, options);
+    } else if (command === 'history') {
+      history(args, options);
+    } else if (command === 'check') {
+      check(options);
+    } else if (command === 'import-json') {
+      const { migrated, skipped } = db.migrateFromJSON(args[0] || DATA_FILE);
+      console.log(`Imported: ${migrated} members, skipped: ${skipped}`);
+    } else if (command === 'vacuum') {
+      const { sizeBefore, sizeAfter } = db.vacuumDatabase();
+      console.log(`Vacuum completed: ${sizeBefore} -> ${sizeAfter} bytes`);
+    } else {
+      throw new AdminError(USAGE);
+    }
+  } finally {
+    db.closeDatabase();
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error instanceof AdminError ? error.message : error);
+  process.exit(1);
+}
@@ -0,0 +1,77 @@
+// バックアップの作成・復元を行うCLI
+//
+// 使い方:
+//   node db/backup.js create [出力先]                 DBファイルのスナップショット（.db）を作成
+//   node db/backup.js create --json [出力先]          JSONアーカイブを作成
+//   node db/backup.js restore <ファイル> [--replace] [--dry-run]
+//       .json（アーカイブ）または .db（スナップショット）から復元。既定は統合（merge）
+//       --dry-run で変更内容の報告のみ行う
+//
+// サーバー稼働中に復元した場合、画面には次回の接続時まで反映されません（稼働中は /api/admin/restore を推奨）
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const db = require('./database');
+const { validateArchive } = require('../lib/backup');
+
+const [command, ...rest] = process.argv.slice(2);
+const flags = rest.filter(arg => arg.startsWith('--'));
+const [target] = rest.filter(arg => !arg.startsWith('--'));
+
+// 既定の出力先（db/backups/ 配下）
+function defaultBackupPath(extension) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..+$/, '');
+  return path.join(__dirname, 'backups', `family-board.${stamp}.${extension}`);
+}
+
+// 復元するアーカイブを読み込み（.db の場合は読み取り専用で開いてアーカイブに変換）
+function readArchive(file) {
+  if (file.endsWith('.db')) {
+    const source = new Database(file, { readonly: true, fileMustExist: true });
+    try {
+      return db.exportArchive(source);
+    } finally {
+      source.close();
+    }
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+async function main() {
+  db.initDatabase();
+
+  if (command === 'create') {
+    const json = flags.includes('--json');
+    const destination = target || defaultBackupPath(json ? 'json' : 'db');
+    fs.mkdirSync(path.dirname(destination), { recursive: true });
+
+    if (json) {
+      fs.writeFileSync(destination, JSON.stringify(db.exportArchive(), null, 2));
+    } else {
+      await db.backupToFile(destination);
+    }
+    console.log(`Backup created: ${destination}`);
+  } else if (command === 'restore' && target) {
+    const archive = readArchive(target);
+    const validationError = validateArchive(archive, db.getMigrationStatus().currentVersion);
+    if (validationError) {
+      throw new Error(validationError);
+    }
+
+    const report = db.restoreArchive(archive, {
+      mode: flags.includes('--replace') ? 'replace' : 'merge',
+      dryRun: flags.includes('--dry-run')
+    });
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.error('Usage: node db/backup.js create [--json] [file] | restore <file> [--replace] [--dry-run]');
+    process.exitCode = 1;
+  }
+
+  db.closeDatabase();
+}
+
+main().catch(error => {
+  console.error('Backup failed:', error.message);
+  process.exit(1);
+});
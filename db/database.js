@@ -4,17 +4,65 @@ const path = require('path');
 
 const DB_PATH = path.join(__dirname, 'family-board.db');
 const SCHEMA_PATH = path.join(__dirname, 'schema.sql');
+const BACKUP_DIR = path.join(__dirname, 'backups');
+
+// JSONアーカイブの形式（lib/backup.js の検証でも使用）
+const ARCHIVE_FORMAT = 'family-board-backup';
+const ARCHIVE_FORMAT_VERSION = 1;
 
 let db = null;
+// 開いているDBファイル（確認用のスクリプトは一時ファイルを指定する）
+let dbPath = DB_PATH;
+
+// メンバー取得時のカラム（PINハッシュは返さず、設定済みかどうかのみ返す）
+const MEMBER_COLUMNS = `
+  id, name, emoji, color, sort_order, archived_at, is_admin,
+  activity, state, message, until_at,
+  activity_expires_at, state_expires_at, stale_at, timestamp, updated_at, version,
+  (pin_hash IS NOT NULL) AS has_pin
+`;
+
+// 活動・状態カタログの初期値（カタログが空のときのみ投入）
+const DEFAULT_STATUS_OPTIONS = {
+  activity: [
+    { label: '在宅', emoji: '🏠', color: '#667eea' },
+    { label: '仕事中', emoji: '💼', color: '#f5576c' },
+    { label: '会議中', emoji: '📞', color: '#4facfe', ttlMinutes: 120, fallbackLabel: '仕事中' },
+    { label: '移動中', emoji: '🚶', color: '#43e97b' },
+    { label: '買い物', emoji: '🛒', color: '#fa709a' },
+    { label: '食事中', emoji: '🍽️', color: '#30cfd0', ttlMinutes: 90, fallbackLabel: '在宅' },
+    { label: '就寝中', emoji: '😴', color: '#7f8ce0' },
+    { label: 'トイレ', emoji: '🚽', color: '#e0a3d8', ttlMinutes: 20, fallbackLabel: '在宅' },
+    { label: 'その他', emoji: '❓', color: '#9b9ede' }
+  ],
+  state: [
+    { label: '普通に話しかけてOK', emoji: '✅', color: '#52c41a' },
+    { label: 'ちょっと話せる', emoji: '💬', color: '#1890ff' },
+    { label: '忙しい', emoji: '🔇', color: '#d4380d', ttlMinutes: 240 },
+    { label: '機嫌悪い', emoji: '😠', color: '#eb2f96' },
+    { label: '体調悪い', emoji: '🤒', color: '#fa541c' },
+    { label: '疲れてる', emoji: '😫', color: '#b37feb' },
+    { label: 'スマホ見れない', emoji: '📵', color: '#595959' },
+    { label: '気づいたら声かけて', emoji: '🔔', color: '#ffc53d', ttlMinutes: 120 }
+  ]
+};
 
 /**
  * データベース初期化
- * DBファイルが存在しない場合は作成し、スキーマを適用
+ * DBファイルが存在しない場合は作成し、未適用のマイグレーションを適用
+ * @param {Object} [options] - オプション
+ * @param {string} [options.jsonImportPath] - 旧形式のJSONファイルパス（取り込みマイグレーションで使用）
+ * @param {boolean} [options.dryRun=false] - マイグレーションを試行のみ行い、変更を破棄するか
+ * @param {string} [options.path] - DBファイルのパス（省略時は db/family-board.db）
+ * @returns {Database} データベースインスタンス
  */
-function initDatabase() {
+function initDatabase(options = {}) {
+  const { jsonImportPath = null, dryRun = false, path: filePath = DB_PATH } = options;
+
   try {
     // データベース接続
-    db = new Database(DB_PATH);
+    dbPath = filePath;
+    db = new Database(dbPath);
 
     // WALモードを有効化（同時アクセス性能向上）
     db.pragma('journal_mode = WAL');
@@ -22,11 +70,15 @@ function initDatabase() {
     // 外部キー制約を有効化
     db.pragma('foreign_keys = ON');
 
-    // スキーマ読み込みと適用
-    const schema = fs.readFileSync(SCHEMA_PATH, 'utf8');
-    db.exec(schema);
+    // スキーマのマイグレーション
+    runMigrations({ jsonImportPath, dryRun });
+
+    // カタログの初期値を投入
+    if (!dryRun) {
+      seedStatusOptions();
+    }
 
-    console.log('Database initialized successfully at:', DB_PATH);
+    console.log('Database initialized successfully at:', dbPath);
     return db;
   } catch (error) {
     console.error('Failed to initialize database:', error);
@@ -34,6 +86,486 @@ function initDatabase() {
   }
 }
 
+// ========================================
+// マイグレーション
+// ========================================
+
+// バージョン管理を導入する前に ensureColumn で補完していたカラム
+// （既存DBはどこまで補完済みか分からないため、初期スキーマのマイグレーションで不足分のみ追加する）
+const LEGACY_COLUMNS = [
+  ['members', 'emoji', "TEXT DEFAULT '👤'"],
+  ['members', 'color', "TEXT DEFAULT '#667eea'"],
+  ['members', 'sort_order', 'INTEGER DEFAULT 0'],
+  ['members', 'archived_at', 'DATETIME'],
+  ['members', 'pin_hash', 'TEXT'],
+  ['members', 'is_admin', 'INTEGER DEFAULT 0'],
+  ['members', 'message', 'TEXT'],
+  ['members', 'until_at', 'DATETIME'],
+  ['status_history', 'message', 'TEXT'],
+  ['status_history', 'until_at', 'DATETIME'],
+  ['members', 'activity_expires_at', 'DATETIME'],
+  ['members', 'state_expires_at', 'DATETIME'],
+  ['members', 'stale_at', 'DATETIME'],
+  ['status_history', 'source', "TEXT DEFAULT 'manual'"],
+  ['status_options', 'ttl_minutes', 'INTEGER'],
+  ['status_options', 'fallback_label', 'TEXT']
+];
+
+// マイグレーション一覧（version は PRAGMA user_version に記録される）
+// 適用済みのマイグレーションは変更せず、スキーマの変更は新しい version を末尾に追加する
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    up: () => {
+      const schema = fs.readFileSync(SCHEMA_PATH, 'utf8');
+      db.exec(schema);
+      LEGACY_COLUMNS.forEach(([table, column, definition]) => ensureColumn(table, column, definition));
+    }
+  },
+  {
+    version: 2,
+    name: 'import_json',
+    up: ({ jsonImportPath }) => {
+      if (jsonImportPath) {
+        migrateFromJSON(jsonImportPath);
+      }
+    }
+  },
+  {
+    version: 3,
+    name: 'webhooks',
+    up: () => {
+      // webhooks: 状況の変更を外部に通知する送信先（event_types はJSON配列、member_id が null なら全員）
+      // webhook_deliveries: 配信ログ（status: 'pending' は送信待ち・再送待ち）
+      db.exec(`
+        CREATE TABLE webhooks (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          url TEXT NOT NULL,
+          event_types TEXT NOT NULL,
+          member_id INTEGER,
+          secret TEXT NOT NULL,
+          enabled INTEGER DEFAULT 1,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE
+        );
+
+        CREATE TABLE webhook_deliveries (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          webhook_id INTEGER NOT NULL,
+          event_type TEXT NOT NULL,
+          payload TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'succeeded', 'failed')),
+          attempts INTEGER DEFAULT 0,
+          response_status INTEGER,
+          error TEXT,
+          next_attempt_at DATETIME,
+          last_attempt_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX idx_webhook_deliveries_pending ON webhook_deliveries(status, next_attempt_at);
+        CREATE INDEX idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, id DESC);
+      `);
+    }
+  },
+  {
+    version: 4,
+    name: 'push_subscriptions',
+    up: () => {
+      // app_settings: サーバーが生成して保持する設定（VAPID鍵など）
+      // push_subscriptions: 端末ごとのWeb Pushの購読（端末トークンの失効・削除で送信対象から外れる）
+      db.exec(`
+        CREATE TABLE app_settings (
+          key TEXT PRIMARY KEY,
+          value TEXT NOT NULL,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE push_subscriptions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          device_token_id INTEGER NOT NULL,
+          member_id INTEGER,
+          endpoint TEXT UNIQUE NOT NULL,
+          p256dh TEXT NOT NULL,
+          auth TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          last_success_at DATETIME,
+          last_error TEXT,
+          FOREIGN KEY (device_token_id) REFERENCES device_tokens(id) ON DELETE CASCADE,
+          FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX idx_push_subscriptions_device ON push_subscriptions(device_token_id);
+      `);
+    }
+  },
+  {
+    version: 5,
+    name: 'notification_preferences',
+    up: () => {
+      // メンバーごと（管理者トークンは端末ごと）の通知の設定
+      // members・activities・states はJSON配列（NULL は絞り込まない）
+      db.exec(`
+        CREATE TABLE notification_preferences (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          member_id INTEGER UNIQUE,
+          device_token_id INTEGER UNIQUE,
+          members TEXT,
+          activities TEXT,
+          states TEXT,
+          quiet_start TEXT,
+          quiet_end TEXT,
+          notify_self INTEGER DEFAULT 0,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          CHECK (member_id IS NOT NULL OR device_token_id IS NOT NULL),
+          FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE,
+          FOREIGN KEY (device_token_id) REFERENCES device_tokens(id) ON DELETE CASCADE
+        );
+      `);
+    }
+  },
+  {
+    version: 6,
+    name: 'nudges',
+    up: () => {
+      // nudges: メンバー間の声かけ
+      // status: 'sent'（送信）→ 'delivered'（相手の端末に届いた）→ 'acknowledged'（相手が返事をした）
+      db.exec(`
+        CREATE TABLE nudges (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          from_member_id INTEGER NOT NULL,
+          to_member_id INTEGER NOT NULL,
+          message TEXT,
+          status TEXT NOT NULL DEFAULT 'sent' CHECK (status IN ('sent', 'delivered', 'acknowledged')),
+          response TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          delivered_at DATETIME,
+          acknowledged_at DATETIME,
+          FOREIGN KEY (from_member_id) REFERENCES members(id) ON DELETE CASCADE,
+          FOREIGN KEY (to_member_id) REFERENCES members(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX idx_nudges_to ON nudges(to_member_id, id DESC);
+        CREATE INDEX idx_nudges_from ON nudges(from_member_id, id DESC);
+      `);
+    }
+  },
+  {
+    version: 7,
+    name: 'schedules',
+    up: () => {
+      // schedules: メンバーごとの繰り返しの予定（days はJSON配列で 0=日曜〜6=土曜、時刻は家族のタイムゾーンの 'HH:MM'）
+      //   end_time が NULL の予定は開始時刻に状況を設定するのみ
+      // schedule_exceptions: 予定を適用しない日（schedule_id が NULL の場合はそのメンバーの全ての予定）
+      // 予定による変更は status_history に source = 'schedule' として記録する
+      db.exec(`
+        CREATE TABLE schedules (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          member_id INTEGER NOT NULL,
+          name TEXT,
+          days TEXT NOT NULL,
+          start_time TEXT NOT NULL,
+          end_time TEXT,
+          activity TEXT,
+          state TEXT,
+          enabled INTEGER DEFAULT 1,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE
+        );
+
+        CREATE TABLE schedule_exceptions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          member_id INTEGER NOT NULL,
+          schedule_id INTEGER,
+          date TEXT NOT NULL,
+          note TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE,
+          FOREIGN KEY (schedule_id) REFERENCES schedules(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX idx_schedules_member ON schedules(member_id);
+        CREATE INDEX idx_schedule_exceptions_date ON schedule_exceptions(date);
+      `);
+    }
+  },
+  {
+    version: 8,
+    name: 'api_tokens',
+    up: () => {
+      // api_tokens: スクリプト・CLIから使うメンバーごとのAPIトークン（平文は保存しない）
+      // permission = 'read' は状況・履歴の取得のみ、'write' は状況の更新も可能
+      db.exec(`
+        CREATE TABLE api_tokens (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          member_id INTEGER NOT NULL,
+          name TEXT,
+          permission TEXT NOT NULL DEFAULT 'read' CHECK (permission IN ('read', 'write')),
+          token_hash TEXT UNIQUE NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          last_used_at DATETIME,
+          revoked_at DATETIME,
+          FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX idx_api_tokens_member ON api_tokens(member_id);
+      `);
+    }
+  },
+  {
+    version: 9,
+    name: 'history_daily_summaries',
+    up: () => {
+      // history_daily_summaries: 保持期間を過ぎて削除した履歴の、日ごと・メンバーごとの滞在時間（秒）
+      // date は家族のタイムゾーンの 'YYYY-MM-DD'、category は 'activity' または 'state'
+      db.exec(`
+        CREATE TABLE history_daily_summaries (
+          member_id INTEGER NOT NULL,
+          date TEXT NOT NULL,
+          category TEXT NOT NULL CHECK (category IN ('activity', 'state')),
+          label TEXT NOT NULL,
+          seconds INTEGER NOT NULL,
+          PRIMARY KEY (member_id, date, category, label),
+          FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE
+        );
+      `);
+    }
+  },
+  {
+    version: 10,
+    name: 'history_changes',
+    up: () => {
+      // status_history に変更前の値と変更された項目を追加
+      // changed_fields: 変更された項目のJSON配列（'activity'・'state'・'message'）
+      // source: 'manual'（ボタン）・'api'（APIトークン）・'schedule'（予定）・'expiry'（自動解除）・'import'（JSONの取り込み）
+      db.exec(`
+        ALTER TABLE status_history ADD COLUMN previous_activity TEXT;
+        ALTER TABLE status_history ADD COLUMN previous_state TEXT;
+        ALTER TABLE status_history ADD COLUMN previous_message TEXT;
+        ALTER TABLE status_history ADD COLUMN changed_fields TEXT;
+      `);
+
+      // 既存の履歴はメンバーごとに1つ前の履歴と比べて補完
+      const update = db.prepare(`
+        UPDATE status_history
+        SET previous_activity = ?, previous_state = ?, previous_message = ?, changed_fields = ?
+        WHERE id = ?
+      `);
+      const previousByMember = new Map();
+      db.prepare(`
+        SELECT id, member_id, activity, state, message FROM status_history ORDER BY member_id, changed_at, id
+      `).all().forEach(entry => {
+        const previous = previousByMember.get(entry.member_id) || null;
+        update.run(
+          previous ? previous.activity : null,
+          previous ? previous.state : null,
+          previous ? previous.message : null,
+          JSON.stringify(getChangedFields(previous, entry)),
+          entry.id
+        );
+        previousByMember.set(entry.member_id, entry);
+      });
+    }
+  },
+  {
+    version: 11,
+    name: 'history_corrections',
+    up: () => {
+      // history_corrections: 履歴の取り消し・修正・削除の記録
+      //   action: 'undo'（直前の変更の取り消し）・'edit'（過去の履歴の修正）・'delete'（過去の履歴の削除）
+      //   before・after: 変更前後の履歴（JSON。削除・取り消しの after は取り消し後の状況、削除は NULL）
+      //   corrected_by: 操作したメンバー（管理者の場合は NULL）
+      // 取り消し・削除された履歴は status_history から消えるため history_id に外部キーは付けない
+      db.exec(`
+        CREATE TABLE history_corrections (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          history_id INTEGER NOT NULL,
+          member_id INTEGER NOT NULL,
+          action TEXT NOT NULL CHECK (action IN ('undo', 'edit', 'delete')),
+          before TEXT NOT NULL,
+          after TEXT,
+          corrected_by INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE,
+          FOREIGN KEY (corrected_by) REFERENCES members(id) ON DELETE SET NULL
+        );
+
+        CREATE INDEX idx_history_corrections_member ON history_corrections(member_id, id DESC);
+      `);
+    }
+  },
+  {
+    version: 12,
+    name: 'member_versions',
+    up: () => {
+      // members.version: 楽観的排他制御用の版数（ETag・If-Match に使用）
+      // 状況・プロフィールなど、どの列を更新しても増えるようトリガーで加算する
+      db.exec(`
+        ALTER TABLE members ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+
+        CREATE TRIGGER members_version_increment
+        AFTER UPDATE ON members
+        FOR EACH ROW WHEN NEW.version = OLD.version
+        BEGIN
+          UPDATE members SET version = OLD.version + 1 WHERE id = NEW.id;
+        END;
+      `);
+    }
+  },
+  {
+    version: 13,
+    name: 'idempotency_keys',
+    up: () => {
+      // idempotency_keys: Idempotency-Key ヘッダー付きのリクエストの結果（保持期間内の再送には同じ結果を返す）
+      //   owner: キーの持ち主（'device:<端末トークンID>'・'api:<APIトークンID>'）
+      //   request_hash: メソッド・パス・本文のハッシュ（同じキーで別のリクエストが送られた場合の検出用）
+      db.exec(`
+        CREATE TABLE idempotency_keys (
+          owner TEXT NOT NULL,
+          key TEXT NOT NULL,
+          request_hash TEXT NOT NULL,
+          status_code INTEGER NOT NULL,
+          response TEXT NOT NULL,
+          etag TEXT,
+          created_at DATETIME NOT NULL,
+          PRIMARY KEY (owner, key)
+        );
+
+        CREATE INDEX idx_idempotency_keys_created ON idempotency_keys(created_at);
+      `);
+    }
+  },
+  {
+    version: 14,
+    name: 'idempotency_key_reservations',
+    up: () => {
+      // idempotency_keys.status: 'in_progress'（処理中。キーを予約した時点で登録）・'completed'（結果を保存済み）
+      // 処理中の行は結果がないため、status_code・response を NULL 可にしてテーブルを作り直す
+      db.exec(`
+        CREATE TABLE idempotency_keys_new (
+          owner TEXT NOT NULL,
+          key TEXT NOT NULL,
+          request_hash TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'completed' CHECK (status IN ('in_progress', 'completed')),
+          status_code INTEGER,
+          response TEXT,
+          etag TEXT,
+          created_at DATETIME NOT NULL,
+          PRIMARY KEY (owner, key)
+        );
+
+        INSERT INTO idempotency_keys_new (owner, key, request_hash, status, status_code, response, etag, created_at)
+          SELECT owner, key, request_hash, 'completed', status_code, response, etag, created_at FROM idempotency_keys;
+
+        DROP TABLE idempotency_keys;
+        ALTER TABLE idempotency_keys_new RENAME TO idempotency_keys;
+
+        CREATE INDEX idx_idempotency_keys_created ON idempotency_keys(created_at);
+      `);
+    }
+  }
+];
+
+// ドライラン時にトランザクションを取り消すための目印
+class DryRunRollback extends Error {}
+
+/**
+ * カラムが存在しない場合のみ追加
+ * CREATE TABLE IF NOT EXISTS は既存テーブルを変更しないため、既存DB向けに補完する
+ * @param {string} table - テーブル名
+ * @param {string} column - カラム名
+ * @param {string} definition - カラム定義（型・デフォルト値）
+ */
+function ensureColumn(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(c => c.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+/**
+ * マイグレーションの適用状況を取得
+ * @returns {Object} 現在のバージョン・最新バージョン・未適用のマイグレーション
+ */
+function getMigrationStatus() {
+  const currentVersion = db.pragma('user_version', { simple: true });
+  return {
+    currentVersion,
+    latestVersion: MIGRATIONS[MIGRATIONS.length - 1].version,
+    pending: MIGRATIONS
+      .filter(m => m.version > currentVersion)
+      .map(m => ({ version: m.version, name: m.name }))
+  };
+}
+
+/**
+ * DBファイルをバックアップ（VACUUM INTO で一貫性のあるコピーを作成）
+ * @param {number} fromVersion - マイグレーション前のバージョン
+ * @returns {string} バックアップファイルのパス
+ */
+function backupDatabase(fromVersion) {
+  fs.mkdirSync(BACKUP_DIR, { recursive: true });
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..+$/, '');
+  const backupPath = path.join(BACKUP_DIR, `family-board.v${fromVersion}.${stamp}.db`);
+  db.prepare('VACUUM INTO ?').run(backupPath);
+  return backupPath;
+}
+
+/**
+ * 未適用のマイグレーションを1つのトランザクションで適用
+ * 途中で失敗した場合は全て取り消され、バージョンも変わらない
+ * @param {Object} [options] - オプション
+ * @param {string} [options.jsonImportPath] - 旧形式のJSONファイルパス
+ * @param {boolean} [options.dryRun=false] - 適用後に取り消し、変更を残さないか
+ * @returns {Object} 適用結果（{ fromVersion, toVersion, applied, backupPath, dryRun }）
+ */
+function runMigrations(options = {}) {
+  const { jsonImportPath = null, dryRun = false } = options;
+  const { currentVersion, pending } = getMigrationStatus();
+  const result = { fromVersion: currentVersion, toVersion: currentVersion, applied: [], backupPath: null, dryRun };
+
+  if (pending.length === 0) {
+    return result;
+  }
+
+  // テーブルがある既存DBのみ、適用前にバックアップ（新規作成時は不要）
+  const tableCount = db.prepare("SELECT COUNT(*) AS count FROM sqlite_master WHERE type = 'table'").get().count;
+  if (tableCount > 0 && !dryRun) {
+    result.backupPath = backupDatabase(currentVersion);
+    console.log(`Database backup created: ${result.backupPath}`);
+  }
+
+  const transaction = db.transaction(() => {
+    MIGRATIONS.filter(m => m.version > currentVersion).forEach(migration => {
+      migration.up({ jsonImportPath });
+      db.pragma(`user_version = ${migration.version}`);
+      result.applied.push({ version: migration.version, name: migration.name });
+      console.log(`${dryRun ? '[dry-run] ' : ''}Migration ${migration.version} (${migration.name}) applied`);
+    });
+
+    if (dryRun) {
+      throw new DryRunRollback();
+    }
+  });
+
+  try {
+    transaction();
+  } catch (error) {
+    if (!(error instanceof DryRunRollback)) {
+      console.error(`Migration failed, rolled back to version ${currentVersion}:`, error);
+      throw error;
+    }
+    console.log('[dry-run] All migrations rolled back');
+  }
+
+  result.toVersion = result.applied[result.applied.length - 1].version;
+  return result;
+}
+
 /**
  * データベース接続取得
  * @returns {Database} データベースインスタンス
@@ -62,10 +594,14 @@ function closeDatabase() {
 
 /**
  * 全メンバー取得
- * @returns {Array} メンバー一覧
+ * @param {Object} [options] - オプション
+ * @param {boolean} [options.includeArchived=false] - アーカイブ済みメンバーも含めるか
+ * @returns {Array} メンバー一覧（表示順）
  */
-function getAllMembers() {
-  const stmt = db.prepare('SELECT * FROM members ORDER BY updated_at DESC');
+function getAllMembers(options = {}) {
+  const { includeArchived = false } = options;
+  const whereClause = includeArchived ? '' : 'WHERE archived_at IS NULL';
+  const stmt = db.prepare(`SELECT ${MEMBER_COLUMNS} FROM members ${whereClause} ORDER BY sort_order ASC, id ASC`);
   return stmt.all();
 }
 
@@ -75,7 +611,7 @@ function getAllMembers() {
  * @returns {Object|undefined} メンバー情報
  */
 function getMemberByName(name) {
-  const stmt = db.prepare('SELECT * FROM members WHERE name = ?');
+  const stmt = db.prepare(`SELECT ${MEMBER_COLUMNS} FROM members WHERE name = ?`);
   return stmt.get(name);
 }
 
@@ -85,51 +621,275 @@ function getMemberByName(name) {
  * @returns {Object|undefined} メンバー情報
  */
 function getMemberById(id) {
-  const stmt = db.prepare('SELECT * FROM members WHERE id = ?');
+  const stmt = db.prepare(`SELECT ${MEMBER_COLUMNS} FROM members WHERE id = ?`);
   return stmt.get(id);
 }
 
 /**
- * メンバー追加または更新
- * @param {Object} memberData - メンバーデータ
- * @param {string} memberData.name - メンバー名
- * @param {string} memberData.activity - 活動状態
- * @param {string} memberData.state - 状態
- * @param {string} [memberData.timestamp] - タイムスタンプ（オプション）
- * @returns {Object} 挿入または更新されたメンバー情報（idを含む）
+ * メンバーの状況を更新し、履歴に記録（メンバーの更新と履歴の追加は同一トランザクション）
+ * 呼び出し側が読み込んだ時点の版数と一致する場合のみ更新する（読み込みから書き込みまでの間の別の更新を上書きしない）
+ * @param {number} memberId - メンバーID
+ * @param {Object} update - 更新内容
+ * @param {number} update.expectedVersion - 読み込んだ時点のメンバーの版数
+ * @param {string} update.activity - 活動状態
+ * @param {string} update.state - 状態
+ * @param {string|null} update.message - ひとことメッセージ
+ * @param {string|null} update.untilAt - 戻り予定・到着予定日時
+ * @param {string|null} update.activityExpiresAt - 活動の自動解除日時
+ * @param {string|null} update.stateExpiresAt - 状態の自動解除日時
+ * @param {string} update.timestamp - タイムスタンプ
+ * @param {Object|null} update.history - 履歴の追加情報（{ source }。null の場合は履歴に記録しない）
+ * @returns {Object} { member, history }（版数が一致しない場合は { conflict: true, member }）
  */
-function insertOrUpdateMember(memberData) {
-  const { name, activity, state, timestamp } = memberData;
+function applyStatusUpdate(memberId, update) {
+  const {
+    expectedVersion, activity, state, message, untilAt,
+    activityExpiresAt, stateExpiresAt, timestamp, history
+  } = update;
+
+  const transaction = db.transaction(() => {
+    const info = db.prepare(`
+      UPDATE members
+      SET activity = ?, state = ?, message = ?, until_at = ?,
+          activity_expires_at = ?, state_expires_at = ?, stale_at = NULL,
+          timestamp = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND version = ?
+    `).run(activity, state, message, untilAt, activityExpiresAt, stateExpiresAt, timestamp, memberId, expectedVersion);
+    if (info.changes === 0) {
+      return { conflict: true, member: getMemberById(memberId) };
+    }
+
+    const entry = history
+      ? insertHistory(memberId, activity, state, timestamp, { message, untilAt, source: history.source })
+      : null;
+    return { member: getMemberById(memberId), history: entry };
+  });
 
   try {
-    // トランザクション開始
-    const transaction = db.transaction(() => {
-      // 既存メンバーをチェック
-      const existing = getMemberByName(name);
+    return transaction();
+  } catch (error) {
+    console.error('Error in applyStatusUpdate:', error);
+    throw error;
+  }
+}
 
-      if (existing) {
-        // 更新
-        const updateStmt = db.prepare(`
-          UPDATE members
-          SET activity = ?, state = ?, timestamp = ?, updated_at = CURRENT_TIMESTAMP
-          WHERE name = ?
-        `);
-        updateStmt.run(activity, state, timestamp || new Date().toISOString(), name);
-        return getMemberByName(name);
-      } else {
-        // 新規挿入
-        const insertStmt = db.prepare(`
-          INSERT INTO members (name, activity, state, timestamp, updated_at)
-          VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
-        `);
-        const info = insertStmt.run(name, activity, state, timestamp || new Date().toISOString());
-        return getMemberById(info.lastInsertRowid);
+/**
+ * 次の表示順を取得
+ * @returns {number} 既存の最大表示順 + 1
+ */
+function getNextSortOrder() {
+  const { maxOrder } = db.prepare('SELECT MAX(sort_order) as maxOrder FROM members').get();
+  return maxOrder === null ? 0 : maxOrder + 1;
+}
+
+/**
+ * メンバー登録（状況なし）
+ * @param {Object} profile - プロフィール
+ * @param {string} profile.name - 表示名
+ * @param {string} [profile.emoji] - 絵文字アバター
+ * @param {string} [profile.color] - 表示色（#rrggbb）
+ * @returns {Object} 登録されたメンバー情報
+ */
+function createMember(profile) {
+  const { name, emoji = '👤', color = '#667eea' } = profile;
+
+  try {
+    const stmt = db.prepare(`
+      INSERT INTO members (name, emoji, color, sort_order, activity, state, timestamp, updated_at)
+      VALUES (?, ?, ?, ?, '', '', NULL, CURRENT_TIMESTAMP)
+    `);
+    const info = stmt.run(name, emoji, color, getNextSortOrder());
+    return getMemberById(info.lastInsertRowid);
+  } catch (error) {
+    console.error('Error in createMember:', error);
+    throw error;
+  }
+}
+
+/**
+ * メンバーのプロフィール更新（名前変更を含む）
+ * IDは変わらないため、status_history は member_id で紐付いたまま残る
+ * @param {number} id - メンバーID
+ * @param {Object} profile - 更新するプロフィール（指定された項目のみ更新）
+ * @param {string} [profile.name] - 表示名
+ * @param {string} [profile.emoji] - 絵文字アバター
+ * @param {string} [profile.color] - 表示色（#rrggbb）
+ * @returns {Object|undefined} 更新後のメンバー情報（存在しない場合は undefined）
+ */
+function updateMemberProfile(id, profile) {
+  const fields = ['name', 'emoji', 'color'].filter(key => profile[key] !== undefined);
+
+  try {
+    if (fields.length > 0) {
+      const setClause = fields.map(key => `${key} = ?`).join(', ');
+      const stmt = db.prepare(`UPDATE members SET ${setClause} WHERE id = ?`);
+      stmt.run(...fields.map(key => profile[key]), id);
+    }
+    return getMemberById(id);
+  } catch (error) {
+    console.error('Error in updateMemberProfile:', error);
+    throw error;
+  }
+}
+
+/**
+ * メンバーのアーカイブ状態を変更
+ * アーカイブしても履歴は削除しない
+ * @param {number} id - メンバーID
+ * @param {boolean} archived - アーカイブするかどうか
+ * @returns {Object|undefined} 更新後のメンバー情報
+ */
+function setMemberArchived(id, archived) {
+  try {
+    const stmt = db.prepare('UPDATE members SET archived_at = ? WHERE id = ?');
+    stmt.run(archived ? new Date().toISOString() : null, id);
+    return getMemberById(id);
+  } catch (error) {
+    console.error('Error in setMemberArchived:', error);
+    throw error;
+  }
+}
+
+/**
+ * メンバーのプロフィール・アーカイブ状態・管理者権限をまとめて変更
+ * 途中で失敗した場合は全ての変更を取り消す
+ * @param {number} id - メンバーID
+ * @param {Object} changes - 変更する項目（指定された項目のみ更新）
+ * @param {string} [changes.name] - 表示名
+ * @param {string} [changes.emoji] - 絵文字アバター
+ * @param {string} [changes.color] - 表示色（#rrggbb）
+ * @param {boolean} [changes.archived] - アーカイブするかどうか
+ * @param {boolean} [changes.isAdmin] - 管理者にするかどうか
+ * @returns {Object|undefined} 更新後のメンバー情報
+ */
+function updateMember(id, { name, emoji, color, archived, isAdmin }) {
+  try {
+    const transaction = db.transaction(() => {
+      updateMemberProfile(id, { name, emoji, color });
+      if (archived !== undefined) {
+        setMemberArchived(id, archived);
       }
+      if (isAdmin !== undefined) {
+        setMemberAdmin(id, isAdmin);
+      }
+    });
+    transaction();
+    return getMemberById(id);
+  } catch (error) {
+    console.error('Error in updateMember:', error);
+    throw error;
+  }
+}
+
+/**
+ * メンバーの表示順を並べ替え
+ * @param {Array<number>} ids - 新しい表示順に並べたメンバーID
+ * @returns {Array} 並べ替え後のメンバー一覧（アーカイブ済みを含む）
+ */
+function reorderMembers(ids) {
+  try {
+    const stmt = db.prepare('UPDATE members SET sort_order = ? WHERE id = ?');
+    const transaction = db.transaction(() => {
+      ids.forEach((id, index) => stmt.run(index, id));
+    });
+    transaction();
+    return getAllMembers({ includeArchived: true });
+  } catch (error) {
+    console.error('Error in reorderMembers:', error);
+    throw error;
+  }
+}
+
+/**
+ * メンバーの管理者権限を変更
+ * @param {number} id - メンバーID
+ * @param {boolean} isAdmin - 管理者にするかどうか
+ * @returns {Object|undefined} 更新後のメンバー情報
+ */
+function setMemberAdmin(id, isAdmin) {
+  try {
+    db.prepare('UPDATE members SET is_admin = ? WHERE id = ?').run(isAdmin ? 1 : 0, id);
+    return getMemberById(id);
+  } catch (error) {
+    console.error('Error in setMemberAdmin:', error);
+    throw error;
+  }
+}
+
+/**
+ * メンバーのPINハッシュを取得
+ * @param {number} id - メンバーID
+ * @returns {string|null} PINハッシュ（未設定の場合は null）
+ */
+function getMemberPinHash(id) {
+  const row = db.prepare('SELECT pin_hash FROM members WHERE id = ?').get(id);
+  return row ? row.pin_hash : null;
+}
+
+/**
+ * メンバーのPINハッシュを設定
+ * @param {number} id - メンバーID
+ * @param {string|null} pinHash - PINハッシュ（null で解除）
+ */
+function setMemberPinHash(id, pinHash) {
+  try {
+    db.prepare('UPDATE members SET pin_hash = ? WHERE id = ?').run(pinHash, id);
+  } catch (error) {
+    console.error('Error in setMemberPinHash:', error);
+    throw error;
+  }
+}
+
+/**
+ * 自動解除日時を過ぎた活動・状態を持つメンバーを取得
+ * @param {string} now - 基準日時（ISO形式）
+ * @returns {Array} 対象メンバー一覧
+ */
+function getMembersWithExpiredStatus(now) {
+  const stmt = db.prepare(`
+    SELECT ${MEMBER_COLUMNS} FROM members
+    WHERE archived_at IS NULL
+      AND (activity_expires_at <= ? OR state_expires_at <= ?)
+  `);
+  return stmt.all(now, now);
+}
+
+/**
+ * 自動解除を適用し、履歴に 'expiry' として記録（同一トランザクション）
+ * @param {number} memberId - メンバーID
+ * @param {Object} changes - 解除後の値
+ * @param {string} changes.activity - 活動
+ * @param {string} changes.state - 状態
+ * @param {string|null} changes.activityExpiresAt - 活動の次の自動解除日時
+ * @param {string|null} changes.stateExpiresAt - 状態の次の自動解除日時
+ * @param {string|null} changes.staleAt - 状況不明になった日時（フォールバックがない場合）
+ * @param {string} changes.changedAt - 解除日時
+ * @returns {Object} 更新後のメンバー情報と追加された履歴（{ member, history }）
+ */
+function applyStatusExpiry(memberId, changes) {
+  const { activity, state, activityExpiresAt, stateExpiresAt, staleAt, changedAt } = changes;
+
+  try {
+    const transaction = db.transaction(() => {
+      db.prepare(`
+        UPDATE members
+        SET activity = ?, state = ?, activity_expires_at = ?, state_expires_at = ?,
+            stale_at = ?, timestamp = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(activity, state, activityExpiresAt, stateExpiresAt, staleAt, changedAt, memberId);
+
+      const member = getMemberById(memberId);
+      const history = insertHistory(memberId, activity, state, changedAt, {
+        message: member.message,
+        untilAt: member.until_at,
+        source: 'expiry'
+      });
+      return { member, history };
     });
 
     return transaction();
   } catch (error) {
-    console.error('Error in insertOrUpdateMember:', error);
+    console.error('Error in applyStatusExpiry:', error);
     throw error;
   }
 }
@@ -154,34 +914,117 @@ function deleteMember(name) {
 // History テーブル操作
 // ========================================
 
+// 変更を記録する項目（履歴ごとに変更前の値を保存する）
+const HISTORY_TRACKED_FIELDS = ['activity', 'state', 'message'];
+
+/**
+ * 1つ前の履歴と比べて変更された項目を取得
+ * @param {Object|null} previous - 1つ前の履歴（最初の履歴は null）
+ * @param {Object} entry - 履歴
+ * @returns {Array} 変更された項目（'activity'・'state'・'message'）
+ */
+function getChangedFields(previous, entry) {
+  return HISTORY_TRACKED_FIELDS.filter(field => (entry[field] || '') !== ((previous && previous[field]) || ''));
+}
+
+/**
+ * 指定日時の直後の履歴について、変更前の値・変更された項目を記録し直す
+ * 履歴を挟み込んだ・修正した・削除した後に呼ぶ（トランザクション内で使用）
+ * @param {number} memberId - メンバーID
+ * @param {string} at - 日時（ISO形式。この日時以前の最新の履歴を直後の履歴の1つ前とする）
+ */
+function refreshFollowingHistoryChanges(memberId, at) {
+  const next = db.prepare(`
+    SELECT id, activity, state, message FROM status_history
+    WHERE member_id = ? AND changed_at > ?
+    ORDER BY changed_at ASC, id ASC
+    LIMIT 1
+  `).get(memberId, at);
+  if (!next) {
+    return;
+  }
+
+  const previous = db.prepare(`
+    SELECT activity, state, message FROM status_history
+    WHERE member_id = ? AND changed_at <= ?
+    ORDER BY changed_at DESC, id DESC
+    LIMIT 1
+  `).get(memberId, at) || null;
+  db.prepare(`
+    UPDATE status_history
+    SET previous_activity = ?, previous_state = ?, previous_message = ?, changed_fields = ?
+    WHERE id = ?
+  `).run(
+    previous ? previous.activity : null,
+    previous ? previous.state : null,
+    previous ? previous.message : null,
+    JSON.stringify(getChangedFields(previous, next)),
+    next.id
+  );
+}
+
 /**
  * 履歴追加
+ * 同じメンバーの直前の履歴と比べた変更前の値・変更された項目も記録する
+ * 過去の日時の履歴（オフライン中の更新の再送など）を挟み込んだ場合は、直後の履歴の変更前の値も更新する
  * @param {number} memberId - メンバーID
  * @param {string} activity - 活動状態
  * @param {string} state - 状態
  * @param {string} [changedAt] - 変更日時（オプション、デフォルトは現在時刻）
+ * @param {Object} [details] - 追加情報
+ * @param {string|null} [details.message] - ひとことメッセージ
+ * @param {string|null} [details.untilAt] - 戻り予定・到着予定日時
+ * @param {string} [details.source='manual'] - 変更元（'manual'・'api'・'expiry'・'schedule'・'import'）
  * @returns {Object} 挿入された履歴情報
  */
-function insertHistory(memberId, activity, state, changedAt = null) {
-  try {
-    const stmt = db.prepare(`
-      INSERT INTO status_history (member_id, activity, state, changed_at)
-      VALUES (?, ?, ?, ?)
-    `);
-    const info = stmt.run(
-      memberId,
-      activity,
-      state,
-      changedAt || new Date().toISOString()
+function insertHistory(memberId, activity, state, changedAt = null, details = {}) {
+  const { message = null, untilAt = null, source = 'manual' } = details;
+  const at = changedAt || new Date().toISOString();
+  const entry = { activity, state, message };
+
+  const insert = db.transaction(() => {
+    const previous = db.prepare(`
+      SELECT activity, state, message FROM status_history
+      WHERE member_id = ? AND changed_at <= ?
+      ORDER BY changed_at DESC, id DESC
+      LIMIT 1
+    `).get(memberId, at) || null;
+    const changedFields = JSON.stringify(getChangedFields(previous, entry));
+
+    const info = db.prepare(`
+      INSERT INTO status_history (
+        member_id, activity, state, message, until_at, source, changed_at,
+        previous_activity, previous_state, previous_message, changed_fields
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      memberId, activity, state, message, untilAt, source, at,
+      previous ? previous.activity : null,
+      previous ? previous.state : null,
+      previous ? previous.message : null,
+      changedFields
     );
 
+    refreshFollowingHistoryChanges(memberId, at);
+
     return {
       id: info.lastInsertRowid,
       member_id: memberId,
       activity,
       state,
-      changed_at: changedAt || new Date().toISOString()
+      message,
+      until_at: untilAt,
+      source,
+      changed_at: at,
+      previous_activity: previous ? previous.activity : null,
+      previous_state: previous ? previous.state : null,
+      previous_message: previous ? previous.message : null,
+      changed_fields: changedFields
     };
+  });
+
+  try {
+    return insert();
   } catch (error) {
     console.error('Error in insertHistory:', error);
     throw error;
@@ -288,7 +1131,14 @@ function getAllHistory(options = {}) {
         h.member_id,
         h.activity,
         h.state,
+        h.message,
+        h.until_at,
+        h.source,
         h.changed_at,
+        h.previous_activity,
+        h.previous_state,
+        h.previous_message,
+        h.changed_fields,
         m.name as member_name
       FROM status_history h
       INNER JOIN members m ON h.member_id = m.id
@@ -305,82 +1155,2076 @@ function getAllHistory(options = {}) {
   }
 }
 
-// ========================================
-// データ移行
-// ========================================
-
 /**
- * JSONファイルからSQLiteへデータ移行
- * @param {string} jsonFilePath - JSONファイルパス
- * @returns {Object} 移行結果
+ * 履歴を古い順に一定件数ずつ取得（エクスポート用）
+ * 前回の最後の行（changed_at, id）より後から取得するため、件数が多くても順に読み進められる
+ * @param {Object} options - オプション
+ * @param {number} [options.memberId] - メンバーID（省略時は全員）
+ * @param {string} [options.from] - 開始日時
+ * @param {string} [options.to] - 終了日時
+ * @param {Object} [options.after] - 前回取得した最後の行（{ changed_at, id }）
+ * @param {number} [options.limit=500] - 取得件数
+ * @returns {Array} 履歴一覧（古い順、メンバー名を含む）
  */
-function migrateFromJSON(jsonFilePath) {
-  try {
-    // JSONファイル読み込み
-    if (!fs.existsSync(jsonFilePath)) {
-      console.log('No JSON file found for migration');
-      return { migrated: 0, skipped: 0 };
-    }
-
-    const jsonData = JSON.parse(fs.readFileSync(jsonFilePath, 'utf8'));
-    const members = jsonData.members || [];
-
-    let migrated = 0;
-    let skipped = 0;
-
-    // トランザクションで一括処理
-    const transaction = db.transaction(() => {
-      members.forEach(member => {
-        const { name, activity, state, timestamp } = member;
+function getHistoryChunk(options = {}) {
+  const { memberId = null, from = null, to = null, after = null, limit = 500 } = options;
 
-        // 既存チェック
-        const existing = getMemberByName(name);
-
-        if (!existing) {
-          // 新規のみ移行
-          const result = insertOrUpdateMember({ name, activity, state, timestamp });
-
-          // 初期履歴も追加
-          insertHistory(result.id, activity, state, timestamp);
-
-          migrated++;
-        } else {
-          skipped++;
-        }
-      });
-    });
+  try {
+    const conditions = [];
+    const params = [];
 
-    transaction();
+    if (memberId) {
+      conditions.push('h.member_id = ?');
+      params.push(memberId);
+    }
+    if (from) {
+      conditions.push('h.changed_at >= ?');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push('h.changed_at <= ?');
+      params.push(to);
+    }
+    if (after) {
+      conditions.push('(h.changed_at > ? OR (h.changed_at = ? AND h.id > ?))');
+      params.push(after.changed_at, after.changed_at, after.id);
+    }
 
-    console.log(`Migration completed: ${migrated} migrated, ${skipped} skipped`);
-    return { migrated, skipped };
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return db.prepare(`
+      SELECT
+        h.id,
+        h.member_id,
+        h.activity,
+        h.state,
+        h.message,
+        h.until_at,
+        h.source,
+        h.changed_at,
+        h.previous_activity,
+        h.previous_state,
+        h.previous_message,
+        h.changed_fields,
+        m.name as member_name
+      FROM status_history h
+      INNER JOIN members m ON h.member_id = m.id
+      ${whereClause}
+      ORDER BY h.changed_at ASC, h.id ASC
+      LIMIT ?
+    `).all(...params, limit);
   } catch (error) {
-    console.error('Error in migrateFromJSON:', error);
+    console.error('Error in getHistoryChunk:', error);
     throw error;
   }
 }
 
-// ========================================
-// エクスポート
-// ========================================
+/**
+ * 期間内の状態の推移を取得（集計用）
+ * 期間開始時点の状態が分かるよう、開始より前の直近の履歴1件を先頭に含める
+ * 履歴の集約と同じ範囲になるよう、日時は julianday で比較する
+ * @param {number} memberId - メンバーID
+ * @param {string} from - 開始日時（ISO形式）
+ * @param {string} to - 終了日時（ISO形式、この日時は含まない）
+ * @returns {Array} 履歴一覧（古い順）
+ */
+function getHistoryForPeriod(memberId, from, to) {
+  try {
+    const previous = db.prepare(`
+      SELECT id, activity, state, source, changed_at
+      FROM status_history
+      WHERE member_id = ? AND julianday(changed_at) < julianday(?)
+      ORDER BY julianday(changed_at) DESC, id DESC
+      LIMIT 1
+    `).get(memberId, from);
+
+    const entries = db.prepare(`
+      SELECT id, activity, state, source, changed_at
+      FROM status_history
+      WHERE member_id = ? AND julianday(changed_at) >= julianday(?) AND julianday(changed_at) < julianday(?)
+      ORDER BY julianday(changed_at) ASC, id ASC
+    `).all(memberId, from, to);
+
+    return previous ? [previous, ...entries] : entries;
+  } catch (error) {
+    console.error('Error in getHistoryForPeriod:', error);
+    throw error;
+  }
+}
+
+/**
+ * メンバーが最後に手動で（ボタン・APIトークンから）変更した日時を取得
+ * @param {number} memberId - メンバーID
+ * @returns {string|null} 日時（手動の変更がない場合は null）
+ */
+function getLatestManualChangeAt(memberId) {
+  const row = db.prepare(`
+    SELECT changed_at FROM status_history
+    WHERE member_id = ? AND source IN ('manual', 'api')
+    ORDER BY julianday(changed_at) DESC, id DESC
+    LIMIT 1
+  `).get(memberId);
+  return row ? row.changed_at : null;
+}
+
+// ========================================
+// History summaries テーブル操作
+// ========================================
+
+// 集約済みの期間の終わりを保存する app_settings のキー
+const HISTORY_COMPACTED_UNTIL_KEY = 'history_compacted_until';
+
+/**
+ * 履歴を集約済みの期間の終わりを取得（この日時より前の履歴は日ごとの集計に置き換えられている）
+ * @returns {string|null} 日時（ISO形式、未実施の場合は null）
+ */
+function getHistoryCompactedUntil() {
+  return getAppSetting(HISTORY_COMPACTED_UNTIL_KEY);
+}
+
+/**
+ * 最も古い履歴の日時を取得
+ * @returns {string|null} 日時（履歴がない場合は null）
+ */
+function getEarliestHistoryTimestamp() {
+  const row = db.prepare('SELECT MIN(changed_at) AS changed_at FROM status_history').get();
+  return row.changed_at;
+}
+
+/**
+ * 日ごとの滞在時間の取得
+ * @param {number} memberId - メンバーID
+ * @param {string} fromDate - 開始日（'YYYY-MM-DD'、含む）
+ * @param {string} toDate - 終了日（'YYYY-MM-DD'、含む）
+ * @returns {Array} 集計一覧（{ date, category, label, seconds }、日付順）
+ */
+function getHistoryDailySummaries(memberId, fromDate, toDate) {
+  return db.prepare(`
+    SELECT date, category, label, seconds
+    FROM history_daily_summaries
+    WHERE member_id = ? AND date >= ? AND date <= ?
+    ORDER BY date, category, seconds DESC
+  `).all(memberId, fromDate, toDate);
+}
+
+/**
+ * 古い履歴を日ごとの滞在時間に集約して削除
+ * 次回の集約・集計で期間開始時点の状況が分かるよう、メンバーごとに集約期間内の最新の1件は残す
+ * changed_at の書式（ISO形式・SQLiteの日時）が混在していても比較できるよう julianday で比較する
+ * 集計の追加・履歴の削除・集約済みの期間の更新は1つのトランザクションで行う
+ * @param {Object} compaction - 集約内容
+ * @param {string} compaction.until - この日時より前の履歴を削除（ISO形式）
+ * @param {Array} compaction.summaries - 追加する集計（{ memberId, date, category, label, seconds }）
+ * @param {boolean} [compaction.dryRun=false] - 件数を数えるのみで変更しない
+ * @returns {number} 削除した（dryRun の場合は削除対象の）履歴の件数
+ */
+function compactHistory(compaction) {
+  const { until, summaries, dryRun = false } = compaction;
+  const removable = `
+    SELECT id FROM (
+      SELECT id, ROW_NUMBER() OVER (PARTITION BY member_id ORDER BY julianday(changed_at) DESC, id DESC) AS position
+      FROM status_history
+      WHERE julianday(changed_at) < julianday(?)
+    )
+    WHERE position > 1
+  `;
+
+  if (dryRun) {
+    return db.prepare(`SELECT COUNT(*) AS count FROM (${removable})`).get(until).count;
+  }
+
+  const transaction = db.transaction(() => {
+    const upsert = db.prepare(`
+      INSERT INTO history_daily_summaries (member_id, date, category, label, seconds)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(member_id, date, category, label) DO UPDATE SET seconds = seconds + excluded.seconds
+    `);
+    summaries.forEach(({ memberId, date, category, label, seconds }) => {
+      upsert.run(memberId, date, category, label, seconds);
+    });
+
+    const deleted = db.prepare(`DELETE FROM status_history WHERE id IN (${removable})`).run(until).changes;
+    setAppSetting(HISTORY_COMPACTED_UNTIL_KEY, until);
+    return deleted;
+  });
+
+  try {
+    return transaction();
+  } catch (error) {
+    console.error('Error in compactHistory:', error);
+    throw error;
+  }
+}
+
+// ========================================
+// History corrections テーブル操作
+// ========================================
+
+// 修正の記録に残す履歴の項目
+const CORRECTION_HISTORY_COLUMNS = ['activity', 'state', 'message', 'until_at', 'source', 'changed_at'];
+
+/**
+ * 修正の記録用に履歴の項目を取り出す
+ * @param {Object} entry - 履歴
+ * @returns {string} JSON
+ */
+function toCorrectionSnapshot(entry) {
+  return JSON.stringify(Object.fromEntries(CORRECTION_HISTORY_COLUMNS.map(column => [column, entry[column]])));
+}
+
+/**
+ * 修正の記録を追加（トランザクション内で使用）
+ * @param {Object} correction - 修正内容
+ * @param {Object} correction.entry - 修正前の履歴
+ * @param {string} correction.action - 'undo'・'edit'・'delete'
+ * @param {Object|null} correction.after - 修正後の値
+ * @param {number|null} correction.correctedBy - 操作したメンバーID（管理者は null）
+ */
+function recordHistoryCorrection({ entry, action, after, correctedBy }) {
+  db.prepare(`
+    INSERT INTO history_corrections (history_id, member_id, action, before, after, corrected_by, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    entry.id,
+    entry.member_id,
+    action,
+    toCorrectionSnapshot(entry),
+    after ? JSON.stringify(after) : null,
+    correctedBy,
+    new Date().toISOString()
+  );
+}
+
+/**
+ * 履歴を1件取得
+ * @param {number} id - 履歴ID
+ * @returns {Object|undefined} 履歴（メンバー名を含む）
+ */
+function getHistoryEntryById(id) {
+  return db.prepare(`
+    SELECT h.*, m.name as member_name
+    FROM status_history h
+    JOIN members m ON h.member_id = m.id
+    WHERE h.id = ?
+  `).get(id);
+}
+
+/**
+ * メンバーの最新の履歴と、その1つ前の履歴を取得
+ * @param {number} memberId - メンバーID
+ * @returns {Object} { latest, previous }（ない場合は undefined）
+ */
+function getLatestHistoryEntries(memberId) {
+  const [latest, previous] = db.prepare(`
+    SELECT * FROM status_history
+    WHERE member_id = ?
+    ORDER BY changed_at DESC, id DESC
+    LIMIT 2
+  `).all(memberId);
+  return { latest, previous };
+}
+
+/**
+ * 直前の変更を取り消し、メンバーの状況を1つ前の値に戻す（同一トランザクション）
+ * @param {number} memberId - メンバーID
+ * @param {number} historyId - 取り消す履歴ID（メンバーの最新の履歴であること）
+ * @param {Object} restore - 戻す値
+ * @param {string} restore.activity - 活動
+ * @param {string} restore.state - 状態
+ * @param {string|null} restore.message - ひとこと
+ * @param {string|null} restore.untilAt - 戻り予定・到着予定日時
+ * @param {string|null} restore.activityExpiresAt - 活動の自動解除日時
+ * @param {string|null} restore.stateExpiresAt - 状態の自動解除日時
+ * @param {string|null} restore.timestamp - 最終更新日時
+ * @param {number|null} correctedBy - 操作したメンバーID（管理者は null）
+ * @returns {Object|null} { member, entry }（取り消す前に別の変更があった場合は null）
+ */
+function undoLatestHistory(memberId, historyId, restore, correctedBy) {
+  const transaction = db.transaction(() => {
+    const { latest } = getLatestHistoryEntries(memberId);
+    if (!latest || latest.id !== historyId) {
+      return null;
+    }
+
+    db.prepare('DELETE FROM status_history WHERE id = ?').run(historyId);
+    db.prepare(`
+      UPDATE members
+      SET activity = ?, state = ?, message = ?, until_at = ?, activity_expires_at = ?, state_expires_at = ?,
+          stale_at = NULL, timestamp = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(
+      restore.activity, restore.state, restore.message, restore.untilAt,
+      restore.activityExpiresAt, restore.stateExpiresAt, restore.timestamp, memberId
+    );
+    recordHistoryCorrection({
+      entry: latest,
+      action: 'undo',
+      after: { activity: restore.activity, state: restore.state, message: restore.message, until_at: restore.untilAt },
+      correctedBy
+    });
+
+    return { member: getMemberById(memberId), entry: latest };
+  });
+
+  try {
+    return transaction();
+  } catch (error) {
+    console.error('Error in undoLatestHistory:', error);
+    throw error;
+  }
+}
+
+/**
+ * 過去の履歴を修正（変更された項目と、直後の履歴の変更前の値も記録し直す）
+ * @param {number} id - 履歴ID
+ * @param {Object} changes - 修正する値（activity・state・message、含まれない項目は変更しない）
+ * @param {number|null} correctedBy - 操作したメンバーID（管理者は null）
+ * @returns {Object|null} 修正後の履歴（見つからない場合は null）
+ */
+function updateHistoryEntry(id, changes, correctedBy) {
+  const transaction = db.transaction(() => {
+    const entry = getHistoryEntryById(id);
+    if (!entry) {
+      return null;
+    }
+
+    const updated = { ...entry };
+    HISTORY_TRACKED_FIELDS.forEach(field => {
+      if (changes[field] !== undefined) {
+        updated[field] = changes[field];
+      }
+    });
+    const previous = entry.changed_fields ? {
+      activity: entry.previous_activity,
+      state: entry.previous_state,
+      message: entry.previous_message
+    } : db.prepare(`
+      SELECT activity, state, message FROM status_history
+      WHERE member_id = ? AND (changed_at < ? OR (changed_at = ? AND id < ?))
+      ORDER BY changed_at DESC, id DESC
+      LIMIT 1
+    `).get(entry.member_id, entry.changed_at, entry.changed_at, id) || null;
+
+    db.prepare(`
+      UPDATE status_history SET activity = ?, state = ?, message = ?, changed_fields = ? WHERE id = ?
+    `).run(updated.activity, updated.state, updated.message, JSON.stringify(getChangedFields(previous, updated)), id);
+    refreshFollowingHistoryChanges(entry.member_id, entry.changed_at);
+    recordHistoryCorrection({
+      entry,
+      action: 'edit',
+      after: { activity: updated.activity, state: updated.state, message: updated.message },
+      correctedBy
+    });
+
+    return getHistoryEntryById(id);
+  });
+
+  try {
+    return transaction();
+  } catch (error) {
+    console.error('Error in updateHistoryEntry:', error);
+    throw error;
+  }
+}
+
+/**
+ * 過去の履歴を削除（直後の履歴の変更前の値も記録し直す）
+ * @param {number} id - 履歴ID
+ * @param {number|null} correctedBy - 操作したメンバーID（管理者は null）
+ * @returns {Object|null} 削除した履歴（見つからない場合は null）
+ */
+function deleteHistoryEntry(id, correctedBy) {
+  const transaction = db.transaction(() => {
+    const entry = getHistoryEntryById(id);
+    if (!entry) {
+      return null;
+    }
+
+    db.prepare('DELETE FROM status_history WHERE id = ?').run(id);
+    refreshFollowingHistoryChanges(entry.member_id, entry.changed_at);
+    recordHistoryCorrection({ entry, action: 'delete', after: null, correctedBy });
+    return entry;
+  });
+
+  try {
+    return transaction();
+  } catch (error) {
+    console.error('Error in deleteHistoryEntry:', error);
+    throw error;
+  }
+}
+
+/**
+ * 履歴の修正の記録を取得
+ * @param {Object} [options] - 絞り込み条件
+ * @param {number|null} [options.memberId] - メンバーID（省略時は全員）
+ * @param {number} [options.limit=100] - 取得件数
+ * @returns {Array} 修正の記録（新しい順、メンバー名・操作したメンバー名を含む）
+ */
+function getHistoryCorrections(options = {}) {
+  const { memberId = null, limit = 100 } = options;
+  return db.prepare(`
+    SELECT c.*, m.name AS member_name, cm.name AS corrected_by_name
+    FROM history_corrections c
+    JOIN members m ON c.member_id = m.id
+    LEFT JOIN members cm ON c.corrected_by = cm.id
+    WHERE ? IS NULL OR c.member_id = ?
+    ORDER BY c.id DESC
+    LIMIT ?
+  `).all(memberId, memberId, limit);
+}
+
+// ========================================
+// Idempotency keys テーブル操作
+// ========================================
+
+/**
+ * キーを予約（処理中として登録。保持期間を過ぎた結果はここで削除する）
+ * 同じキーの行がある場合は予約せずにその行を返す。ただし処理が中断されて残った古い予約は引き継ぐ
+ * @param {Object} reservation - 予約
+ * @param {string} reservation.owner - キーの持ち主
+ * @param {string} reservation.key - Idempotency-Key
+ * @param {string} reservation.requestHash - リクエストのハッシュ
+ * @param {string} reservation.expiredBefore - この日時より前に保存された結果を削除（ISO形式）
+ * @param {string} reservation.staleBefore - この日時より前の処理中の予約は中断されたものとみなす（ISO形式）
+ * @returns {Object|undefined} 既にある行（予約できた場合は undefined）
+ */
+function reserveIdempotencyKey(reservation) {
+  const { owner, key, requestHash, expiredBefore, staleBefore } = reservation;
+
+  try {
+    const transaction = db.transaction(() => {
+      db.prepare('DELETE FROM idempotency_keys WHERE created_at < ?').run(expiredBefore);
+      db.prepare(`
+        DELETE FROM idempotency_keys WHERE owner = ? AND key = ? AND status = 'in_progress' AND created_at < ?
+      `).run(owner, key, staleBefore);
+
+      const existing = db.prepare('SELECT * FROM idempotency_keys WHERE owner = ? AND key = ?').get(owner, key);
+      if (existing) {
+        return existing;
+      }
+      db.prepare(`
+        INSERT INTO idempotency_keys (owner, key, request_hash, status, created_at) VALUES (?, ?, ?, 'in_progress', ?)
+      `).run(owner, key, requestHash, new Date().toISOString());
+      return undefined;
+    });
+    return transaction();
+  } catch (error) {
+    console.error('Error in reserveIdempotencyKey:', error);
+    throw error;
+  }
+}
+
+/**
+ * 予約したキーにリクエストの結果を保存
+ * @param {Object} record - 結果
+ * @param {string} record.owner - キーの持ち主
+ * @param {string} record.key - Idempotency-Key
+ * @param {number} record.statusCode - ステータスコード
+ * @param {Object} record.response - レスポンスのJSON
+ * @param {string|null} [record.etag] - ETagヘッダー
+ */
+function completeIdempotencyKey(record) {
+  const { owner, key, statusCode, response, etag = null } = record;
+
+  try {
+    db.prepare(`
+      UPDATE idempotency_keys SET status = 'completed', status_code = ?, response = ?, etag = ?
+      WHERE owner = ? AND key = ? AND status = 'in_progress'
+    `).run(statusCode, JSON.stringify(response), etag, owner, key);
+  } catch (error) {
+    console.error('Error in completeIdempotencyKey:', error);
+    throw error;
+  }
+}
+
+/**
+ * 予約したキーを解放（結果を保存しなかったリクエスト用。同じキーで再試行できるようにする）
+ * @param {string} owner - キーの持ち主
+ * @param {string} key - Idempotency-Key
+ */
+function releaseIdempotencyKey(owner, key) {
+  try {
+    db.prepare(`
+      DELETE FROM idempotency_keys WHERE owner = ? AND key = ? AND status = 'in_progress'
+    `).run(owner, key);
+  } catch (error) {
+    console.error('Error in releaseIdempotencyKey:', error);
+    throw error;
+  }
+}
+
+// ========================================
+// Device tokens テーブル操作
+// ========================================
+
+/**
+ * 端末トークンの登録
+ * @param {Object} tokenData - トークン情報
+ * @param {number|null} tokenData.memberId - メンバーID（管理者トークンは null）
+ * @param {string} tokenData.scope - 'member' または 'admin'
+ * @param {string} tokenData.tokenHash - トークンのハッシュ
+ * @param {string} [tokenData.deviceName] - 端末名
+ * @returns {Object} 登録されたトークン情報
+ */
+function createDeviceToken(tokenData) {
+  const { memberId, scope, tokenHash, deviceName = null } = tokenData;
+
+  try {
+    const stmt = db.prepare(`
+      INSERT INTO device_tokens (member_id, scope, token_hash, device_name)
+      VALUES (?, ?, ?, ?)
+    `);
+    const info = stmt.run(memberId, scope, tokenHash, deviceName);
+    return db.prepare('SELECT * FROM device_tokens WHERE id = ?').get(info.lastInsertRowid);
+  } catch (error) {
+    console.error('Error in createDeviceToken:', error);
+    throw error;
+  }
+}
+
+/**
+ * ハッシュで有効な端末トークンを検索
+ * @param {string} tokenHash - トークンのハッシュ
+ * @returns {Object|undefined} トークン情報（失効済みの場合は undefined）
+ */
+function findDeviceTokenByHash(tokenHash) {
+  const stmt = db.prepare('SELECT * FROM device_tokens WHERE token_hash = ? AND revoked_at IS NULL');
+  return stmt.get(tokenHash);
+}
+
+/**
+ * 端末トークンの最終使用日時を更新
+ * @param {number} id - トークンID
+ */
+function touchDeviceToken(id) {
+  db.prepare('UPDATE device_tokens SET last_used_at = ? WHERE id = ?').run(new Date().toISOString(), id);
+}
+
+/**
+ * 端末トークンを失効
+ * @param {number} id - トークンID
+ */
+function revokeDeviceToken(id) {
+  db.prepare('UPDATE device_tokens SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL').run(new Date().toISOString(), id);
+}
+
+/**
+ * メンバーの全端末トークンを失効（PINリセット時など）
+ * @param {number} memberId - メンバーID
+ * @returns {number} 失効したトークン数
+ */
+function revokeMemberDeviceTokens(memberId) {
+  const stmt = db.prepare('UPDATE device_tokens SET revoked_at = ? WHERE member_id = ? AND revoked_at IS NULL');
+  return stmt.run(new Date().toISOString(), memberId).changes;
+}
+
+// ========================================
+// API tokens テーブル操作
+// ========================================
+
+// 一覧で返す列（ハッシュは返さない）
+const API_TOKEN_SELECT = `
+  SELECT t.id, t.member_id, m.name AS member_name, t.name, t.permission, t.created_at, t.last_used_at
+  FROM api_tokens t
+  JOIN members m ON m.id = t.member_id
+`;
+
+/**
+ * APIトークンの登録
+ * @param {Object} tokenData - トークン情報
+ * @param {number} tokenData.memberId - メンバーID
+ * @param {string} [tokenData.name] - 用途などの名前
+ * @param {string} tokenData.permission - 'read' または 'write'
+ * @param {string} tokenData.tokenHash - トークンのハッシュ
+ * @returns {Object} 登録されたトークン情報
+ */
+function createApiToken(tokenData) {
+  const { memberId, name = null, permission, tokenHash } = tokenData;
+
+  try {
+    const info = db.prepare(`
+      INSERT INTO api_tokens (member_id, name, permission, token_hash) VALUES (?, ?, ?, ?)
+    `).run(memberId, name, permission, tokenHash);
+    return getApiTokenById(info.lastInsertRowid);
+  } catch (error) {
+    console.error('Error in createApiToken:', error);
+    throw error;
+  }
+}
+
+/**
+ * 有効なAPIトークンの取得
+ * @param {number} id - トークンID
+ * @returns {Object|undefined} トークン情報（失効済みの場合は undefined）
+ */
+function getApiTokenById(id) {
+  return db.prepare(`${API_TOKEN_SELECT} WHERE t.id = ? AND t.revoked_at IS NULL`).get(id);
+}
+
+/**
+ * 有効なAPIトークンの一覧取得
+ * @param {number|null} [memberId] - 指定した場合はそのメンバーのトークンのみ
+ * @returns {Array} トークン一覧
+ */
+function getApiTokens(memberId = null) {
+  return db.prepare(`
+    ${API_TOKEN_SELECT}
+    WHERE t.revoked_at IS NULL AND (? IS NULL OR t.member_id = ?)
+    ORDER BY t.member_id, t.id
+  `).all(memberId, memberId);
+}
+
+/**
+ * ハッシュで有効なAPIトークンを検索
+ * @param {string} tokenHash - トークンのハッシュ
+ * @returns {Object|undefined} トークン情報（失効済みの場合は undefined）
+ */
+function findApiTokenByHash(tokenHash) {
+  return db.prepare('SELECT * FROM api_tokens WHERE token_hash = ? AND revoked_at IS NULL').get(tokenHash);
+}
+
+/**
+ * APIトークンの最終使用日時を更新
+ * @param {number} id - トークンID
+ */
+function touchApiToken(id) {
+  db.prepare('UPDATE api_tokens SET last_used_at = ? WHERE id = ?').run(new Date().toISOString(), id);
+}
+
+/**
+ * APIトークンを失効
+ * @param {number} id - トークンID
+ * @returns {boolean} 失効したかどうか
+ */
+function revokeApiToken(id) {
+  const stmt = db.prepare('UPDATE api_tokens SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL');
+  return stmt.run(new Date().toISOString(), id).changes > 0;
+}
+
+// ========================================
+// Webhooks テーブル操作
+// ========================================
+
+/**
+ * DBの行をWebhook情報に変換（event_types を配列、enabled を真偽値に）
+ * @param {Object|undefined} row - webhooks の行
+ * @returns {Object|undefined} Webhook情報（署名用のシークレットを含む）
+ */
+function toWebhook(row) {
+  return row ? { ...row, event_types: JSON.parse(row.event_types), enabled: Boolean(row.enabled) } : row;
+}
+
+/**
+ * Webhook一覧取得
+ * @returns {Array} Webhook一覧
+ */
+function getWebhooks() {
+  return db.prepare('SELECT * FROM webhooks ORDER BY id ASC').all().map(toWebhook);
+}
+
+/**
+ * IDでWebhook取得
+ * @param {number} id - WebhookID
+ * @returns {Object|undefined} Webhook情報
+ */
+function getWebhookById(id) {
+  return toWebhook(db.prepare('SELECT * FROM webhooks WHERE id = ?').get(id));
+}
+
+/**
+ * イベントの送信先となる有効なWebhookを取得
+ * @param {string} eventType - イベント種別
+ * @param {number|null} memberId - イベント対象のメンバーID（メンバーに関係しないイベントは null）
+ * @returns {Array} Webhook一覧
+ */
+function getWebhooksForEvent(eventType, memberId) {
+  return db.prepare('SELECT * FROM webhooks WHERE enabled = 1').all()
+    .map(toWebhook)
+    .filter(w => w.event_types.includes(eventType))
+    .filter(w => w.member_id === null || w.member_id === memberId);
+}
+
+/**
+ * Webhookの登録
+ * @param {Object} webhookData - Webhook情報
+ * @param {string} webhookData.url - 送信先URL
+ * @param {Array<string>} webhookData.eventTypes - 送信するイベント種別
+ * @param {number|null} [webhookData.memberId] - 対象メンバー（null は全員）
+ * @param {string} webhookData.secret - 署名用のシークレット
+ * @param {boolean} [webhookData.enabled=true] - 有効かどうか
+ * @returns {Object} 登録されたWebhook
+ */
+function createWebhook(webhookData) {
+  const { url, eventTypes, memberId = null, secret, enabled = true } = webhookData;
+
+  try {
+    const info = db.prepare(`
+      INSERT INTO webhooks (url, event_types, member_id, secret, enabled)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(url, JSON.stringify(eventTypes), memberId, secret, enabled ? 1 : 0);
+    return getWebhookById(info.lastInsertRowid);
+  } catch (error) {
+    console.error('Error in createWebhook:', error);
+    throw error;
+  }
+}
+
+/**
+ * Webhookの変更（指定された項目のみ更新）
+ * @param {number} id - WebhookID
+ * @param {Object} changes - 変更内容（url, eventTypes, memberId, secret, enabled）
+ * @returns {Object|undefined} 更新後のWebhook
+ */
+function updateWebhook(id, changes) {
+  const columns = {
+    url: 'url',
+    eventTypes: 'event_types',
+    memberId: 'member_id',
+    secret: 'secret',
+    enabled: 'enabled'
+  };
+  const toValue = (key) => {
+    if (key === 'eventTypes') {
+      return JSON.stringify(changes.eventTypes);
+    }
+    return key === 'enabled' ? (changes.enabled ? 1 : 0) : changes[key];
+  };
+  const fields = Object.keys(columns).filter(key => changes[key] !== undefined);
+
+  try {
+    if (fields.length > 0) {
+      const setClause = fields.map(key => `${columns[key]} = ?`).join(', ');
+      db.prepare(`UPDATE webhooks SET ${setClause}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`)
+        .run(...fields.map(toValue), id);
+    }
+    return getWebhookById(id);
+  } catch (error) {
+    console.error('Error in updateWebhook:', error);
+    throw error;
+  }
+}
+
+/**
+ * Webhookの削除（配信ログもCASCADEで削除される）
+ * @param {number} id - WebhookID
+ * @returns {boolean} 削除成功かどうか
+ */
+function deleteWebhook(id) {
+  return db.prepare('DELETE FROM webhooks WHERE id = ?').run(id).changes > 0;
+}
+
+/**
+ * 配信の登録（送信待ちとして記録）
+ * @param {Object} deliveryData - 配信情報
+ * @param {number} deliveryData.webhookId - WebhookID
+ * @param {string} deliveryData.eventType - イベント種別
+ * @param {string} deliveryData.payload - 送信するJSON文字列
+ * @returns {Object} 登録された配信
+ */
+function createWebhookDelivery(deliveryData) {
+  const { webhookId, eventType, payload } = deliveryData;
+
+  try {
+    const info = db.prepare(`
+      INSERT INTO webhook_deliveries (webhook_id, event_type, payload, next_attempt_at)
+      VALUES (?, ?, ?, ?)
+    `).run(webhookId, eventType, payload, new Date().toISOString());
+    return db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?').get(info.lastInsertRowid);
+  } catch (error) {
+    console.error('Error in createWebhookDelivery:', error);
+    throw error;
+  }
+}
+
+/**
+ * 送信時刻を過ぎた送信待ちの配信を取得
+ * @param {string} nowIso - 基準日時（ISO形式）
+ * @param {number} [limit=20] - 取得件数
+ * @returns {Array} 配信一覧（送信先URL・シークレットを含む）
+ */
+function getDueWebhookDeliveries(nowIso, limit = 20) {
+  return db.prepare(`
+    SELECT d.*, w.url, w.secret
+    FROM webhook_deliveries d
+    INNER JOIN webhooks w ON d.webhook_id = w.id
+    WHERE d.status = 'pending' AND d.next_attempt_at <= ?
+    ORDER BY d.next_attempt_at ASC, d.id ASC
+    LIMIT ?
+  `).all(nowIso, limit);
+}
+
+/**
+ * 配信結果の記録
+ * @param {number} id - 配信ID
+ * @param {Object} result - 結果
+ * @param {string} result.status - 'pending'（再送待ち）・'succeeded'・'failed'
+ * @param {number} result.attempts - 試行回数
+ * @param {number|null} [result.responseStatus] - 応答のHTTPステータス
+ * @param {string|null} [result.error] - エラー内容
+ * @param {string|null} [result.nextAttemptAt] - 次の再送日時
+ */
+function updateWebhookDelivery(id, result) {
+  const { status, attempts, responseStatus = null, error = null, nextAttemptAt = null } = result;
+  db.prepare(`
+    UPDATE webhook_deliveries
+    SET status = ?, attempts = ?, response_status = ?, error = ?, next_attempt_at = ?,
+        last_attempt_at = ?
+    WHERE id = ?
+  `).run(status, attempts, responseStatus, error, nextAttemptAt, new Date().toISOString(), id);
+}
+
+/**
+ * Webhookの配信ログ取得（新しい順）
+ * @param {number} webhookId - WebhookID
+ * @param {number} [limit=50] - 取得件数
+ * @returns {Array} 配信ログ
+ */
+function getWebhookDeliveries(webhookId, limit = 50) {
+  return db.prepare(`
+    SELECT id, webhook_id, event_type, payload, status, attempts, response_status, error,
+           next_attempt_at, last_attempt_at, created_at
+    FROM webhook_deliveries
+    WHERE webhook_id = ?
+    ORDER BY id DESC
+    LIMIT ?
+  `).all(webhookId, limit);
+}
+
+// ========================================
+// App settings テーブル操作
+// ========================================
+
+/**
+ * 設定値の取得
+ * @param {string} key - キー
+ * @returns {string|null} 値（未設定の場合は null）
+ */
+function getAppSetting(key) {
+  const row = db.prepare('SELECT value FROM app_settings WHERE key = ?').get(key);
+  return row ? row.value : null;
+}
+
+/**
+ * 設定値の保存
+ * @param {string} key - キー
+ * @param {string} value - 値
+ */
+function setAppSetting(key, value) {
+  db.prepare(`
+    INSERT INTO app_settings (key, value, updated_at) VALUES (?, ?, ?)
+    ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+  `).run(key, value, new Date().toISOString());
+}
+
+// ========================================
+// Push subscriptions テーブル操作
+// ========================================
+
+/**
+ * Web Pushの購読を登録（同じエンドポイントは登録し直した端末の購読として上書き）
+ * @param {Object} subscription - 購読情報
+ * @param {number} subscription.deviceTokenId - 端末トークンID
+ * @param {number|null} subscription.memberId - 購読したメンバー（管理者トークンは null）
+ * @param {string} subscription.endpoint - プッシュサービスのURL
+ * @param {string} subscription.p256dh - 端末の公開鍵
+ * @param {string} subscription.auth - 認証用シークレット
+ * @returns {Object} 登録された購読
+ */
+function savePushSubscription(subscription) {
+  const { deviceTokenId, memberId = null, endpoint, p256dh, auth } = subscription;
+
+  try {
+    db.prepare(`
+      INSERT INTO push_subscriptions (device_token_id, member_id, endpoint, p256dh, auth)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(endpoint) DO UPDATE SET
+        device_token_id = excluded.device_token_id,
+        member_id = excluded.member_id,
+        p256dh = excluded.p256dh,
+        auth = excluded.auth,
+        last_error = NULL
+    `).run(deviceTokenId, memberId, endpoint, p256dh, auth);
+    return db.prepare('SELECT * FROM push_subscriptions WHERE endpoint = ?').get(endpoint);
+  } catch (error) {
+    console.error('Error in savePushSubscription:', error);
+    throw error;
+  }
+}
+
+/**
+ * 送信対象の購読を取得（失効していない端末のみ）
+ * @param {Object} [filter] - 絞り込み
+ * @param {number} [filter.deviceTokenId] - 指定した端末の購読のみ
+ * @returns {Array} 購読一覧
+ */
+function getActivePushSubscriptions(filter = {}) {
+  const { deviceTokenId = null } = filter;
+  return db.prepare(`
+    SELECT s.*
+    FROM push_subscriptions s
+    JOIN device_tokens t ON t.id = s.device_token_id
+    WHERE t.revoked_at IS NULL
+      AND (? IS NULL OR s.device_token_id = ?)
+    ORDER BY s.id
+  `).all(deviceTokenId, deviceTokenId);
+}
+
+/**
+ * 送信結果の記録
+ * @param {number} id - 購読ID
+ * @param {string|null} error - エラー内容（成功時は null）
+ */
+function recordPushResult(id, error) {
+  if (error) {
+    db.prepare('UPDATE push_subscriptions SET last_error = ? WHERE id = ?').run(error, id);
+  } else {
+    db.prepare('UPDATE push_subscriptions SET last_success_at = ?, last_error = NULL WHERE id = ?')
+      .run(new Date().toISOString(), id);
+  }
+}
+
+/**
+ * 購読の削除
+ * @param {string} endpoint - プッシュサービスのURL
+ * @param {number} [deviceTokenId] - 指定した場合はその端末の購読のみ削除
+ * @returns {boolean} 削除されたかどうか
+ */
+function deletePushSubscription(endpoint, deviceTokenId = null) {
+  return db.prepare(`
+    DELETE FROM push_subscriptions WHERE endpoint = ? AND (? IS NULL OR device_token_id = ?)
+  `).run(endpoint, deviceTokenId, deviceTokenId).changes > 0;
+}
+
+// ========================================
+// Notification preferences テーブル操作
+// ========================================
+
+/**
+ * 通知の設定の持ち主を絞り込む条件（メンバーがいればメンバー、いなければ端末）
+ * @param {Object} owner - { memberId, deviceTokenId }
+ * @returns {Array} [カラム名, 値]
+ */
+function toPreferenceOwner({ memberId = null, deviceTokenId = null }) {
+  return memberId !== null ? ['member_id', memberId] : ['device_token_id', deviceTokenId];
+}
+
+/**
+ * 通知の設定の取得
+ * @param {Object} owner - 持ち主
+ * @param {number|null} [owner.memberId] - メンバーID
+ * @param {number|null} [owner.deviceTokenId] - 端末トークンID（メンバーに紐付かない管理者トークン用）
+ * @returns {Object|null} 設定（{ members, activities, states, quietHours, notifySelf }、未設定の場合は null）
+ */
+function getNotificationPreferences(owner) {
+  const [column, value] = toPreferenceOwner(owner);
+  const row = db.prepare(`SELECT * FROM notification_preferences WHERE ${column} = ?`).get(value);
+  if (!row) {
+    return null;
+  }
+
+  return {
+    members: row.members ? JSON.parse(row.members) : null,
+    activities: row.activities ? JSON.parse(row.activities) : null,
+    states: row.states ? JSON.parse(row.states) : null,
+    quietHours: row.quiet_start && row.quiet_end ? { start: row.quiet_start, end: row.quiet_end } : null,
+    notifySelf: Boolean(row.notify_self)
+  };
+}
+
+/**
+ * 通知の設定の保存（設定全体を置き換える）
+ * @param {Object} owner - 持ち主（{ memberId, deviceTokenId }）
+ * @param {Object} preferences - 設定（{ members, activities, states, quietHours, notifySelf }）
+ * @returns {Object} 保存後の設定
+ */
+function saveNotificationPreferences(owner, preferences) {
+  const [column, value] = toPreferenceOwner(owner);
+  const { members = null, activities = null, states = null, quietHours = null, notifySelf = false } = preferences;
+  const toJson = (list) => (list ? JSON.stringify(list) : null);
+
+  try {
+    db.prepare(`
+      INSERT INTO notification_preferences
+        (${column}, members, activities, states, quiet_start, quiet_end, notify_self, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(${column}) DO UPDATE SET
+        members = excluded.members,
+        activities = excluded.activities,
+        states = excluded.states,
+        quiet_start = excluded.quiet_start,
+        quiet_end = excluded.quiet_end,
+        notify_self = excluded.notify_self,
+        updated_at = excluded.updated_at
+    `).run(
+      value,
+      toJson(members),
+      toJson(activities),
+      toJson(states),
+      quietHours ? quietHours.start : null,
+      quietHours ? quietHours.end : null,
+      notifySelf ? 1 : 0,
+      new Date().toISOString()
+    );
+    return getNotificationPreferences(owner);
+  } catch (error) {
+    console.error('Error in saveNotificationPreferences:', error);
+    throw error;
+  }
+}
+
+// ========================================
+// Nudges テーブル操作
+// ========================================
+
+// 声かけの取得（送信者・相手の名前付き）
+const NUDGE_SELECT = `
+  SELECT n.*, f.name AS from_member_name, t.name AS to_member_name
+  FROM nudges n
+  JOIN members f ON f.id = n.from_member_id
+  JOIN members t ON t.id = n.to_member_id
+`;
+
+/**
+ * 声かけの取得
+ * @param {number} id - 声かけID
+ * @returns {Object|undefined} 声かけ
+ */
+function getNudgeById(id) {
+  return db.prepare(`${NUDGE_SELECT} WHERE n.id = ?`).get(id);
+}
+
+/**
+ * メンバーが送った・受け取った声かけの取得（新しい順）
+ * @param {number|null} memberId - メンバーID（null の場合は全員分）
+ * @param {number} [limit=20] - 取得件数
+ * @returns {Array} 声かけ一覧
+ */
+function getNudgesForMember(memberId, limit = 20) {
+  return db.prepare(`
+    ${NUDGE_SELECT}
+    WHERE ? IS NULL OR n.from_member_id = ? OR n.to_member_id = ?
+    ORDER BY n.id DESC
+    LIMIT ?
+  `).all(memberId, memberId, memberId, limit);
+}
+
+/**
+ * 声かけの登録
+ * @param {Object} nudgeData - 声かけ
+ * @param {number} nudgeData.fromMemberId - 送信したメンバー
+ * @param {number} nudgeData.toMemberId - 相手のメンバー
+ * @param {string|null} [nudgeData.message] - ひとこと
+ * @returns {Object} 登録された声かけ
+ */
+function createNudge(nudgeData) {
+  const { fromMemberId, toMemberId, message = null } = nudgeData;
+
+  try {
+    const info = db.prepare(`
+      INSERT INTO nudges (from_member_id, to_member_id, message, created_at) VALUES (?, ?, ?, ?)
+    `).run(fromMemberId, toMemberId, message, new Date().toISOString());
+    return getNudgeById(info.lastInsertRowid);
+  } catch (error) {
+    console.error('Error in createNudge:', error);
+    throw error;
+  }
+}
+
+/**
+ * 相手の端末に届いたことを記録（送信直後の声かけのみ）
+ * @param {number} id - 声かけID
+ * @returns {Object|null} 更新後の声かけ（既に届いている・返事済みの場合は null）
+ */
+function markNudgeDelivered(id) {
+  const info = db.prepare(`
+    UPDATE nudges SET status = 'delivered', delivered_at = ? WHERE id = ? AND status = 'sent'
+  `).run(new Date().toISOString(), id);
+  return info.changes > 0 ? getNudgeById(id) : null;
+}
+
+/**
+ * 相手の返事を記録
+ * @param {number} id - 声かけID
+ * @param {string} response - 返事（'今行く' など）
+ * @returns {Object|undefined} 更新後の声かけ
+ */
+function acknowledgeNudge(id, response) {
+  const now = new Date().toISOString();
+  db.prepare(`
+    UPDATE nudges
+    SET status = 'acknowledged', response = ?, acknowledged_at = ?, delivered_at = COALESCE(delivered_at, ?)
+    WHERE id = ?
+  `).run(response, now, now, id);
+  return getNudgeById(id);
+}
+
+// ========================================
+// Schedules テーブル操作
+// ========================================
+
+/**
+ * DBの行を予定に変換（days を配列、enabled を真偽値に）
+ * @param {Object|undefined} row - schedules の行
+ * @returns {Object|undefined} 予定
+ */
+function toSchedule(row) {
+  return row ? { ...row, days: JSON.parse(row.days), enabled: Boolean(row.enabled) } : row;
+}
+
+/**
+ * 予定一覧取得
+ * @param {number|null} [memberId] - 指定した場合はそのメンバーの予定のみ
+ * @returns {Array} 予定一覧
+ */
+function getSchedules(memberId = null) {
+  return db.prepare('SELECT * FROM schedules WHERE ? IS NULL OR member_id = ? ORDER BY member_id, start_time, id')
+    .all(memberId, memberId)
+    .map(toSchedule);
+}
+
+/**
+ * 予定取得
+ * @param {number} id - 予定ID
+ * @returns {Object|undefined} 予定
+ */
+function getScheduleById(id) {
+  return toSchedule(db.prepare('SELECT * FROM schedules WHERE id = ?').get(id));
+}
+
+/**
+ * 適用対象の予定を取得（有効な予定のうち、アーカイブされていないメンバーのもの）
+ * @returns {Array} 予定一覧
+ */
+function getActiveSchedules() {
+  return db.prepare(`
+    SELECT s.* FROM schedules s
+    JOIN members m ON m.id = s.member_id
+    WHERE s.enabled = 1 AND m.archived_at IS NULL
+  `).all().map(toSchedule);
+}
+
+/**
+ * 予定の登録
+ * @param {Object} scheduleData - 予定
+ * @param {number} scheduleData.memberId - メンバーID
+ * @param {string|null} [scheduleData.name] - 予定の名前
+ * @param {Array<number>} scheduleData.days - 曜日（0=日曜〜6=土曜）
+ * @param {string} scheduleData.startTime - 開始時刻（'HH:MM'）
+ * @param {string|null} [scheduleData.endTime] - 終了時刻（'HH:MM'、開始より前なら翌日）
+ * @param {string|null} [scheduleData.activity] - 設定する活動
+ * @param {string|null} [scheduleData.state] - 設定する状態
+ * @param {boolean} [scheduleData.enabled=true] - 有効かどうか
+ * @returns {Object} 登録された予定
+ */
+function createSchedule(scheduleData) {
+  const {
+    memberId, name = null, days, startTime, endTime = null, activity = null, state = null, enabled = true
+  } = scheduleData;
+
+  try {
+    const info = db.prepare(`
+      INSERT INTO schedules (member_id, name, days, start_time, end_time, activity, state, enabled)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(memberId, name, JSON.stringify(days), startTime, endTime, activity, state, enabled ? 1 : 0);
+    return getScheduleById(info.lastInsertRowid);
+  } catch (error) {
+    console.error('Error in createSchedule:', error);
+    throw error;
+  }
+}
+
+/**
+ * 予定の変更（指定された項目のみ更新）
+ * @param {number} id - 予定ID
+ * @param {Object} changes - 変更内容（name, days, startTime, endTime, activity, state, enabled）
+ * @returns {Object|undefined} 更新後の予定
+ */
+function updateSchedule(id, changes) {
+  const columns = {
+    name: 'name',
+    days: 'days',
+    startTime: 'start_time',
+    endTime: 'end_time',
+    activity: 'activity',
+    state: 'state',
+    enabled: 'enabled'
+  };
+  const toValue = (key) => {
+    if (key === 'days') {
+      return JSON.stringify(changes.days);
+    }
+    return key === 'enabled' ? (changes.enabled ? 1 : 0) : changes[key];
+  };
+  const fields = Object.keys(columns).filter(key => changes[key] !== undefined);
+
+  try {
+    if (fields.length > 0) {
+      const setClause = fields.map(key => `${columns[key]} = ?`).join(', ');
+      db.prepare(`UPDATE schedules SET ${setClause}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`)
+        .run(...fields.map(toValue), id);
+    }
+    return getScheduleById(id);
+  } catch (error) {
+    console.error('Error in updateSchedule:', error);
+    throw error;
+  }
+}
+
+/**
+ * 予定の削除（予定ごとの例外もCASCADEで削除される）
+ * @param {number} id - 予定ID
+ * @returns {boolean} 削除成功かどうか
+ */
+function deleteSchedule(id) {
+  return db.prepare('DELETE FROM schedules WHERE id = ?').run(id).changes > 0;
+}
+
+/**
+ * 予定を適用しない日の一覧取得
+ * @param {Object} [filter] - 絞り込み
+ * @param {number} [filter.memberId] - メンバーID
+ * @param {string} [filter.fromDate] - この日以降（'YYYY-MM-DD'）
+ * @param {string} [filter.toDate] - この日以前（'YYYY-MM-DD'）
+ * @returns {Array} 例外の一覧（日付順）
+ */
+function getScheduleExceptions(filter = {}) {
+  const { memberId = null, fromDate = null, toDate = null } = filter;
+  return db.prepare(`
+    SELECT * FROM schedule_exceptions
+    WHERE (? IS NULL OR member_id = ?) AND (? IS NULL OR date >= ?) AND (? IS NULL OR date <= ?)
+    ORDER BY date, id
+  `).all(memberId, memberId, fromDate, fromDate, toDate, toDate);
+}
+
+/**
+ * 予定を適用しない日の取得
+ * @param {number} id - 例外ID
+ * @returns {Object|undefined} 例外
+ */
+function getScheduleExceptionById(id) {
+  return db.prepare('SELECT * FROM schedule_exceptions WHERE id = ?').get(id);
+}
+
+/**
+ * 予定を適用しない日の登録
+ * @param {Object} exceptionData - 例外
+ * @param {number} exceptionData.memberId - メンバーID
+ * @param {number|null} [exceptionData.scheduleId] - 予定ID（null はメンバーの全ての予定）
+ * @param {string} exceptionData.date - 日付（'YYYY-MM-DD'）
+ * @param {string|null} [exceptionData.note] - メモ（祝日名など）
+ * @returns {Object} 登録された例外
+ */
+function createScheduleException(exceptionData) {
+  const { memberId, scheduleId = null, date, note = null } = exceptionData;
+  const info = db.prepare(`
+    INSERT INTO schedule_exceptions (member_id, schedule_id, date, note) VALUES (?, ?, ?, ?)
+  `).run(memberId, scheduleId, date, note);
+  return getScheduleExceptionById(info.lastInsertRowid);
+}
+
+/**
+ * 予定を適用しない日の削除
+ * @param {number} id - 例外ID
+ * @returns {boolean} 削除成功かどうか
+ */
+function deleteScheduleException(id) {
+  return db.prepare('DELETE FROM schedule_exceptions WHERE id = ?').run(id).changes > 0;
+}
+
+/**
+ * 予定による状況の変更を適用し、履歴に 'schedule' として記録（同一トランザクション）
+ * @param {number} memberId - メンバーID
+ * @param {Object} changes - 変更後の値
+ * @param {string} changes.activity - 活動
+ * @param {string} changes.state - 状態
+ * @param {string|null} changes.activityExpiresAt - 活動の自動解除日時
+ * @param {string|null} changes.stateExpiresAt - 状態の自動解除日時
+ * @param {string|null} changes.staleAt - 状況不明になった日時
+ * @param {string} changes.changedAt - 予定の時刻
+ * @returns {Object} 更新後のメンバー情報と追加された履歴（{ member, history }）
+ */
+function applyScheduledStatus(memberId, changes) {
+  const { activity, state, activityExpiresAt, stateExpiresAt, staleAt, changedAt } = changes;
+
+  try {
+    const transaction = db.transaction(() => {
+      db.prepare(`
+        UPDATE members
+        SET activity = ?, state = ?, activity_expires_at = ?, state_expires_at = ?,
+            stale_at = ?, timestamp = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(activity, state, activityExpiresAt, stateExpiresAt, staleAt, changedAt, memberId);
+
+      const member = getMemberById(memberId);
+      const history = insertHistory(memberId, activity, state, changedAt, {
+        message: member.message,
+        untilAt: member.until_at,
+        source: 'schedule'
+      });
+      return { member, history };
+    });
+
+    return transaction();
+  } catch (error) {
+    console.error('Error in applyScheduledStatus:', error);
+    throw error;
+  }
+}
+
+// ========================================
+// Status options（活動・状態カタログ）操作
+// ========================================
+
+/**
+ * カタログが空の場合に初期値を投入
+ */
+function seedStatusOptions() {
+  const { count } = db.prepare('SELECT COUNT(*) as count FROM status_options').get();
+  if (count > 0) {
+    return;
+  }
+
+  const stmt = db.prepare(`
+    INSERT INTO status_options (category, label, emoji, color, sort_order, ttl_minutes, fallback_label)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+  const transaction = db.transaction(() => {
+    Object.entries(DEFAULT_STATUS_OPTIONS).forEach(([category, options]) => {
+      options.forEach((option, index) => {
+        stmt.run(
+          category, option.label, option.emoji, option.color, index,
+          option.ttlMinutes || null, option.fallbackLabel || null
+        );
+      });
+    });
+  });
+  transaction();
+}
+
+/**
+ * DBの行をAPI用の形式に変換（enabled を真偽値に）
+ * @param {Object|undefined} row - status_options の行
+ * @returns {Object|undefined} カタログ項目
+ */
+function toStatusOption(row) {
+  return row ? { ...row, enabled: Boolean(row.enabled) } : row;
+}
+
+/**
+ * カタログ取得
+ * @param {Object} [options] - オプション
+ * @param {boolean} [options.includeDisabled=false] - 無効化された項目も含めるか
+ * @returns {Array} カタログ項目一覧（カテゴリ・表示順）
+ */
+function getStatusOptions(options = {}) {
+  const { includeDisabled = false } = options;
+  const whereClause = includeDisabled ? '' : 'WHERE enabled = 1';
+  const stmt = db.prepare(`
+    SELECT * FROM status_options
+    ${whereClause}
+    ORDER BY category ASC, sort_order ASC, id ASC
+  `);
+  return stmt.all().map(toStatusOption);
+}
+
+/**
+ * IDでカタログ項目を検索
+ * @param {number} id - カタログ項目ID
+ * @returns {Object|undefined} カタログ項目
+ */
+function getStatusOptionById(id) {
+  const stmt = db.prepare('SELECT * FROM status_options WHERE id = ?');
+  return toStatusOption(stmt.get(id));
+}
+
+/**
+ * カテゴリとラベルでカタログ項目を検索
+ * @param {string} category - 'activity' または 'state'
+ * @param {string} label - ラベル
+ * @returns {Object|undefined} カタログ項目
+ */
+function findStatusOption(category, label) {
+  const stmt = db.prepare('SELECT * FROM status_options WHERE category = ? AND label = ?');
+  return toStatusOption(stmt.get(category, label));
+}
+
+/**
+ * カタログ項目の追加
+ * @param {Object} option - カタログ項目
+ * @param {string} option.category - 'activity' または 'state'
+ * @param {string} option.label - ラベル
+ * @param {string} [option.emoji] - 絵文字
+ * @param {string} [option.color] - 表示色（#rrggbb）
+ * @param {boolean} [option.enabled=true] - 有効かどうか
+ * @param {number|null} [option.ttlMinutes] - 自動解除までの分数（null で自動解除しない）
+ * @param {string|null} [option.fallbackLabel] - 自動解除後に戻すラベル（null で状況不明扱い）
+ * @returns {Object} 追加されたカタログ項目
+ */
+function createStatusOption(option) {
+  const {
+    category,
+    label,
+    emoji = '',
+    color = '#667eea',
+    enabled = true,
+    ttlMinutes = null,
+    fallbackLabel = null
+  } = option;
+
+  try {
+    const { maxOrder } = db.prepare('SELECT MAX(sort_order) as maxOrder FROM status_options WHERE category = ?').get(category);
+    const stmt = db.prepare(`
+      INSERT INTO status_options (category, label, emoji, color, sort_order, enabled, ttl_minutes, fallback_label)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const info = stmt.run(
+      category, label, emoji, color, maxOrder === null ? 0 : maxOrder + 1, enabled ? 1 : 0,
+      ttlMinutes, fallbackLabel
+    );
+    return getStatusOptionById(info.lastInsertRowid);
+  } catch (error) {
+    console.error('Error in createStatusOption:', error);
+    throw error;
+  }
+}
+
+/**
+ * カタログ項目の更新
+ * @param {number} id - カタログ項目ID
+ * @param {Object} changes - 更新内容（指定された項目のみ更新）
+ * @param {string} [changes.label] - ラベル
+ * @param {string} [changes.emoji] - 絵文字
+ * @param {string} [changes.color] - 表示色（#rrggbb）
+ * @param {boolean} [changes.enabled] - 有効かどうか
+ * @param {number|null} [changes.ttlMinutes] - 自動解除までの分数
+ * @param {string|null} [changes.fallbackLabel] - 自動解除後に戻すラベル
+ * @returns {Object|undefined} 更新後のカタログ項目
+ */
+function updateStatusOption(id, changes) {
+  const columns = {
+    label: 'label',
+    emoji: 'emoji',
+    color: 'color',
+    enabled: 'enabled',
+    ttlMinutes: 'ttl_minutes',
+    fallbackLabel: 'fallback_label'
+  };
+  const fields = Object.keys(columns).filter(key => changes[key] !== undefined);
+
+  try {
+    if (fields.length > 0) {
+      const setClause = fields.map(key => `${columns[key]} = ?`).join(', ');
+      const values = fields.map(key => (key === 'enabled' ? (changes.enabled ? 1 : 0) : changes[key]));
+      db.prepare(`UPDATE status_options SET ${setClause} WHERE id = ?`).run(...values, id);
+    }
+    return getStatusOptionById(id);
+  } catch (error) {
+    console.error('Error in updateStatusOption:', error);
+    throw error;
+  }
+}
+
+/**
+ * カテゴリ内のカタログ項目を並べ替え
+ * @param {string} category - 'activity' または 'state'
+ * @param {Array<number>} ids - 新しい表示順に並べたカタログ項目ID
+ * @returns {Array} 並べ替え後のカタログ（無効化された項目を含む）
+ */
+function reorderStatusOptions(category, ids) {
+  try {
+    const stmt = db.prepare('UPDATE status_options SET sort_order = ? WHERE id = ? AND category = ?');
+    const transaction = db.transaction(() => {
+      ids.forEach((id, index) => stmt.run(index, id, category));
+    });
+    transaction();
+    return getStatusOptions({ includeDisabled: true });
+  } catch (error) {
+    console.error('Error in reorderStatusOptions:', error);
+    throw error;
+  }
+}
+
+// ========================================
+// バックアップ・リストア
+// ========================================
+
+// アーカイブに含めるカラム（ID は環境ごとに変わるため含めず、メンバーは名前で対応付ける）
+const ARCHIVE_MEMBER_COLUMNS = [
+  'name', 'emoji', 'color', 'sort_order', 'archived_at', 'pin_hash', 'is_admin',
+  'activity', 'state', 'message', 'until_at',
+  'activity_expires_at', 'state_expires_at', 'stale_at', 'timestamp'
+];
+const ARCHIVE_HISTORY_COLUMNS = [
+  'activity', 'state', 'message', 'until_at', 'source', 'changed_at',
+  'previous_activity', 'previous_state', 'previous_message', 'changed_fields'
+];
+const ARCHIVE_STATUS_OPTION_COLUMNS = [
+  'category', 'label', 'emoji', 'color', 'sort_order', 'enabled', 'ttl_minutes', 'fallback_label'
+];
+// アーカイブに含めず、メンバーの削除時に CASCADE で削除される関連データ（報告のキー → テーブル）
+const MEMBER_RELATED_TABLES = {
+  deviceTokens: 'device_tokens',
+  apiTokens: 'api_tokens',
+  pushSubscriptions: 'push_subscriptions',
+  notificationPreferences: 'notification_preferences',
+  webhooks: 'webhooks',
+  webhookDeliveries: 'webhook_deliveries',
+  nudges: 'nudges',
+  schedules: 'schedules',
+  scheduleExceptions: 'schedule_exceptions',
+  historyCorrections: 'history_corrections'
+};
+
+/**
+ * オンラインバックアップAPIでDBファイルのスナップショットを作成
+ * WALモードでも書き込み中のデータを含めた一貫性のあるコピーになる
+ * @param {string} destination - 出力先のファイルパス
+ * @returns {Promise<void>}
+ */
+async function backupToFile(destination) {
+  await db.backup(destination);
+}
+
+/**
+ * 全データをJSONアーカイブとして取得
+ * 端末・APIトークン・予定・Webhookなどは含めない（置き換えで復元しても、同じ名前のメンバーの分は残る）
+ * @param {Database} [source] - 読み込み元のDB（省略時は現在のDB。バックアップファイルを読む場合に指定）
+ * @returns {Object} アーカイブ（{ format, formatVersion, schemaVersion, exportedAt, members, history, historySummaries,
+ *                   historyCompactedUntil, statusOptions }）
+ */
+function exportArchive(source = db) {
+  try {
+    const members = source.prepare(`
+      SELECT ${ARCHIVE_MEMBER_COLUMNS.join(', ')} FROM members ORDER BY sort_order ASC, id ASC
+    `).all();
+    const history = source.prepare(`
+      SELECT m.name AS member, ${ARCHIVE_HISTORY_COLUMNS.map(c => `h.${c}`).join(', ')}
+      FROM status_history h
+      INNER JOIN members m ON h.member_id = m.id
+      ORDER BY h.changed_at ASC, h.id ASC
+    `).all();
+    const statusOptions = source.prepare(`
+      SELECT ${ARCHIVE_STATUS_OPTION_COLUMNS.join(', ')} FROM status_options ORDER BY category, sort_order ASC, id ASC
+    `).all();
+    // 集約済みの履歴（version 9 より前のバックアップファイルにはテーブルがない）
+    const hasSummaries = source.prepare(`
+      SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'history_daily_summaries'
+    `).get();
+    const historySummaries = hasSummaries ? source.prepare(`
+      SELECT m.name AS member, s.date, s.category, s.label, s.seconds
+      FROM history_daily_summaries s
+      INNER JOIN members m ON s.member_id = m.id
+      ORDER BY s.date ASC, m.name ASC
+    `).all() : [];
+    // 集約済みの期間の終わり（version 4 より前のバックアップファイルには設定のテーブルがない）
+    const hasSettings = source.prepare(`
+      SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'app_settings'
+    `).get();
+    const compactedUntil = hasSettings
+      ? source.prepare('SELECT value FROM app_settings WHERE key = ?').get(HISTORY_COMPACTED_UNTIL_KEY)
+      : null;
+
+    return {
+      format: ARCHIVE_FORMAT,
+      formatVersion: ARCHIVE_FORMAT_VERSION,
+      schemaVersion: source.pragma('user_version', { simple: true }),
+      exportedAt: new Date().toISOString(),
+      members,
+      history,
+      historySummaries,
+      historyCompactedUntil: compactedUntil ? compactedUntil.value : null,
+      statusOptions
+    };
+  } catch (error) {
+    console.error('Error in exportArchive:', error);
+    throw error;
+  }
+}
+
+/**
+ * JSONアーカイブからデータを復元
+ * - replace: 現在の履歴・集約済みの履歴・カタログを全て削除し、アーカイブの内容に置き換える。
+ *            同じ名前のメンバーはIDを変えずに上書きするため、端末・APIトークン・予定・Webhookなどの関連データは残る。
+ *            アーカイブにないメンバーは関連データごと削除し、削除した件数を relatedRemoved に報告する
+ * - merge: メンバーは名前で対応付け、現在の状況は timestamp が新しい方を採用する。
+ *          履歴はメンバーと changed_at が同じものがなければ追加し、カタログは不足分のみ追加する。
+ *          現在のDBで集約済みの期間の履歴は、日ごとの集計と二重に数えられるため追加しない。
+ *          追加した履歴と直後の履歴の変更前の値・変更された項目は、統合後の前後の履歴から記録し直す
+ * 集約済みの期間の終わりは、replace ではアーカイブの値、merge では現在の値とアーカイブの値の遅い方にする
+ * アーカイブの検証は呼び出し側で行う（lib/backup.js の validateArchive）
+ * @param {Object} archive - アーカイブ
+ * @param {Object} [options] - オプション
+ * @param {string} [options.mode='merge'] - 'replace' または 'merge'
+ * @param {boolean} [options.dryRun=false] - 変更内容の報告のみ行い、変更は取り消すか
+ * @returns {Object} 変更内容の報告
+ */
+function restoreArchive(archive, options = {}) {
+  const { mode = 'merge', dryRun = false } = options;
+  const report = {
+    mode,
+    dryRun,
+    members: { added: [], updated: [], removed: [] },
+    history: { added: 0, skipped: 0, removed: 0 },
+    historySummaries: { added: 0, removed: 0 },
+    statusOptions: { added: 0, removed: 0 },
+    historyCompactedUntil: null,
+    relatedRemoved: Object.fromEntries(Object.keys(MEMBER_RELATED_TABLES).map(key => [key, 0]))
+  };
+
+  const insertMember = (member) => {
+    const columns = ARCHIVE_MEMBER_COLUMNS.filter(c => member[c] !== undefined);
+    const info = db.prepare(`
+      INSERT INTO members (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})
+    `).run(...columns.map(c => member[c]));
+    return info.lastInsertRowid;
+  };
+  const overwriteMember = (id, member) => {
+    const columns = ARCHIVE_MEMBER_COLUMNS.filter(c => member[c] !== undefined);
+    db.prepare(`
+      UPDATE members SET ${columns.map(c => `${c} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(...columns.map(c => member[c]), id);
+  };
+  const countRelatedRows = () => Object.fromEntries(Object.entries(MEMBER_RELATED_TABLES).map(
+    ([key, table]) => [key, db.prepare(`SELECT COUNT(*) AS count FROM ${table}`).get().count]
+  ));
+  const insertStatusOption = (option) => {
+    const columns = ARCHIVE_STATUS_OPTION_COLUMNS.filter(c => option[c] !== undefined);
+    db.prepare(`
+      INSERT INTO status_options (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})
+    `).run(...columns.map(c => (c === 'enabled' ? (option[c] ? 1 : 0) : option[c])));
+  };
+
+  const transaction = db.transaction(() => {
+    const memberIds = new Map(); // 名前 → 復元先のメンバーID
+
+    if (mode === 'replace') {
+      const current = new Map(db.prepare('SELECT id, name FROM members').all().map(m => [m.name, m.id]));
+      const archiveNames = new Set(archive.members.map(m => m.name));
+      report.members.removed = [...current.keys()].filter(name => !archiveNames.has(name));
+      report.members.updated = [...current.keys()].filter(name => archiveNames.has(name));
+      report.history.removed = db.prepare('SELECT COUNT(*) AS count FROM status_history').get().count;
+      report.historySummaries.removed = db.prepare('SELECT COUNT(*) AS count FROM history_daily_summaries').get().count;
+      report.statusOptions.removed = db.prepare('SELECT COUNT(*) AS count FROM status_options').get().count;
+
+      // アーカイブにないメンバーは削除する（端末・APIトークン・予定・Webhookなどの関連データは CASCADE で削除される）
+      const relatedBefore = countRelatedRows();
+      const deleteMember = db.prepare('DELETE FROM members WHERE id = ?');
+      report.members.removed.forEach(name => deleteMember.run(current.get(name)));
+      const relatedAfter = countRelatedRows();
+      Object.keys(MEMBER_RELATED_TABLES).forEach(key => {
+        report.relatedRemoved[key] = relatedBefore[key] - relatedAfter[key];
+      });
+
+      db.prepare('DELETE FROM status_history').run();
+      db.prepare('DELETE FROM history_daily_summaries').run();
+      db.prepare('DELETE FROM status_options').run();
+
+      archive.members.forEach(member => {
+        if (current.has(member.name)) {
+          overwriteMember(current.get(member.name), member);
+          memberIds.set(member.name, current.get(member.name));
+        } else {
+          memberIds.set(member.name, insertMember(member));
+          report.members.added.push(member.name);
+        }
+      });
+      archive.statusOptions.forEach(insertStatusOption);
+      report.statusOptions.added = archive.statusOptions.length;
+    } else {
+      archive.members.forEach(member => {
+        const existing = db.prepare('SELECT id, timestamp FROM members WHERE name = ?').get(member.name);
+        if (!existing) {
+          memberIds.set(member.name, insertMember(member));
+          report.members.added.push(member.name);
+          return;
+        }
+
+        memberIds.set(member.name, existing.id);
+        // アーカイブの方が新しい場合のみ現在の状況を上書き（プロフィール・PINは現在の値を維持）
+        if (member.timestamp && (!existing.timestamp || member.timestamp > existing.timestamp)) {
+          db.prepare(`
+            UPDATE members
+            SET activity = ?, state = ?, message = ?, until_at = ?,
+                activity_expires_at = ?, state_expires_at = ?, stale_at = ?,
+                timestamp = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+          `).run(
+            member.activity ?? null, member.state ?? null, member.message ?? null, member.until_at ?? null,
+            member.activity_expires_at ?? null, member.state_expires_at ?? null, member.stale_at ?? null,
+            member.timestamp, existing.id
+          );
+          report.members.updated.push(member.name);
+        }
+      });
+
+      archive.statusOptions.forEach(option => {
+        if (!db.prepare('SELECT id FROM status_options WHERE category = ? AND label = ?').get(option.category, option.label)) {
+          insertStatusOption(option);
+          report.statusOptions.added++;
+        }
+      });
+    }
+
+    const isBefore = db.prepare('SELECT julianday(?) < julianday(?) AS is_before');
+    const currentCompactedUntil = mode === 'merge' ? getHistoryCompactedUntil() : null;
+    const archiveCompactedUntil = archive.historyCompactedUntil || null;
+    report.historyCompactedUntil = currentCompactedUntil && (!archiveCompactedUntil
+      || isBefore.get(archiveCompactedUntil, currentCompactedUntil).is_before)
+      ? currentCompactedUntil
+      : archiveCompactedUntil;
+    if (report.historyCompactedUntil) {
+      setAppSetting(HISTORY_COMPACTED_UNTIL_KEY, report.historyCompactedUntil);
+    } else {
+      db.prepare('DELETE FROM app_settings WHERE key = ?').run(HISTORY_COMPACTED_UNTIL_KEY);
+    }
+
+    const existsStmt = db.prepare('SELECT 1 FROM status_history WHERE member_id = ? AND changed_at = ?');
+    const insertHistoryStmt = db.prepare(`
+      INSERT INTO status_history (member_id, ${ARCHIVE_HISTORY_COLUMNS.join(', ')})
+      VALUES (?, ${ARCHIVE_HISTORY_COLUMNS.map(() => '?').join(', ')})
+    `);
+    const previousHistoryStmt = db.prepare(`
+      SELECT activity, state, message FROM status_history
+      WHERE member_id = ? AND changed_at <= ?
+      ORDER BY changed_at DESC, id DESC
+      LIMIT 1
+    `);
+    archive.history.forEach(entry => {
+      const memberId = memberIds.get(entry.member);
+      if (mode === 'merge' && (existsStmt.get(memberId, entry.changed_at)
+        || (currentCompactedUntil && isBefore.get(entry.changed_at, currentCompactedUntil).is_before))) {
+        report.history.skipped++;
+        return;
+      }
+      const values = { ...entry, source: entry.source ?? 'manual' };
+      if (mode === 'merge') {
+        // 現在の履歴の間に挟み込むため、変更前の値・変更された項目は insertHistory と同じく直前の履歴と比べて記録する
+        const previous = previousHistoryStmt.get(memberId, entry.changed_at) || null;
+        Object.assign(values, {
+          previous_activity: previous ? previous.activity : null,
+          previous_state: previous ? previous.state : null,
+          previous_message: previous ? previous.message : null,
+          changed_fields: JSON.stringify(getChangedFields(previous, entry))
+        });
+      }
+      insertHistoryStmt.run(memberId, ...ARCHIVE_HISTORY_COLUMNS.map(c => values[c] ?? null));
+      if (mode === 'merge') {
+        refreshFollowingHistoryChanges(memberId, entry.changed_at);
+      }
+      report.history.added++;
+    });
+
+    // 集約済みの履歴（統合の場合、同じメンバー・日付・項目の集計が既にあれば現在の値を維持）
+    const insertSummaryStmt = db.prepare(`
+      INSERT OR IGNORE INTO history_daily_summaries (member_id, date, category, label, seconds) VALUES (?, ?, ?, ?, ?)
+    `);
+    (archive.historySummaries || []).forEach(summary => {
+      report.historySummaries.added += insertSummaryStmt.run(
+        memberIds.get(summary.member), summary.date, summary.category, summary.label, summary.seconds
+      ).changes;
+    });
+
+    if (dryRun) {
+      throw new DryRunRollback();
+    }
+  });
+
+  try {
+    transaction();
+  } catch (error) {
+    if (!(error instanceof DryRunRollback)) {
+      console.error('Error in restoreArchive:', error);
+      throw error;
+    }
+  }
+
+  return report;
+}
+
+// ========================================
+// メンテナンス
+// ========================================
+
+/**
+ * 指定日時より古い履歴を削除
+ * changed_at の書式（ISO形式・SQLiteの日時）が混在していても比較できるよう julianday で比較する
+ * @param {string} before - この日時より前の履歴を削除（ISO形式）
+ * @param {Object} [options] - オプション
+ * @param {boolean} [options.dryRun=false] - 件数を数えるのみで削除しない
+ * @returns {number} 削除した（dryRun の場合は削除対象の）件数
+ */
+function pruneHistory(before, options = {}) {
+  const { dryRun = false } = options;
+  const where = 'WHERE julianday(changed_at) < julianday(?)';
+
+  if (dryRun) {
+    return db.prepare(`SELECT COUNT(*) AS count FROM status_history ${where}`).get(before).count;
+  }
+  return db.prepare(`DELETE FROM status_history ${where}`).run(before).changes;
+}
+
+/**
+ * データの整合性チェック
+ * SQLiteの integrity_check・foreign_key_check に加えて、メンバーのいない履歴と日時として解釈できない値を調べる
+ * @returns {Object} { integrity, foreignKeyViolations, orphanedHistory, malformedTimestamps }
+ */
+function checkIntegrity() {
+  const integrity = db.pragma('integrity_check').map(row => row.integrity_check);
+
+  // 外部キー制約の違反（テーブルごとの件数）
+  const foreignKeyViolations = {};
+  db.pragma('foreign_key_check').forEach(row => {
+    foreignKeyViolations[row.table] = (foreignKeyViolations[row.table] || 0) + 1;
+  });
+
+  const orphanedHistory = db.prepare(`
+    SELECT h.id, h.member_id, h.changed_at
+    FROM status_history h
+    LEFT JOIN members m ON m.id = h.member_id
+    WHERE m.id IS NULL
+    ORDER BY h.id
+  `).all();
+
+  const malformedTimestamps = {
+    members: db.prepare(`
+      SELECT id, name, timestamp FROM members
+      WHERE timestamp IS NOT NULL AND timestamp != '' AND julianday(timestamp) IS NULL
+    `).all(),
+    history: db.prepare(`
+      SELECT id, member_id, changed_at FROM status_history
+      WHERE changed_at IS NULL OR julianday(changed_at) IS NULL
+    `).all()
+  };
+
+  return { integrity, foreignKeyViolations, orphanedHistory, malformedTimestamps };
+}
+
+/**
+ * 整合性チェックで見つかった問題を修復
+ * メンバーのいない履歴と日時が壊れた履歴は削除し、メンバーの壊れた最終更新日時は空にする
+ * @returns {Object} { deletedHistory, clearedMemberTimestamps }
+ */
+function repairIntegrity() {
+  const repair = db.transaction(() => {
+    const orphaned = db.prepare(`
+      DELETE FROM status_history WHERE member_id NOT IN (SELECT id FROM members)
+    `).run().changes;
+    const malformedHistory = db.prepare(`
+      DELETE FROM status_history WHERE changed_at IS NULL OR julianday(changed_at) IS NULL
+    `).run().changes;
+    const clearedMemberTimestamps = db.prepare(`
+      UPDATE members SET timestamp = NULL
+      WHERE timestamp IS NOT NULL AND timestamp != '' AND julianday(timestamp) IS NULL
+    `).run().changes;
+
+    return { deletedHistory: orphaned + malformedHistory, clearedMemberTimestamps };
+  });
+
+  return repair();
+}
+
+/**
+ * データベースを最適化（WALをDBファイルに書き戻してから VACUUM で空き領域を解放）
+ * @returns {Object} { sizeBefore, sizeAfter }（バイト）
+ */
+function vacuumDatabase() {
+  const sizeOf = () => fs.statSync(dbPath).size;
+
+  db.pragma('wal_checkpoint(TRUNCATE)');
+  const sizeBefore = sizeOf();
+  db.exec('VACUUM');
+  db.pragma('wal_checkpoint(TRUNCATE)');
+  return { sizeBefore, sizeAfter: sizeOf() };
+}
+
+// ========================================
+// データ移行
+// ========================================
+
+/**
+ * JSONファイルからSQLiteへデータ移行（マイグレーション version 2 として一度だけ実行。管理CLIから再実行も可能）
+ * 後のマイグレーションでカラムが増えても動くよう、version 1 時点のカラムのみを直接扱う
+ * @param {string} jsonFilePath - JSONファイルパス
+ * @returns {Object} 移行結果
+ */
+function migrateFromJSON(jsonFilePath) {
+  // JSONファイル読み込み
+  if (!fs.existsSync(jsonFilePath)) {
+    console.log('No JSON file found for migration');
+    return { migrated: 0, skipped: 0 };
+  }
+
+  const jsonData = JSON.parse(fs.readFileSync(jsonFilePath, 'utf8'));
+  const members = jsonData.members || [];
+
+  const findStmt = db.prepare('SELECT id FROM members WHERE name = ?');
+  const insertMemberStmt = db.prepare(`
+    INSERT INTO members (name, activity, state, timestamp, sort_order)
+    VALUES (?, ?, ?, ?, (SELECT COALESCE(MAX(sort_order), -1) + 1 FROM members))
+  `);
+  const insertHistoryStmt = db.prepare(`
+    INSERT INTO status_history (member_id, activity, state, source, changed_at) VALUES (?, ?, ?, 'import', ?)
+  `);
+
+  let migrated = 0;
+  let skipped = 0;
+
+  members.forEach(member => {
+    const { name, activity = '', state = '' } = member;
+    const timestamp = member.timestamp || new Date().toISOString();
+
+    // 既存チェック（新規のみ移行）
+    if (!name || findStmt.get(name)) {
+      skipped++;
+      return;
+    }
+
+    const info = insertMemberStmt.run(name, activity, state, timestamp);
+
+    // 初期履歴も追加
+    insertHistoryStmt.run(info.lastInsertRowid, activity, state, timestamp);
+    migrated++;
+  });
+
+  console.log(`JSON import completed: ${migrated} migrated, ${skipped} skipped`);
+  return { migrated, skipped };
+}
+
+// ========================================
+// エクスポート
+// ========================================
 
 module.exports = {
   initDatabase,
   getDatabase,
   closeDatabase,
+  getMigrationStatus,
+  runMigrations,
 
   // Members操作
   getAllMembers,
   getMemberByName,
   getMemberById,
-  insertOrUpdateMember,
+  applyStatusUpdate,
+  createMember,
+  updateMemberProfile,
+  setMemberArchived,
+  updateMember,
+  reorderMembers,
+  setMemberAdmin,
+  getMemberPinHash,
+  setMemberPinHash,
+  getMembersWithExpiredStatus,
+  applyStatusExpiry,
   deleteMember,
 
+  // History summaries操作
+  getHistoryCompactedUntil,
+  getEarliestHistoryTimestamp,
+  getHistoryDailySummaries,
+  compactHistory,
+
+  // History corrections操作
+  getHistoryEntryById,
+  getLatestHistoryEntries,
+  undoLatestHistory,
+  updateHistoryEntry,
+  deleteHistoryEntry,
+  getHistoryCorrections,
+
+  // Idempotency keys操作
+  reserveIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey,
+
+  // Device tokens操作
+  createDeviceToken,
+  findDeviceTokenByHash,
+  touchDeviceToken,
+  revokeDeviceToken,
+  revokeMemberDeviceTokens,
+
+  // API tokens操作
+  createApiToken,
+  getApiTokenById,
+  getApiTokens,
+  findApiTokenByHash,
+  touchApiToken,
+  revokeApiToken,
+
   // History操作
   insertHistory,
   getHistoryByMemberId,
   getAllHistory,
+  getHistoryForPeriod,
+  getLatestManualChangeAt,
+  getHistoryChunk,
+
+  // Status options操作
+  getStatusOptions,
+  getStatusOptionById,
+  findStatusOption,
+  createStatusOption,
+  updateStatusOption,
+  reorderStatusOptions,
+
+  // Webhooks操作
+  getWebhooks,
+  getWebhookById,
+  getWebhooksForEvent,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  createWebhookDelivery,
+  getDueWebhookDeliveries,
+  updateWebhookDelivery,
+  getWebhookDeliveries,
+
+  // App settings操作
+  getAppSetting,
+  setAppSetting,
+
+  // Push subscriptions操作
+  savePushSubscription,
+  getActivePushSubscriptions,
+  recordPushResult,
+  deletePushSubscription,
+
+  // Notification preferences操作
+  getNotificationPreferences,
+  saveNotificationPreferences,
+
+  // Nudges操作
+  getNudgeById,
+  getNudgesForMember,
+  createNudge,
+  markNudgeDelivered,
+  acknowledgeNudge,
+
+  // Schedules操作
+  getSchedules,
+  getScheduleById,
+  getActiveSchedules,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  getScheduleExceptions,
+  getScheduleExceptionById,
+  createScheduleException,
+  deleteScheduleException,
+  applyScheduledStatus,
+
+  // バックアップ・リストア
+  ARCHIVE_FORMAT,
+  ARCHIVE_FORMAT_VERSION,
+  backupToFile,
+  exportArchive,
+  restoreArchive,
 
-  // Migration
+  // メンテナンス
+  pruneHistory,
+  checkIntegrity,
+  repairIntegrity,
+  vacuumDatabase,
   migrateFromJSON
 };
@@ -0,0 +1,19 @@
+// データベースのマイグレーションを手動で実行するCLI
+//
+// 使い方:
+//   node db/migrate.js            未適用のマイグレーションを適用（既存DBは適用前にバックアップ）
+//   node db/migrate.js --dry-run  適用を試行してログを表示し、変更は取り消す
+const db = require('./database');
+const { DATA_FILE } = require('../lib/jsonStore');
+
+const dryRun = process.argv.includes('--dry-run');
+
+try {
+  db.initDatabase({ jsonImportPath: DATA_FILE, dryRun });
+  const { currentVersion, latestVersion } = db.getMigrationStatus();
+  console.log(`${dryRun ? '[dry-run] ' : ''}Database version: ${currentVersion} (latest: ${latestVersion})`);
+  db.closeDatabase();
+} catch (error) {
+  console.error('Migration failed:', error.message);
+  process.exit(1);
+}
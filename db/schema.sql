@@ -1,26 +1,75 @@
 -- Family Board Database Schema
 -- SQLite database for tracking family member status and history
+--
+-- このファイルはマイグレーション version 1（initial_schema）として適用される
+-- 以降のスキーマ変更はここではなく db/database.js の MIGRATIONS に追加すること
 
 -- members テーブル: 現在の状態を保持（既存JSONデータと同等）
 CREATE TABLE IF NOT EXISTS members (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
   name TEXT UNIQUE NOT NULL,
+  emoji TEXT DEFAULT '👤',
+  color TEXT DEFAULT '#667eea',
+  sort_order INTEGER DEFAULT 0,
+  archived_at DATETIME,
+  pin_hash TEXT,
+  is_admin INTEGER DEFAULT 0,
   activity TEXT,
   state TEXT,
+  message TEXT,
+  until_at DATETIME,
+  activity_expires_at DATETIME,
+  state_expires_at DATETIME,
+  stale_at DATETIME,
   timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
   updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
 -- status_history テーブル: 全ての状態変更履歴を記録
+-- source: 'manual'（本人・管理者の操作）、'expiry'（自動解除）
 CREATE TABLE IF NOT EXISTS status_history (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
   member_id INTEGER NOT NULL,
   activity TEXT,
   state TEXT,
+  message TEXT,
+  until_at DATETIME,
+  source TEXT DEFAULT 'manual',
   changed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
   FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE
 );
 
+-- status_options テーブル: 選択できる活動・状態のカタログ
+-- 無効化（enabled = 0）しても行は残し、過去の履歴の表示に使う
+-- ttl_minutes を過ぎると fallback_label に戻る（未設定の場合は空にして「状況不明」扱い）
+CREATE TABLE IF NOT EXISTS status_options (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  category TEXT NOT NULL CHECK (category IN ('activity', 'state')),
+  label TEXT NOT NULL,
+  emoji TEXT DEFAULT '',
+  color TEXT DEFAULT '#667eea',
+  sort_order INTEGER DEFAULT 0,
+  enabled INTEGER DEFAULT 1,
+  ttl_minutes INTEGER,
+  fallback_label TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (category, label)
+);
+
+-- device_tokens テーブル: サインインした端末ごとのトークン（平文は保存しない）
+-- scope = 'member' はメンバーに紐付くトークン、'admin' は管理者パスフレーズで発行したトークン
+CREATE TABLE IF NOT EXISTS device_tokens (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  member_id INTEGER,
+  scope TEXT NOT NULL DEFAULT 'member' CHECK (scope IN ('member', 'admin')),
+  token_hash TEXT UNIQUE NOT NULL,
+  device_name TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  last_used_at DATETIME,
+  revoked_at DATETIME,
+  FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE
+);
+
 -- パフォーマンス最適化用インデックス
 CREATE INDEX IF NOT EXISTS idx_history_member_time ON status_history(member_id, changed_at DESC);
 CREATE INDEX IF NOT EXISTS idx_history_date ON status_history(changed_at DESC);
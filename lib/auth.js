@@ -0,0 +1,241 @@
+const crypto = require('crypto');
+const config = require('../config');
+const db = require('../db/database');
+
+// PINのハッシュ形式: scrypt$<salt>$<hash>
+const PIN_HASH_PREFIX = 'scrypt';
+const PIN_KEY_LENGTH = 32;
+
+/**
+ * PINをハッシュ化
+ * @param {string} pin - PINまたはパスフレーズ
+ * @returns {string} 保存用のハッシュ文字列
+ */
+function hashPin(pin) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(pin, salt, PIN_KEY_LENGTH).toString('hex');
+    return `${PIN_HASH_PREFIX}$${salt}$${hash}`;
+}
+
+/**
+ * PINを検証
+ * @param {string} pin - 入力されたPIN
+ * @param {string|null} storedHash - 保存されているハッシュ
+ * @returns {boolean} 一致するかどうか
+ */
+function verifyPin(pin, storedHash) {
+    if (!storedHash || typeof pin !== 'string') {
+        return false;
+    }
+
+    const [prefix, salt, hash] = storedHash.split('$');
+    if (prefix !== PIN_HASH_PREFIX || !salt || !hash) {
+        return false;
+    }
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(pin, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * 管理者パスフレーズを検証
+ * @param {string} passphrase - 入力されたパスフレーズ
+ * @returns {boolean} 一致するかどうか（未設定の場合は常に false）
+ */
+function verifyAdminPassphrase(passphrase) {
+    if (!config.ADMIN_PASSPHRASE || typeof passphrase !== 'string') {
+        return false;
+    }
+
+    // 長さの違いで比較が失敗しないよう、ハッシュ同士を比較
+    const expected = crypto.createHash('sha256').update(config.ADMIN_PASSPHRASE).digest();
+    const actual = crypto.createHash('sha256').update(passphrase).digest();
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * トークンのハッシュ値（DBにはハッシュのみ保存）
+ * @param {string} token - トークン
+ * @returns {string} SHA-256ハッシュ（hex）
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * 端末トークンを発行
+ * @param {Object} options - 発行オプション
+ * @param {number|null} options.memberId - メンバーID（管理者トークンは null）
+ * @param {string} options.scope - 'member' または 'admin'
+ * @param {string} [options.deviceName] - 端末名
+ * @returns {string} 平文のトークン（この時だけ返す）
+ */
+function issueDeviceToken({ memberId, scope, deviceName }) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    db.createDeviceToken({ memberId, scope, tokenHash: hashToken(token), deviceName });
+    return token;
+}
+
+// APIトークンの接頭辞（端末トークンと見分けやすくするため）
+const API_TOKEN_PREFIX = 'fbapi_';
+
+// APIトークンで使えるルート（状況・履歴のみ）
+const API_TOKEN_PATH_PATTERN = /^\/api\/(status|history)(\/|$)/;
+
+/**
+ * APIトークンを発行
+ * @param {Object} options - 発行オプション
+ * @param {number} options.memberId - メンバーID
+ * @param {string} options.permission - 'write'（'read' は以前に発行したトークンのみ）
+ * @param {string} [options.name] - 用途などの名前
+ * @returns {Object} { token: 平文のトークン（この時だけ返す）, apiToken: トークン情報 }
+ */
+function issueApiToken({ memberId, permission, name }) {
+    const token = API_TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+    const apiToken = db.createApiToken({ memberId, permission, name, tokenHash: hashToken(token) });
+    return { token, apiToken };
+}
+
+/**
+ * APIトークンを認証情報に変換
+ * @param {string} token - トークン
+ * @returns {Object|null} req.auth（無効なトークンの場合は null）
+ */
+function authenticateApiToken(token) {
+    const apiToken = db.findApiTokenByHash(hashToken(token));
+    if (!apiToken) {
+        return null;
+    }
+
+    // アーカイブされたメンバーのトークンは無効
+    const member = db.getMemberById(apiToken.member_id);
+    if (!member || member.archived_at) {
+        return null;
+    }
+
+    db.touchApiToken(apiToken.id);
+    return {
+        tokenId: null,
+        apiTokenId: apiToken.id,
+        scope: 'api',
+        permission: apiToken.permission,
+        member,
+        isAdmin: false
+    };
+}
+
+/**
+ * Authorizationヘッダーからトークンを取り出す
+ * @param {Object} req - リクエスト
+ * @returns {string|null} トークン
+ */
+function extractToken(req) {
+    const header = req.get('Authorization') || '';
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+    return match ? match[1] : null;
+}
+
+/**
+ * 認証ミドルウェア
+ * 有効なトークンがあれば req.auth に { tokenId, scope, member, isAdmin } を設定する（なければ null）
+ * APIトークンの場合は scope = 'api' で、apiTokenId・permission も設定する
+ */
+function authenticate(req, res, next) {
+    req.auth = null;
+
+    const token = extractToken(req);
+    if (!token) {
+        return next();
+    }
+
+    try {
+        if (token.startsWith(API_TOKEN_PREFIX)) {
+            req.auth = authenticateApiToken(token);
+            return next();
+        }
+
+        const deviceToken = db.findDeviceTokenByHash(hashToken(token));
+        if (!deviceToken) {
+            return next();
+        }
+
+        const member = deviceToken.member_id ? db.getMemberById(deviceToken.member_id) : null;
+
+        // アーカイブされたメンバーのトークンは無効
+        if (deviceToken.scope === 'member' && (!member || member.archived_at)) {
+            return next();
+        }
+
+        db.touchDeviceToken(deviceToken.id);
+        req.auth = {
+            tokenId: deviceToken.id,
+            scope: deviceToken.scope,
+            member,
+            isAdmin: deviceToken.scope === 'admin' || Boolean(member && member.is_admin)
+        };
+    } catch (error) {
+        console.error('Error authenticating request:', error);
+    }
+
+    next();
+}
+
+// APIトークンは状況・履歴のルートのみ、読み取り専用のトークン（以前に発行した permission = 'read'）は取得のみ許可する
+function restrictApiTokens(req, res, next) {
+    if (!req.auth || req.auth.scope !== 'api') {
+        return next();
+    }
+    if (!API_TOKEN_PATH_PATTERN.test(req.originalUrl.split('?')[0])) {
+        return res.status(403).json({ error: 'APIトークンは /api/status と /api/history でのみ使用できます', code: 'API_TOKEN_NOT_ALLOWED' });
+    }
+    if (req.method !== 'GET' && req.method !== 'HEAD' && req.auth.permission !== 'write') {
+        return res.status(403).json({ error: '読み取り専用のAPIトークンです', code: 'READ_ONLY_TOKEN' });
+    }
+    next();
+}
+
+// サインインが必要なルート用
+function requireAuth(req, res, next) {
+    if (!req.auth) {
+        return res.status(401).json({ error: 'サインインが必要です', code: 'AUTH_REQUIRED' });
+    }
+    next();
+}
+
+// 管理者権限が必要なルート用
+function requireAdmin(req, res, next) {
+    if (!req.auth) {
+        return res.status(401).json({ error: 'サインインが必要です', code: 'AUTH_REQUIRED' });
+    }
+    if (!req.auth.isAdmin) {
+        return res.status(403).json({ error: '管理者権限が必要です', code: 'ADMIN_REQUIRED' });
+    }
+    next();
+}
+
+/**
+ * 指定メンバーとして操作できるか（本人または管理者）
+ * @param {Object|null} auth - req.auth
+ * @param {number} memberId - 対象メンバーID
+ * @returns {boolean} 操作できるかどうか
+ */
+function canActAsMember(auth, memberId) {
+    if (!auth) {
+        return false;
+    }
+    return auth.isAdmin || Boolean(auth.member && auth.member.id === memberId);
+}
+
+module.exports = {
+    hashPin,
+    verifyPin,
+    verifyAdminPassphrase,
+    issueDeviceToken,
+    issueApiToken,
+    authenticate,
+    restrictApiTokens,
+    requireAuth,
+    requireAdmin,
+    canActAsMember
+};
@@ -0,0 +1,93 @@
+// バックアップ（JSONアーカイブ）の検証
+const db = require('../db/database');
+
+const RESTORE_MODES = ['replace', 'merge'];
+const STATUS_CATEGORIES = ['activity', 'state'];
+
+// 日時として解釈できるか
+function isValidDate(value) {
+    return typeof value === 'string' && !Number.isNaN(Date.parse(value.replace(' ', 'T')));
+}
+
+/**
+ * アーカイブの内容を検証
+ * @param {Object} archive - アーカイブ
+ * @param {number} currentSchemaVersion - 現在のDBのスキーマバージョン
+ * @returns {string|null} エラーメッセージ（問題なければ null）
+ */
+function validateArchive(archive, currentSchemaVersion) {
+    if (!archive || typeof archive !== 'object' || archive.format !== db.ARCHIVE_FORMAT) {
+        return 'バックアップファイルの形式が不正です';
+    }
+    if (archive.formatVersion !== db.ARCHIVE_FORMAT_VERSION) {
+        return `対応していないバックアップ形式のバージョンです（${archive.formatVersion}）`;
+    }
+    if (!Number.isInteger(archive.schemaVersion) || archive.schemaVersion > currentSchemaVersion) {
+        return 'このサーバーより新しいバージョンで作成されたバックアップです';
+    }
+    if (!Array.isArray(archive.members) || !Array.isArray(archive.history) || !Array.isArray(archive.statusOptions)) {
+        return 'members・history・statusOptions が必要です';
+    }
+
+    const names = new Set();
+    for (const [index, member] of archive.members.entries()) {
+        if (!member || typeof member.name !== 'string' || member.name.trim() === '') {
+            return `members[${index}]: 名前がありません`;
+        }
+        if (names.has(member.name)) {
+            return `members[${index}]: 名前「${member.name}」が重複しています`;
+        }
+        if (member.timestamp && !isValidDate(member.timestamp)) {
+            return `members[${index}]: timestamp が日時ではありません`;
+        }
+        names.add(member.name);
+    }
+
+    for (const [index, entry] of archive.history.entries()) {
+        if (!entry || !names.has(entry.member)) {
+            return `history[${index}]: メンバー「${entry && entry.member}」がアーカイブにありません`;
+        }
+        if (!isValidDate(entry.changed_at)) {
+            return `history[${index}]: changed_at が日時ではありません`;
+        }
+    }
+
+    // 集約済みの履歴（これより前のバージョンのアーカイブにはない）
+    if (archive.historySummaries !== undefined && !Array.isArray(archive.historySummaries)) {
+        return 'historySummaries は配列で指定してください';
+    }
+    for (const [index, summary] of (archive.historySummaries || []).entries()) {
+        if (!summary || !names.has(summary.member)) {
+            return `historySummaries[${index}]: メンバー「${summary && summary.member}」がアーカイブにありません`;
+        }
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(summary.date) || !STATUS_CATEGORIES.includes(summary.category)
+            || typeof summary.label !== 'string' || !Number.isInteger(summary.seconds) || summary.seconds < 0) {
+            return `historySummaries[${index}]: 日付・項目・秒数が不正です`;
+        }
+    }
+
+    // 集約済みの期間の終わり（これより前のバージョンのアーカイブにはない）
+    if (archive.historyCompactedUntil !== undefined && archive.historyCompactedUntil !== null
+        && !isValidDate(archive.historyCompactedUntil)) {
+        return 'historyCompactedUntil が日時ではありません';
+    }
+
+    const labels = new Set();
+    for (const [index, option] of archive.statusOptions.entries()) {
+        if (!option || !STATUS_CATEGORIES.includes(option.category) || typeof option.label !== 'string' || option.label === '') {
+            return `statusOptions[${index}]: カテゴリまたはラベルが不正です`;
+        }
+        const key = `${option.category}:${option.label}`;
+        if (labels.has(key)) {
+            return `statusOptions[${index}]: 「${option.label}」が重複しています`;
+        }
+        labels.add(key);
+    }
+
+    return null;
+}
+
+module.exports = {
+    RESTORE_MODES,
+    validateArchive
+};
@@ -0,0 +1,79 @@
+// APIのエラーレスポンスの形式をそろえる
+// 全てのエラーは { error, code, message, details? } で返す（error は従来のクライアント向けに message と同じ内容）
+// code はクライアントが理由を判別するための固定の文字列で、ルートで指定しない場合はステータスコードから決める
+
+// ステータスコードごとの既定のエラーコード
+const DEFAULT_ERROR_CODES = {
+    400: 'BAD_REQUEST',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    412: 'PRECONDITION_FAILED',
+    413: 'PAYLOAD_TOO_LARGE',
+    422: 'UNPROCESSABLE_ENTITY',
+    429: 'RATE_LIMITED',
+    500: 'INTERNAL_ERROR',
+    503: 'SERVICE_UNAVAILABLE'
+};
+
+/**
+ * ステータスコードに対応する既定のエラーコード
+ * @param {number} status - ステータスコード
+ * @returns {string} エラーコード
+ */
+function defaultErrorCode(status) {
+    return DEFAULT_ERROR_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+}
+
+/**
+ * エラーレスポンスに code・message を補うミドルウェア（/api の最初に使う）
+ * 各ルートは従来どおり res.status(N).json({ error }) を返し、必要な場合のみ code・details を指定する
+ * @returns {Function} ミドルウェア
+ */
+function structuredErrors() {
+    return (req, res, next) => {
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            if (res.statusCode >= 400 && body && typeof body.error === 'string') {
+                return json({
+                    ...body,
+                    code: body.code || defaultErrorCode(res.statusCode),
+                    message: body.message || body.error
+                });
+            }
+            return json(body);
+        };
+        next();
+    };
+}
+
+// どのルートにも一致しなかった /api のリクエスト
+function apiNotFound(req, res) {
+    res.status(404).json({ error: 'APIが見つかりません', code: 'ROUTE_NOT_FOUND' });
+}
+
+// ルート・ミドルウェアで発生した例外（本文のJSONの解析エラーなど）
+function handleErrors(error, req, res, next) {
+    if (res.headersSent) {
+        return next(error);
+    }
+    if (error.type === 'entity.parse.failed') {
+        return res.status(400).json({ error: 'リクエストの本文がJSONとして不正です', code: 'INVALID_JSON' });
+    }
+    if (error.type === 'entity.too.large') {
+        return res.status(413).json({ error: 'リクエストの本文が大きすぎます', code: 'PAYLOAD_TOO_LARGE' });
+    }
+    if (error.status >= 400 && error.status < 500) {
+        return res.status(error.status).json({ error: 'リクエストが不正です' });
+    }
+
+    console.error('Unhandled error:', error);
+    res.status(500).json({ error: 'サーバーでエラーが発生しました' });
+}
+
+module.exports = {
+    structuredErrors,
+    apiNotFound,
+    handleErrors
+};
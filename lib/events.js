@@ -0,0 +1,53 @@
+const { EventEmitter } = require('events');
+
+// イベント種別
+const EVENT_TYPES = {
+    MEMBER_CREATED: 'member.created',
+    MEMBER_UPDATED: 'member.updated',
+    MEMBER_DELETED: 'member.deleted',
+    MEMBERS_REORDERED: 'members.reordered',
+    HISTORY_APPENDED: 'history.appended',
+    HISTORY_CORRECTED: 'history.corrected',
+    CATALOG_CHANGED: 'catalog.changed',
+    NUDGE_SENT: 'nudge.sent',
+    NUDGE_UPDATED: 'nudge.updated',
+    DATA_RESTORED: 'data.restored'
+};
+
+// プロセス内のイベントバス
+// データを変更する処理は publish し、SSE配信やJSONエクスポートは subscribe して受け取る
+const bus = new EventEmitter();
+bus.setMaxListeners(50);
+
+/**
+ * イベントを発行
+ * @param {string} type - イベント種別（EVENT_TYPES）
+ * @param {Object} payload - イベントデータ
+ */
+function publish(type, payload = {}) {
+    bus.emit('event', { type, payload, publishedAt: new Date().toISOString() });
+}
+
+/**
+ * イベントを購読
+ * 購読側のエラーは発行側（APIのレスポンス）に影響させない
+ * @param {Function} handler - ハンドラー（引数: { type, payload, publishedAt }）
+ * @returns {Function} 購読を解除する関数
+ */
+function subscribe(handler) {
+    const listener = (event) => {
+        try {
+            handler(event);
+        } catch (error) {
+            console.error(`Error handling event ${event.type}:`, error);
+        }
+    };
+    bus.on('event', listener);
+    return () => bus.off('event', listener);
+}
+
+module.exports = {
+    EVENT_TYPES,
+    publish,
+    subscribe
+};
@@ -0,0 +1,119 @@
+const db = require('../db/database');
+
+const STATUS_CATEGORIES = ['activity', 'state'];
+
+/**
+ * 活動・状態の自動解除日時を決定
+ * @param {string} category - 'activity' または 'state'
+ * @param {string|null|undefined} value - 今回送信された値（null/undefined は変更なし）
+ * @param {Object} existingMember - 更新前のメンバー情報
+ * @param {number|null|undefined} duration - 今回指定された分数（undefined はカタログの既定値、null は自動解除しない）
+ * @param {Date} now - 基準日時
+ * @returns {string|null} 自動解除日時（ISO形式）
+ */
+function resolveExpiresAt(category, value, existingMember, duration, now) {
+    // 値を変更しない場合は、既存の自動解除日時を維持
+    if (value === null || value === undefined) {
+        return existingMember[`${category}_expires_at`] || null;
+    }
+
+    let minutes = duration;
+    if (minutes === undefined) {
+        const option = db.findStatusOption(category, value);
+        minutes = option ? option.ttl_minutes : null;
+    }
+
+    return minutes ? new Date(now.getTime() + minutes * 60000).toISOString() : null;
+}
+
+/**
+ * 自動解除後の値を取得（フォールバックが無効・未設定の場合は null）
+ * @param {string} category - 'activity' または 'state'
+ * @param {string} currentValue - 現在の値
+ * @returns {string|null} フォールバックのラベル
+ */
+function getFallbackLabel(category, currentValue) {
+    const option = db.findStatusOption(category, currentValue);
+    if (!option || !option.fallback_label) {
+        return null;
+    }
+
+    const fallback = db.findStatusOption(category, option.fallback_label);
+    return fallback && fallback.enabled ? fallback.label : null;
+}
+
+/**
+ * 期限切れの活動・状態を解除
+ * フォールバックがあればその値に戻し、なければ空にして「状況不明」として記録する
+ * @param {Date} [now] - 基準日時
+ * @returns {Array} 解除結果の一覧（{ member, history }）
+ */
+function processExpiredStatuses(now = new Date()) {
+    const nowIso = now.toISOString();
+    const expiredMembers = db.getMembersWithExpiredStatus(nowIso);
+
+    return expiredMembers.map(member => {
+        const changes = {
+            activity: member.activity,
+            state: member.state,
+            activityExpiresAt: member.activity_expires_at,
+            stateExpiresAt: member.state_expires_at,
+            staleAt: member.stale_at,
+            changedAt: null
+        };
+
+        STATUS_CATEGORIES.forEach(category => {
+            const expiresAt = member[`${category}_expires_at`];
+            if (!expiresAt || expiresAt > nowIso) {
+                return;
+            }
+
+            const fallback = getFallbackLabel(category, member[category]);
+            changes[category] = fallback || '';
+            changes[`${category}ExpiresAt`] = null;
+            if (!fallback) {
+                changes.staleAt = expiresAt;
+            }
+
+            // 履歴には実際に期限が切れた時刻を記録（サーバー停止中に切れた場合も正しい時刻になる）
+            if (!changes.changedAt || expiresAt > changes.changedAt) {
+                changes.changedAt = expiresAt;
+            }
+        });
+
+        return db.applyStatusExpiry(member.id, changes);
+    });
+}
+
+/**
+ * 自動解除スケジューラーを開始
+ * @param {Object} options - オプション
+ * @param {number} options.intervalMs - チェック間隔（ミリ秒）
+ * @param {Function} options.onExpired - 解除があった場合に呼ばれる（引数: 解除結果の一覧）
+ * @returns {Function} スケジューラーを停止する関数
+ */
+function startExpiryScheduler({ intervalMs, onExpired }) {
+    const run = () => {
+        try {
+            const expired = processExpiredStatuses();
+            if (expired.length > 0) {
+                console.log(`Expired statuses cleared: ${expired.length} members`);
+                onExpired(expired);
+            }
+        } catch (error) {
+            console.error('Error processing expired statuses:', error);
+        }
+    };
+
+    // 起動時にサーバー停止中に切れた分を処理
+    run();
+    const timer = setInterval(run, intervalMs);
+    return () => clearInterval(timer);
+}
+
+module.exports = {
+    resolveExpiresAt,
+    getFallbackLabel,
+    processExpiredStatuses,
+    startExpiryScheduler
+};
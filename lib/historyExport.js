@@ -0,0 +1,193 @@
+// 履歴のエクスポート（CSV・JSON Lines・iCalendar）
+const { parseTimestamp } = require('./stats');
+
+const CSV_COLUMNS = [
+    'id', 'member', 'activity', 'state', 'message', 'until_at', 'source', 'changed_at',
+    'changed_fields', 'previous_activity', 'previous_state', 'previous_message'
+];
+
+// 変更された項目（DBではJSON配列の文字列。記録される前の履歴は null）
+function parseChangedFields(h) {
+    return h.changed_fields ? JSON.parse(h.changed_fields) : null;
+}
+
+// CSVの値をエスケープ（カンマ・改行・ダブルクォートを含む場合は囲む）
+function escapeCsv(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// iCalendarのテキスト値をエスケープ
+function escapeIcsText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// iCalendarの日時形式（UTC）に変換
+function toIcsDate(ms) {
+    return new Date(ms).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// iCalendarの行を75オクテットごとに折り返す（マルチバイト文字の途中では切らない）
+function foldIcsLine(line) {
+    const chunks = [];
+    let current = '';
+    let currentBytes = 0;
+
+    for (const char of line) {
+        const bytes = Buffer.byteLength(char);
+        const limit = chunks.length === 0 ? 75 : 74; // 継続行は先頭の空白1文字分を除く
+        if (currentBytes + bytes > limit) {
+            chunks.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += bytes;
+    }
+    chunks.push(current);
+
+    return chunks.join('\r\n ');
+}
+
+// CSV形式
+function createCsvWriter() {
+    return {
+        contentType: 'text/csv; charset=utf-8',
+        extension: 'csv',
+        // 表計算ソフトで文字化けしないようBOMを付ける
+        start: () => `\uFEFF${CSV_COLUMNS.join(',')}\r\n`,
+        row: (h) => [
+            h.id, h.member_name, h.activity, h.state, h.message, h.until_at, h.source, h.changed_at,
+            // 変更された項目はセミコロン区切り（activity;state など）
+            h.changed_fields ? parseChangedFields(h).join(';') : null,
+            h.previous_activity, h.previous_state, h.previous_message
+        ]
+            .map(escapeCsv)
+            .join(',') + '\r\n',
+        end: () => ''
+    };
+}
+
+// JSON Lines形式（1行に1件）
+function createNdjsonWriter() {
+    return {
+        contentType: 'application/x-ndjson; charset=utf-8',
+        extension: 'ndjson',
+        start: () => '',
+        row: (h) => JSON.stringify({
+            id: h.id,
+            member: { id: h.member_id, name: h.member_name },
+            activity: h.activity,
+            state: h.state,
+            message: h.message,
+            until_at: h.until_at,
+            source: h.source,
+            changed_at: h.changed_at,
+            previous: h.changed_fields ? {
+                activity: h.previous_activity,
+                state: h.previous_state,
+                message: h.previous_message
+            } : null,
+            changed_fields: parseChangedFields(h)
+        }) + '\n',
+        end: () => ''
+    };
+}
+
+// iCalendar形式（メンバーごとの活動の継続期間を1つの予定にする）
+// 履歴は古い順に渡されるため、メンバーごとに継続中の活動を保持し、活動が変わった時点で予定を出力する
+function createIcsWriter({ rangeEnd }) {
+    const openSpans = new Map(); // member_id → 継続中の活動の最初の履歴
+    const dtstamp = toIcsDate(Date.now());
+
+    const formatEvent = (first, endMs) => {
+        const startMs = parseTimestamp(first.changed_at);
+        if (!(endMs > startMs)) {
+            return '';
+        }
+        const description = [
+            first.state ? `状態: ${first.state}` : null,
+            first.message ? `ひとこと: ${first.message}` : null
+        ].filter(Boolean).join('\n');
+
+        const lines = [
+            'BEGIN:VEVENT',
+            `UID:history-${first.id}@family-status`,
+            `DTSTAMP:${dtstamp}`,
+            `DTSTART:${toIcsDate(startMs)}`,
+            `DTEND:${toIcsDate(endMs)}`,
+            `SUMMARY:${escapeIcsText(`${first.member_name}: ${first.activity}`)}`,
+            description ? `DESCRIPTION:${escapeIcsText(description)}` : null,
+            'END:VEVENT'
+        ].filter(Boolean);
+        return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+    };
+
+    return {
+        contentType: 'text/calendar; charset=utf-8',
+        extension: 'ics',
+        start: () => [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//family-status-sharing//history export//JA',
+            'CALSCALE:GREGORIAN',
+            'X-WR-CALNAME:家族の状況'
+        ].join('\r\n') + '\r\n',
+        row: (h) => {
+            const open = openSpans.get(h.member_id);
+            // 同じ活動が続いている間は1つの予定にまとめる
+            if (open && open.activity === h.activity) {
+                return '';
+            }
+
+            const output = open ? formatEvent(open, parseTimestamp(h.changed_at)) : '';
+            if (h.activity) {
+                openSpans.set(h.member_id, h);
+            } else {
+                openSpans.delete(h.member_id);
+            }
+            return output;
+        },
+        // 継続中の活動は期間の終わり（または現在）までの予定にする
+        end: () => Array.from(openSpans.values())
+            .map(open => formatEvent(open, rangeEnd))
+            .join('') + 'END:VCALENDAR\r\n'
+    };
+}
+
+const EXPORT_WRITERS = {
+    csv: createCsvWriter,
+    ndjson: createNdjsonWriter,
+    ics: createIcsWriter
+};
+
+/**
+ * エクスポート形式の一覧
+ * @returns {Array<string>} 形式名
+ */
+function getExportFormats() {
+    return Object.keys(EXPORT_WRITERS);
+}
+
+/**
+ * 形式ごとの書き出し処理を作成
+ * @param {string} format - 'csv'・'ndjson'・'ics'
+ * @param {Object} options - オプション
+ * @param {number} options.rangeEnd - 継続中の活動の終了とみなす日時（エポックミリ秒、iCalendarのみ使用）
+ * @returns {Object} { contentType, extension, start(), row(h), end() }（各関数は出力する文字列を返す）
+ */
+function createExportWriter(format, options) {
+    return EXPORT_WRITERS[format](options);
+}
+
+module.exports = {
+    getExportFormats,
+    createExportWriter
+};
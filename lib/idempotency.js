@@ -0,0 +1,127 @@
+// Idempotency-Key ヘッダーによる再送の重複防止
+// 同じキーで再送されたリクエストは処理せず、保存した最初の成功の結果（ステータスコード・本文・ETag）を返す
+// キーは処理の前に予約するため、最初のリクエストの処理中に届いた再送は 409 になる
+const crypto = require('crypto');
+const db = require('../db/database');
+
+const IDEMPOTENCY_KEY_HEADER = 'Idempotency-Key';
+const REPLAYED_HEADER = 'Idempotent-Replayed';
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+// 処理中のまま残った予約（処理の途中でサーバーが停止した場合など）を引き継ぐまでの時間（ミリ秒）
+const STALE_RESERVATION_MS = 60 * 1000;
+
+/**
+ * キーの持ち主（端末トークン・APIトークンごとにキーを区別する）
+ * @param {Object|null} reqAuth - req.auth
+ * @returns {string|null} 持ち主（サインインしていない場合は null）
+ */
+function getOwner(reqAuth) {
+    if (!reqAuth) {
+        return null;
+    }
+    return reqAuth.apiTokenId ? `api:${reqAuth.apiTokenId}` : `device:${reqAuth.tokenId}`;
+}
+
+/**
+ * リクエストのハッシュ（同じキーで別の内容が送られた場合の検出用）
+ * @param {Object} req - リクエスト
+ * @returns {string} SHA-256
+ */
+function hashRequest(req) {
+    return crypto.createHash('sha256')
+        .update(`${req.method} ${req.originalUrl}\n${JSON.stringify(req.body || {})}`)
+        .digest('hex');
+}
+
+/**
+ * Idempotency-Key ヘッダーを処理するミドルウェア（認証の後に使う）
+ * サインインしていないリクエスト・GETなどの安全なメソッドではヘッダーを無視する
+ * 処理の前にキーを予約し、成功（2xx）の結果のみ保存する。競合（409）・前提条件の不一致（412）や
+ * サーバーエラーの後は予約を解放するため、版を取り直すなどして同じキーで再試行できる
+ * @param {Object} options - オプション
+ * @param {number} options.ttlMs - 結果を保持する期間（ミリ秒）
+ * @returns {Function} ミドルウェア
+ */
+function idempotency({ ttlMs }) {
+    return (req, res, next) => {
+        const key = req.get(IDEMPOTENCY_KEY_HEADER);
+        const owner = getOwner(req.auth);
+        if (key === undefined || !owner || SAFE_METHODS.includes(req.method)) {
+            return next();
+        }
+        if (!KEY_PATTERN.test(key)) {
+            return res.status(400).json({ error: `${IDEMPOTENCY_KEY_HEADER} は255文字以内の英数字・記号で指定してください`, code: 'INVALID_IDEMPOTENCY_KEY' });
+        }
+
+        const requestHash = hashRequest(req);
+        try {
+            const saved = db.reserveIdempotencyKey({
+                owner,
+                key,
+                requestHash,
+                expiredBefore: new Date(Date.now() - ttlMs).toISOString(),
+                staleBefore: new Date(Date.now() - STALE_RESERVATION_MS).toISOString()
+            });
+            if (saved) {
+                if (saved.request_hash !== requestHash) {
+                    return res.status(422).json({ error: `この${IDEMPOTENCY_KEY_HEADER}は別のリクエストで使われています`, code: 'IDEMPOTENCY_KEY_REUSED' });
+                }
+                if (saved.status === 'in_progress') {
+                    return res.status(409).json({ error: `この${IDEMPOTENCY_KEY_HEADER}のリクエストは処理中です`, code: 'IDEMPOTENCY_KEY_IN_PROGRESS' });
+                }
+                res.set(REPLAYED_HEADER, 'true');
+                if (saved.etag) {
+                    res.set('ETag', saved.etag);
+                }
+                return res.status(saved.status_code).json(JSON.parse(saved.response));
+            }
+        } catch (error) {
+            console.error('Error reserving idempotency key:', error);
+            return res.status(500).json({ error: 'リクエストの処理に失敗しました' });
+        }
+
+        // 成功の結果は保存してからレスポンスを返し、それ以外は予約を解放する
+        let completed = false;
+        const release = () => {
+            if (completed) {
+                return;
+            }
+            completed = true;
+            try {
+                db.releaseIdempotencyKey(owner, key);
+            } catch (error) {
+                console.error('Error releasing idempotency key:', error);
+            }
+        };
+
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            if (!completed && res.statusCode >= 200 && res.statusCode < 300) {
+                completed = true;
+                try {
+                    db.completeIdempotencyKey({
+                        owner,
+                        key,
+                        statusCode: res.statusCode,
+                        response: body,
+                        etag: res.get('ETag') || null
+                    });
+                } catch (error) {
+                    console.error('Error saving idempotency key:', error);
+                    completed = false;
+                }
+            }
+            return json(body);
+        };
+        // JSON以外のレスポンス・接続の切断では結果を保存しない
+        res.on('finish', release);
+        res.on('close', release);
+        next();
+    };
+}
+
+module.exports = {
+    IDEMPOTENCY_KEY_HEADER,
+    idempotency
+};
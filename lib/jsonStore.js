@@ -0,0 +1,78 @@
+const fs = require('fs');
+const path = require('path');
+const events = require('./events');
+
+// 旧形式のJSONデータファイル（後方互換・DB障害時のフォールバック用）
+const DATA_FILE = path.join(__dirname, '..', 'family-status.json');
+
+// JSONに書き出すイベント
+const EXPORT_EVENT_TYPES = [
+    events.EVENT_TYPES.MEMBER_CREATED,
+    events.EVENT_TYPES.MEMBER_UPDATED,
+    events.EVENT_TYPES.MEMBER_DELETED,
+    events.EVENT_TYPES.DATA_RESTORED
+];
+
+// データファイルの初期化
+function initDataFile() {
+    if (!fs.existsSync(DATA_FILE)) {
+        const initialData = {
+            members: []
+        };
+        fs.writeFileSync(DATA_FILE, JSON.stringify(initialData, null, 2));
+    }
+}
+
+// データの読み込み
+function readData() {
+    try {
+        const data = fs.readFileSync(DATA_FILE, 'utf8');
+        return JSON.parse(data);
+    } catch (error) {
+        console.error('Error reading data:', error);
+        return { members: [] };
+    }
+}
+
+// データの書き込み
+function writeData(data) {
+    try {
+        fs.writeFileSync(DATA_FILE, JSON.stringify(data, null, 2));
+        return true;
+    } catch (error) {
+        console.error('Error writing data:', error);
+        return false;
+    }
+}
+
+/**
+ * メンバー変更イベントを購読して、DBの内容をJSONファイルに書き出す
+ * 書き出しに失敗してもSSE配信には影響しない
+ * @param {Function} getMembers - 書き出すメンバー一覧を返す関数
+ * @returns {Function} 購読を解除する関数
+ */
+function startJsonExport(getMembers) {
+    initDataFile();
+
+    return events.subscribe(({ type }) => {
+        if (!EXPORT_EVENT_TYPES.includes(type)) {
+            return;
+        }
+
+        // アーカイブ済みも含めて書き出す（起動時の移行で削除・改名前のメンバーが復活しないように）
+        const members = getMembers().map(m => ({
+            name: m.name,
+            activity: m.activity || '',
+            state: m.state || '',
+            timestamp: m.timestamp
+        }));
+        writeData({ members });
+    });
+}
+
+module.exports = {
+    DATA_FILE,
+    readData,
+    writeData,
+    startJsonExport
+};
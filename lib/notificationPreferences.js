@@ -0,0 +1,128 @@
+// 通知の設定（どのメンバー・活動・状態の変更を通知するか、通知しない時間帯）
+
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// 設定がない場合の既定値（自分以外の全ての変更を通知）
+const DEFAULT_PREFERENCES = {
+    members: null, // 通知するメンバーのID（null は全員）
+    activities: null, // 通知する活動（null は絞り込まない）
+    states: null, // 通知する状態（null は絞り込まない）
+    quietHours: null, // 通知しない時間帯（{ start: 'HH:MM', end: 'HH:MM' }、日をまたいでもよい）
+    notifySelf: false // 自分の変更も通知するか
+};
+
+// 設定の入力のルール（lib/validation.js のスキーマ）
+const PREFERENCES_FIELDS = {
+    members: { type: 'array', nullable: true, items: { type: 'integer' }, message: 'members はメンバーIDの配列または null で指定してください' },
+    activities: { type: 'array', nullable: true, items: { type: 'string', minLength: 1 }, message: 'activities は項目名の配列または null で指定してください' },
+    states: { type: 'array', nullable: true, items: { type: 'string', minLength: 1 }, message: 'states は項目名の配列または null で指定してください' },
+    quietHours: {
+        type: 'object',
+        nullable: true,
+        properties: {
+            start: { type: 'time', required: true },
+            end: { type: 'time', required: true }
+        },
+        message: 'quietHours は { start: "HH:MM", end: "HH:MM" } または null で指定してください'
+    },
+    notifySelf: { type: 'boolean' }
+};
+
+/**
+ * 設定の入力チェック（形式は PREFERENCES_FIELDS で確認済みのもの）
+ * @param {Object} preferences - 設定
+ * @returns {string|null} エラーメッセージ（問題なければ null）
+ */
+function validatePreferences(preferences) {
+    const { quietHours } = preferences;
+    if (quietHours && quietHours.start === quietHours.end) {
+        return 'quietHours の開始と終了は別の時刻を指定してください';
+    }
+    return null;
+}
+
+/**
+ * 保存されている設定に既定値を補う
+ * @param {Object|null} preferences - 保存されている設定
+ * @returns {Object} 設定
+ */
+function withDefaults(preferences) {
+    return { ...DEFAULT_PREFERENCES, ...(preferences || {}) };
+}
+
+/**
+ * 'HH:MM' を0時からの分に変換
+ * @param {string} value - 時刻
+ * @returns {number} 分
+ */
+function toMinutesOfDay(value) {
+    const [, hours, minutes] = TIME_OF_DAY_PATTERN.exec(value);
+    return parseInt(hours, 10) * 60 + parseInt(minutes, 10);
+}
+
+/**
+ * 通知しない時間帯かどうか
+ * @param {Object|null} quietHours - { start, end }
+ * @param {number} now - 現在日時（エポックミリ秒）
+ * @param {string} timeZone - 時間帯を解釈するタイムゾーン
+ * @returns {boolean} 通知しない時間帯かどうか
+ */
+function isQuietTime(quietHours, now, timeZone) {
+    if (!quietHours) {
+        return false;
+    }
+
+    const parts = new Intl.DateTimeFormat('en-US', { timeZone, hourCycle: 'h23', hour: '2-digit', minute: '2-digit' })
+        .formatToParts(new Date(now));
+    const value = (type) => parseInt(parts.find(p => p.type === type).value, 10);
+    const current = value('hour') * 60 + value('minute');
+
+    const start = toMinutesOfDay(quietHours.start);
+    const end = toMinutesOfDay(quietHours.end);
+    // 22:00〜07:00 のように日をまたぐ場合
+    return start < end ? current >= start && current < end : current >= start || current < end;
+}
+
+/**
+ * 状況の変更を通知するかどうか
+ * 活動・状態のどちらかを絞り込んでいる場合は、その項目が変更されて選んだ値になったときのみ通知する
+ * （選んだ値のまま、ひとことなど別の項目が変わっただけの場合は通知しない）
+ * @param {Object} preferences - 設定（既定値を補ったもの）
+ * @param {Object} change - 変更内容
+ * @param {number} change.memberId - 変更されたメンバー
+ * @param {string} change.activity - 変更後の活動
+ * @param {string} change.state - 変更後の状態
+ * @param {Array<string>} change.changedFields - 変更された項目（履歴の changed_fields）
+ * @param {Object} context - 通知を受け取る側の情報
+ * @param {number|null} context.viewerMemberId - 受け取るメンバー（管理者トークンは null）
+ * @param {number} context.now - 現在日時（エポックミリ秒）
+ * @param {string} context.timeZone - 通知しない時間帯を解釈するタイムゾーン
+ * @returns {boolean} 通知するかどうか
+ */
+function shouldNotify(preferences, change, context) {
+    const { members, activities, states, quietHours, notifySelf } = preferences;
+
+    if (!notifySelf && context.viewerMemberId !== null && change.memberId === context.viewerMemberId) {
+        return false;
+    }
+    if (members && !members.includes(change.memberId)) {
+        return false;
+    }
+    if (activities || states) {
+        const changedTo = (field, values) => values && change.changedFields.includes(field) && values.includes(change[field]);
+        const matches = changedTo('activity', activities) || changedTo('state', states);
+        if (!matches) {
+            return false;
+        }
+    }
+    return !isQuietTime(quietHours, context.now, context.timeZone);
+}
+
+module.exports = {
+    PREFERENCES_FIELDS,
+    DEFAULT_PREFERENCES,
+    validatePreferences,
+    withDefaults,
+    isQuietTime,
+    shouldNotify
+};
@@ -0,0 +1,246 @@
+// Web Push通知（状況の変更を購読中の端末に送信し、タブを閉じていても通知を表示する）
+// 暗号化・VAPIDの署名は web-push で作成し、送信は fetch で行う（ローカルの模擬プッシュサービスにも送れるように）
+const webpush = require('web-push');
+const db = require('../db/database');
+const events = require('./events');
+const notificationPreferences = require('./notificationPreferences');
+const { parseTimestamp } = require('./stats');
+
+// VAPID鍵を保存する app_settings のキー
+const VAPID_SETTING_KEY = 'vapid_keys';
+
+// 1回の送信のタイムアウト（ミリ秒）
+const REQUEST_TIMEOUT_MS = 10000;
+
+// 端末がオフラインの間、プッシュサービスに保持してもらう時間（秒）
+const PUSH_TTL_SECONDS = 60 * 60;
+
+/**
+ * VAPID鍵を取得（環境変数で指定されていなければ、初回に生成してDBに保存したものを使う）
+ * @param {Object} [configured] - 環境変数で指定された鍵
+ * @param {string} [configured.publicKey] - 公開鍵（URLセーフBase64）
+ * @param {string} [configured.privateKey] - 秘密鍵（URLセーフBase64）
+ * @returns {Object} { publicKey, privateKey }
+ */
+function loadVapidKeys(configured = {}) {
+    if (configured.publicKey && configured.privateKey) {
+        return { publicKey: configured.publicKey, privateKey: configured.privateKey };
+    }
+
+    const saved = db.getAppSetting(VAPID_SETTING_KEY);
+    if (saved) {
+        return JSON.parse(saved);
+    }
+
+    const keys = webpush.generateVAPIDKeys();
+    db.setAppSetting(VAPID_SETTING_KEY, JSON.stringify(keys));
+    console.log('Generated VAPID keys for Web Push');
+    return keys;
+}
+
+/**
+ * 状況の変更の通知内容を作成
+ * @param {Object} entry - 追加された履歴
+ * @param {Object} member - 対象のメンバー
+ * @returns {Object} { title, body, tag, url }
+ */
+function buildStatusNotification(entry, member) {
+    const updates = [];
+    if (entry.activity) {
+        updates.push(`活動: ${entry.activity}`);
+    }
+    if (entry.state) {
+        updates.push(`状態: ${entry.state}`);
+    }
+    if (entry.message) {
+        updates.push(entry.message);
+    }
+
+    const titles = {
+        expiry: `${member.name}の状況が自動解除されました`,
+        schedule: `${member.name}の状況が予定で更新されました`
+    };
+
+    return {
+        title: titles[entry.source] || `${member.name}の状況が更新されました`,
+        body: updates.length > 0 ? updates.join(' / ') : '状況を更新しました',
+        tag: `status-${member.id}`,
+        url: '/'
+    };
+}
+
+/**
+ * 声かけの通知内容を作成
+ * @param {Object} nudge - 声かけ（送信者の名前付き）
+ * @returns {Object} { title, body, tag, url }
+ */
+function buildNudgeNotification(nudge) {
+    return {
+        title: `${nudge.from_member_name}から声かけ`,
+        body: nudge.message || '👋 声をかけています',
+        tag: `nudge-${nudge.id}`,
+        url: '/'
+    };
+}
+
+/**
+ * 購読した端末の持ち主の通知の設定で、通知するかどうかを判定
+ * @param {Object} subscription - push_subscriptions の行
+ * @param {Object} entry - 追加された履歴
+ * @param {number} now - 現在日時（エポックミリ秒）
+ * @param {string} timeZone - 通知しない時間帯を解釈するタイムゾーン
+ * @returns {boolean} 通知するかどうか
+ */
+function isWantedBySubscriber(subscription, entry, now, timeZone) {
+    const preferences = notificationPreferences.withDefaults(db.getNotificationPreferences({
+        memberId: subscription.member_id,
+        deviceTokenId: subscription.device_token_id
+    }));
+    return notificationPreferences.shouldNotify(
+        preferences,
+        {
+            memberId: entry.member_id,
+            activity: entry.activity,
+            state: entry.state,
+            changedFields: entry.changed_fields ? JSON.parse(entry.changed_fields) : ['activity', 'state']
+        },
+        { viewerMemberId: subscription.member_id, now, timeZone }
+    );
+}
+
+/**
+ * プッシュ送信処理を作成
+ * @param {Object} options - オプション
+ * @param {Object} options.vapidKeys - VAPID鍵（{ publicKey, privateKey }）
+ * @param {string} options.subject - VAPIDの連絡先（mailto: または https: のURL）
+ * @returns {Object} { sendToSubscription, sendToSubscriptions }
+ */
+function createPushSender({ vapidKeys, subject }) {
+    /**
+     * 1件の購読に送信
+     * 購読が無効になっている場合（404・410）は購読を削除する
+     * @param {Object} subscription - push_subscriptions の行
+     * @param {Object} notification - 通知内容
+     * @returns {Promise<Object>} { id, ok, status, error }
+     */
+    async function sendToSubscription(subscription, notification) {
+        let status = null;
+        let error = null;
+        try {
+            const request = webpush.generateRequestDetails(
+                {
+                    endpoint: subscription.endpoint,
+                    keys: { p256dh: subscription.p256dh, auth: subscription.auth }
+                },
+                JSON.stringify(notification),
+                {
+                    vapidDetails: { subject, publicKey: vapidKeys.publicKey, privateKey: vapidKeys.privateKey },
+                    TTL: PUSH_TTL_SECONDS
+                }
+            );
+            const response = await fetch(request.endpoint, {
+                method: request.method,
+                headers: request.headers,
+                body: request.body,
+                signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+            });
+            status = response.status;
+            if (!response.ok) {
+                error = `HTTP ${response.status}`;
+            }
+        } catch (requestError) {
+            error = requestError.message;
+        }
+
+        if (status === 404 || status === 410) {
+            // 端末側で購読が解除された（アプリの削除・通知の拒否など）
+            db.deletePushSubscription(subscription.endpoint);
+        } else {
+            db.recordPushResult(subscription.id, error);
+        }
+        if (error) {
+            console.warn(`Push to subscription ${subscription.id} failed: ${error}`);
+        }
+        return { id: subscription.id, ok: !error, status, error };
+    }
+
+    /**
+     * 複数の購読に送信
+     * @param {Array} subscriptions - push_subscriptions の行
+     * @param {Object} notification - 通知内容
+     * @returns {Promise<Array>} 購読ごとの送信結果
+     */
+    function sendToSubscriptions(subscriptions, notification) {
+        return Promise.all(subscriptions.map(s => sendToSubscription(s, notification)));
+    }
+
+    return {
+        sendToSubscription,
+        sendToSubscriptions
+    };
+}
+
+/**
+ * イベントバスを購読し、状況の変更・声かけをプッシュ通知で送信
+ * SSEと同じ history.appended を受け取るため、APIからの更新と自動解除の両方が通知される
+ * @param {Object} options - オプション
+ * @param {Object} options.vapidKeys - VAPID鍵
+ * @param {string} options.subject - VAPIDの連絡先
+ * @param {string} options.timeZone - 通知しない時間帯を解釈するタイムゾーン
+ * @param {Function} [options.onNudgeDelivered] - 声かけがプッシュサービスに受け付けられたときの処理（引数: 声かけID）
+ * @returns {Object} 送信処理（テスト送信に使用）
+ */
+function startPushNotifier({ vapidKeys, subject, timeZone, onNudgeDelivered = () => {} }) {
+    const sender = createPushSender({ vapidKeys, subject });
+
+    // 状況の変更
+    const notifyStatusChange = ({ entry, member }) => {
+        // 後から届いた過去の更新（オフライン中の更新の再送など）は通知しない
+        if (member.timestamp && parseTimestamp(entry.changed_at) < parseTimestamp(member.timestamp)) {
+            return;
+        }
+
+        // 端末の持ち主ごとの通知の設定（メンバー・項目の絞り込み、通知しない時間帯、自分の変更）で絞り込む
+        const now = Date.now();
+        const subscriptions = db.getActivePushSubscriptions()
+            .filter(subscription => isWantedBySubscriber(subscription, entry, now, timeZone));
+        if (subscriptions.length > 0) {
+            sender.sendToSubscriptions(subscriptions, buildStatusNotification(entry, member))
+                .catch(error => console.error('Error sending push notifications:', error));
+        }
+    };
+
+    // 声かけ（相手に直接送るため、通知の設定の絞り込みは適用しない）
+    const notifyNudge = ({ nudge }) => {
+        const subscriptions = db.getActivePushSubscriptions()
+            .filter(subscription => subscription.member_id === nudge.to_member_id);
+        if (subscriptions.length === 0) {
+            return;
+        }
+        sender.sendToSubscriptions(subscriptions, buildNudgeNotification(nudge))
+            .then(results => {
+                if (results.some(r => r.ok)) {
+                    onNudgeDelivered(nudge.id);
+                }
+            })
+            .catch(error => console.error('Error sending nudge push notifications:', error));
+    };
+
+    events.subscribe(({ type, payload }) => {
+        if (type === events.EVENT_TYPES.HISTORY_APPENDED && payload.member) {
+            notifyStatusChange(payload);
+        } else if (type === events.EVENT_TYPES.NUDGE_SENT) {
+            notifyNudge(payload);
+        }
+    });
+
+    return sender;
+}
+
+module.exports = {
+    loadVapidKeys,
+    buildStatusNotification,
+    buildNudgeNotification,
+    createPushSender,
+    startPushNotifier
+};
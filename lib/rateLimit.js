@@ -0,0 +1,74 @@
+// クライアントごとのリクエスト数の制限（固定ウィンドウ、プロセス内のメモリで数える）
+// サインインしている場合は端末トークン・APIトークンごと、していない場合は接続元のIPアドレスごとに数える
+
+/**
+ * リクエストを数える単位
+ * @param {Object} req - リクエスト
+ * @returns {string} クライアントのキー
+ */
+function getClientKey(req) {
+    if (req.auth) {
+        return req.auth.apiTokenId ? `api:${req.auth.apiTokenId}` : `device:${req.auth.tokenId}`;
+    }
+    return `ip:${req.ip}`;
+}
+
+/**
+ * リクエスト数を制限するミドルウェア（上限を超えると 429 と Retry-After を返す）
+ * 残りの回数は RateLimit-Limit・RateLimit-Remaining・RateLimit-Reset ヘッダーで返す
+ * @param {Object} options - オプション
+ * @param {number} options.windowMs - 数える期間（ミリ秒）
+ * @param {number} options.max - 期間内に受け付ける回数
+ * @param {Function} [options.skip] - 数えないリクエストの判定（引数: req）
+ * @returns {Function} ミドルウェア
+ */
+function rateLimit({ windowMs, max, skip = () => false }) {
+    const windows = new Map();
+
+    // 期間が過ぎたクライアントの記録を削除
+    const timer = setInterval(() => {
+        const now = Date.now();
+        windows.forEach((window, key) => {
+            if (window.resetAt <= now) {
+                windows.delete(key);
+            }
+        });
+    }, windowMs);
+    timer.unref();
+
+    return (req, res, next) => {
+        if (skip(req)) {
+            return next();
+        }
+
+        const now = Date.now();
+        const key = getClientKey(req);
+        let window = windows.get(key);
+        if (!window || window.resetAt <= now) {
+            window = { count: 0, resetAt: now + windowMs };
+            windows.set(key, window);
+        }
+        window.count++;
+
+        const resetSeconds = Math.ceil((window.resetAt - now) / 1000);
+        res.set({
+            'RateLimit-Limit': String(max),
+            'RateLimit-Remaining': String(Math.max(max - window.count, 0)),
+            'RateLimit-Reset': String(resetSeconds)
+        });
+
+        if (window.count > max) {
+            res.set('Retry-After', String(resetSeconds));
+            return res.status(429).json({
+                error: `リクエストが多すぎます。${resetSeconds}秒後にもう一度お試しください`,
+                code: 'RATE_LIMITED',
+                retryAfter: resetSeconds
+            });
+        }
+        next();
+    };
+}
+
+module.exports = {
+    rateLimit
+};
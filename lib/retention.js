@@ -0,0 +1,90 @@
+// 履歴の保持期間（保持期間を過ぎた履歴を日ごとの滞在時間に集約してから削除）
+const db = require('../db/database');
+const { parseTimestamp, getZonedParts, zonedTime, computeTimeSpent } = require('./stats');
+
+const STATUS_CATEGORIES = ['activity', 'state'];
+
+/**
+ * 履歴をそのまま残す期間の始まり（保持日数前の0時）
+ * @param {number} retentionDays - 保持日数
+ * @param {number} now - 現在日時（エポックミリ秒）
+ * @param {string} timeZone - 日の区切りに使うタイムゾーン
+ * @returns {number} エポックミリ秒
+ */
+function resolveCutoff(retentionDays, now, timeZone) {
+    const { year, month, day } = getZonedParts(now, timeZone);
+    return zonedTime(year, month, day - retentionDays, 0, timeZone);
+}
+
+/**
+ * 保持期間を過ぎた履歴を日ごと・メンバーごとの滞在時間に集約して削除
+ * 前回の集約の終わりから今回の区切りまでを集計するため、同じ期間が二重に数えられることはない
+ * @param {Object} options - オプション
+ * @param {number} options.retentionDays - 履歴をそのまま残す日数
+ * @param {string} options.timeZone - 日の区切りに使うタイムゾーン
+ * @param {number} [options.now] - 現在日時（エポックミリ秒）
+ * @param {boolean} [options.dryRun=false] - 件数を数えるのみで変更しない
+ * @returns {Object} { from, until, summaries, deleted, dryRun }（集約する履歴がない場合は summaries・deleted が 0）
+ */
+function compactHistory({ retentionDays, timeZone, now = Date.now(), dryRun = false }) {
+    const until = resolveCutoff(retentionDays, now, timeZone);
+    const compactedUntil = db.getHistoryCompactedUntil();
+    const from = parseTimestamp(compactedUntil || db.getEarliestHistoryTimestamp());
+    const untilIso = new Date(until).toISOString();
+
+    if (Number.isNaN(from) || from >= until) {
+        return { from: null, until: untilIso, summaries: 0, deleted: 0, dryRun };
+    }
+
+    // アーカイブ済みのメンバーも含めて集計
+    const fromIso = new Date(from).toISOString();
+    const summaries = [];
+    db.getAllMembers({ includeArchived: true }).forEach(member => {
+        const entries = db.getHistoryForPeriod(member.id, fromIso, untilIso);
+        const { buckets } = computeTimeSpent(entries, { from, to: until, bucket: 'day', timeZone, now });
+        buckets.forEach(b => STATUS_CATEGORIES.forEach(category => {
+            Object.entries(b[category]).forEach(([label, seconds]) => {
+                if (seconds > 0) {
+                    summaries.push({ memberId: member.id, date: b.label, category, label, seconds });
+                }
+            });
+        }));
+    });
+
+    const deleted = db.compactHistory({ until: untilIso, summaries, dryRun });
+    return { from: fromIso, until: untilIso, summaries: summaries.length, deleted, dryRun };
+}
+
+/**
+ * 履歴の集約を定期的に実行（保持日数が0の場合は何もしない）
+ * @param {Object} options - オプション
+ * @param {number} options.intervalMs - 実行間隔（ミリ秒）
+ * @param {number} options.retentionDays - 履歴をそのまま残す日数
+ * @param {string} options.timeZone - 日の区切りに使うタイムゾーン
+ * @returns {Function} 停止する関数
+ */
+function startRetentionJob({ intervalMs, retentionDays, timeZone }) {
+    if (!(retentionDays > 0)) {
+        return () => {};
+    }
+
+    const run = () => {
+        try {
+            const result = compactHistory({ retentionDays, timeZone });
+            if (result.deleted > 0 || result.summaries > 0) {
+                console.log(`History compacted before ${result.until}: ${result.deleted} rows deleted, ${result.summaries} daily summaries added`);
+            }
+        } catch (error) {
+            console.error('Error compacting history:', error);
+        }
+    };
+
+    run();
+    const timer = setInterval(run, intervalMs);
+    return () => clearInterval(timer);
+}
+
+module.exports = {
+    compactHistory,
+    startRetentionJob
+};
@@ -0,0 +1,236 @@
+// 繰り返しの予定（曜日・時間帯ごとに活動・状態を自動で設定）
+// 予定は開始・終了の時刻（境界）にだけ適用するため、手動で変更した状況は次の境界まで上書きされない
+const db = require('../db/database');
+const expiry = require('./expiry');
+const { parseTimestamp, getZonedParts, zonedTime, formatZonedDate } = require('./stats');
+
+const STATUS_CATEGORIES = ['activity', 'state'];
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 前回の処理日時を保存する app_settings のキー
+const LAST_RUN_SETTING_KEY = 'schedule_last_run_at';
+
+// サーバー停止中に過ぎた境界をさかのぼって適用する上限
+const MAX_CATCH_UP_MS = DAY_MS;
+
+/**
+ * 時刻（'HH:MM'）かどうか
+ * @param {*} value - 値
+ * @returns {boolean} 時刻かどうか
+ */
+function isTimeOfDay(value) {
+    return typeof value === 'string' && TIME_OF_DAY_PATTERN.test(value);
+}
+
+/**
+ * 日付（'YYYY-MM-DD'）かどうか
+ * @param {*} value - 値
+ * @returns {boolean} 日付かどうか
+ */
+function isDateString(value) {
+    return typeof value === 'string' && DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+/**
+ * 'HH:MM' を0時からの分に変換
+ * @param {string} value - 時刻
+ * @returns {number} 分
+ */
+function toMinutesOfDay(value) {
+    const [hours, minutes] = value.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * 期間内に来る予定の境界（開始・終了）を列挙
+ * 日をまたぐ予定（23:00〜06:00 など）の終了は翌日になり、例外の日付は開始日で判定する
+ * @param {Array} schedules - 予定一覧
+ * @param {Array} exceptions - 予定を適用しない日の一覧
+ * @param {number} from - 期間の開始（エポックミリ秒、含まない）
+ * @param {number} to - 期間の終了（エポックミリ秒、含む）
+ * @param {string} timeZone - タイムゾーン
+ * @returns {Array} 境界の一覧（{ type: 'start'|'end', at, schedule }、時刻順）
+ */
+function getBoundaries(schedules, exceptions, from, to, timeZone) {
+    const boundaries = [];
+    const isSkipped = (schedule, date) => exceptions.some(e => e.date === date
+        && e.member_id === schedule.member_id
+        && (e.schedule_id === null || e.schedule_id === schedule.id));
+
+    // 日をまたぐ予定のため、期間の前日から確認する
+    const first = getZonedParts(from - DAY_MS, timeZone);
+    for (let offset = 0; ; offset++) {
+        const dayStart = zonedTime(first.year, first.month, first.day + offset, 0, timeZone);
+        if (dayStart > to) {
+            break;
+        }
+        const { year, month, day } = getZonedParts(dayStart, timeZone);
+        const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+        const date = formatZonedDate(dayStart, timeZone);
+
+        schedules.forEach(schedule => {
+            if (!schedule.days.includes(weekday) || isSkipped(schedule, date)) {
+                return;
+            }
+
+            const startMinutes = toMinutesOfDay(schedule.start_time);
+            const startAt = zonedTime(year, month, day, startMinutes, timeZone);
+            if (startAt > from && startAt <= to) {
+                boundaries.push({ type: 'start', at: startAt, schedule });
+            }
+
+            if (schedule.end_time) {
+                const endMinutes = toMinutesOfDay(schedule.end_time);
+                const endDay = endMinutes > startMinutes ? day : day + 1;
+                const endAt = zonedTime(year, month, endDay, endMinutes, timeZone);
+                if (endAt > from && endAt <= to) {
+                    boundaries.push({ type: 'end', at: endAt, schedule, startAt });
+                }
+            }
+        });
+    }
+
+    // 同じ時刻の場合は終了を先に処理する（18:00 で終わる予定と 18:00 から始まる予定）
+    return boundaries.sort((a, b) => a.at - b.at || (a.type === 'end' ? -1 : 1));
+}
+
+/**
+ * 境界で設定する値を決定
+ * 開始: 予定の活動・状態を設定（終了時刻がある場合は終了まで自動解除しない。既に同じ値なら変更しない）
+ * 終了: 予定で設定した値のままなら、カタログのフォールバック（なければ空）に戻す
+ * @param {Object} boundary - 境界
+ * @param {Object} member - メンバー
+ * @returns {Object|null} 変更内容（変更がない場合は null）
+ */
+function resolveBoundaryChanges(boundary, member) {
+    const { type, at, schedule } = boundary;
+    const changes = {
+        activity: member.activity || '',
+        state: member.state || '',
+        activityExpiresAt: member.activity_expires_at,
+        stateExpiresAt: member.state_expires_at,
+        staleAt: member.stale_at,
+        changedAt: new Date(at).toISOString()
+    };
+    let changed = false;
+
+    STATUS_CATEGORIES.forEach(category => {
+        const value = schedule[category];
+        if (!value) {
+            return;
+        }
+
+        if (type === 'start') {
+            // 既に同じ値の場合は変更せず、履歴にも記録しない
+            if (member[category] === value) {
+                return;
+            }
+            changes[category] = value;
+            changes[`${category}ExpiresAt`] = schedule.end_time
+                ? null
+                : expiry.resolveExpiresAt(category, value, member, undefined, new Date(at));
+            changes.staleAt = null;
+            changed = true;
+        } else if (member[category] === value) {
+            changes[category] = expiry.getFallbackLabel(category, value) || '';
+            changes[`${category}ExpiresAt`] = null;
+            changed = true;
+        }
+    });
+
+    return changed ? changes : null;
+}
+
+/**
+ * 期間内に来た予定の境界を適用
+ * 次の境界は適用しない（手動の変更は次の境界まで予定に上書きされない）
+ * - 予定の登録より前の境界（再起動時にさかのぼった期間の境界など）
+ * - メンバーが最後に手動で変更した日時より前の境界
+ * - 境界の後に状況が変更されている場合（自動解除など）
+ * @param {number} from - 期間の開始（エポックミリ秒、含まない）
+ * @param {number} to - 期間の終了（エポックミリ秒、含む）
+ * @param {string} timeZone - タイムゾーン
+ * @returns {Array} 適用結果の一覧（{ member, history }）
+ */
+function applyDueSchedules(from, to, timeZone) {
+    const schedules = db.getActiveSchedules();
+    if (schedules.length === 0) {
+        return [];
+    }
+
+    const exceptions = db.getScheduleExceptions({
+        fromDate: formatZonedDate(from - DAY_MS, timeZone),
+        toDate: formatZonedDate(to, timeZone)
+    });
+    const boundaries = getBoundaries(schedules, exceptions, from, to, timeZone);
+    const applied = [];
+
+    boundaries.forEach(boundary => {
+        const member = db.getMemberById(boundary.schedule.member_id);
+        if (!member || member.archived_at) {
+            return;
+        }
+        if (boundary.at < parseTimestamp(boundary.schedule.created_at)) {
+            return;
+        }
+        const manualChangeAt = db.getLatestManualChangeAt(member.id);
+        if (manualChangeAt && boundary.at < parseTimestamp(manualChangeAt)) {
+            return;
+        }
+        if (member.timestamp && parseTimestamp(member.timestamp) > boundary.at) {
+            return;
+        }
+
+        const changes = resolveBoundaryChanges(boundary, member);
+        if (!changes) {
+            return;
+        }
+
+        applied.push(db.applyScheduledStatus(member.id, changes));
+    });
+
+    return applied;
+}
+
+/**
+ * 予定のスケジューラーを開始
+ * 前回の処理日時から現在までに来た境界を順に適用する（再起動時は最大1日分さかのぼる）
+ * 処理日時は毎回保存し、再起動時に処理済みの境界を適用し直さないようにする
+ * @param {Object} options - オプション
+ * @param {number} options.intervalMs - チェック間隔（ミリ秒）
+ * @param {string} options.timeZone - 予定の時刻を解釈するタイムゾーン
+ * @param {Function} options.onApplied - 適用があった場合に呼ばれる（引数: 適用結果の一覧）
+ * @returns {Function} スケジューラーを停止する関数
+ */
+function startScheduleRunner({ intervalMs, timeZone, onApplied }) {
+    const saved = parseTimestamp(db.getAppSetting(LAST_RUN_SETTING_KEY));
+    let lastRunAt = Number.isNaN(saved) ? Date.now() : Math.max(saved, Date.now() - MAX_CATCH_UP_MS);
+
+    const run = () => {
+        const now = Date.now();
+        try {
+            const applied = applyDueSchedules(lastRunAt, now, timeZone);
+            lastRunAt = now;
+            db.setAppSetting(LAST_RUN_SETTING_KEY, new Date(now).toISOString());
+            if (applied.length > 0) {
+                onApplied(applied);
+            }
+        } catch (error) {
+            console.error('Error applying schedules:', error);
+        }
+    };
+
+    run();
+    const timer = setInterval(run, intervalMs);
+    return () => clearInterval(timer);
+}
+
+module.exports = {
+    isTimeOfDay,
+    isDateString,
+    getBoundaries,
+    applyDueSchedules,
+    startScheduleRunner
+};
@@ -0,0 +1,167 @@
+// SSEの配信とイベントIDによる再送（Last-Event-ID）を管理
+
+// サーバー起動ごとの識別子（再起動後の古いイベントIDを判別するため、イベントIDに含める）
+const BOOT_ID = Date.now().toString(36);
+
+/**
+ * イベントIDを解析
+ * @param {string|undefined} eventId - "<起動ID>-<連番>" 形式のイベントID
+ * @returns {number|null} 同じ起動中のイベントであれば連番、それ以外は null
+ */
+function parseEventId(eventId) {
+    if (typeof eventId !== 'string') {
+        return null;
+    }
+    const [bootId, seq] = eventId.split('-');
+    const parsed = parseInt(seq, 10);
+    return bootId === BOOT_ID && Number.isInteger(parsed) ? parsed : null;
+}
+
+/**
+ * SSEハブを作成
+ * @param {Object} options - オプション
+ * @param {number} options.bufferSize - 再送用に保持するイベント数
+ * @param {Function} options.getSnapshot - 全体のスナップショットを返す関数（再送できない場合に送信）
+ * @returns {Object} SSEハブ
+ */
+function createSseHub({ bufferSize, getSnapshot }) {
+    // SSE接続を管理する配列
+    const clients = [];
+    // 再送用のイベントバッファ（古い順）
+    const replayBuffer = [];
+    let seq = 0;
+
+    // SSEメッセージの形式に変換
+    function formatMessage(event) {
+        return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`;
+    }
+
+    // スナップショットを送信（イベントIDは最新の連番）
+    function writeSnapshot(res) {
+        res.write(formatMessage({
+            id: `${BOOT_ID}-${seq}`,
+            type: 'snapshot',
+            data: getSnapshot()
+        }));
+    }
+
+    // 再接続時に取りこぼしたイベントを送信（バッファから外れている場合はスナップショット）
+    function writeInitialEvents(res, lastEventId) {
+        const lastSeq = parseEventId(lastEventId);
+
+        if (lastSeq !== null && lastSeq <= seq) {
+            const missed = replayBuffer.filter(event => event.seq > lastSeq);
+            const oldestSeq = replayBuffer.length > 0 ? replayBuffer[0].seq : seq + 1;
+
+            // 取りこぼしがバッファ内に収まっていれば差分のみ送信
+            if (lastSeq === seq || oldestSeq <= lastSeq + 1) {
+                missed.forEach(event => res.write(formatMessage(event)));
+                return missed.length;
+            }
+        }
+
+        writeSnapshot(res);
+        return null;
+    }
+
+    /**
+     * クライアントを接続
+     * @param {Object} req - リクエスト（Last-Event-ID ヘッダー、または lastEventId クエリ）
+     * @param {Object} res - レスポンス
+     */
+    function connect(req, res) {
+        // SSEヘッダーの設定（nginx/openrestyのバッファリングを無効化）
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+        res.setHeader('Connection', 'keep-alive');
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('X-Accel-Buffering', 'no'); // nginxのバッファリングを無効化
+
+        // ステータスコードを明示的に設定
+        res.status(200);
+
+        // 即座にヘッダーを送信
+        res.flushHeaders();
+
+        // EventSource の自動再接続はヘッダー、アプリからの再接続はクエリで最後のイベントIDを受け取る
+        const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+        const replayed = writeInitialEvents(res, lastEventId);
+
+        // クライアントを接続リストに追加
+        const clientId = Date.now() + Math.random();
+        const client = { id: clientId, res };
+        clients.push(client);
+
+        const resumeInfo = replayed === null ? 'snapshot' : `replayed ${replayed} events`;
+        console.log(`SSE Client ${clientId.toFixed(3)} connected (${resumeInfo}). Active clients: ${clients.length}`);
+
+        // クライアント切断時の処理
+        req.on('close', () => {
+            const index = clients.findIndex(c => c.id === clientId);
+            if (index !== -1) {
+                clients.splice(index, 1);
+            }
+            console.log(`SSE Client ${clientId.toFixed(3)} disconnected. Active clients: ${clients.length}`);
+        });
+    }
+
+    // SSEクライアントにメッセージをブロードキャスト
+    function broadcast(message) {
+        let disconnectedClients = [];
+
+        clients.forEach((client, index) => {
+            try {
+                if (!client.res.writableEnded) {
+                    client.res.write(message);
+                } else {
+                    disconnectedClients.push(index);
+                }
+            } catch (error) {
+                console.error('Error sending SSE message:', error);
+                disconnectedClients.push(index);
+            }
+        });
+
+        // 切断されたクライアントを削除
+        disconnectedClients.reverse().forEach(index => {
+            clients.splice(index, 1);
+        });
+
+        if (disconnectedClients.length > 0) {
+            console.log(`Removed ${disconnectedClients.length} disconnected clients. Active: ${clients.length}`);
+        }
+    }
+
+    /**
+     * イベントを配信（連番のIDを付けてバッファに保持）
+     * @param {string} type - イベント種別
+     * @param {Object} data - イベントデータ
+     */
+    function publish(type, data) {
+        seq++;
+        const event = { id: `${BOOT_ID}-${seq}`, seq, type, data };
+
+        replayBuffer.push(event);
+        if (replayBuffer.length > bufferSize) {
+            replayBuffer.shift();
+        }
+
+        broadcast(formatMessage(event));
+    }
+
+    // Keep-Alive: ハートビートを送信（接続維持）
+    function heartbeat() {
+        broadcast(':heartbeat\n\n');
+    }
+
+    return {
+        connect,
+        publish,
+        heartbeat,
+        clientCount: () => clients.length
+    };
+}
+
+module.exports = {
+    createSseHub
+};
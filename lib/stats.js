@@ -0,0 +1,269 @@
+// 状態の履歴から活動・状態ごとの滞在時間を集計
+
+const STATUS_CATEGORIES = ['activity', 'state'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * タイムゾーン名が有効かどうか
+ * @param {string} timeZone - IANAタイムゾーン名（例: 'Asia/Tokyo'）
+ * @returns {boolean} 有効かどうか
+ */
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * 履歴の日時をミリ秒に変換
+ * SQLiteの CURRENT_TIMESTAMP（'YYYY-MM-DD HH:MM:SS'、UTC）の形式も扱う
+ * @param {string} value - 日時文字列
+ * @returns {number} エポックミリ秒（解釈できない場合は NaN）
+ */
+function parseTimestamp(value) {
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value)) {
+        return Date.parse(`${value.replace(' ', 'T')}Z`);
+    }
+    return Date.parse(value);
+}
+
+/**
+ * 指定タイムゾーンでの年月日を取得
+ * @param {number} ms - エポックミリ秒
+ * @param {string} timeZone - タイムゾーン
+ * @returns {Object} { year, month, day, hour, minute, second }
+ */
+function getZonedParts(ms, timeZone) {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    });
+    const parts = {};
+    formatter.formatToParts(new Date(ms)).forEach(({ type, value }) => {
+        parts[type] = parseInt(value, 10);
+    });
+    return parts;
+}
+
+/**
+ * 指定タイムゾーンのUTCからのずれ（ミリ秒）
+ * @param {number} ms - エポックミリ秒
+ * @param {string} timeZone - タイムゾーン
+ * @returns {number} オフセット（東側が正）
+ */
+function getTimeZoneOffset(ms, timeZone) {
+    const p = getZonedParts(ms, timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUtc - (ms - (ms % 1000));
+}
+
+/**
+ * 指定タイムゾーンでの日付・時刻をエポックミリ秒で取得（夏時間の切り替わりも考慮）
+ * @param {number} year - 年
+ * @param {number} month - 月（1〜12）
+ * @param {number} day - 日（範囲外の値は繰り上げ・繰り下げ）
+ * @param {number} minutes - 0時からの分
+ * @param {string} timeZone - タイムゾーン
+ * @returns {number} エポックミリ秒
+ */
+function zonedTime(year, month, day, minutes, timeZone) {
+    const guess = Date.UTC(year, month - 1, day, 0, minutes);
+    const offset = getTimeZoneOffset(guess, timeZone);
+    const result = guess - offset;
+    const actualOffset = getTimeZoneOffset(result, timeZone);
+    return actualOffset === offset ? result : guess - actualOffset;
+}
+
+/**
+ * 指定タイムゾーンでの日付の0時をエポックミリ秒で取得
+ * @param {number} year - 年
+ * @param {number} month - 月（1〜12）
+ * @param {number} day - 日（範囲外の値は繰り上げ・繰り下げ）
+ * @param {string} timeZone - タイムゾーン
+ * @returns {number} エポックミリ秒
+ */
+function zonedMidnight(year, month, day, timeZone) {
+    return zonedTime(year, month, day, 0, timeZone);
+}
+
+/**
+ * 日付を 'YYYY-MM-DD' 形式に
+ * @param {number} ms - エポックミリ秒
+ * @param {string} timeZone - タイムゾーン
+ * @returns {string} 日付
+ */
+function formatZonedDate(ms, timeZone) {
+    const { year, month, day } = getZonedParts(ms, timeZone);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * 区間の開始日時（日: その日の0時、週: 月曜日の0時）
+ * @param {number} ms - エポックミリ秒
+ * @param {string} bucket - 'day' または 'week'
+ * @param {string} timeZone - タイムゾーン
+ * @returns {number} エポックミリ秒
+ */
+function startOfBucket(ms, bucket, timeZone) {
+    const { year, month, day } = getZonedParts(ms, timeZone);
+    if (bucket === 'week') {
+        const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+        const daysSinceMonday = (weekday + 6) % 7;
+        return zonedMidnight(year, month, day - daysSinceMonday, timeZone);
+    }
+    return zonedMidnight(year, month, day, timeZone);
+}
+
+/**
+ * 次の区間の開始日時
+ * @param {number} bucketStart - 区間の開始日時（エポックミリ秒）
+ * @param {string} bucket - 'day' または 'week'
+ * @param {string} timeZone - タイムゾーン
+ * @returns {number} エポックミリ秒
+ */
+function nextBucketStart(bucketStart, bucket, timeZone) {
+    // 夏時間で1日が23時間になる場合もあるため、正午を基準に日付を進める
+    const { year, month, day } = getZonedParts(bucketStart + DAY_MS / 2, timeZone);
+    return zonedMidnight(year, month, day + (bucket === 'week' ? 7 : 1), timeZone);
+}
+
+/**
+ * 期間の指定を解釈
+ * 'YYYY-MM-DD' は家族のタイムゾーンの日付として扱い、終了日はその日の終わりまでを含める
+ * @param {string} value - 日付または日時
+ * @param {string} timeZone - タイムゾーン
+ * @param {boolean} isEnd - 終了日時として解釈するか
+ * @returns {number} エポックミリ秒（解釈できない場合は NaN）
+ */
+function parseRangeBoundary(value, timeZone, isEnd) {
+    const match = DATE_ONLY_PATTERN.exec(value);
+    if (match) {
+        const [, year, month, day] = match.map(Number);
+        return zonedMidnight(year, month, day + (isEnd ? 1 : 0), timeZone);
+    }
+    return Date.parse(value);
+}
+
+/**
+ * 今週の月曜日の0時（期間の既定の開始日時）
+ * @param {number} now - 現在日時（エポックミリ秒）
+ * @param {string} timeZone - タイムゾーン
+ * @returns {number} エポックミリ秒
+ */
+function defaultRangeStart(now, timeZone) {
+    return startOfBucket(now, 'week', timeZone);
+}
+
+/**
+ * 活動・状態ごとの滞在時間を集計
+ * 各履歴の値は次の履歴まで（最後の履歴は終了日時か現在まで）続いたものとして扱い、
+ * 期間・区間の境界をまたぐ部分は切り取る。未設定（空）の時間は含めない
+ * @param {Array} entries - 履歴一覧（古い順、期間開始前の直近1件を含む）
+ * @param {Object} options - オプション
+ * @param {number} options.from - 開始日時（エポックミリ秒）
+ * @param {number} options.to - 終了日時（エポックミリ秒、含まない）
+ * @param {string|null} [options.bucket] - 'day'・'week'、または null（期間全体のみ）
+ * @param {string} options.timeZone - 日・週の区切りに使うタイムゾーン
+ * @param {number} [options.now] - 現在日時（未来の時間は数えない）
+ * @param {Array} [options.dailySummaries] - 集約済みの期間の日ごとの滞在時間（{ date, category, label, seconds }）
+ * @returns {Object} 集計結果（{ totals, buckets }、時間は秒）
+ */
+function computeTimeSpent(entries, options) {
+    const { from, to, bucket = null, timeZone, now = Date.now(), dailySummaries = [] } = options;
+    const end = Math.min(to, now);
+
+    // 区間の一覧（期間の境界で切り取る）
+    const buckets = [];
+    if (bucket) {
+        let bucketStart = startOfBucket(from, bucket, timeZone);
+        while (bucketStart < to) {
+            const bucketEnd = nextBucketStart(bucketStart, bucket, timeZone);
+            buckets.push({
+                label: formatZonedDate(bucketStart, timeZone),
+                start: Math.max(bucketStart, from),
+                end: Math.min(bucketEnd, to),
+                activity: {},
+                state: {}
+            });
+            bucketStart = bucketEnd;
+        }
+    }
+
+    const totals = { activity: {}, state: {} };
+    const add = (target, category, label, ms) => {
+        target[category][label] = (target[category][label] || 0) + ms;
+    };
+
+    entries.forEach((entry, index) => {
+        const next = entries[index + 1];
+        const start = Math.max(parseTimestamp(entry.changed_at), from);
+        const stop = Math.min(next ? parseTimestamp(next.changed_at) : end, end);
+        if (!(stop > start)) {
+            return;
+        }
+
+        STATUS_CATEGORIES.forEach(category => {
+            const label = entry[category];
+            if (!label) {
+                return;
+            }
+            add(totals, category, label, stop - start);
+            buckets.forEach(b => {
+                const overlap = Math.min(stop, b.end) - Math.max(start, b.start);
+                if (overlap > 0) {
+                    add(b, category, label, overlap);
+                }
+            });
+        });
+    });
+
+    // 集約済みの日は日単位でのみ分かるため、その日を含む区間にまとめて加える
+    dailySummaries.forEach(({ date, category, label, seconds }) => {
+        add(totals, category, label, seconds * 1000);
+        const target = buckets.filter(b => b.label <= date).pop() || buckets[0];
+        if (target) {
+            add(target, category, label, seconds * 1000);
+        }
+    });
+
+    const toSeconds = (spent) => Object.fromEntries(
+        Object.entries(spent)
+            .sort((a, b) => b[1] - a[1])
+            .map(([label, ms]) => [label, Math.round(ms / 1000)])
+    );
+
+    return {
+        totals: {
+            activity: toSeconds(totals.activity),
+            state: toSeconds(totals.state)
+        },
+        buckets: buckets.map(b => ({
+            label: b.label,
+            start: new Date(b.start).toISOString(),
+            end: new Date(b.end).toISOString(),
+            activity: toSeconds(b.activity),
+            state: toSeconds(b.state)
+        }))
+    };
+}
+
+module.exports = {
+    isValidTimeZone,
+    parseTimestamp,
+    getZonedParts,
+    zonedTime,
+    formatZonedDate,
+    parseRangeBoundary,
+    defaultRangeStart,
+    computeTimeSpent
+};
@@ -0,0 +1,257 @@
+// リクエストの入力チェック（ルートごとにパス・クエリ・本文のスキーマを宣言する）
+// 形式・長さ・範囲などの構造のチェックのみを行い、カタログに存在するかなどの確認は各ルートで行う
+//
+// スキーマの項目（フィールド名ごとのルール）:
+//   type       'string' | 'integer' | 'boolean' | 'array' | 'object' | 'datetime' | 'date' | 'time' | 'url'
+//   required   必須（undefined・null・空文字を受け付けない）
+//   nullable   null を許可（値を消す指定）
+//   allowEmpty 空文字を許可（nullable と同じく値を消す指定として扱うルート用）
+//   trim       文字数を前後の空白を除いて数える
+//   minLength / maxLength  文字数（配列の場合は件数）
+//   min / max  整数の範囲
+//   pattern    文字列の正規表現
+//   enum       指定できる値の一覧
+//   items      配列の要素のルール（unique: true で重複を許可しない）
+//   properties オブジェクトの各項目のルール
+//   label      メッセージに使う項目の名前（省略時は項目名）
+//   message    エラーメッセージ（省略時は項目の名前と理由から作る）
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+const INTEGER_STRING_PATTERN = /^-?\d+$/;
+const URL_PROTOCOLS = ['http:', 'https:'];
+
+// パス・クエリの値は文字列で届くため、整数・真偽値は文字列の形式で確認する
+const STRING_LOCATIONS = ['params', 'query'];
+
+// 型ごとの既定のメッセージ
+const TYPE_MESSAGES = {
+    string: '文字列で指定してください',
+    integer: '整数で指定してください',
+    boolean: 'true または false で指定してください',
+    array: '配列で指定してください',
+    object: 'オブジェクトで指定してください',
+    datetime: 'ISO形式の日時で指定してください',
+    date: '"YYYY-MM-DD" で指定してください',
+    time: '"HH:MM" で指定してください',
+    url: 'http:// または https:// のURLで指定してください'
+};
+
+/**
+ * 入力エラーの詳細
+ * @param {string} location - 'params' | 'query' | 'body'
+ * @param {string} field - 項目名（入れ子は 'keys.auth'、配列の要素は 'days[0]'）
+ * @param {string} code - 理由（required, type, too_short, too_long, out_of_range, invalid_format, not_allowed, duplicate）
+ * @param {string} message - メッセージ
+ * @returns {Object} { location, field, code, message }
+ */
+function fieldError(location, field, code, message) {
+    return { location, field, code, message };
+}
+
+// 理由ごとの既定のメッセージ（英字の項目名の後には空白を入れる: 'memberId が必要です'、'名前が必要です'）
+function defaultMessage(field, code, rule) {
+    const name = rule.label || field;
+    const subject = /[\x21-\x7e]$/.test(name) ? `${name} ` : name;
+    const unit = rule.type === 'array' ? '件' : '文字';
+    switch (code) {
+    case 'required':
+        return `${subject}が必要です`;
+    case 'too_short':
+        return `${subject}は${rule.minLength}${unit}以上で指定してください`;
+    case 'too_long':
+        return `${subject}は${rule.maxLength}${unit}以内で指定してください`;
+    case 'out_of_range':
+        if (rule.min !== undefined && rule.max !== undefined) {
+            return `${subject}は${rule.min}〜${rule.max}の整数で指定してください`;
+        }
+        return rule.min !== undefined
+            ? `${subject}は${rule.min}以上の整数で指定してください`
+            : `${subject}は${rule.max}以下の整数で指定してください`;
+    case 'not_allowed':
+        return `${subject}は ${rule.enum.join('・')} のいずれかで指定してください`;
+    case 'duplicate':
+        return `${subject}に同じ値が含まれています`;
+    case 'invalid_format':
+        return `${subject}の形式が不正です`;
+    default: {
+        const typeMessage = TYPE_MESSAGES[rule.type] || '正しい形式で指定してください';
+        return `${subject}は${/^[\x21-\x7e]/.test(typeMessage) ? ' ' : ''}${typeMessage}`;
+    }
+    }
+}
+
+// 値の型の確認
+function matchesType(rule, value, asString) {
+    switch (rule.type) {
+    case 'string':
+        return typeof value === 'string';
+    case 'integer':
+        return asString
+            ? typeof value === 'string' && INTEGER_STRING_PATTERN.test(value) && Number.isSafeInteger(Number(value))
+            : Number.isInteger(value);
+    case 'boolean':
+        return asString ? value === 'true' || value === 'false' : typeof value === 'boolean';
+    case 'array':
+        return Array.isArray(value);
+    case 'object':
+        return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    case 'datetime':
+        return typeof value === 'string' && DATETIME_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+    case 'date':
+        return typeof value === 'string' && DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+    case 'time':
+        return typeof value === 'string' && TIME_OF_DAY_PATTERN.test(value);
+    case 'url':
+        try {
+            return typeof value === 'string' && URL_PROTOCOLS.includes(new URL(value).protocol);
+        } catch (error) {
+            return false;
+        }
+    default:
+        return true;
+    }
+}
+
+/**
+ * 1つの値をルールで確認
+ * @param {Object} rule - ルール
+ * @param {*} value - 値
+ * @param {Object} context - { location, field, asString }
+ * @returns {Array} 入力エラーの詳細の一覧（問題なければ空）
+ */
+function checkValue(rule, value, { location, field, asString }) {
+    const fail = (code) => [fieldError(location, field, code, rule.message || defaultMessage(field, code, rule))];
+
+    if (value === undefined || value === null || (value === '' && rule.allowEmpty)) {
+        if (rule.required || (value === null && !rule.nullable && !rule.allowEmpty)) {
+            return fail('required');
+        }
+        return [];
+    }
+    if (!matchesType(rule, value, asString)) {
+        return fail('type');
+    }
+
+    if (rule.type === 'string') {
+        const length = (rule.trim ? value.trim() : value).length;
+        if (length === 0 && (rule.required || rule.minLength > 0)) {
+            return fail('required');
+        }
+        if (rule.minLength !== undefined && length < rule.minLength) {
+            return fail('too_short');
+        }
+        if (rule.maxLength !== undefined && length > rule.maxLength) {
+            return fail('too_long');
+        }
+        if (rule.pattern && !rule.pattern.test(value)) {
+            return fail('invalid_format');
+        }
+    }
+    if (rule.type === 'integer') {
+        const number = Number(value);
+        if ((rule.min !== undefined && number < rule.min) || (rule.max !== undefined && number > rule.max)) {
+            return fail('out_of_range');
+        }
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+        return fail('not_allowed');
+    }
+
+    if (rule.type === 'array') {
+        if (rule.minLength !== undefined && value.length < rule.minLength) {
+            return fail('too_short');
+        }
+        if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+            return fail('too_long');
+        }
+        if (rule.items) {
+            const errors = value.flatMap((item, index) => checkValue(
+                { message: rule.message, ...rule.items },
+                item,
+                { location, field: `${field}[${index}]`, asString: false }
+            ));
+            if (errors.length > 0) {
+                return errors;
+            }
+            if (rule.items.unique && new Set(value).size !== value.length) {
+                return fail('duplicate');
+            }
+        }
+    }
+    if (rule.type === 'object' && rule.properties) {
+        return checkFields(rule.properties, value, location, `${field}.`);
+    }
+    return [];
+}
+
+// スキーマの全項目を確認
+function checkFields(schema, values, location, prefix = '') {
+    const asString = STRING_LOCATIONS.includes(location);
+    return Object.entries(schema).flatMap(([name, rule]) => checkValue(rule, values[name], {
+        location,
+        field: `${prefix}${name}`,
+        asString
+    }));
+}
+
+/**
+ * 入力エラーのレスポンスを返す（最初のエラーのメッセージを error に入れる）
+ * @param {Object} res - レスポンス
+ * @param {Array} details - 入力エラーの詳細の一覧
+ */
+function sendValidationError(res, details) {
+    res.status(400).json({ error: details[0].message, code: 'VALIDATION_FAILED', details });
+}
+
+/**
+ * 1つの項目の入力エラーのレスポンスを返す（各ルートでの、カタログとの照合などのチェック用）
+ * @param {Object} res - レスポンス
+ * @param {string} field - 項目名
+ * @param {string} code - 理由
+ * @param {string} message - メッセージ
+ * @param {string} [location='body'] - 'params' | 'query' | 'body'
+ */
+function rejectField(res, field, code, message, location = 'body') {
+    sendValidationError(res, [fieldError(location, field, code, message)]);
+}
+
+/**
+ * スキーマで入力をチェックするミドルウェア（問題があれば 400 VALIDATION_FAILED を返す）
+ * 値の変換はしないため、整数のパラメーターなどはルート側で parseInt する
+ * @param {Object} schema - { params, query, body, requireAny }（それぞれ項目名 → ルール）
+ *   requireAny は本文で少なくとも1つ指定が必要な項目名の一覧（変更する項目のみ送る PATCH 用）
+ * @returns {Function} ミドルウェア
+ */
+function validate(schema) {
+    return (req, res, next) => {
+        const details = [];
+        ['params', 'query', 'body'].forEach(location => {
+            if (!schema[location]) {
+                return;
+            }
+            const values = req[location] === undefined ? {} : req[location];
+            if (!values || typeof values !== 'object' || Array.isArray(values)) {
+                details.push(fieldError(location, '', 'type', 'リクエストの本文はJSONオブジェクトで指定してください'));
+                return;
+            }
+            details.push(...checkFields(schema[location], values, location));
+        });
+
+        if (details.length === 0 && schema.requireAny && schema.requireAny.every(name => req.body[name] === undefined)) {
+            details.push(fieldError('body', schema.requireAny[0], 'required',
+                `${schema.requireAny.join('・')} のいずれかを指定してください`));
+        }
+
+        if (details.length > 0) {
+            return sendValidationError(res, details);
+        }
+        next();
+    };
+}
+
+module.exports = {
+    validate,
+    rejectField,
+    sendValidationError
+};
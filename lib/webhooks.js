@@ -0,0 +1,201 @@
+// Webhook配信（イベントバスの変更をHMAC署名付きのJSONで外部に送信し、失敗時は間隔を空けて再送）
+const crypto = require('crypto');
+const db = require('../db/database');
+const events = require('./events');
+
+// 署名・イベント情報を載せるヘッダー
+const SIGNATURE_HEADER = 'X-Family-Board-Signature';
+const TIMESTAMP_HEADER = 'X-Family-Board-Timestamp';
+const EVENT_HEADER = 'X-Family-Board-Event';
+const DELIVERY_HEADER = 'X-Family-Board-Delivery';
+
+// 「テスト送信」で送るイベント種別
+const TEST_EVENT_TYPE = 'webhook.test';
+
+// 1回の送信のタイムアウト（ミリ秒）
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * 署名用のシークレットを生成
+ * @returns {string} ランダムな文字列
+ */
+function generateSecret() {
+    return crypto.randomBytes(24).toString('hex');
+}
+
+/**
+ * 送信内容に署名（"<タイムスタンプ>.<本文>" の HMAC-SHA256）
+ * 受信側は同じ計算をして X-Family-Board-Signature と比較する
+ * @param {string} secret - シークレット
+ * @param {string} timestamp - X-Family-Board-Timestamp の値（UNIX秒）
+ * @param {string} body - 送信するJSON文字列
+ * @returns {string} 'sha256=<16進数>'
+ */
+function signPayload(secret, timestamp, body) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+}
+
+/**
+ * イベントの対象メンバーIDを取得（メンバーに関係しないイベントは null）
+ * @param {Object} payload - イベントデータ
+ * @returns {number|null} メンバーID
+ */
+function getEventMemberId(payload) {
+    if (payload.member && payload.member.id !== undefined) {
+        return payload.member.id;
+    }
+    return payload.entry ? payload.entry.member_id : null;
+}
+
+/**
+ * 再送までの待ち時間（指数バックオフ: base, base*2, base*4, ...）
+ * @param {number} attempts - これまでの試行回数
+ * @param {number} baseMs - 初回の待ち時間
+ * @returns {number} ミリ秒
+ */
+function getRetryDelay(attempts, baseMs) {
+    return baseMs * 2 ** (attempts - 1);
+}
+
+/**
+ * Webhookディスパッチャーを作成
+ * @param {Object} options - オプション
+ * @param {number} options.maxAttempts - 最大試行回数（これを超えると failed）
+ * @param {number} options.retryBaseMs - 初回の再送までの待ち時間
+ * @returns {Object} { enqueue, sendTestEvent, processDueDeliveries }
+ */
+function createWebhookDispatcher({ maxAttempts, retryBaseMs }) {
+    let processing = false;
+
+    // 1件送信して結果を記録
+    async function deliver(delivery) {
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const attempts = delivery.attempts + 1;
+
+        let responseStatus = null;
+        let error = null;
+        try {
+            const response = await fetch(delivery.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'family-status-sharing-webhook',
+                    [EVENT_HEADER]: delivery.event_type,
+                    [DELIVERY_HEADER]: String(delivery.id),
+                    [TIMESTAMP_HEADER]: timestamp,
+                    [SIGNATURE_HEADER]: signPayload(delivery.secret, timestamp, delivery.payload)
+                },
+                body: delivery.payload,
+                signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+            });
+            responseStatus = response.status;
+            if (!response.ok) {
+                error = `HTTP ${response.status}`;
+            }
+        } catch (requestError) {
+            error = requestError.message;
+        }
+
+        if (!error) {
+            db.updateWebhookDelivery(delivery.id, { status: 'succeeded', attempts, responseStatus });
+            return;
+        }
+
+        const giveUp = attempts >= maxAttempts;
+        db.updateWebhookDelivery(delivery.id, {
+            status: giveUp ? 'failed' : 'pending',
+            attempts,
+            responseStatus,
+            error,
+            nextAttemptAt: giveUp ? null : new Date(Date.now() + getRetryDelay(attempts, retryBaseMs)).toISOString()
+        });
+        console.warn(`Webhook delivery ${delivery.id} failed (attempt ${attempts}/${maxAttempts}): ${error}`);
+    }
+
+    /**
+     * 送信時刻を過ぎた配信をまとめて送信（実行中の場合は何もしない）
+     */
+    async function processDueDeliveries() {
+        if (processing) {
+            return;
+        }
+        processing = true;
+        try {
+            let due = db.getDueWebhookDeliveries(new Date().toISOString());
+            while (due.length > 0) {
+                for (const delivery of due) {
+                    await deliver(delivery);
+                }
+                due = db.getDueWebhookDeliveries(new Date().toISOString());
+            }
+        } catch (error) {
+            console.error('Error processing webhook deliveries:', error);
+        } finally {
+            processing = false;
+        }
+    }
+
+    /**
+     * イベントを送信待ちとして記録し、送信を開始
+     * @param {Object} webhook - 送信先のWebhook
+     * @param {string} type - イベント種別
+     * @param {Object} data - イベントデータ
+     * @param {string} [occurredAt] - 発生日時
+     * @returns {Object} 登録された配信
+     */
+    function enqueue(webhook, type, data, occurredAt = new Date().toISOString()) {
+        const payload = JSON.stringify({ event: type, occurredAt, data });
+        const delivery = db.createWebhookDelivery({ webhookId: webhook.id, eventType: type, payload });
+        setImmediate(processDueDeliveries);
+        return delivery;
+    }
+
+    /**
+     * テストイベントを送信（有効・無効やイベント種別の設定に関係なく送る）
+     * @param {Object} webhook - 送信先のWebhook
+     * @returns {Object} 登録された配信
+     */
+    function sendTestEvent(webhook) {
+        return enqueue(webhook, TEST_EVENT_TYPE, { message: 'テスト送信です', webhook: { id: webhook.id } });
+    }
+
+    return {
+        enqueue,
+        sendTestEvent,
+        processDueDeliveries
+    };
+}
+
+/**
+ * イベントバスを購読してWebhookを配信し、再送待ちの配信を定期的に処理
+ * @param {Object} options - オプション
+ * @param {number} options.intervalMs - 再送待ちを確認する間隔
+ * @param {number} options.maxAttempts - 最大試行回数
+ * @param {number} options.retryBaseMs - 初回の再送までの待ち時間
+ * @returns {Object} ディスパッチャー（テスト送信に使用）
+ */
+function startWebhookDispatcher({ intervalMs, maxAttempts, retryBaseMs }) {
+    const dispatcher = createWebhookDispatcher({ maxAttempts, retryBaseMs });
+
+    events.subscribe(({ type, payload, publishedAt }) => {
+        const webhooks = db.getWebhooksForEvent(type, getEventMemberId(payload));
+        webhooks.forEach(webhook => dispatcher.enqueue(webhook, type, payload, publishedAt));
+    });
+
+    // 再起動前に送れなかった配信・再送待ちの配信
+    setInterval(dispatcher.processDueDeliveries, intervalMs);
+    setImmediate(dispatcher.processDueDeliveries);
+
+    return dispatcher;
+}
+
+module.exports = {
+    SIGNATURE_HEADER,
+    TIMESTAMP_HEADER,
+    EVENT_HEADER,
+    TEST_EVENT_TYPE,
+    generateSecret,
+    signPayload,
+    startWebhookDispatcher
+};
@@ -0,0 +1,2672 @@
+// API エンドポイント
+// ウィンドウのオリジンを使用（自動的に正しいホストとポートを使用）
+const API_BASE = window.location.origin;
+const API_STATUS = `${API_BASE}/api/status`;
+const API_CONFIG = `${API_BASE}/api/config`;
+const API_HISTORY = `${API_BASE}/api/history`;
+const API_MEMBERS = `${API_BASE}/api/members`;
+const API_CATALOG = `${API_BASE}/api/catalog`;
+const API_AUTH = `${API_BASE}/api/auth`;
+const API_PUSH = `${API_BASE}/api/push`;
+const API_NOTIFICATION_PREFERENCES = `${API_BASE}/api/notification-preferences`;
+const API_NUDGES = `${API_BASE}/api/nudges`;
+
+// グローバル変数
+let pollingInterval = 5; // デフォルト5秒（フォールバック用）
+let pollingTimer = null;
+let lastStatusHash = null; // 前回のステータスハッシュ
+let notificationPermission = 'default'; // 通知許可状態
+let lastErrorTime = 0; // 最後のエラー表示時刻
+const ERROR_DISPLAY_INTERVAL = 10000; // エラー表示の最小間隔（ミリ秒）
+let timeUpdateInterval = null; // 時刻更新用のインターバル
+let currentMembers = []; // 現在表示中のメンバー情報
+let currentHistoryItems = []; // 現在表示中の履歴アイテム
+let registeredMembers = []; // 登録済みメンバー（アーカイブ済みを含む）
+let lastMemberProfileHash = null; // 前回のメンバー構成ハッシュ
+let statusCatalog = []; // 活動・状態カタログ（無効化された項目を含む）
+
+// サインイン状態
+const authState = {
+    token: null,
+    member: null,
+    isAdmin: false
+};
+
+// SSE関連の変数
+let eventSource = null;
+let reconnectTimer = null;
+let reconnectAttempts = 0;
+const RECONNECT_INTERVAL = 3000; // 3秒後に再接続
+const MAX_RECONNECT_ATTEMPTS = 10; // 最大再接続試行回数
+let useSSE = true; // SSEを使用するかどうか
+let lastEventId = null; // 最後に受信したSSEイベントID（再接続時の差分再送に使用）
+
+// オフライン中の状況の更新（IndexedDBに保存し、オンラインに戻ったら順番に再送）
+const OFFLINE_QUEUE = {
+    DB_NAME: 'family-status',
+    STORE_NAME: 'pendingStatusUpdates'
+};
+let offlineQueueDb = null; // IndexedDBを開く Promise
+let pendingStatusCount = 0; // 送信待ちの件数
+
+// 直前の変更の取り消し（undo）
+const UNDO_BAR_MS = 10000; // 取り消しボタンを表示する時間
+let undoTarget = null; // 取り消す履歴
+let undoTimer = null;
+let isFlushingStatusQueue = false;
+
+// この端末のWeb Pushの購読（購読中はページ内の通知を出さず、Service Workerの通知に任せる）
+let pushSubscription = null;
+
+// 声かけ（自分が送った・受け取ったもの）
+const nudgeState = {
+    nudges: [], // 新しい順
+    responses: ['今行く', 'あとで', '了解'] // 返事の選択肢（サーバーから取得）
+};
+
+// 通知の設定（サーバーに保存。サインインしていない場合は null で、全ての変更を通知）
+let notificationPrefs = null; // { preferences, timeZone }
+
+// APIのエラーコードごとの表示メッセージ（ここにないコードはサーバーのメッセージをそのまま表示）
+const ERROR_MESSAGES = {
+    AUTH_REQUIRED: 'サインインが切れました。もう一度サインインしてください',
+    ADMIN_REQUIRED: 'この操作には管理者権限が必要です',
+    INVALID_PIN: 'PINが正しくありません',
+    PIN_NOT_SET: 'PINが設定されていません。管理者に設定を依頼してください',
+    MEMBER_NOT_FOUND: 'メンバーが見つかりません。画面を更新してください',
+    DUPLICATE_NAME: '同じ名前のメンバーが既にいます',
+    VERSION_MISMATCH: '他の端末で状況が更新されました。最新の状況を確認してください',
+    UPDATE_CONFLICT: '同時に別の更新がありました。もう一度お試しください',
+    IDEMPOTENCY_KEY_IN_PROGRESS: '同じ更新を送信中です。しばらくしてから状況を確認してください',
+    NOTHING_TO_UNDO: '取り消せる変更がありません',
+    UNDO_SUPERSEDED: 'この後に別の変更があるため取り消せません',
+    UNDO_NOT_ALLOWED: '自動で記録された変更は取り消せません',
+    UNDO_WINDOW_EXPIRED: '取り消せる時間を過ぎました',
+    HISTORY_NOT_FOUND: '履歴が見つかりません。画面を更新してください',
+    LATEST_HISTORY_LOCKED: '最新の履歴は、取り消しか状況の更新で変更してください',
+    HISTORY_COMPACTED: '集約済みの期間の履歴は変更できません',
+    NUDGE_ALREADY_ACKNOWLEDGED: 'この声かけには返事済みです',
+    RATE_LIMITED: '操作が多すぎます。少し待ってからお試しください',
+    PAYLOAD_TOO_LARGE: '送信する内容が大きすぎます',
+    SERVICE_UNAVAILABLE: 'サーバーの準備ができていません。しばらくしてからお試しください',
+    INTERNAL_ERROR: 'サーバーでエラーが発生しました'
+};
+
+// ローカルストレージのキー
+const STORAGE_KEYS = {
+    POLLING_INTERVAL: 'pollingInterval',
+    USER_NAME: 'userName', // 旧形式（名前で保存）
+    USER_ID: 'userId',
+    AUTH_TOKEN: 'authToken',
+    NOTIFICATION_ENABLED: 'notificationEnabled'
+};
+
+// DOM要素
+const elements = {
+    familyStatus: document.getElementById('familyStatus'),
+    userName: document.getElementById('userName'),
+    signedInPanel: document.getElementById('signedInPanel'),
+    signedInName: document.getElementById('signedInName'),
+    signOutBtn: document.getElementById('signOutBtn'),
+    signInPanel: document.getElementById('signInPanel'),
+    signInPin: document.getElementById('signInPin'),
+    signInBtn: document.getElementById('signInBtn'),
+    pinSettingItem: document.getElementById('pinSettingItem'),
+    changePinBtn: document.getElementById('changePinBtn'),
+    memberManageSection: document.getElementById('memberManageSection'),
+    statusDuration: document.getElementById('statusDuration'),
+    statusMessage: document.getElementById('statusMessage'),
+    statusUntil: document.getElementById('statusUntil'),
+    sendMessageBtn: document.getElementById('sendMessageBtn'),
+    clearMessageBtn: document.getElementById('clearMessageBtn'),
+    activityButtons: document.getElementById('activityButtons'),
+    stateButtons: document.getElementById('stateButtons'),
+    settingsBtn: document.getElementById('settingsBtn'),
+    mainView: document.getElementById('mainView'),
+    historyView: document.getElementById('historyView'),
+    settingsView: document.getElementById('settingsView'),
+    cancelSettingsBtn: document.getElementById('cancelSettings'),
+    currentTab: document.getElementById('currentTab'),
+    historyTab: document.getElementById('historyTab'),
+    timelineTab: document.getElementById('timelineTab'),
+    timelineView: document.getElementById('timelineView'),
+    timelineDate: document.getElementById('timelineDate'),
+    timelinePrevDay: document.getElementById('timelinePrevDay'),
+    timelineNextDay: document.getElementById('timelineNextDay'),
+    timelineToday: document.getElementById('timelineToday'),
+    timelineChart: document.getElementById('timelineChart'),
+    timelineDetail: document.getElementById('timelineDetail'),
+    historyList: document.getElementById('historyList'),
+    historyMemberFilter: document.getElementById('historyMemberFilter'),
+    historyDateFilter: document.getElementById('historyDateFilter'),
+    loadMoreHistory: document.getElementById('loadMoreHistory'),
+    historyExportFormat: document.getElementById('historyExportFormat'),
+    downloadHistoryBtn: document.getElementById('downloadHistoryBtn'),
+    memberManageList: document.getElementById('memberManageList'),
+    newMemberName: document.getElementById('newMemberName'),
+    newMemberEmoji: document.getElementById('newMemberEmoji'),
+    newMemberColor: document.getElementById('newMemberColor'),
+    addMemberBtn: document.getElementById('addMemberBtn'),
+    pendingUpdates: document.getElementById('pendingUpdates'),
+    undoBar: document.getElementById('undoBar'),
+    undoMessage: document.getElementById('undoMessage'),
+    undoBtn: document.getElementById('undoBtn'),
+    pushSettingItem: document.getElementById('pushSettingItem'),
+    pushStatus: document.getElementById('pushStatus'),
+    pushToggleBtn: document.getElementById('pushToggleBtn'),
+    pushTestBtn: document.getElementById('pushTestBtn'),
+    notificationPrefsItem: document.getElementById('notificationPrefsItem'),
+    prefMembers: document.getElementById('prefMembers'),
+    prefActivities: document.getElementById('prefActivities'),
+    prefStates: document.getElementById('prefStates'),
+    prefQuietStart: document.getElementById('prefQuietStart'),
+    prefQuietEnd: document.getElementById('prefQuietEnd'),
+    prefNotifySelf: document.getElementById('prefNotifySelf'),
+    saveNotificationPrefsBtn: document.getElementById('saveNotificationPrefsBtn'),
+    nudgeInbox: document.getElementById('nudgeInbox'),
+    nudgeInboxList: document.getElementById('nudgeInboxList'),
+    nudgeOutbox: document.getElementById('nudgeOutbox'),
+    nudgeOutboxList: document.getElementById('nudgeOutboxList')
+};
+
+// 現在の選択状態
+const currentSelection = {
+    activity: null,
+    state: null
+};
+
+// 履歴表示の状態
+const historyState = {
+    currentMember: '',
+    currentDateFilter: 'today',
+    offset: 0,
+    limit: 50,
+    hasMore: false,
+    isLoading: false
+};
+
+// タイムライン表示の状態
+const timelineState = {
+    date: new Date(new Date().setHours(0, 0, 0, 0)), // 表示中の日（0時）
+    rows: [], // メンバーごとの活動・状態の区間
+    requestId: 0 // 日付を素早く切り替えたときに古い応答を破棄するため
+};
+
+// 初期化
+function init() {
+    loadSettings();
+    loadAuth();
+    loadMembers();
+    loadCatalog();
+    initializeNotifications();
+    setupEventListeners();
+    registerServiceWorker();
+    loadPushSubscription();
+    flushStatusQueue();
+
+    // SSEがサポートされているかチェック
+    if (typeof EventSource !== 'undefined' && useSSE) {
+        connectSSE();
+    } else {
+        console.warn('EventSource not supported, using polling fallback');
+        fetchStatus();
+        startPolling();
+    }
+
+    // 時刻のリアルタイム更新を開始（1分ごと）
+    startTimeUpdateInterval();
+}
+
+// 設定の読み込み
+function loadSettings() {
+    const savedInterval = localStorage.getItem(STORAGE_KEYS.POLLING_INTERVAL);
+    if (savedInterval) {
+        pollingInterval = parseInt(savedInterval, 10);
+    }
+}
+
+// 認証ヘッダー（サインインしていない場合は空）
+function authHeaders() {
+    return authState.token ? { 'Authorization': `Bearer ${authState.token}` } : {};
+}
+
+// 保存されたトークンでサインイン状態を確認
+async function loadAuth() {
+    authState.token = localStorage.getItem(STORAGE_KEYS.AUTH_TOKEN);
+    if (!authState.token) {
+        renderAuthState();
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_AUTH}/me`, { headers: authHeaders() });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: Failed to fetch auth state`);
+        }
+        const data = await response.json();
+
+        if (data.authenticated) {
+            authState.member = data.member;
+            authState.isAdmin = data.isAdmin;
+        } else {
+            // トークンが失効している
+            clearAuth();
+        }
+    } catch (error) {
+        // 通信エラーの場合はトークンを保持したまま（オフライン時に消さない）
+        console.error('Error fetching auth state:', error);
+    }
+
+    renderAuthState();
+    loadNotificationPrefs();
+    loadNudges();
+}
+
+// サインイン状態をクリア
+function clearAuth() {
+    authState.token = null;
+    authState.member = null;
+    authState.isAdmin = false;
+    notificationPrefs = null;
+    nudgeState.nudges = [];
+    localStorage.removeItem(STORAGE_KEYS.AUTH_TOKEN);
+}
+
+// サインイン状態の表示を更新
+function renderAuthState() {
+    const signedIn = Boolean(authState.token && (authState.member || authState.isAdmin));
+
+    elements.signedInPanel.classList.toggle('hidden', !signedIn);
+    elements.signInPanel.classList.toggle('hidden', signedIn);
+    elements.pinSettingItem.classList.toggle('hidden', !authState.member);
+    elements.memberManageSection.classList.toggle('hidden', !authState.isAdmin);
+    elements.pushSettingItem.classList.toggle('hidden', !signedIn || !isPushSupported());
+    elements.notificationPrefsItem.classList.toggle('hidden', !signedIn);
+
+    // 声かけボタン・声かけの一覧はサインイン中のメンバーによって変わる
+    renderNudges();
+    if (currentMembers.length > 0) {
+        displayStatus(currentMembers);
+    }
+
+    if (signedIn) {
+        const member = authState.member;
+        elements.signedInName.textContent = member
+            ? `${member.emoji || ''} ${member.name}${authState.isAdmin ? '（管理者）' : ''}`.trim()
+            : '🔑 管理者';
+    }
+}
+
+// サインイン
+async function signIn() {
+    const selected = elements.userName.value;
+    const pin = elements.signInPin.value;
+
+    if (!selected) {
+        showError('名前を選択してください');
+        return;
+    }
+    if (!pin) {
+        showError('PINを入力してください');
+        return;
+    }
+
+    const body = selected === 'admin'
+        ? { admin: true, pin, deviceName: navigator.userAgent }
+        : { memberId: parseInt(selected, 10), pin, deviceName: navigator.userAgent };
+
+    try {
+        const response = await fetch(`${API_AUTH}/login`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            throw new Error(describeApiError(data, 'Failed to sign in'));
+        }
+
+        authState.token = data.token;
+        authState.member = data.member;
+        authState.isAdmin = data.isAdmin;
+        localStorage.setItem(STORAGE_KEYS.AUTH_TOKEN, data.token);
+        elements.signInPin.value = '';
+        saveUserName();
+        renderAuthState();
+        loadNotificationPrefs();
+        loadNudges();
+        flushStatusQueue();
+        if (pushSubscription) {
+            registerPushSubscription(pushSubscription).catch(error => {
+                console.error('Error registering push subscription:', error);
+            });
+        }
+    } catch (error) {
+        console.error('Error signing in:', error);
+        showError(`サインインに失敗しました: ${error.message}`);
+    }
+}
+
+// サインアウト
+async function signOut() {
+    // サインアウトした端末には通知を送らない
+    await unsubscribePush();
+
+    try {
+        await fetch(`${API_AUTH}/logout`, {
+            method: 'POST',
+            headers: authHeaders()
+        });
+    } catch (error) {
+        console.error('Error signing out:', error);
+    }
+
+    clearAuth();
+    renderAuthState();
+}
+
+// PINの設定（自分のPIN変更、または管理者によるメンバーのPIN設定）
+async function setMemberPin(memberId) {
+    const pin = prompt('新しいPINを入力してください（4文字以上）');
+    if (!pin) {
+        return;
+    }
+
+    await sendMemberRequest(`${API_MEMBERS}/${memberId}/pin`, 'PUT', { pin });
+}
+
+// ユーザー選択の読み込み（メンバー一覧の描画後に呼ぶ）
+function loadUserName() {
+    let savedUserId = localStorage.getItem(STORAGE_KEYS.USER_ID);
+
+    // 旧形式（名前で保存）からの移行
+    if (!savedUserId) {
+        const savedUserName = localStorage.getItem(STORAGE_KEYS.USER_NAME);
+        const member = registeredMembers.find(m => m.name === savedUserName);
+        if (member) {
+            savedUserId = String(member.id);
+            localStorage.setItem(STORAGE_KEYS.USER_ID, savedUserId);
+            localStorage.removeItem(STORAGE_KEYS.USER_NAME);
+        }
+    }
+
+    if (savedUserId === 'admin' || (savedUserId && getActiveMembers().some(m => String(m.id) === savedUserId))) {
+        elements.userName.value = savedUserId;
+    }
+}
+
+// ユーザー選択の保存（名前変更に影響されないようIDで保存）
+function saveUserName() {
+    const userId = elements.userName.value;
+    if (userId) {
+        localStorage.setItem(STORAGE_KEYS.USER_ID, userId);
+    }
+}
+
+// アーカイブされていないメンバーを取得
+function getActiveMembers() {
+    return registeredMembers.filter(m => !m.archived_at);
+}
+
+// メンバー一覧の読み込み
+async function loadMembers() {
+    try {
+        const response = await fetch(`${API_MEMBERS}?includeArchived=true`);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: Failed to fetch members`);
+        }
+        const data = await response.json();
+        registeredMembers = data.members || [];
+
+        // サインイン中のメンバー情報（名前・絵文字）を最新にする
+        if (authState.member) {
+            authState.member = registeredMembers.find(m => m.id === authState.member.id) || authState.member;
+            renderAuthState();
+        }
+
+        renderMemberSelectors();
+        renderMemberManageList();
+    } catch (error) {
+        console.error('Error fetching members:', error);
+        showError('メンバー一覧の取得に失敗しました');
+    }
+}
+
+// 活動・状態カタログの読み込み
+async function loadCatalog() {
+    try {
+        const response = await fetch(`${API_CATALOG}?includeDisabled=true`);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: Failed to fetch catalog`);
+        }
+        const data = await response.json();
+        applyCatalog(data.options || []);
+    } catch (error) {
+        console.error('Error fetching catalog:', error);
+        showError('活動・状態の一覧の取得に失敗しました');
+    }
+}
+
+// カタログを反映してボタンと表示を更新
+function applyCatalog(options) {
+    statusCatalog = options;
+    renderStatusButtons();
+
+    // 絵文字・色を反映するため再描画
+    if (currentMembers.length > 0) {
+        displayStatus(currentMembers);
+    }
+    if (currentHistoryItems.length > 0) {
+        displayHistory(currentHistoryItems);
+    }
+}
+
+// カタログ項目を検索（無効化された項目も含む）
+function findCatalogOption(category, label) {
+    return statusCatalog.find(o => o.category === category && o.label === label);
+}
+
+// 活動・状態の表示用HTML（カタログにない過去のラベルはそのまま表示）
+function formatStatusLabel(category, label) {
+    const option = findCatalogOption(category, label);
+    if (option && option.emoji) {
+        return `${escapeHtml(option.emoji)} ${escapeHtml(label)}`;
+    }
+    return escapeHtml(label);
+}
+
+// カタログから活動・状態ボタンを生成
+function renderStatusButtons() {
+    const buildButtons = (category, className, dataKey) => statusCatalog
+        .filter(o => o.category === category && o.enabled)
+        .map(o => {
+            const active = currentSelection[category] === o.label ? ' active' : '';
+            const color = escapeHtml(o.color || '#667eea');
+            return `<button class="${className}${active}" data-${dataKey}="${escapeHtml(o.label)}" style="background: linear-gradient(135deg, ${color} 0%, ${color}b3 100%)">${formatStatusLabel(category, o.label)}</button>`;
+        })
+        .join('');
+
+    elements.activityButtons.innerHTML = buildButtons('activity', 'activity-btn', 'activity');
+    elements.stateButtons.innerHTML = buildButtons('state', 'state-btn', 'state');
+}
+
+// メンバー構成（ID・名前・絵文字・色・並び順）のハッシュを計算
+function calculateMemberProfileHash(members) {
+    return JSON.stringify(members.map(m => [m.id, m.name, m.emoji, m.color, m.sort_order]));
+}
+
+// 名前選択と履歴フィルターのドロップダウンを構築
+function renderMemberSelectors() {
+    const activeMembers = getActiveMembers();
+    const selectedUserId = elements.userName.value;
+    const selectedFilter = elements.historyMemberFilter.value;
+
+    elements.userName.innerHTML = '<option value="">選択してください</option>' +
+        activeMembers.map(m => `<option value="${m.id}">${escapeHtml(`${m.emoji || ''} ${m.name}`.trim())}</option>`).join('') +
+        '<option value="admin">🔑 管理者</option>';
+
+    // 履歴APIは名前で検索するため、フィルターの値は名前（アーカイブ済みも履歴は参照できる）
+    elements.historyMemberFilter.innerHTML = '<option value="">全員</option>' +
+        registeredMembers.map(m => `<option value="${escapeHtml(m.name)}">${escapeHtml(m.name)}</option>`).join('');
+
+    if (selectedUserId === 'admin' || (selectedUserId && activeMembers.some(m => String(m.id) === selectedUserId))) {
+        elements.userName.value = selectedUserId;
+    } else {
+        loadUserName();
+    }
+
+    if (registeredMembers.some(m => m.name === selectedFilter)) {
+        elements.historyMemberFilter.value = selectedFilter;
+    } else if (historyState.currentMember) {
+        // 選択中のメンバーが名前変更された場合はフィルターを解除
+        historyState.currentMember = '';
+    }
+}
+
+// 設定画面のメンバー管理一覧を描画
+function renderMemberManageList() {
+    if (registeredMembers.length === 0) {
+        elements.memberManageList.innerHTML = '<div class="empty-status">メンバーが登録されていません</div>';
+        return;
+    }
+
+    elements.memberManageList.innerHTML = registeredMembers.map((member, index) => {
+        const archived = Boolean(member.archived_at);
+        return `
+            <div class="member-manage-item${archived ? ' archived' : ''}" data-id="${member.id}">
+                <span class="member-manage-emoji">${escapeHtml(member.emoji || '')}</span>
+                <span class="member-manage-name">${escapeHtml(member.name)}</span>
+                <input type="color" class="member-color-input" data-action="color" value="${escapeHtml(member.color || '#667eea')}" aria-label="色">
+                <div class="member-manage-actions">
+                    <button data-action="up" ${index === 0 ? 'disabled' : ''} aria-label="上へ">↑</button>
+                    <button data-action="down" ${index === registeredMembers.length - 1 ? 'disabled' : ''} aria-label="下へ">↓</button>
+                    <button data-action="rename">名前</button>
+                    <button data-action="emoji">絵文字</button>
+                    <button data-action="pin">${member.has_pin ? 'PIN再設定' : 'PIN設定'}</button>
+                    <button data-action="admin">${member.is_admin ? '管理者解除' : '管理者にする'}</button>
+                    <button data-action="${archived ? 'restore' : 'archive'}">${archived ? '復元' : 'アーカイブ'}</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+// メンバー管理一覧のボタン操作
+function onMemberManageAction(event) {
+    const target = event.target.closest('[data-action]');
+    if (!target || target.dataset.action === 'color') {
+        return;
+    }
+
+    const id = parseInt(target.closest('.member-manage-item').dataset.id, 10);
+    const member = registeredMembers.find(m => m.id === id);
+    if (!member) {
+        return;
+    }
+
+    switch (target.dataset.action) {
+        case 'up':
+        case 'down':
+            moveMember(id, target.dataset.action === 'up' ? -1 : 1);
+            break;
+        case 'rename': {
+            const name = prompt('新しい名前を入力してください', member.name);
+            if (name && name.trim() && name.trim() !== member.name) {
+                updateMember(id, { name: name.trim() });
+            }
+            break;
+        }
+        case 'emoji': {
+            const emoji = prompt('絵文字を入力してください', member.emoji || '');
+            if (emoji && emoji.trim()) {
+                updateMember(id, { emoji: emoji.trim() });
+            }
+            break;
+        }
+        case 'pin':
+            setMemberPin(id);
+            break;
+        case 'admin':
+            updateMember(id, { isAdmin: !member.is_admin });
+            break;
+        case 'archive':
+            if (confirm(`${member.name}をアーカイブしますか？（履歴は残ります）`)) {
+                updateMember(id, { archived: true });
+            }
+            break;
+        case 'restore':
+            updateMember(id, { archived: false });
+            break;
+    }
+}
+
+// メンバーの色変更
+function onMemberColorChange(event) {
+    if (event.target.dataset.action !== 'color') {
+        return;
+    }
+    const id = parseInt(event.target.closest('.member-manage-item').dataset.id, 10);
+    updateMember(id, { color: event.target.value });
+}
+
+// メンバーの追加
+async function addMember() {
+    const name = elements.newMemberName.value.trim();
+    if (!name) {
+        showError('名前を入力してください');
+        return;
+    }
+
+    await sendMemberRequest(API_MEMBERS, 'POST', {
+        name,
+        emoji: elements.newMemberEmoji.value.trim() || undefined,
+        color: elements.newMemberColor.value
+    });
+    elements.newMemberName.value = '';
+}
+
+// メンバーのプロフィール更新
+async function updateMember(id, changes) {
+    await sendMemberRequest(`${API_MEMBERS}/${id}`, 'PATCH', changes);
+}
+
+// メンバーの表示順を1つ移動
+async function moveMember(id, direction) {
+    const ids = registeredMembers.map(m => m.id);
+    const index = ids.indexOf(id);
+    const swapIndex = index + direction;
+    if (index === -1 || swapIndex < 0 || swapIndex >= ids.length) {
+        return;
+    }
+    [ids[index], ids[swapIndex]] = [ids[swapIndex], ids[index]];
+
+    await sendMemberRequest(`${API_MEMBERS}/order`, 'PUT', { ids });
+}
+
+// メンバーAPIへの送信と再読み込み
+async function sendMemberRequest(url, method, body) {
+    try {
+        const response = await fetch(url, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                ...authHeaders()
+            },
+            body: JSON.stringify(body)
+        });
+
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            if (response.status === 401) {
+                clearAuth();
+                renderAuthState();
+            }
+            throw new Error(describeApiError(data, 'Failed to update member'));
+        }
+    } catch (error) {
+        console.error('Error updating member:', error);
+        showError(`メンバーの更新に失敗しました: ${error.message}`);
+    }
+
+    await loadMembers();
+}
+
+// 通知機能の初期化
+function initializeNotifications() {
+    // ブラウザが通知をサポートしているかチェック
+    if (!('Notification' in window)) {
+        console.log('このブラウザは通知をサポートしていません');
+        return;
+    }
+
+    // 現在の通知許可状態を確認
+    notificationPermission = Notification.permission;
+
+    // 許可がまだ得られていない場合、ユーザーに許可を求める
+    if (notificationPermission === 'default') {
+        requestNotificationPermission();
+    }
+}
+
+// 通知許可のリクエスト
+function requestNotificationPermission() {
+    Notification.requestPermission().then(permission => {
+        notificationPermission = permission;
+        if (permission === 'granted') {
+            console.log('通知が有効になりました');
+            localStorage.setItem(STORAGE_KEYS.NOTIFICATION_ENABLED, 'true');
+        }
+    });
+}
+
+// プッシュ通知を送信
+function sendNotification(title, options = {}) {
+    if (!('Notification' in window)) {
+        return;
+    }
+
+    if (notificationPermission !== 'granted') {
+        return;
+    }
+
+    try {
+        new Notification(title, {
+            icon: 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100"><text x="50" y="70" font-size="70" text-anchor="middle" dominant-baseline="central">👨‍👩‍👧‍👦</text></svg>',
+            badge: 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100"><circle cx="50" cy="50" r="50" fill="%23667eea"/></svg>',
+            ...options
+        });
+    } catch (error) {
+        console.error('通知送信エラー:', error);
+    }
+}
+
+// Web Pushが使えるかどうか
+function isPushSupported() {
+    return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+}
+
+// この端末の購読状態を読み込む
+async function loadPushSubscription() {
+    if (!isPushSupported()) {
+        return;
+    }
+    try {
+        const registration = await navigator.serviceWorker.ready;
+        pushSubscription = await registration.pushManager.getSubscription();
+    } catch (error) {
+        console.error('Error loading push subscription:', error);
+    }
+    renderPushSetting();
+}
+
+// プッシュ通知の設定の表示を更新
+function renderPushSetting() {
+    elements.pushStatus.textContent = pushSubscription
+        ? 'この端末でプッシュ通知を受け取っています。'
+        : 'この端末ではプッシュ通知を受け取っていません。';
+    elements.pushToggleBtn.textContent = pushSubscription ? '通知を止める' : 'この端末で通知を受け取る';
+    elements.pushTestBtn.classList.toggle('hidden', !pushSubscription);
+}
+
+// プッシュ通知の購読・解除の切り替え
+async function togglePush() {
+    if (pushSubscription) {
+        await unsubscribePush();
+    } else {
+        await subscribePush();
+    }
+    renderPushSetting();
+}
+
+// VAPID公開鍵（URLセーフBase64）を pushManager.subscribe に渡す形式に変換
+function urlBase64ToUint8Array(base64String) {
+    const padding = '='.repeat((4 - base64String.length % 4) % 4);
+    const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+// この端末でプッシュ通知を購読してサーバーに登録
+async function subscribePush() {
+    try {
+        const permission = await Notification.requestPermission();
+        notificationPermission = permission;
+        if (permission !== 'granted') {
+            throw new Error('通知が許可されていません');
+        }
+
+        const keyResponse = await fetch(`${API_PUSH}/vapid-public-key`);
+        if (!keyResponse.ok) {
+            throw new Error(`HTTP ${keyResponse.status}: Failed to fetch VAPID public key`);
+        }
+        const { publicKey } = await keyResponse.json();
+
+        const registration = await navigator.serviceWorker.ready;
+        const subscription = await registration.pushManager.subscribe({
+            userVisibleOnly: true,
+            applicationServerKey: urlBase64ToUint8Array(publicKey)
+        });
+
+        try {
+            await registerPushSubscription(subscription);
+        } catch (error) {
+            await subscription.unsubscribe();
+            throw error;
+        }
+
+        pushSubscription = subscription;
+        showSuccess('プッシュ通知を有効にしました');
+    } catch (error) {
+        console.error('Error subscribing to push:', error);
+        showError(`プッシュ通知を有効にできませんでした: ${error.message}`);
+    }
+}
+
+// 購読をサーバーに登録（サインインし直した場合は新しい端末トークンに紐付け直す）
+async function registerPushSubscription(subscription) {
+    const response = await fetch(`${API_PUSH}/subscriptions`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            ...authHeaders()
+        },
+        body: JSON.stringify(subscription.toJSON())
+    });
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(describeApiError(data, `HTTP ${response.status}`));
+    }
+}
+
+// この端末のプッシュ通知の購読を解除
+async function unsubscribePush() {
+    if (!pushSubscription) {
+        return;
+    }
+
+    const subscription = pushSubscription;
+    pushSubscription = null;
+    try {
+        await fetch(`${API_PUSH}/subscriptions`, {
+            method: 'DELETE',
+            headers: {
+                'Content-Type': 'application/json',
+                ...authHeaders()
+            },
+            body: JSON.stringify({ endpoint: subscription.endpoint })
+        });
+        await subscription.unsubscribe();
+    } catch (error) {
+        console.error('Error unsubscribing from push:', error);
+    }
+}
+
+// この端末にテスト通知を送信
+async function sendTestPush() {
+    try {
+        const response = await fetch(`${API_PUSH}/test`, {
+            method: 'POST',
+            headers: authHeaders()
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok || !data.success) {
+            throw new Error(describeApiError(data, 'プッシュサービスへの送信に失敗しました'));
+        }
+    } catch (error) {
+        console.error('Error sending test push:', error);
+        showError(`テスト通知を送信できませんでした: ${error.message}`);
+    }
+}
+
+// ステータスのハッシュを計算
+function calculateStatusHash(members) {
+    // JSON.stringify で簡単にシリアライズ（日本語対応）
+    return JSON.stringify(members.map(m => ({
+        name: m.name,
+        activity: m.activity,
+        state: m.state,
+        message: m.message
+    })));
+}
+
+// イベントリスナーの設定
+function setupEventListeners() {
+    // アクティビティボタンのクリック（ボタンはカタログから生成されるため委譲）
+    elements.activityButtons.addEventListener('click', (event) => {
+        const button = event.target.closest('.activity-btn');
+        if (button) {
+            selectActivity(button, button.dataset.activity);
+        }
+    });
+
+    // 状態ボタンのクリック
+    elements.stateButtons.addEventListener('click', (event) => {
+        const button = event.target.closest('.state-btn');
+        if (button) {
+            selectState(button, button.dataset.state);
+        }
+    });
+
+    // ひとこと・戻り予定
+    elements.sendMessageBtn.addEventListener('click', sendStatusMessage);
+    elements.clearMessageBtn.addEventListener('click', clearStatusMessage);
+    elements.statusMessage.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+            sendStatusMessage();
+        }
+    });
+
+    // ユーザー名の変更
+    elements.userName.addEventListener('change', saveUserName);
+
+    // サインイン・サインアウト
+    elements.signInBtn.addEventListener('click', signIn);
+    elements.signInPin.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+            signIn();
+        }
+    });
+    elements.signOutBtn.addEventListener('click', signOut);
+    elements.changePinBtn.addEventListener('click', () => {
+        if (authState.member) {
+            setMemberPin(authState.member.id);
+        }
+    });
+
+    // メンバー管理
+    elements.addMemberBtn.addEventListener('click', addMember);
+    elements.memberManageList.addEventListener('click', onMemberManageAction);
+    elements.memberManageList.addEventListener('change', onMemberColorChange);
+
+    // 設定ボタン
+    elements.settingsBtn.addEventListener('click', showSettings);
+    elements.cancelSettingsBtn.addEventListener('click', hideSettings);
+
+    // タブ切り替え
+    elements.currentTab.addEventListener('click', showCurrentView);
+    elements.historyTab.addEventListener('click', showHistoryView);
+    elements.timelineTab.addEventListener('click', showTimelineView);
+
+    // タイムラインの日付移動・帯のタップ
+    elements.timelinePrevDay.addEventListener('click', () => moveTimelineDate(-1));
+    elements.timelineNextDay.addEventListener('click', () => moveTimelineDate(1));
+    elements.timelineToday.addEventListener('click', () => moveTimelineDate(0));
+    elements.timelineChart.addEventListener('click', onTimelineBandClick);
+
+    // 履歴フィルター
+    elements.historyMemberFilter.addEventListener('change', onHistoryFilterChange);
+    elements.historyDateFilter.addEventListener('change', onHistoryFilterChange);
+
+    // さらに読み込むボタン
+    elements.loadMoreHistory.addEventListener('click', loadMoreHistory);
+    elements.historyList.addEventListener('click', onHistoryAction);
+    elements.undoBtn.addEventListener('click', undoLastStatus);
+
+    // 履歴のダウンロード
+    elements.downloadHistoryBtn.addEventListener('click', downloadHistory);
+    // オンラインに戻ったら送信待ちの更新を送る
+    window.addEventListener('online', flushStatusQueue);
+
+    // プッシュ通知の購読・テスト
+    elements.pushToggleBtn.addEventListener('click', togglePush);
+    elements.pushTestBtn.addEventListener('click', sendTestPush);
+
+    // 通知の設定
+    elements.saveNotificationPrefsBtn.addEventListener('click', saveNotificationPrefs);
+
+    // 声かけ（メンバーのカードの👋ボタン・返事のボタン）
+    elements.familyStatus.addEventListener('click', onFamilyStatusClick);
+    elements.nudgeInboxList.addEventListener('click', onNudgeResponseClick);
+}
+
+// SSE接続の確立
+function connectSSE() {
+    // 既存の接続があれば閉じる
+    if (eventSource) {
+        eventSource.close();
+    }
+
+    // 再接続時は最後に受信したイベントIDを渡し、取りこぼした差分のみを受け取る
+    // （接続を作り直すためブラウザの Last-Event-ID ヘッダーは送られない）
+    const API_STREAM = lastEventId
+        ? `${API_BASE}/api/status/stream?lastEventId=${encodeURIComponent(lastEventId)}`
+        : `${API_BASE}/api/status/stream`;
+    eventSource = new EventSource(API_STREAM);
+
+    // 種別ごとのイベント受信処理
+    Object.entries(SSE_EVENT_HANDLERS).forEach(([type, handler]) => {
+        eventSource.addEventListener(type, (event) => {
+            if (event.lastEventId) {
+                lastEventId = event.lastEventId;
+            }
+            try {
+                handler(JSON.parse(event.data));
+            } catch (error) {
+                console.error(`SSE: Error handling ${type}:`, error);
+            }
+        });
+    });
+
+    // 接続開始時
+    eventSource.onopen = () => {
+        reconnectAttempts = 0; // 再接続カウンタをリセット
+
+        // 再接続タイマーをクリア
+        if (reconnectTimer) {
+            clearTimeout(reconnectTimer);
+            reconnectTimer = null;
+        }
+
+        // エラーがクリアされた
+        lastErrorTime = 0;
+
+        // 接続が回復したら送信待ちの更新を送る
+        flushStatusQueue();
+    };
+
+    // エラー発生時
+    eventSource.onerror = (error) => {
+        console.error('SSE: Connection error');
+        eventSource.close();
+
+        reconnectAttempts++;
+
+        // 自動再接続
+        if (reconnectAttempts < MAX_RECONNECT_ATTEMPTS) {
+            const delay = Math.min(RECONNECT_INTERVAL * reconnectAttempts, 30000);
+
+            if (!reconnectTimer) {
+                reconnectTimer = setTimeout(() => {
+                    reconnectTimer = null;
+                    connectSSE();
+                }, delay);
+            }
+        } else {
+            // フォールバック: ポーリングに切り替え
+            console.warn('SSE: Max reconnect attempts reached, falling back to polling');
+            useSSE = false;
+            fetchStatus();
+            startPolling();
+
+            // エラーメッセージを表示
+            const now = Date.now();
+            if (now - lastErrorTime > ERROR_DISPLAY_INTERVAL) {
+                showError('リアルタイム接続に失敗しました。ポーリングモードに切り替えました。');
+                lastErrorTime = now;
+            }
+        }
+    };
+}
+
+// SSEイベントの種別ごとの処理
+const SSE_EVENT_HANDLERS = {
+    // 全体のスナップショット（初回接続時、または差分を再送できない場合）
+    'snapshot': (data) => {
+        if (data.catalog) {
+            applyCatalog(data.catalog);
+        }
+        applyMembers(data.members || []);
+    },
+    'member.created': ({ member }) => upsertMember(member),
+    'member.updated': ({ member }) => upsertMember(member),
+    'member.deleted': ({ member }) => {
+        applyMembers(currentMembers.filter(m => !isSameMember(m, member)));
+    },
+    'members.reordered': ({ members }) => applyMembers(members),
+    'history.appended': ({ entry }) => {
+        prependHistoryItem(entry);
+        refreshTimelineIfToday();
+    },
+    'history.corrected': (correction) => {
+        applyHistoryCorrection(correction);
+        refreshTimelineIfToday();
+        // 取り消しボタンの対象が取り消し・削除された場合は隠す
+        if (undoTarget && undoTarget.id === correction.historyId) {
+            hideUndoBar();
+        }
+    },
+    'catalog.changed': ({ options }) => applyCatalog(options),
+    'nudge.sent': ({ nudgeId }) => onNudgeEvent(nudgeId, true),
+    'nudge.updated': ({ nudgeId }) => onNudgeEvent(nudgeId, false)
+};
+
+// 同じメンバーかどうか（JSONフォールバック時はIDがないため名前で比較）
+function isSameMember(a, b) {
+    return a.id !== undefined && b.id !== undefined ? a.id === b.id : a.name === b.name;
+}
+
+// メンバー1人分の変更を一覧に反映（アーカイブされた場合は一覧から外す）
+function upsertMember(member) {
+    if (!member) {
+        return;
+    }
+    // 先に届いた新しい版より古い変更（レスポンスとイベントの前後など）は反映しない
+    const current = currentMembers.find(m => isSameMember(m, member));
+    if (current && current.version !== undefined && member.version !== undefined && member.version < current.version) {
+        return;
+    }
+    const others = currentMembers.filter(m => !isSameMember(m, member));
+    const members = member.archived_at ? others : others.concat(member);
+
+    // サーバーの表示順（sort_order → id）に並べ直す
+    members.sort((a, b) => (a.sort_order || 0) - (b.sort_order || 0) || (a.id || 0) - (b.id || 0));
+    applyMembers(members);
+}
+
+// メンバー一覧を反映（変更の通知・ドロップダウンの再構築・表示の更新）
+function applyMembers(members) {
+    // ステータス変更の検知
+    const currentHash = calculateStatusHash(members);
+    if (lastStatusHash !== null && lastStatusHash !== currentHash) {
+        notifyStatusChange(currentMembers, members);
+    }
+    lastStatusHash = currentHash;
+
+    // メンバー構成が変わった場合はドロップダウンを再構築
+    refreshMembersIfChanged(members);
+
+    // 表示の更新
+    displayStatus(members);
+}
+
+// SSE接続を閉じる
+function closeSSE() {
+    if (eventSource) {
+        eventSource.close();
+        eventSource = null;
+    }
+    if (reconnectTimer) {
+        clearTimeout(reconnectTimer);
+        reconnectTimer = null;
+    }
+}
+
+// メンバー構成の変更を検知して一覧を再読み込み
+function refreshMembersIfChanged(members) {
+    const memberProfileHash = calculateMemberProfileHash(members || []);
+    if (lastMemberProfileHash !== null && lastMemberProfileHash !== memberProfileHash) {
+        loadMembers();
+    }
+    lastMemberProfileHash = memberProfileHash;
+}
+
+// 状況の取得
+async function fetchStatus() {
+    try {
+        const response = await fetch(API_STATUS);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: Failed to fetch status`);
+        }
+        const data = await response.json();
+
+        // ステータスが変わったかチェック
+        const currentHash = calculateStatusHash(data.members);
+        if (lastStatusHash !== null && lastStatusHash !== currentHash) {
+            // ステータスが変わった場合、通知を送信
+            notifyStatusChange(currentMembers, data.members);
+        }
+        lastStatusHash = currentHash;
+
+        refreshMembersIfChanged(data.members);
+        displayStatus(data.members);
+
+        // エラーがクリアされた
+        lastErrorTime = 0;
+    } catch (error) {
+        console.error('Error fetching status:', error);
+
+        // エラーを表示する際の最小間隔をチェック
+        const now = Date.now();
+        if (now - lastErrorTime > ERROR_DISPLAY_INTERVAL) {
+            showError(`状況の取得に失敗しました: ${error.message}`);
+            lastErrorTime = now;
+        }
+    }
+}
+
+// ステータス変更を検知して通知
+function notifyStatusChange(previousMembers, members) {
+    if (!members || members.length === 0) {
+        return;
+    }
+
+    // プッシュ通知を購読している場合はService Worker側で通知される
+    if (pushSubscription) {
+        return;
+    }
+
+    // 前回から活動・状態・ひとことが変わったメンバーごとに通知
+    members.forEach(member => {
+        const previous = previousMembers.find(m => isSameMember(m, member));
+        if (!previous || (previous.activity === member.activity && previous.state === member.state
+            && previous.message === member.message)) {
+            return;
+        }
+        if (!shouldNotifyChange(member, previous)) {
+            return;
+        }
+
+        // 通知メッセージを構築
+        const updates = [];
+        if (member.activity) {
+            updates.push(`活動: ${member.activity}`);
+        }
+        if (member.state) {
+            updates.push(`状態: ${member.state}`);
+        }
+        if (member.message) {
+            updates.push(member.message);
+        }
+
+        const body = updates.length > 0 ? updates.join(' / ') : '状況を更新しました';
+
+        // 通知を送信
+        sendNotification(`${member.name}の状況が更新されました`, {
+            body: body,
+            tag: `status-${member.id !== undefined ? member.id : member.name}`,
+            requireInteraction: false
+        });
+    });
+}
+
+// 通知の設定で、このメンバーの変更を通知するかどうか（サーバーの lib/notificationPreferences.js と同じ判定）
+function shouldNotifyChange(member, previous) {
+    const viewerId = authState.member ? authState.member.id : null;
+    if (!notificationPrefs) {
+        // 設定を読み込めていない場合も自分の変更は通知しない
+        return viewerId === null || member.id !== viewerId;
+    }
+
+    const { members, activities, states, quietHours, notifySelf } = notificationPrefs.preferences;
+    if (!notifySelf && viewerId !== null && member.id === viewerId) {
+        return false;
+    }
+    if (members && !members.includes(member.id)) {
+        return false;
+    }
+    // 活動・状態を絞り込んでいる場合は、その項目が変わって選んだ値になったときのみ
+    const changedTo = (field, values) => values && previous[field] !== member[field] && values.includes(member[field]);
+    if ((activities || states) && !(changedTo('activity', activities) || changedTo('state', states))) {
+        return false;
+    }
+    return !isQuietTime(quietHours, notificationPrefs.timeZone);
+}
+
+// 通知しない時間帯かどうか（家族のタイムゾーンで判定）
+function isQuietTime(quietHours, timeZone) {
+    if (!quietHours) {
+        return false;
+    }
+
+    const parts = new Intl.DateTimeFormat('en-US', { timeZone, hourCycle: 'h23', hour: '2-digit', minute: '2-digit' })
+        .formatToParts(new Date());
+    const value = (type) => parseInt(parts.find(p => p.type === type).value, 10);
+    const current = value('hour') * 60 + value('minute');
+    const toMinutes = (time) => parseInt(time.slice(0, 2), 10) * 60 + parseInt(time.slice(3, 5), 10);
+
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+    // 22:00〜07:00 のように日をまたぐ場合
+    return start < end ? current >= start && current < end : current >= start || current < end;
+}
+
+// 通知の設定を読み込む
+async function loadNotificationPrefs() {
+    if (!authState.token) {
+        return;
+    }
+    try {
+        const response = await fetch(API_NOTIFICATION_PREFERENCES, { headers: authHeaders() });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: Failed to fetch notification preferences`);
+        }
+        notificationPrefs = await response.json();
+        renderNotificationPrefs();
+    } catch (error) {
+        console.error('Error fetching notification preferences:', error);
+    }
+}
+
+// 通知の設定の表示（メンバー・活動・状態のチェックボックス）
+function renderNotificationPrefs() {
+    if (!notificationPrefs) {
+        return;
+    }
+    const { members, activities, states, quietHours, notifySelf } = notificationPrefs.preferences;
+
+    const buildOptions = (items, name, isChecked) => items
+        .map(item => `<label class="pref-option"><input type="checkbox" name="${name}" value="${escapeHtml(String(item.value))}"${isChecked(item.value) ? ' checked' : ''}> ${escapeHtml(item.label)}</label>`)
+        .join('');
+
+    elements.prefMembers.innerHTML = buildOptions(
+        getActiveMembers().map(m => ({ value: m.id, label: `${m.emoji || ''} ${m.name}`.trim() })),
+        'prefMember',
+        id => !members || members.includes(id)
+    );
+    const catalogOptions = (category) => statusCatalog
+        .filter(o => o.category === category && o.enabled)
+        .map(o => ({ value: o.label, label: `${o.emoji || ''} ${o.label}`.trim() }));
+    elements.prefActivities.innerHTML = buildOptions(catalogOptions('activity'), 'prefActivity', label => Boolean(activities && activities.includes(label)));
+    elements.prefStates.innerHTML = buildOptions(catalogOptions('state'), 'prefState', label => Boolean(states && states.includes(label)));
+
+    elements.prefQuietStart.value = quietHours ? quietHours.start : '';
+    elements.prefQuietEnd.value = quietHours ? quietHours.end : '';
+    elements.prefNotifySelf.checked = notifySelf;
+}
+
+// 通知の設定を保存
+async function saveNotificationPrefs() {
+    const checkedValues = (container) => Array.from(container.querySelectorAll('input:checked')).map(input => input.value);
+
+    // 全員を選択した場合は、後から追加されたメンバーも通知するよう絞り込まない
+    const memberIds = checkedValues(elements.prefMembers).map(id => parseInt(id, 10));
+    const activities = checkedValues(elements.prefActivities);
+    const states = checkedValues(elements.prefStates);
+    const quietStart = elements.prefQuietStart.value;
+    const quietEnd = elements.prefQuietEnd.value;
+
+    const preferences = {
+        members: memberIds.length === getActiveMembers().length ? null : memberIds,
+        activities: activities.length > 0 ? activities : null,
+        states: states.length > 0 ? states : null,
+        quietHours: quietStart && quietEnd ? { start: quietStart, end: quietEnd } : null,
+        notifySelf: elements.prefNotifySelf.checked
+    };
+
+    try {
+        const response = await fetch(API_NOTIFICATION_PREFERENCES, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+                ...authHeaders()
+            },
+            body: JSON.stringify(preferences)
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(describeApiError(data, 'Failed to save notification preferences'));
+        }
+
+        notificationPrefs = { preferences: data.preferences, timeZone: data.timeZone };
+        renderNotificationPrefs();
+        showSuccess('通知の設定を保存しました');
+    } catch (error) {
+        console.error('Error saving notification preferences:', error);
+        showError(`通知の設定を保存できませんでした: ${error.message}`);
+    }
+}
+
+// 声かけできる相手かどうか（メンバーとしてサインインしている場合、自分以外）
+function canNudge(member) {
+    return Boolean(authState.member && member.id !== undefined && member.id !== authState.member.id);
+}
+
+// 声かけの一覧を読み込む
+async function loadNudges() {
+    if (!authState.token) {
+        renderNudges();
+        return;
+    }
+    try {
+        const response = await fetch(`${API_NUDGES}?limit=20`, { headers: authHeaders() });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: Failed to fetch nudges`);
+        }
+        const data = await response.json();
+        nudgeState.nudges = data.nudges;
+        nudgeState.responses = data.responses;
+    } catch (error) {
+        console.error('Error fetching nudges:', error);
+    }
+    renderNudges();
+}
+
+// 声かけ1件の変更を一覧に反映
+function upsertNudge(nudge) {
+    const others = nudgeState.nudges.filter(n => n.id !== nudge.id);
+    nudgeState.nudges = others.concat(nudge).sort((a, b) => b.id - a.id);
+    renderNudges();
+}
+
+// SSEで声かけの変更を受信（SSEにはIDのみ届くため、サインインしている場合は一覧を取り直す）
+async function onNudgeEvent(nudgeId, isNew) {
+    if (!authState.token) {
+        return;
+    }
+    await loadNudges();
+    const nudge = nudgeState.nudges.find(n => n.id === nudgeId);
+    if (isNew && nudge) {
+        onNudgeReceived(nudge);
+    }
+}
+
+// 声かけを受信（自分宛てなら通知し、届いたことをサーバーに知らせる）
+function onNudgeReceived(nudge) {
+    const self = authState.member;
+    if (!self || nudge.to_member_id !== self.id) {
+        return;
+    }
+
+    // プッシュ通知を購読している場合はService Worker側で通知される
+    if (!pushSubscription) {
+        sendNotification(`${nudge.from_member_name}から声かけ`, {
+            body: nudge.message || '👋 声をかけています',
+            tag: `nudge-${nudge.id}`,
+            requireInteraction: true
+        });
+    }
+
+    fetch(`${API_NUDGES}/${nudge.id}/delivered`, { method: 'POST', headers: authHeaders() })
+        .catch(error => console.error('Error marking nudge delivered:', error));
+}
+
+// 声かけの状態の表示
+function formatNudgeStatus(nudge) {
+    if (nudge.status === 'acknowledged') {
+        return `「${nudge.response}」`;
+    }
+    return nudge.status === 'delivered' ? '届きました' : '送信済み';
+}
+
+// 声かけの一覧の表示（自分宛てで返事をしていないもの・自分が送った最近のもの）
+function renderNudges() {
+    const self = authState.member;
+    const inbox = self ? nudgeState.nudges.filter(n => n.to_member_id === self.id && n.status !== 'acknowledged') : [];
+    const outbox = self ? nudgeState.nudges.filter(n => n.from_member_id === self.id).slice(0, 5) : [];
+
+    elements.nudgeInbox.classList.toggle('hidden', inbox.length === 0);
+    elements.nudgeInboxList.innerHTML = inbox.map(nudge => `
+        <div class="nudge-item">
+            <div class="nudge-item-header">
+                <span>${escapeHtml(nudge.from_member_name)}から</span>
+                <span>${formatHistoryTime(nudge.created_at)}</span>
+            </div>
+            ${nudge.message ? `<div class="nudge-item-message">💬 ${escapeHtml(nudge.message)}</div>` : ''}
+            <div class="nudge-responses">
+                ${nudgeState.responses.map(r => `<button class="btn-primary" data-nudge-id="${nudge.id}" data-response="${escapeHtml(r)}">${escapeHtml(r)}</button>`).join('')}
+            </div>
+        </div>
+    `).join('');
+
+    elements.nudgeOutbox.classList.toggle('hidden', outbox.length === 0);
+    elements.nudgeOutboxList.innerHTML = outbox.map(nudge => `
+        <div class="nudge-item">
+            <div class="nudge-item-header">
+                <span>${escapeHtml(nudge.to_member_name)}へ ${formatHistoryTime(nudge.created_at)}</span>
+                <span class="nudge-item-status">${escapeHtml(formatNudgeStatus(nudge))}</span>
+            </div>
+            ${nudge.message ? `<div class="nudge-item-message">💬 ${escapeHtml(nudge.message)}</div>` : ''}
+        </div>
+    `).join('');
+}
+
+// メンバーのカードの👋ボタン
+function onFamilyStatusClick(event) {
+    const button = event.target.closest('.nudge-btn');
+    if (button) {
+        sendNudge(parseInt(button.dataset.memberId, 10));
+    }
+}
+
+// 声かけを送る
+async function sendNudge(memberId) {
+    const member = currentMembers.find(m => m.id === memberId);
+    const message = prompt(`${member ? member.name : ''}に声をかけます。ひとこと（省略可）`, '');
+    if (message === null) {
+        return;
+    }
+
+    try {
+        const response = await fetch(API_NUDGES, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...authHeaders()
+            },
+            body: JSON.stringify({ to: memberId, message: message.trim() || null })
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(describeApiError(data, 'Failed to send nudge'));
+        }
+        upsertNudge(data.nudge);
+    } catch (error) {
+        console.error('Error sending nudge:', error);
+        showError(`声かけを送れませんでした: ${error.message}`);
+    }
+}
+
+// 声かけへの返事のボタン
+async function onNudgeResponseClick(event) {
+    const button = event.target.closest('button[data-nudge-id]');
+    if (!button) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_NUDGES}/${button.dataset.nudgeId}/acknowledge`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...authHeaders()
+            },
+            body: JSON.stringify({ response: button.dataset.response })
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(describeApiError(data, 'Failed to acknowledge nudge'));
+        }
+        upsertNudge(data.nudge);
+    } catch (error) {
+        console.error('Error acknowledging nudge:', error);
+        showError(`返事を送れませんでした: ${error.message}`);
+    }
+}
+
+// 状況の表示
+function displayStatus(members) {
+    if (!members || members.length === 0) {
+        elements.familyStatus.innerHTML = '<div class="empty-status">メンバーが登録されていません（設定から追加できます）</div>';
+        currentMembers = [];
+        return;
+    }
+
+    // サーバーの表示順（sort_order）のまま表示
+    currentMembers = members;
+    syncSelectionFromMembers(members);
+
+    elements.familyStatus.innerHTML = members.map(member => {
+        const time = member.timestamp ? formatTime(member.timestamp) : '未更新';
+        const color = escapeHtml(member.color || '#667eea');
+        const activityDisplay = member.activity ? `<div class="member-activity"><span class="member-activity-label">活動:</span>${formatStatusLabel('activity', member.activity)}</div>` : '';
+        const stateDisplay = member.state ? `<div class="member-state"><span class="member-state-label">状態:</span>${formatStatusLabel('state', member.state)}</div>` : '';
+        const messageDisplay = member.message ? `<div class="member-message">💬 ${escapeHtml(member.message)}</div>` : '';
+        const untilDisplay = member.until_at ? renderUntil(member.until_at) : '';
+        const expiryDisplay = renderExpiry(member);
+        const staleDisplay = member.stale_at ? `<div class="member-stale">❔ 状況不明（${formatClock(member.stale_at)} に自動解除）</div>` : '';
+
+        return `
+            <div class="member-card" data-timestamp="${member.timestamp || ''}" style="border-left-color: ${color}">
+                <div class="member-info">
+                    <div class="member-name"><span class="member-emoji">${escapeHtml(member.emoji || '')}</span>${escapeHtml(member.name)}</div>
+                    ${activityDisplay}
+                    ${stateDisplay}
+                    ${staleDisplay}
+                    ${messageDisplay}
+                    ${untilDisplay}
+                    ${expiryDisplay}
+                    <div class="member-time">${time}</div>
+                </div>
+                ${canNudge(member) ? `<button class="nudge-btn" data-member-id="${member.id}" title="${escapeHtml(member.name)}に声をかける" aria-label="${escapeHtml(member.name)}に声をかける">👋</button>` : ''}
+            </div>
+        `;
+    }).join('');
+}
+
+// 自動解除予定の表示HTML（活動・状態のうち早い方）
+function renderExpiry(member) {
+    const times = [member.activity_expires_at, member.state_expires_at].filter(Boolean).sort();
+    if (times.length === 0) {
+        return '';
+    }
+    return `<div class="member-expiry">⌛ ${formatClock(times[0])} に自動解除</div>`;
+}
+
+// 戻り予定の表示HTML（カウントダウンは updateDisplayedTimes で更新）
+function renderUntil(untilAt) {
+    const { text, overdue } = formatUntil(untilAt);
+    return `<div class="member-until${overdue ? ' overdue' : ''}" data-until="${escapeHtml(untilAt)}">${text}</div>`;
+}
+
+// 戻り予定のフォーマット（予定時刻と残り時間、過ぎている場合は超過時間）
+function formatUntil(untilAt) {
+    const diffMins = Math.round((new Date(untilAt) - new Date()) / 60000);
+    const clock = formatClock(untilAt);
+
+    if (diffMins >= 0) {
+        return { text: `⏰ ${clock} まで（${formatDuration(diffMins)}）`, overdue: false };
+    }
+    return { text: `⚠️ ${clock} の予定を${formatDuration(-diffMins, '過ぎています')}`, overdue: true };
+}
+
+// 時刻表記（今日なら HH:MM、それ以外は M/D HH:MM）
+function formatClock(timestamp) {
+    const date = new Date(timestamp);
+    const hours = date.getHours().toString().padStart(2, '0');
+    const minutes = date.getMinutes().toString().padStart(2, '0');
+    const isToday = date.toDateString() === new Date().toDateString();
+    return isToday ? `${hours}:${minutes}` : `${date.getMonth() + 1}/${date.getDate()} ${hours}:${minutes}`;
+}
+
+// 分数を「あと1時間5分」「5分過ぎています」のような表記に
+function formatDuration(totalMins, suffix = null) {
+    const hours = Math.floor(totalMins / 60);
+    const mins = totalMins % 60;
+    const span = hours > 0 ? `${hours}時間${mins > 0 ? `${mins}分` : ''}` : `${mins}分`;
+    return suffix ? `${span}${suffix}` : `あと${span}`;
+}
+
+// 時刻入力（HH:MM）を次に来るその時刻のISO文字列に変換（過ぎていれば翌日）
+function timeInputToIso(value) {
+    if (!value) {
+        return null;
+    }
+    const [hours, minutes] = value.split(':').map(Number);
+    const date = new Date();
+    date.setHours(hours, minutes, 0, 0);
+    if (date < new Date()) {
+        date.setDate(date.getDate() + 1);
+    }
+    return date.toISOString();
+}
+
+// ひとこと・戻り予定の送信
+function sendStatusMessage() {
+    submitStatus({
+        message: elements.statusMessage.value.trim() || null,
+        until: timeInputToIso(elements.statusUntil.value)
+    });
+}
+
+// ひとこと・戻り予定のクリア
+function clearStatusMessage() {
+    elements.statusMessage.value = '';
+    elements.statusUntil.value = '';
+    submitStatus({ message: null, until: null });
+}
+
+// アクティビティの選択
+function selectActivity(button, activity) {
+    // 前の選択を解除
+    elements.activityButtons.querySelectorAll('.activity-btn').forEach(btn => btn.classList.remove('active'));
+
+    // 新しい選択をハイライト
+    button.classList.add('active');
+    currentSelection.activity = activity;
+
+    // 自動的に状況を更新（変更した項目のみ送信し、もう一方の自動解除時刻は維持する）
+    submitStatus({ activity, ...getDurationOption() });
+}
+
+// 状態の選択
+function selectState(button, state) {
+    // 前の選択を解除
+    elements.stateButtons.querySelectorAll('.state-btn').forEach(btn => btn.classList.remove('active'));
+
+    // 新しい選択をハイライト
+    button.classList.add('active');
+    currentSelection.state = state;
+
+    // 自動的に状況を更新
+    submitStatus({ state, ...getDurationOption() });
+}
+
+// 自動解除の指定（既定の場合は送信しない）
+function getDurationOption() {
+    const value = elements.statusDuration.value;
+    if (value === '') {
+        return {};
+    }
+    return { duration: value === 'none' ? null : parseInt(value, 10) };
+}
+
+// サインイン中のメンバーの現在値でボタンの選択状態を合わせる（自動解除などサーバー側の変更を反映）
+function syncSelectionFromMembers(members) {
+    if (!authState.member) {
+        return;
+    }
+    const self = members.find(m => m.id === authState.member.id);
+    if (!self) {
+        return;
+    }
+
+    currentSelection.activity = self.activity || null;
+    currentSelection.state = self.state || null;
+    elements.activityButtons.querySelectorAll('.activity-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.activity === currentSelection.activity);
+    });
+    elements.stateButtons.querySelectorAll('.state-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.state === currentSelection.state);
+    });
+}
+
+// 状況の送信
+// changes: 変更する項目（{ activity, state, message, until, duration }。含まれない項目は現在の値を維持）
+async function submitStatus(changes = {}) {
+    const member = authState.member;
+
+    if (!member) {
+        showError('サインインしてください');
+        return;
+    }
+    const userName = member.name;
+
+    // 変更する項目がない場合は、送信せずにフェッチを実行
+    // これにより、他のメンバーの更新を表示できる
+    if (Object.keys(changes).length === 0) {
+        await fetchStatus();
+        return;
+    }
+
+    const body = {
+        name: userName,
+        ...changes
+    };
+
+    // オフライン中、または送信待ちの更新がある場合は順番を保つため送信待ちに追加
+    if (!navigator.onLine || pendingStatusCount > 0) {
+        await queueStatusUpdate(body);
+        flushStatusQueue();
+        return;
+    }
+
+    const idempotencyKey = createIdempotencyKey();
+    try {
+        const response = await postStatus(body, idempotencyKey);
+
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            if (response.status === 401) {
+                clearAuth();
+                renderAuthState();
+            }
+            throw new Error(describeApiError(data, 'Failed to update status'));
+        }
+
+        const data = await response.json();
+        displayStatus(data.data);
+        showUndoBar(data.history);
+    } catch (error) {
+        // 通信できなかった場合は送信待ちにして、オンラインに戻ったら再送する
+        // 応答だけが届かなかった場合に二重に記録されないよう、同じキーで再送する
+        if (error instanceof TypeError) {
+            await queueStatusUpdate(body, idempotencyKey);
+            return;
+        }
+        console.error('Error updating status:', error);
+        showError(`状況の更新に失敗しました: ${error.message}`);
+    }
+}
+
+// 変更直後に取り消しボタンを表示（履歴に記録されなかった変更は取り消せないため表示しない）
+function showUndoBar(entry) {
+    if (!entry) {
+        return;
+    }
+
+    const changes = (entry.changed_fields || [])
+        .map(field => (field === 'message'
+            ? (entry.message ? 'ひとこと' : 'ひとことの消去')
+            : (entry[field] ? formatStatusLabel(field, entry[field]) : `${field === 'activity' ? '活動' : '状態'}の解除`)));
+    undoTarget = entry;
+    elements.undoMessage.innerHTML = changes.length > 0 ? `${changes.join('・')}に変更しました` : '状況を更新しました';
+    elements.undoBar.classList.remove('hidden');
+
+    clearTimeout(undoTimer);
+    undoTimer = setTimeout(hideUndoBar, UNDO_BAR_MS);
+}
+
+function hideUndoBar() {
+    clearTimeout(undoTimer);
+    undoTarget = null;
+    elements.undoBar.classList.add('hidden');
+}
+
+// 直前の変更を取り消して、1つ前の状況に戻す
+async function undoLastStatus() {
+    if (!undoTarget || !authState.member) {
+        hideUndoBar();
+        return;
+    }
+    const historyId = undoTarget.id;
+    hideUndoBar();
+
+    try {
+        const response = await fetch(`${API_STATUS}/undo`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...authHeaders()
+            },
+            body: JSON.stringify({ name: authState.member.name, historyId })
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(describeApiError(data, 'Failed to undo status'));
+        }
+        displayStatus(data.data);
+        applyHistoryCorrection({ action: 'undo', historyId });
+    } catch (error) {
+        console.error('Error undoing status:', error);
+        showError(`変更を取り消せませんでした: ${error.message}`);
+    }
+}
+
+// 状況の更新をサーバーに送信
+// idempotencyKey: 再送しても二重に記録されないよう、同じ更新には同じキーを付ける
+function postStatus(body, idempotencyKey) {
+    return fetch(API_STATUS, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            ...(idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {}),
+            ...authHeaders()
+        },
+        body: JSON.stringify(body)
+    });
+}
+
+// Idempotency-Key の生成（randomUUID は安全なコンテキストでのみ使える）
+function createIdempotencyKey() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+        return window.crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+// Service Workerの登録（ホーム画面への追加・オフライン時の画面表示）
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) {
+        return;
+    }
+    navigator.serviceWorker.register('sw.js').catch(error => {
+        console.error('Error registering service worker:', error);
+    });
+}
+
+// 送信待ちの更新を保存するIndexedDBを開く
+function openOfflineQueue() {
+    if (!offlineQueueDb) {
+        offlineQueueDb = new Promise((resolve, reject) => {
+            const request = indexedDB.open(OFFLINE_QUEUE.DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(OFFLINE_QUEUE.STORE_NAME, { keyPath: 'id', autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return offlineQueueDb;
+}
+
+// 送信待ちのストアに対する1回の操作（結果を Promise で返す）
+async function runOfflineQueueRequest(mode, operation) {
+    const database = await openOfflineQueue();
+    return new Promise((resolve, reject) => {
+        const store = database.transaction(OFFLINE_QUEUE.STORE_NAME, mode).objectStore(OFFLINE_QUEUE.STORE_NAME);
+        const request = operation(store);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// 更新を送信待ちに追加（操作した日時を付けて保存し、画面には先に反映する）
+// idempotencyKey: 送信済みかもしれない更新の場合に指定する。サーバーが同じリクエストと判定できるよう、
+// 本文に日時を付けずにそのまま保存し、同じキーで再送する
+async function queueStatusUpdate(body, idempotencyKey = null) {
+    if (typeof indexedDB === 'undefined') {
+        showError('状況の更新に失敗しました');
+        return;
+    }
+
+    try {
+        await runOfflineQueueRequest('readwrite', store => store.add(idempotencyKey
+            ? { body, idempotencyKey }
+            : { body: { ...body, timestamp: new Date().toISOString() }, idempotencyKey: createIdempotencyKey() }));
+    } catch (error) {
+        console.error('Error queueing status update:', error);
+        showError('状況の更新に失敗しました');
+        return;
+    }
+
+    applyQueuedUpdate(body);
+    await updatePendingStatusCount();
+}
+
+// 送信待ちの更新を自分のカードに反映（サーバーの応答を待たずに表示する）
+function applyQueuedUpdate(body) {
+    const self = currentMembers.find(m => m.name === body.name);
+    if (!self) {
+        return;
+    }
+
+    const updated = { ...self, timestamp: new Date().toISOString() };
+    ['activity', 'state', 'message'].forEach(key => {
+        if (body[key] !== undefined) {
+            updated[key] = body[key];
+        }
+    });
+    if (body.until !== undefined) {
+        updated.until_at = body.until;
+    }
+    displayStatus(currentMembers.map(m => (m === self ? updated : m)));
+}
+
+// 送信待ちの件数を更新して表示
+async function updatePendingStatusCount() {
+    if (typeof indexedDB === 'undefined') {
+        return;
+    }
+    try {
+        pendingStatusCount = await runOfflineQueueRequest('readonly', store => store.count());
+    } catch (error) {
+        console.error('Error counting queued status updates:', error);
+        return;
+    }
+
+    elements.pendingUpdates.classList.toggle('hidden', pendingStatusCount === 0);
+    elements.pendingUpdates.textContent = `📴 送信待ちの更新が${pendingStatusCount}件あります（オンラインに戻ると送信されます）`;
+}
+
+// 送信待ちの更新を古い順に再送（操作した日時を付けて送るため、履歴は実際の時刻で記録される）
+async function flushStatusQueue() {
+    if (isFlushingStatusQueue || !navigator.onLine || typeof indexedDB === 'undefined') {
+        return;
+    }
+    isFlushingStatusQueue = true;
+
+    try {
+        const queued = await runOfflineQueueRequest('readonly', store => store.getAll());
+        for (const item of queued) {
+            const response = await postStatus(item.body, item.idempotencyKey);
+
+            // 同じキーのリクエストが処理中の場合は、結果が保存されてから同じキーで再送する
+            if (response.status === 409) {
+                const data = await response.clone().json().catch(() => ({}));
+                if (data.code === 'IDEMPOTENCY_KEY_IN_PROGRESS') {
+                    break;
+                }
+            }
+
+            // サインインし直した後・回数の制限が解除された後・サーバーの復旧後に再送する
+            if (response.status === 401 || response.status === 429 || response.status >= 500) {
+                if (response.status === 401) {
+                    clearAuth();
+                    renderAuthState();
+                }
+                break;
+            }
+
+            await runOfflineQueueRequest('readwrite', store => store.delete(item.id));
+            if (!response.ok) {
+                // 受け付けられない更新（古すぎる・選択できなくなった項目など）は破棄する
+                const data = await response.json().catch(() => ({}));
+                showError(`送信待ちの更新を送信できませんでした: ${describeApiError(data, response.status)}`);
+                continue;
+            }
+
+            const data = await response.json();
+            displayStatus(data.data);
+        }
+    } catch (error) {
+        // まだ通信できない場合は次の機会に再送する
+        console.warn('Error flushing queued status updates:', error);
+    } finally {
+        isFlushingStatusQueue = false;
+        await updatePendingStatusCount();
+    }
+}
+
+// ポーリングの開始
+function startPolling() {
+    stopPolling();
+    pollingTimer = setInterval(() => {
+        fetchStatus();
+    }, pollingInterval * 1000);
+}
+
+// ポーリングの停止
+function stopPolling() {
+    if (pollingTimer) {
+        clearInterval(pollingTimer);
+        pollingTimer = null;
+    }
+}
+
+// 設定画面の表示
+function showSettings() {
+    elements.mainView.classList.add('hidden');
+    elements.settingsView.classList.remove('hidden');
+    renderNotificationPrefs();
+}
+
+// 設定画面の非表示
+function hideSettings() {
+    elements.settingsView.classList.add('hidden');
+    elements.mainView.classList.remove('hidden');
+}
+
+// 設定の保存（将来の拡張用に残す）
+function saveSettings() {
+    showSuccess('設定を保存しました');
+    hideSettings();
+}
+
+// 時刻のフォーマット
+function formatTime(timestamp) {
+    const date = new Date(timestamp);
+    const now = new Date();
+    const diffMs = now - date;
+    const diffMins = Math.floor(diffMs / 60000);
+    const diffHours = Math.floor(diffMs / 3600000);
+
+    if (diffMins < 1) {
+        return 'たった今';
+    } else if (diffMins < 60) {
+        return `${diffMins}分前`;
+    } else if (diffHours < 24) {
+        return `${diffHours}時間前`;
+    } else {
+        const month = date.getMonth() + 1;
+        const day = date.getDate();
+        const hours = date.getHours().toString().padStart(2, '0');
+        const minutes = date.getMinutes().toString().padStart(2, '0');
+        return `${month}/${day} ${hours}:${minutes}`;
+    }
+}
+
+// APIのエラーレスポンス（{ error, code, details }）から表示するメッセージを決める
+// 入力エラー（VALIDATION_FAILED）は項目ごとのメッセージをそのまま表示する
+function describeApiError(data, fallback) {
+    if (data && ERROR_MESSAGES[data.code]) {
+        return ERROR_MESSAGES[data.code];
+    }
+    return (data && data.error) || fallback;
+}
+
+// HTMLエスケープ
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+// 成功メッセージの表示
+function showSuccess(message) {
+    // コンソールのみに出力（静かな成功）
+    console.log('Success:', message);
+}
+
+// エラーメッセージの表示
+function showError(message) {
+    // コンソールに出力（アラートは表示しない）
+    console.error('Error:', message);
+}
+
+// タブビューの切り替え
+function showCurrentView() {
+    elements.currentTab.classList.add('active');
+    elements.historyTab.classList.remove('active');
+    elements.timelineTab.classList.remove('active');
+    elements.mainView.classList.remove('hidden');
+    elements.historyView.classList.add('hidden');
+    elements.timelineView.classList.add('hidden');
+    elements.settingsView.classList.add('hidden');
+}
+
+function showHistoryView() {
+    elements.currentTab.classList.remove('active');
+    elements.historyTab.classList.add('active');
+    elements.timelineTab.classList.remove('active');
+    elements.mainView.classList.add('hidden');
+    elements.historyView.classList.remove('hidden');
+    elements.timelineView.classList.add('hidden');
+    elements.settingsView.classList.add('hidden');
+
+    // 履歴をロード
+    loadHistory();
+}
+
+function showTimelineView() {
+    elements.currentTab.classList.remove('active');
+    elements.historyTab.classList.remove('active');
+    elements.timelineTab.classList.add('active');
+    elements.mainView.classList.add('hidden');
+    elements.historyView.classList.add('hidden');
+    elements.timelineView.classList.remove('hidden');
+    elements.settingsView.classList.add('hidden');
+
+    // タイムラインをロード
+    loadTimeline();
+}
+
+// 履歴フィルター変更時の処理
+function onHistoryFilterChange() {
+    historyState.currentMember = elements.historyMemberFilter.value;
+    historyState.currentDateFilter = elements.historyDateFilter.value;
+    historyState.offset = 0;
+    loadHistory();
+}
+
+// 履歴のロード
+async function loadHistory(append = false) {
+    if (historyState.isLoading) return;
+
+    historyState.isLoading = true;
+
+    if (!append) {
+        historyState.offset = 0;
+        elements.historyList.innerHTML = '<div class="history-empty">読み込み中...</div>';
+    }
+
+    try {
+        const params = new URLSearchParams({
+            limit: historyState.limit,
+            offset: historyState.offset
+        });
+
+        // 日付フィルター
+        const dateRange = getDateRange(historyState.currentDateFilter);
+        if (dateRange.from) {
+            params.append('from', dateRange.from);
+        }
+        if (dateRange.to) {
+            params.append('to', dateRange.to);
+        }
+
+        // メンバーフィルター
+        const url = historyState.currentMember
+            ? `${API_HISTORY}/${encodeURIComponent(historyState.currentMember)}?${params}`
+            : `${API_HISTORY}?${params}`;
+
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error('Failed to fetch history');
+        }
+
+        const data = await response.json();
+        const history = data.history || [];
+        const total = data.total || 0;
+
+        // 次のページがあるかチェック
+        historyState.hasMore = (historyState.offset + historyState.limit) < total;
+
+        if (append) {
+            displayHistory(history, true);
+        } else {
+            displayHistory(history, false);
+        }
+
+        // さらに読み込むボタンの表示/非表示
+        if (historyState.hasMore) {
+            elements.loadMoreHistory.classList.remove('hidden');
+        } else {
+            elements.loadMoreHistory.classList.add('hidden');
+        }
+
+    } catch (error) {
+        console.error('Error fetching history:', error);
+        elements.historyList.innerHTML = '<div class="history-empty">履歴の取得に失敗しました</div>';
+    } finally {
+        historyState.isLoading = false;
+    }
+}
+
+// さらに履歴を読み込む
+async function loadMoreHistory() {
+    historyState.offset += historyState.limit;
+    await loadHistory(true);
+}
+
+// 現在のフィルター（メンバー・期間）で履歴をダウンロード
+function downloadHistory() {
+    const params = new URLSearchParams({ format: elements.historyExportFormat.value });
+
+    if (historyState.currentMember) {
+        params.append('member', historyState.currentMember);
+    }
+    const dateRange = getDateRange(historyState.currentDateFilter);
+    if (dateRange.from) {
+        params.append('from', dateRange.from);
+    }
+    if (dateRange.to) {
+        params.append('to', dateRange.to);
+    }
+
+    // Content-Disposition: attachment のため画面は遷移せずダウンロードされる
+    const link = document.createElement('a');
+    link.href = `${API_HISTORY}/export?${params}`;
+    link.download = '';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+}
+
+// 日付範囲を取得
+function getDateRange(filter) {
+    const now = new Date();
+    const range = { from: null, to: null };
+
+    switch (filter) {
+        case 'today':
+            const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+            range.from = startOfDay.toISOString();
+            break;
+        case 'week':
+            const weekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+            range.from = weekAgo.toISOString();
+            break;
+        case 'month':
+            const monthAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+            range.from = monthAgo.toISOString();
+            break;
+        case 'all':
+            // 全期間なのでfrom/toを指定しない
+            break;
+    }
+
+    return range;
+}
+
+// 履歴の表示
+function displayHistory(history, append = false) {
+    if (!history || history.length === 0) {
+        if (!append) {
+            elements.historyList.innerHTML = '<div class="history-empty">履歴がありません</div>';
+            currentHistoryItems = [];
+        }
+        return;
+    }
+
+    // 履歴アイテムを保存（追加の場合は結合）
+    if (append) {
+        currentHistoryItems = currentHistoryItems.concat(history);
+    } else {
+        currentHistoryItems = history;
+    }
+
+    const historyHtml = history.map(renderHistoryItem).join('');
+
+    if (append) {
+        elements.historyList.insertAdjacentHTML('beforeend', historyHtml);
+    } else {
+        elements.historyList.innerHTML = historyHtml;
+    }
+}
+
+// 自動で記録された履歴の表示（手動の更新には付けない）
+const HISTORY_SOURCE_LABELS = {
+    api: '🤖 API',
+    expiry: '⌛ 自動解除',
+    schedule: '📅 予定',
+    import: '📥 取り込み'
+};
+
+// 履歴の1項目（変更された項目は「変更前 → 変更後」、変わっていない項目は薄く表示）
+function renderHistoryField(item, field, label, format) {
+    const changedFields = item.changed_fields;
+    const previous = item.previous ? item.previous[field] : null;
+    const isChanged = !changedFields || changedFields.includes(field);
+    const value = `<span class="history-value">${format(item[field])}</span>`;
+    const change = isChanged && changedFields && previous
+        ? `<span class="history-value history-previous">${format(previous)}</span><span class="history-arrow">→</span>${value}`
+        : value;
+
+    return `
+                <div class="history-field${isChanged ? '' : ' history-field-unchanged'}">
+                    <span class="history-field-label">${label}:</span>
+                    ${change}
+                </div>`;
+}
+
+function renderHistoryItem(item) {
+    const memberName = item.member ? item.member.name : '不明';
+    const time = formatHistoryTime(item.changed_at);
+    const activityField = renderHistoryField(item, 'activity', '活動',
+        value => (value ? formatStatusLabel('activity', value) : '未設定'));
+    const stateField = renderHistoryField(item, 'state', '状態',
+        value => (value ? formatStatusLabel('state', value) : '未設定'));
+    // ひとことは設定されている場合と、消された場合に表示
+    const messageField = item.message || (item.changed_fields && item.changed_fields.includes('message'))
+        ? renderHistoryField(item, 'message', 'ひとこと', value => (value ? escapeHtml(value) : 'なし'))
+        : '';
+    const untilField = item.until_at ? `
+                <div class="history-field">
+                    <span class="history-field-label">戻り予定:</span>
+                    <span class="history-value">${formatClock(item.until_at)}</span>
+                </div>` : '';
+
+    const sourceLabel = HISTORY_SOURCE_LABELS[item.source];
+
+    return `
+        <div class="history-item" data-timestamp="${item.changed_at}">
+            <div class="history-header">
+                <div class="history-member-name">${escapeHtml(memberName)}${sourceLabel ? `<span class="history-source">${sourceLabel}</span>` : ''}</div>
+                <div class="history-time">${time}</div>
+            </div>
+            <div class="history-change">${activityField}${stateField}${messageField}${untilField}
+            </div>${canCorrectHistoryItem(item) ? `
+            <div class="history-actions">
+                <button data-history-action="edit" data-history-id="${item.id}">修正</button>
+                <button data-history-action="delete" data-history-id="${item.id}">削除</button>
+            </div>` : ''}
+        </div>
+    `;
+}
+
+// 今日のタイムラインを表示中なら再読み込み
+function refreshTimelineIfToday() {
+    if (!elements.timelineView.classList.contains('hidden')
+        && timelineState.date.toDateString() === new Date().toDateString()) {
+        loadTimeline();
+    }
+}
+
+// SSEで受信した履歴を一覧の先頭に追加（履歴表示中で、フィルターに一致する場合のみ）
+function prependHistoryItem(entry) {
+    if (!entry || elements.historyView.classList.contains('hidden') || historyState.isLoading) {
+        return;
+    }
+    if (historyState.currentMember && (!entry.member || entry.member.name !== historyState.currentMember)) {
+        return;
+    }
+    if (currentHistoryItems.some(item => item.id === entry.id)) {
+        return;
+    }
+
+    if (currentHistoryItems.length === 0) {
+        elements.historyList.innerHTML = '';
+    }
+    currentHistoryItems = [entry].concat(currentHistoryItems);
+    // 同じメンバーの1つ前の履歴に修正ボタンを出すため、一覧全体を描き直す
+    renderHistoryList();
+
+    // 先頭に1件増えた分、次のページの開始位置をずらす
+    historyState.offset++;
+}
+
+// 表示中の履歴一覧を描き直す
+function renderHistoryList() {
+    elements.historyList.innerHTML = currentHistoryItems.length > 0
+        ? currentHistoryItems.map(renderHistoryItem).join('')
+        : '<div class="history-empty">履歴がありません</div>';
+}
+
+// 取り消し・修正・削除された履歴を一覧に反映
+function applyHistoryCorrection({ historyId, entry }) {
+    if (!currentHistoryItems.some(item => item.id === historyId)) {
+        return;
+    }
+
+    if (entry) {
+        currentHistoryItems = currentHistoryItems.map(item => (item.id === historyId ? entry : item));
+    } else {
+        currentHistoryItems = currentHistoryItems.filter(item => item.id !== historyId);
+        // 1件減った分、次のページの開始位置を戻す
+        historyState.offset = Math.max(historyState.offset - 1, 0);
+    }
+    renderHistoryList();
+}
+
+// 修正・削除できる履歴か（自分の、または管理者の場合は全員の履歴。最新の履歴は取り消しか状況の更新で変える）
+function canCorrectHistoryItem(item) {
+    if (!item.member || !authState.token) {
+        return false;
+    }
+    if (!authState.isAdmin && !(authState.member && authState.member.id === item.member.id)) {
+        return false;
+    }
+    const latest = currentHistoryItems.find(other => other.member && other.member.id === item.member.id);
+    return Boolean(latest) && latest.id !== item.id;
+}
+
+// 履歴の修正・削除ボタン
+async function onHistoryAction(event) {
+    const button = event.target.closest('button[data-history-action]');
+    if (!button) {
+        return;
+    }
+    const historyId = parseInt(button.dataset.historyId, 10);
+    const item = currentHistoryItems.find(h => h.id === historyId);
+    if (!item) {
+        return;
+    }
+
+    let request;
+    if (button.dataset.historyAction === 'edit') {
+        const changes = promptHistoryChanges(item);
+        if (!changes) {
+            return;
+        }
+        request = { method: 'PATCH', body: JSON.stringify(changes) };
+    } else {
+        if (!confirm(`${formatHistoryTime(item.changed_at)}の履歴を削除しますか？（修正の記録は残ります）`)) {
+            return;
+        }
+        request = { method: 'DELETE' };
+    }
+
+    try {
+        const response = await fetch(`${API_HISTORY}/${historyId}`, {
+            ...request,
+            headers: {
+                'Content-Type': 'application/json',
+                ...authHeaders()
+            }
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(describeApiError(data, 'Failed to correct history'));
+        }
+        applyHistoryCorrection({ historyId, entry: data.entry || null });
+        refreshTimelineIfToday();
+    } catch (error) {
+        console.error('Error correcting history:', error);
+        showError(`履歴を変更できませんでした: ${error.message}`);
+    }
+}
+
+// 修正する値を入力（キャンセルした場合は null、変更がない項目は含めない）
+function promptHistoryChanges(item) {
+    const labels = (category) => statusCatalog
+        .filter(o => o.category === category && o.enabled)
+        .map(o => o.label)
+        .join('・');
+    const activity = prompt(`活動（${labels('activity')}）`, item.activity || '');
+    if (activity === null) {
+        return null;
+    }
+    const state = prompt(`状態（${labels('state')}）`, item.state || '');
+    if (state === null) {
+        return null;
+    }
+    const message = prompt('ひとこと（空欄で消去）', item.message || '');
+    if (message === null) {
+        return null;
+    }
+
+    const changes = {};
+    if (activity.trim() !== (item.activity || '')) {
+        changes.activity = activity.trim();
+    }
+    if (state.trim() !== (item.state || '')) {
+        changes.state = state.trim();
+    }
+    if (message.trim() !== (item.message || '')) {
+        changes.message = message.trim() || null;
+    }
+    return Object.keys(changes).length > 0 ? changes : null;
+}
+
+// 履歴用の時刻フォーマット
+function formatHistoryTime(timestamp) {
+    const date = new Date(timestamp);
+    const now = new Date();
+    const diffMs = now - date;
+    const diffMins = Math.floor(diffMs / 60000);
+    const diffHours = Math.floor(diffMs / 3600000);
+
+    if (diffMins < 1) {
+        return 'たった今';
+    } else if (diffMins < 60) {
+        return `${diffMins}分前`;
+    } else if (diffHours < 24) {
+        return `${diffHours}時間前`;
+    } else {
+        const year = date.getFullYear();
+        const month = (date.getMonth() + 1).toString().padStart(2, '0');
+        const day = date.getDate().toString().padStart(2, '0');
+        const hours = date.getHours().toString().padStart(2, '0');
+        const minutes = date.getMinutes().toString().padStart(2, '0');
+        return `${year}/${month}/${day} ${hours}:${minutes}`;
+    }
+}
+
+// タイムライン表示の日付を変更（offsetDays: -1 で前日、1 で翌日、0 で今日）
+function moveTimelineDate(offsetDays) {
+    const date = offsetDays === 0 ? new Date() : new Date(timelineState.date);
+    date.setHours(0, 0, 0, 0);
+    date.setDate(date.getDate() + offsetDays);
+    timelineState.date = date;
+    loadTimeline();
+}
+
+// タイムラインのロード（1日分の履歴と、各メンバーのその日の開始時点の状態を取得）
+async function loadTimeline() {
+    const dayStart = new Date(timelineState.date);
+    const dayEnd = new Date(dayStart);
+    dayEnd.setDate(dayEnd.getDate() + 1);
+    const requestId = ++timelineState.requestId;
+
+    const isToday = dayStart.toDateString() === new Date().toDateString();
+    elements.timelineDate.textContent = `${dayStart.getMonth() + 1}/${dayStart.getDate()}（${'日月火水木金土'[dayStart.getDay()]}）${isToday ? ' 今日' : ''}`;
+    elements.timelineNextDay.disabled = isToday;
+    elements.timelineDetail.classList.add('hidden');
+
+    const members = getActiveMembers();
+    if (members.length === 0) {
+        elements.timelineChart.innerHTML = '<div class="history-empty">メンバーが登録されていません</div>';
+        return;
+    }
+
+    try {
+        const fetchHistory = async (url) => {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error('Failed to fetch history');
+            }
+            return (await response.json()).history || [];
+        };
+
+        const dayParams = new URLSearchParams({ from: dayStart.toISOString(), to: dayEnd.toISOString(), limit: 1000 });
+        const previousParams = new URLSearchParams({ to: dayStart.toISOString(), limit: 1 });
+        const [dayHistory, ...previousHistory] = await Promise.all([
+            fetchHistory(`${API_HISTORY}?${dayParams}`),
+            ...members.map(m => fetchHistory(`${API_HISTORY}/${encodeURIComponent(m.name)}?${previousParams}`))
+        ]);
+
+        // 別の日付に移動済みなら破棄
+        if (requestId !== timelineState.requestId) {
+            return;
+        }
+
+        const rangeEnd = Math.min(dayEnd.getTime(), Date.now());
+        timelineState.rows = members.map((member, index) => {
+            const entries = previousHistory[index]
+                .concat(dayHistory.filter(h => h.member && h.member.id === member.id))
+                .sort((a, b) => new Date(a.changed_at) - new Date(b.changed_at));
+            return {
+                member,
+                activity: buildTimelineSegments(entries, 'activity', dayStart.getTime(), rangeEnd),
+                state: buildTimelineSegments(entries, 'state', dayStart.getTime(), rangeEnd)
+            };
+        });
+        displayTimeline(dayStart.getTime(), dayEnd.getTime());
+    } catch (error) {
+        console.error('Error fetching timeline:', error);
+        elements.timelineChart.innerHTML = '<div class="history-empty">タイムラインの取得に失敗しました</div>';
+    }
+}
+
+// 履歴（古い順）から活動・状態の区間を作成（同じ値が続く場合は1つにまとめ、未設定の区間は除く）
+function buildTimelineSegments(entries, category, rangeStart, rangeEnd) {
+    const segments = [];
+
+    entries.forEach((entry, index) => {
+        const next = entries[index + 1];
+        const start = Math.max(new Date(entry.changed_at).getTime(), rangeStart);
+        const end = Math.min(next ? new Date(next.changed_at).getTime() : rangeEnd, rangeEnd);
+        const label = entry[category];
+        if (!label || end <= start) {
+            return;
+        }
+
+        const last = segments[segments.length - 1];
+        if (last && last.label === label && last.end === start) {
+            last.end = end;
+        } else {
+            segments.push({ label, start, end });
+        }
+    });
+
+    return segments;
+}
+
+// タイムラインの表示（1メンバーにつき活動・状態の2段の帯）
+function displayTimeline(dayStart, dayEnd) {
+    const dayLength = dayEnd - dayStart;
+    const nowOffset = Date.now() - dayStart;
+
+    const renderTrack = (row, rowIndex, category) => {
+        const bands = row[category].map((segment, segmentIndex) => {
+            const option = findCatalogOption(category, segment.label);
+            const color = escapeHtml((option && option.color) || '#bbbbbb');
+            const left = (segment.start - dayStart) / dayLength * 100;
+            const width = (segment.end - segment.start) / dayLength * 100;
+            return `<div class="timeline-band" data-row="${rowIndex}" data-category="${category}" data-segment="${segmentIndex}" style="left: ${left}%; width: ${width}%; background: ${color}" title="${escapeHtml(segment.label)}"></div>`;
+        }).join('');
+        return `<div class="timeline-track">${bands}</div>`;
+    };
+
+    const nowMarker = nowOffset > 0 && nowOffset < dayLength
+        ? `<div class="timeline-now" style="left: ${nowOffset / dayLength * 100}%"></div>`
+        : '';
+
+    elements.timelineChart.innerHTML = timelineState.rows.map((row, rowIndex) => `
+        <div class="timeline-row">
+            <div class="timeline-member">${escapeHtml(row.member.emoji || '👤')} ${escapeHtml(row.member.name)}</div>
+            <div class="timeline-tracks">
+                ${renderTrack(row, rowIndex, 'activity')}
+                ${renderTrack(row, rowIndex, 'state')}
+                ${nowMarker}
+            </div>
+        </div>
+    `).join('');
+}
+
+// 帯をタップしたときに開始・終了時刻を表示
+function onTimelineBandClick(event) {
+    const band = event.target.closest('.timeline-band');
+    if (!band) {
+        return;
+    }
+
+    const row = timelineState.rows[band.dataset.row];
+    const { category } = band.dataset;
+    const segment = row[category][band.dataset.segment];
+    const dayStart = new Date(timelineState.date).getTime();
+    const minutes = Math.round((segment.end - segment.start) / 60000);
+
+    elements.timelineDetail.innerHTML = `
+        <strong>${escapeHtml(row.member.name)}</strong>
+        ${category === 'activity' ? '活動' : '状態'}: ${formatStatusLabel(category, segment.label)}<br>
+        ${formatTimelineClock(segment.start, dayStart)}〜${formatTimelineClock(segment.end, dayStart)}（${formatDuration(minutes, '間')}）
+    `;
+    elements.timelineDetail.classList.remove('hidden');
+}
+
+// タイムライン用の時刻表示（表示中の日の終わりは 24:00）
+function formatTimelineClock(ms, dayStart) {
+    const minutesFromStart = Math.round((ms - dayStart) / 60000);
+    const hours = Math.floor(minutesFromStart / 60).toString().padStart(2, '0');
+    const minutes = (minutesFromStart % 60).toString().padStart(2, '0');
+    return `${hours}:${minutes}`;
+}
+
+// 時刻更新のインターバルを開始
+function startTimeUpdateInterval() {
+    // 既存のインターバルがあればクリア
+    if (timeUpdateInterval) {
+        clearInterval(timeUpdateInterval);
+    }
+
+    // 1分（60秒）ごとに時刻を更新
+    timeUpdateInterval = setInterval(() => {
+        updateDisplayedTimes();
+    }, 60000);
+}
+
+// 時刻更新のインターバルを停止
+function stopTimeUpdateInterval() {
+    if (timeUpdateInterval) {
+        clearInterval(timeUpdateInterval);
+        timeUpdateInterval = null;
+    }
+}
+
+// 表示されている時刻を更新
+function updateDisplayedTimes() {
+    // 現在の状況カードの時刻を更新
+    const memberCards = elements.familyStatus.querySelectorAll('.member-card');
+    memberCards.forEach(card => {
+        const timestamp = card.dataset.timestamp;
+        if (timestamp) {
+            const timeElement = card.querySelector('.member-time');
+            if (timeElement) {
+                timeElement.textContent = formatTime(timestamp);
+            }
+        }
+
+        // 戻り予定のカウントダウン
+        const untilElement = card.querySelector('.member-until');
+        if (untilElement) {
+            const { text, overdue } = formatUntil(untilElement.dataset.until);
+            untilElement.textContent = text;
+            untilElement.classList.toggle('overdue', overdue);
+        }
+    });
+
+    // 履歴アイテムの時刻を更新
+    const historyItems = elements.historyList.querySelectorAll('.history-item');
+    historyItems.forEach(item => {
+        const timestamp = item.dataset.timestamp;
+        if (timestamp) {
+            const timeElement = item.querySelector('.history-time');
+            if (timeElement) {
+                timeElement.textContent = formatHistoryTime(timestamp);
+            }
+        }
+    });
+}
+
+// ページ読み込み時に初期化
+document.addEventListener('DOMContentLoaded', init);
+
+// ページがアンロードされる前にクリーンアップ
+window.addEventListener('beforeunload', () => {
+    closeSSE();
+    stopPolling();
+    stopTimeUpdateInterval();
+});
@@ -0,0 +1,89 @@
+// Service Worker（アプリ本体をキャッシュし、オフラインでも画面を開けるようにする）
+// アプリ本体のファイルを変更したら CACHE_VERSION を上げる
+const CACHE_VERSION = 'v13';
+const CACHE_NAME = `family-status-${CACHE_VERSION}`;
+
+const APP_SHELL = [
+    '/',
+    '/index.html',
+    '/style.css',
+    '/app.js',
+    '/manifest.webmanifest',
+    '/icons/icon.svg',
+    '/icons/icon-192.png',
+    '/icons/icon-512.png'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// 古いバージョンのキャッシュを削除
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('family-status-') && key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// アプリ本体はネットワーク優先（取得できたらキャッシュを更新し、オフライン時はキャッシュを返す）
+// APIはキャッシュしない（オフライン時の状況の更新は app.js 側で送信待ちにする）
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+        return;
+    }
+
+    event.respondWith(
+        fetch(request)
+            .then((response) => {
+                if (response.ok) {
+                    const copy = response.clone();
+                    caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+                }
+                return response;
+            })
+            // app.js?v=N のようなキャッシュ対策のクエリは無視して探す
+            .catch(() => caches.match(request, { ignoreSearch: true })
+                .then(cached => cached || (request.mode === 'navigate' ? caches.match('/index.html') : Response.error())))
+    );
+});
+
+// Web Push通知の表示（サーバーから { title, body, tag, url } が届く）
+self.addEventListener('push', (event) => {
+    let data = {};
+    try {
+        data = event.data ? event.data.json() : {};
+    } catch (error) {
+        data = { body: event.data.text() };
+    }
+
+    event.waitUntil(self.registration.showNotification(data.title || '家族状況共有', {
+        body: data.body || '',
+        tag: data.tag || 'status-update',
+        icon: '/icons/icon-192.png',
+        badge: '/icons/icon-192.png',
+        data: { url: data.url || '/' }
+    }));
+});
+
+// 通知をタップしたら開いている画面を前面に出す（なければ開く）
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = new URL(event.notification.data?.url || '/', self.location.origin).href;
+
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+            const existing = windows.find(client => client.url.startsWith(self.location.origin));
+            return existing ? existing.focus() : self.clients.openWindow(url);
+        })
+    );
+});
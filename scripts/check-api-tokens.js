@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+// APIトークンの権限の確認（一時ファイルのDBとローカルのサーバーで、server.js と同じ認証のミドルウェアを通す）
+// 読み取り専用のトークン（以前に発行した permission = 'read'）が POST /api/status で拒否されること、
+// 更新も可能なトークン・状況と履歴以外のルートの扱いを確認する
+//
+// 使い方: npm test（または node scripts/check-api-tokens.js）
+const assert = require('assert');
+const express = require('express');
+const db = require('../db/database');
+const auth = require('../lib/auth');
+const { openTempDatabase, runChecks } = require('./checkHelpers');
+
+// 認証を通過したリクエストに返す本文（ルートの処理の代わり）
+const PASSED = { passed: true };
+
+/**
+ * server.js と同じ認証のミドルウェアを通すサーバーを起動
+ * @returns {Promise<Object>} { url, close }
+ */
+function startServer() {
+    const app = express();
+    app.use(express.json());
+    app.use('/api', auth.authenticate, auth.restrictApiTokens);
+    app.get('/api/status', (req, res) => res.json(PASSED));
+    app.post('/api/status', auth.requireAuth, (req, res) => res.json(PASSED));
+    app.get('/api/tokens', auth.requireAuth, (req, res) => res.json(PASSED));
+
+    return new Promise(resolve => {
+        const server = app.listen(0, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+async function main() {
+    const closeDatabase = openTempDatabase();
+    const server = await startServer();
+
+    const alice = db.createMember({ name: 'alice' });
+    const readToken = auth.issueApiToken({ memberId: alice.id, permission: 'read' }).token;
+    const writeToken = auth.issueApiToken({ memberId: alice.id, permission: 'write' }).token;
+
+    const send = async (method, apiPath, token) => {
+        const response = await fetch(`${server.url}${apiPath}`, {
+            method,
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+            body: method === 'GET' ? undefined : JSON.stringify({ activity: '仕事' })
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    await runChecks([
+        ['読み取り専用のトークンは POST /api/status で 403 READ_ONLY_TOKEN になる', async () => {
+            const { status, body } = await send('POST', '/api/status', readToken);
+            assert.strictEqual(status, 403);
+            assert.strictEqual(body.code, 'READ_ONLY_TOKEN');
+        }],
+        ['読み取り専用のトークンでも GET /api/status は取得できる', async () => {
+            const { status, body } = await send('GET', '/api/status', readToken);
+            assert.strictEqual(status, 200);
+            assert.deepStrictEqual(body, PASSED);
+        }],
+        ['更新も可能なトークンは POST /api/status を通過する', async () => {
+            const { status, body } = await send('POST', '/api/status', writeToken);
+            assert.strictEqual(status, 200);
+            assert.deepStrictEqual(body, PASSED);
+        }],
+        ['APIトークンは状況・履歴以外のルートでは 403 API_TOKEN_NOT_ALLOWED になる', async () => {
+            const { status, body } = await send('GET', '/api/tokens', writeToken);
+            assert.strictEqual(status, 403);
+            assert.strictEqual(body.code, 'API_TOKEN_NOT_ALLOWED');
+        }],
+        ['アーカイブされたメンバーのトークンは認証されない', async () => {
+            db.setMemberArchived(alice.id, true);
+            const { status, body } = await send('POST', '/api/status', writeToken);
+            assert.strictEqual(status, 401);
+            assert.strictEqual(body.code, 'AUTH_REQUIRED');
+        }]
+    ], async () => {
+        await server.close();
+        closeDatabase();
+    });
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+// Idempotency-Key による再送の重複防止の確認（一時ファイルのDBとローカルのサーバーで、server.js と同じミドルウェアを通す）
+// 処理中の同じキーのリクエストが 409 になること、成功の結果の再送・内容の異なるリクエストの拒否、
+// 失敗した後は同じキーで再試行できることを確認する
+//
+// 使い方: npm test（または node scripts/check-idempotency.js）
+const assert = require('assert');
+const express = require('express');
+const db = require('../db/database');
+const auth = require('../lib/auth');
+const { idempotency, IDEMPOTENCY_KEY_HEADER } = require('../lib/idempotency');
+const { openTempDatabase, runChecks } = require('./checkHelpers');
+
+// 確認用の処理にかかる時間（この間に同じキーのリクエストを送る）
+const HANDLER_DELAY_MS = 200;
+
+/**
+ * 処理の回数を数えるルートを持つサーバーを起動
+ * 本文の fail が true の場合は 412 を返す
+ * @returns {Promise<Object>} { url, handled, close }
+ */
+function startServer() {
+    const handled = [];
+    const app = express();
+    app.use(express.json());
+    app.use('/api', auth.authenticate);
+    app.use('/api', idempotency({ ttlMs: 60 * 1000 }));
+    app.post('/api/status', auth.requireAuth, async (req, res) => {
+        handled.push(req.body);
+        await new Promise(resolve => setTimeout(resolve, HANDLER_DELAY_MS));
+        if (req.body.fail) {
+            return res.status(412).json({ error: '前提条件の不一致', code: 'VERSION_MISMATCH' });
+        }
+        res.set('ETag', `"${handled.length}"`);
+        res.json({ success: true, count: handled.length });
+    });
+
+    return new Promise(resolve => {
+        const server = app.listen(0, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                handled,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+async function main() {
+    const closeDatabase = openTempDatabase();
+    const server = await startServer();
+
+    const alice = db.createMember({ name: 'alice' });
+    const { token } = auth.issueApiToken({ memberId: alice.id, permission: 'write' });
+
+    const send = async (key, body) => {
+        const response = await fetch(`${server.url}/api/status`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                Authorization: `Bearer ${token}`,
+                [IDEMPOTENCY_KEY_HEADER]: key
+            },
+            body: JSON.stringify(body)
+        });
+        return { status: response.status, headers: response.headers, body: await response.json() };
+    };
+
+    await runChecks([
+        ['処理中の同じキーのリクエストは処理せず 409 IDEMPOTENCY_KEY_IN_PROGRESS になる', async () => {
+            const [first, second] = await Promise.all([
+                send('concurrent', { activity: '仕事' }),
+                new Promise(resolve => setTimeout(resolve, HANDLER_DELAY_MS / 4)).then(() => send('concurrent', { activity: '仕事' }))
+            ]);
+            assert.strictEqual(first.status, 200);
+            assert.strictEqual(second.status, 409);
+            assert.strictEqual(second.body.code, 'IDEMPOTENCY_KEY_IN_PROGRESS');
+            assert.strictEqual(server.handled.length, 1);
+        }],
+        ['処理が終わった後の再送には、処理せずに保存した結果・ETag を返す', async () => {
+            const replayed = await send('concurrent', { activity: '仕事' });
+            assert.strictEqual(replayed.status, 200);
+            assert.deepStrictEqual(replayed.body, { success: true, count: 1 });
+            assert.strictEqual(replayed.headers.get('Idempotent-Replayed'), 'true');
+            assert.strictEqual(replayed.headers.get('ETag'), '"1"');
+            assert.strictEqual(server.handled.length, 1);
+        }],
+        ['同じキーで内容の異なるリクエストは 422 IDEMPOTENCY_KEY_REUSED になる', async () => {
+            const reused = await send('concurrent', { activity: '在宅' });
+            assert.strictEqual(reused.status, 422);
+            assert.strictEqual(reused.body.code, 'IDEMPOTENCY_KEY_REUSED');
+            assert.strictEqual(server.handled.length, 1);
+        }],
+        ['失敗（412）の結果は保存せず、同じキーで再試行できる', async () => {
+            const failed = await send('retry', { activity: '仕事', fail: true });
+            assert.strictEqual(failed.status, 412);
+            const retried = await send('retry', { activity: '仕事', fail: true });
+            assert.strictEqual(retried.status, 412);
+            assert.strictEqual(retried.headers.get('Idempotent-Replayed'), null);
+            assert.strictEqual(server.handled.length, 3);
+        }]
+    ], async () => {
+        await server.close();
+        closeDatabase();
+    });
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+// Web Push の送信の確認（実際のプッシュサービスの代わりに、ローカルの模擬プッシュサービスを購読のエンドポイントにする）
+// 送信（VAPIDの署名・暗号化された本文）、404・410 の購読の削除、送信先の端末の絞り込み、声かけの送信、
+// 通知の設定の活動・状態の絞り込みを確認する
+//
+// 使い方: npm test（または node scripts/check-push.js）
+const assert = require('assert');
+const crypto = require('crypto');
+const db = require('../db/database');
+const events = require('../lib/events');
+const push = require('../lib/push');
+const notificationPreferences = require('../lib/notificationPreferences');
+const { openTempDatabase, startReceiver, waitFor, runChecks } = require('./checkHelpers');
+
+// 模擬プッシュサービスの応答（パスごと。それ以外は 201）
+const RESPONSES = {
+    '/push/gone': 410,
+    '/push/missing': 404,
+    '/push/broken': 500
+};
+
+/**
+ * 端末の購読の鍵を作成（ブラウザの PushSubscription と同じ形式）
+ * @returns {Object} { ecdh, p256dh, auth }
+ */
+function createSubscriptionKeys() {
+    const ecdh = crypto.createECDH('prime256v1');
+    ecdh.generateKeys();
+    return {
+        ecdh,
+        p256dh: ecdh.getPublicKey().toString('base64url'),
+        auth: crypto.randomBytes(16).toString('base64url')
+    };
+}
+
+/**
+ * aes128gcm で暗号化された本文を端末の鍵で復号（RFC 8291）
+ * @param {Buffer} body - 受信した本文
+ * @param {Object} keys - createSubscriptionKeys の戻り値
+ * @returns {Object} 通知内容
+ */
+function decryptPayload(body, keys) {
+    const salt = body.subarray(0, 16);
+    const keyIdLength = body.readUInt8(20);
+    const serverPublicKey = body.subarray(21, 21 + keyIdLength);
+    const ciphertext = body.subarray(21 + keyIdLength);
+
+    const sharedSecret = keys.ecdh.computeSecret(serverPublicKey);
+    const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), keys.ecdh.getPublicKey(), serverPublicKey]);
+    const ikm = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, Buffer.from(keys.auth, 'base64url'), keyInfo, 32));
+    const contentKey = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+    const nonce = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+    const decipher = crypto.createDecipheriv('aes-128-gcm', contentKey, nonce);
+    decipher.setAuthTag(ciphertext.subarray(-16));
+    const padded = Buffer.concat([decipher.update(ciphertext.subarray(0, -16)), decipher.final()]);
+    // 末尾の区切り（0x02）と詰め物（0x00）を取り除く
+    return JSON.parse(padded.subarray(0, padded.lastIndexOf(2)).toString());
+}
+
+async function main() {
+    const closeDatabase = openTempDatabase();
+    const pushService = await startReceiver(request => RESPONSES[request.path] || 201);
+
+    // 受け取る側（2人）・状況を変更する本人・端末が失効したメンバー
+    const [alice, bob, carol, dave] = ['alice', 'bob', 'carol', 'dave'].map(name => db.createMember({ name }));
+    const keysByPath = {};
+    const subscribe = (member, endpointPath) => {
+        const token = db.createDeviceToken({
+            memberId: member.id,
+            scope: 'member',
+            tokenHash: crypto.randomBytes(32).toString('hex')
+        });
+        const keys = createSubscriptionKeys();
+        keysByPath[endpointPath] = keys;
+        return db.savePushSubscription({
+            deviceTokenId: token.id,
+            memberId: member.id,
+            endpoint: `${pushService.url}${endpointPath}`,
+            p256dh: keys.p256dh,
+            auth: keys.auth
+        });
+    };
+    subscribe(alice, '/push/alice');
+    subscribe(alice, '/push/gone');
+    subscribe(alice, '/push/missing');
+    subscribe(bob, '/push/bob');
+    const carolPhone = subscribe(carol, '/push/carol');
+    subscribe(carol, '/push/broken');
+    subscribe(dave, '/push/dave');
+    db.revokeMemberDeviceTokens(dave.id);
+
+    const deliveredNudges = [];
+    const sender = push.startPushNotifier({
+        vapidKeys: push.loadVapidKeys(),
+        subject: 'mailto:check@example.com',
+        timeZone: 'Asia/Tokyo',
+        onNudgeDelivered: id => deliveredNudges.push(id)
+    });
+    const activeEndpoints = () => db.getActivePushSubscriptions().map(s => s.endpoint.replace(pushService.url, ''));
+
+    let entry = null;
+    let nudge = null;
+    await runChecks([
+        ['状況の変更は本人以外のメンバーの端末に送信される', async () => {
+            entry = db.insertHistory(bob.id, '外出中', null, null, { message: 'すぐ戻ります' });
+            events.publish(events.EVENT_TYPES.HISTORY_APPENDED, { entry, member: bob });
+            await waitFor(() => pushService.requests.length >= 5 && activeEndpoints().length === 4, 'status push');
+
+            const paths = pushService.requests.map(r => r.path).sort();
+            assert.deepStrictEqual(paths, ['/push/alice', '/push/broken', '/push/carol', '/push/gone', '/push/missing']);
+        }],
+        ['VAPIDの署名・暗号化のヘッダーが付く', async () => {
+            const { headers } = pushService.requests.find(r => r.path === '/push/alice');
+            assert.match(headers.authorization, /^vapid t=[\w-]+\.[\w-]+\.[\w-]+, k=[\w-]+$/);
+            assert.strictEqual(headers['content-encoding'], 'aes128gcm');
+            assert.ok(Number(headers.ttl) > 0, `TTL: ${headers.ttl}`);
+        }],
+        ['本文は端末の鍵で復号でき、状況の変更の内容が入っている', async () => {
+            const request = pushService.requests.find(r => r.path === '/push/alice');
+            const notification = decryptPayload(request.body, keysByPath['/push/alice']);
+            assert.deepStrictEqual(notification, push.buildStatusNotification(entry, bob));
+        }],
+        ['404・410 を返した購読は削除され、成功した購読は記録される', async () => {
+            assert.deepStrictEqual(activeEndpoints(), ['/push/alice', '/push/bob', '/push/carol', '/push/broken']);
+            const alicePhone = db.getActivePushSubscriptions().find(s => s.endpoint.endsWith('/push/alice'));
+            assert.ok(alicePhone.last_success_at, 'last_success_at が記録されていない');
+        }],
+        ['声かけは相手のメンバーの端末のみに送信される', async () => {
+            const before = pushService.requests.length;
+            nudge = db.createNudge({ fromMemberId: bob.id, toMemberId: alice.id, message: 'ごはんだよ' });
+            events.publish(events.EVENT_TYPES.NUDGE_SENT, { nudge });
+            await waitFor(() => deliveredNudges.includes(nudge.id), 'nudge push');
+
+            const requests = pushService.requests.slice(before);
+            assert.deepStrictEqual(requests.map(r => r.path), ['/push/alice']);
+            assert.deepStrictEqual(decryptPayload(requests[0].body, keysByPath['/push/alice']), push.buildNudgeNotification(nudge));
+        }],
+        ['それ以外のエラーでは購読を残してエラーを記録する', async () => {
+            const results = await sender.sendToSubscriptions(
+                db.getActivePushSubscriptions().filter(s => s.member_id === carol.id),
+                { title: 'テスト', body: 'check', tag: 'check', url: '/' }
+            );
+            assert.deepStrictEqual(results.map(r => [r.ok, r.status]), [[true, 201], [false, 500]]);
+            const broken = db.getActivePushSubscriptions().find(s => s.endpoint.endsWith('/push/broken'));
+            assert.strictEqual(broken.last_error, 'HTTP 500');
+        }],
+        ['端末を指定した送信（テスト通知）はその端末のみに届く', async () => {
+            const before = pushService.requests.length;
+            const targets = db.getActivePushSubscriptions({ deviceTokenId: carolPhone.device_token_id });
+            await sender.sendToSubscriptions(targets, { title: 'テスト', body: 'check', tag: 'check', url: '/' });
+            assert.deepStrictEqual(pushService.requests.slice(before).map(r => r.path), ['/push/carol']);
+        }],
+        ['本人の端末・失効した端末の購読には送信しない', async () => {
+            assert.ok(!pushService.requests.some(r => r.path === '/push/bob' || r.path === '/push/dave'));
+        }],
+        ['状態の絞り込みは、状態が選んだ値に変わったときのみ通知する', async () => {
+            const preferences = notificationPreferences.withDefaults({ states: ['緊急'] });
+            const context = { viewerMemberId: alice.id, now: Date.now(), timeZone: 'Asia/Tokyo' };
+            const change = changedFields => ({ memberId: bob.id, activity: '在宅', state: '緊急', changedFields });
+            assert.strictEqual(notificationPreferences.shouldNotify(preferences, change(['state']), context), true);
+            assert.strictEqual(notificationPreferences.shouldNotify(preferences, change(['activity', 'state']), context), true);
+            assert.strictEqual(notificationPreferences.shouldNotify(preferences, change(['message']), context), false);
+            assert.strictEqual(notificationPreferences.shouldNotify(preferences, change(['activity']), context), false);
+        }]
+    ], async () => {
+        await pushService.close();
+        closeDatabase();
+    });
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
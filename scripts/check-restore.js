@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+// JSONアーカイブからの復元の確認（一時ファイルのDBで復元する）
+// 置き換え（replace）で、アーカイブに含まれない端末・APIトークン・予定などの関連データが残ること・削除される件数の報告、
+// 集約済みの期間の終わりの復元・統合（merge）で集約済みの期間の履歴を追加しないこと・挟み込んだ履歴の変更前の値を確認する
+//
+// 使い方: npm test（または node scripts/check-restore.js）
+const assert = require('assert');
+const crypto = require('crypto');
+const db = require('../db/database');
+const { openTempDatabase, runChecks } = require('./checkHelpers');
+
+// 集約済みの期間の終わりを保存する app_settings のキー
+const HISTORY_COMPACTED_UNTIL_KEY = 'history_compacted_until';
+
+// メンバーの履歴（日時順。変更前の値・変更された項目を含む）
+function historyOf(member) {
+    return db.getDatabase().prepare(`
+        SELECT activity, previous_activity, changed_fields, changed_at FROM status_history
+        WHERE member_id = ? ORDER BY changed_at
+    `).all(member.id);
+}
+
+// 関連データの件数（テーブルごと）
+function countRows(table) {
+    return db.getDatabase().prepare(`SELECT COUNT(*) AS count FROM ${table}`).get().count;
+}
+
+// メンバーに関連データ（端末・APIトークン・予定・Webhook・通知の設定）を登録
+function addRelatedData(member) {
+    const token = db.createDeviceToken({
+        memberId: member.id,
+        scope: 'member',
+        tokenHash: crypto.randomBytes(32).toString('hex')
+    });
+    db.createApiToken({ memberId: member.id, permission: 'read', tokenHash: crypto.randomBytes(32).toString('hex') });
+    db.createSchedule({ memberId: member.id, days: [1, 2, 3, 4, 5], startTime: '09:00', activity: '仕事' });
+    db.createWebhook({ url: 'http://127.0.0.1:9/hook', eventTypes: ['member.updated'], memberId: member.id, secret: 'secret' });
+    db.saveNotificationPreferences({ memberId: member.id }, { states: ['緊急'] });
+    return token;
+}
+
+async function main() {
+    const closeDatabase = openTempDatabase();
+
+    // アーカイブの作成時点のメンバー（alice・bob）
+    const [alice, bob] = ['alice', 'bob'].map(name => db.createMember({ name }));
+    db.insertHistory(alice.id, '在宅', null, '2026-01-01T09:00:00.000Z');
+    db.insertHistory(bob.id, '外出中', null, '2026-01-01T10:00:00.000Z');
+    db.setAppSetting(HISTORY_COMPACTED_UNTIL_KEY, '2026-01-01T00:00:00.000Z');
+    const archive = db.exportArchive();
+
+    // アーカイブの作成後に追加したメンバー（carol）・関連データ・履歴
+    const carol = db.createMember({ name: 'carol' });
+    const aliceToken = addRelatedData(alice);
+    addRelatedData(carol);
+    db.createNudge({ fromMemberId: bob.id, toMemberId: alice.id, message: 'ごはんだよ' });
+    db.createNudge({ fromMemberId: carol.id, toMemberId: alice.id, message: 'おやつ' });
+    db.insertHistory(alice.id, '仕事', null, '2026-01-02T09:00:00.000Z');
+    db.setAppSetting(HISTORY_COMPACTED_UNTIL_KEY, '2026-01-02T00:00:00.000Z');
+
+    let report = null;
+    await runChecks([
+        ['ドライランで削除されるメンバー・関連データの件数が報告され、変更はされない', async () => {
+            report = db.restoreArchive(archive, { mode: 'replace', dryRun: true });
+            assert.deepStrictEqual(report.members.removed, ['carol']);
+            assert.deepStrictEqual(report.members.updated.sort(), ['alice', 'bob']);
+            assert.deepStrictEqual(report.relatedRemoved, {
+                deviceTokens: 1,
+                apiTokens: 1,
+                pushSubscriptions: 0,
+                notificationPreferences: 1,
+                webhooks: 1,
+                webhookDeliveries: 0,
+                nudges: 1,
+                schedules: 1,
+                scheduleExceptions: 0,
+                historyCorrections: 0
+            });
+            assert.strictEqual(report.history.removed, 3);
+            assert.ok(db.getMemberByName('carol'), 'ドライランで carol が削除された');
+            assert.strictEqual(countRows('device_tokens'), 2);
+        }],
+        ['置き換えでは同じ名前のメンバーのIDと関連データが残る', async () => {
+            report = db.restoreArchive(archive, { mode: 'replace' });
+            assert.strictEqual(db.getMemberByName('alice').id, alice.id);
+            assert.strictEqual(db.getMemberByName('carol'), undefined);
+            assert.strictEqual(db.findDeviceTokenByHash(aliceToken.token_hash).member_id, alice.id);
+            assert.strictEqual(countRows('device_tokens'), 1);
+            assert.strictEqual(countRows('api_tokens'), 1);
+            assert.strictEqual(countRows('schedules'), 1);
+            assert.strictEqual(countRows('webhooks'), 1);
+            assert.strictEqual(countRows('notification_preferences'), 1);
+            assert.strictEqual(countRows('nudges'), 1);
+        }],
+        ['履歴はアーカイブの内容に置き換わる', async () => {
+            assert.deepStrictEqual(db.getHistoryByMemberId(alice.id).history.map(entry => entry.activity), ['在宅']);
+            assert.strictEqual(report.history.added, 2);
+        }],
+        ['置き換えでは集約済みの期間の終わりもアーカイブの値になる', async () => {
+            assert.strictEqual(archive.historyCompactedUntil, '2026-01-01T00:00:00.000Z');
+            assert.strictEqual(db.getHistoryCompactedUntil(), archive.historyCompactedUntil);
+            assert.strictEqual(report.historyCompactedUntil, archive.historyCompactedUntil);
+        }],
+        ['統合では集約済みの期間の履歴を追加せず、集約済みの期間の終わりは遅い方になる', async () => {
+            db.setAppSetting(HISTORY_COMPACTED_UNTIL_KEY, '2026-01-01T12:00:00.000Z');
+            report = db.restoreArchive({
+                ...archive,
+                history: [
+                    ...archive.history,
+                    { member: 'bob', activity: '在宅', changed_at: '2026-01-01T11:00:00.000Z' },
+                    { member: 'bob', activity: '仕事', changed_at: '2026-01-03T09:00:00.000Z' }
+                ]
+            }, { mode: 'merge' });
+            assert.strictEqual(report.history.added, 1);
+            assert.strictEqual(report.history.skipped, 3);
+            assert.strictEqual(db.getHistoryCompactedUntil(), '2026-01-01T12:00:00.000Z');
+        }],
+        ['統合で挟み込んだ履歴と直後の履歴の変更前の値は、統合後の前後の履歴から記録される', async () => {
+            db.insertHistory(alice.id, '仕事', null, '2026-01-05T09:00:00.000Z');
+            db.restoreArchive({
+                ...archive,
+                history: [{
+                    member: 'alice',
+                    activity: '外出中',
+                    changed_at: '2026-01-04T09:00:00.000Z',
+                    previous_activity: 'アーカイブの値',
+                    changed_fields: '[]'
+                }]
+            }, { mode: 'merge' });
+            assert.deepStrictEqual(historyOf(alice).map(({ activity, previous_activity, changed_fields }) => (
+                [activity, previous_activity, changed_fields]
+            )), [
+                ['在宅', null, '["activity"]'],
+                ['外出中', '在宅', '["activity"]'],
+                ['仕事', '外出中', '["activity"]']
+            ]);
+            assert.deepStrictEqual(historyOf(bob).map(entry => [entry.activity, entry.previous_activity]), [
+                ['外出中', null],
+                ['仕事', '外出中']
+            ]);
+        }]
+    ], async () => {
+        closeDatabase();
+    });
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
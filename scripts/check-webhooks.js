@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+// Webhook配信の確認（ローカルの受信サーバーに送信する）
+// HMAC署名のヘッダー、失敗時の再送の間隔（指数バックオフ）、配信ログの記録、イベント・メンバーの絞り込みを確認する
+//
+// 使い方: npm test（または node scripts/check-webhooks.js）
+const assert = require('assert');
+const crypto = require('crypto');
+const db = require('../db/database');
+const events = require('../lib/events');
+const webhooks = require('../lib/webhooks');
+const { openTempDatabase, startReceiver, waitFor, runChecks } = require('./checkHelpers');
+
+// 確認用の再送の設定（本番の既定値より短くする）
+const MAX_ATTEMPTS = 4;
+const RETRY_BASE_MS = 200;
+
+// 受信サーバーの応答（/hooks/flaky は2回失敗してから成功、/hooks/down は常に失敗）
+const FLAKY_FAILURES = 2;
+
+async function main() {
+    const closeDatabase = openTempDatabase();
+    let flakyCount = 0;
+    const receiver = await startReceiver(request => {
+        if (request.path === '/hooks/flaky') {
+            flakyCount++;
+            return flakyCount <= FLAKY_FAILURES ? 500 : 200;
+        }
+        return request.path === '/hooks/down' ? 503 : 204;
+    });
+
+    const [alice, bob] = ['alice', 'bob'].map(name => db.createMember({ name }));
+    const register = (hookPath, eventTypes, memberId) => db.createWebhook({
+        url: `${receiver.url}${hookPath}`,
+        eventTypes,
+        memberId,
+        secret: webhooks.generateSecret()
+    });
+    const flaky = register('/hooks/flaky', [events.EVENT_TYPES.MEMBER_UPDATED], alice.id);
+    const down = register('/hooks/down', [events.EVENT_TYPES.MEMBER_UPDATED], alice.id);
+    const historyOnly = register('/hooks/history', [events.EVENT_TYPES.HISTORY_APPENDED], null);
+
+    webhooks.startWebhookDispatcher({ intervalMs: 50, maxAttempts: MAX_ATTEMPTS, retryBaseMs: RETRY_BASE_MS });
+
+    const requestsTo = (webhook) => receiver.requests.filter(r => webhook.url.endsWith(r.path));
+    const latestDelivery = (webhook) => db.getWebhookDeliveries(webhook.id, 1)[0];
+
+    await runChecks([
+        ['失敗した配信は再送され、最大試行回数で failed になる', async () => {
+            events.publish(events.EVENT_TYPES.MEMBER_UPDATED, { member: bob });
+            events.publish(events.EVENT_TYPES.MEMBER_UPDATED, { member: alice });
+            await waitFor(() => latestDelivery(flaky).status === 'succeeded' && latestDelivery(down).status === 'failed',
+                'webhook retries');
+
+            assert.strictEqual(requestsTo(flaky).length, FLAKY_FAILURES + 1);
+            assert.strictEqual(requestsTo(down).length, MAX_ATTEMPTS);
+        }],
+        ['全ての送信に正しい HMAC-SHA256 の署名が付く', async () => {
+            [flaky, down].forEach(webhook => requestsTo(webhook).forEach(request => {
+                const timestamp = request.headers[webhooks.TIMESTAMP_HEADER.toLowerCase()];
+                const signature = request.headers[webhooks.SIGNATURE_HEADER.toLowerCase()];
+                const expected = webhooks.signPayload(webhook.secret, timestamp, request.body.toString());
+                assert.ok(/^\d+$/.test(timestamp), `timestamp: ${timestamp}`);
+                assert.ok(crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected)), `signature: ${signature}`);
+                assert.notStrictEqual(webhooks.signPayload('wrong-secret', timestamp, request.body.toString()), signature);
+            }));
+        }],
+        ['本文はイベント種別・発生日時・データの JSON', async () => {
+            const body = JSON.parse(requestsTo(flaky)[0].body.toString());
+            assert.strictEqual(body.event, events.EVENT_TYPES.MEMBER_UPDATED);
+            assert.ok(!Number.isNaN(Date.parse(body.occurredAt)));
+            assert.strictEqual(body.data.member.id, alice.id);
+            assert.strictEqual(requestsTo(flaky)[0].headers[webhooks.EVENT_HEADER.toLowerCase()], events.EVENT_TYPES.MEMBER_UPDATED);
+        }],
+        [`再送の間隔は ${RETRY_BASE_MS}ms から2倍ずつ延びる`, async () => {
+            const times = requestsTo(down).map(r => r.receivedAt);
+            times.slice(1).forEach((time, index) => {
+                const minimum = RETRY_BASE_MS * 2 ** index;
+                assert.ok(time - times[index] >= minimum, `attempt ${index + 2}: ${time - times[index]}ms < ${minimum}ms`);
+            });
+        }],
+        ['配信ログに試行回数・応答・エラーが記録される', async () => {
+            const succeeded = latestDelivery(flaky);
+            assert.strictEqual(succeeded.attempts, FLAKY_FAILURES + 1);
+            assert.strictEqual(succeeded.response_status, 200);
+            assert.strictEqual(succeeded.error, null);
+            assert.ok(succeeded.last_attempt_at);
+
+            const failed = latestDelivery(down);
+            assert.strictEqual(failed.attempts, MAX_ATTEMPTS);
+            assert.strictEqual(failed.response_status, 503);
+            assert.strictEqual(failed.error, 'HTTP 503');
+            assert.strictEqual(failed.next_attempt_at, null);
+        }],
+        ['対象外のメンバー・イベント種別の Webhook には送信しない', async () => {
+            assert.ok(receiver.requests.every(r => JSON.parse(r.body.toString()).data.member.id === alice.id));
+            assert.strictEqual(requestsTo(historyOnly).length, 0);
+            assert.strictEqual(db.getWebhookDeliveries(historyOnly.id).length, 0);
+        }]
+    ], async () => {
+        await receiver.close();
+        closeDatabase();
+    });
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,100 @@
+// 確認用スクリプト（check-*.js）の共通処理
+// 一時ファイルのDBとローカルの受信サーバーを使うため、運用中のDB・外部のサービスには送信しない
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const db = require('../db/database');
+
+/**
+ * 一時ファイルのDBを開く
+ * @returns {Function} DBを閉じて一時ファイルを削除する関数
+ */
+function openTempDatabase() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'family-board-check-'));
+    db.initDatabase({ path: path.join(dir, 'check.db') });
+    return () => {
+        db.closeDatabase();
+        fs.rmSync(dir, { recursive: true, force: true });
+    };
+}
+
+/**
+ * ローカルの受信サーバーを起動（受信したリクエストを記録し、respond の戻り値のステータスを返す）
+ * @param {Function} respond - 応答のステータスを決める関数（引数: 受信したリクエスト）
+ * @returns {Promise<Object>} { url, requests, close }
+ */
+function startReceiver(respond) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const request = {
+                path: req.url,
+                headers: req.headers,
+                body: Buffer.concat(chunks),
+                receivedAt: Date.now()
+            };
+            requests.push(request);
+            res.writeHead(respond(request));
+            res.end();
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                requests,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+/**
+ * 条件を満たすまで待つ
+ * @param {Function} predicate - 条件
+ * @param {string} description - タイムアウト時のメッセージ
+ * @param {number} [timeoutMs=10000] - 待つ時間（ミリ秒）
+ * @returns {Promise<void>}
+ */
+async function waitFor(predicate, description, timeoutMs = 10000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!predicate()) {
+        if (Date.now() > deadline) {
+            throw new Error(`Timed out waiting for ${description}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+/**
+ * 確認を順に実行して結果を表示（失敗があれば終了コード 1）
+ * @param {Array} checks - [説明, 非同期関数] の一覧
+ * @param {Function} cleanup - 最後に実行する後片付け
+ */
+async function runChecks(checks, cleanup) {
+    let failed = 0;
+    for (const [description, check] of checks) {
+        try {
+            await check();
+            console.log(`✔ ${description}`);
+        } catch (error) {
+            failed++;
+            console.error(`✘ ${description}\n  ${error.message}`);
+        }
+    }
+
+    await cleanup();
+    console.log(failed === 0 ? '\nAll checks passed' : `\n${failed} of ${checks.length} checks failed`);
+    process.exit(failed === 0 ? 0 : 1);
+}
+
+module.exports = {
+    openTempDatabase,
+    startReceiver,
+    waitFor,
+    runChecks
+};
@@ -1,403 +1,2038 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
 const express = require('express');
 const cors = require('cors');
-const fs = require('fs');
-const path = require('path');
 const config = require('./config');
 const db = require('./db/database');
+const auth = require('./lib/auth');
+const expiry = require('./lib/expiry');
+const stats = require('./lib/stats');
+const historyExport = require('./lib/historyExport');
+const backup = require('./lib/backup');
+const webhooks = require('./lib/webhooks');
+const push = require('./lib/push');
+const notificationPreferences = require('./lib/notificationPreferences');
+const schedules = require('./lib/schedules');
+const retention = require('./lib/retention');
+const events = require('./lib/events');
+const { idempotency } = require('./lib/idempotency');
+const { rateLimit } = require('./lib/rateLimit');
+const { validate, rejectField } = require('./lib/validation');
+const { structuredErrors, apiNotFound, handleErrors } = require('./lib/errors');
+const { DATA_FILE, readData, writeData, startJsonExport } = require('./lib/jsonStore');
+const { createSseHub } = require('./lib/sse');
+
+const app = express();
+const PORT = config.PORT;
+const { EVENT_TYPES } = events;
+
+// 自動解除までの分数の上限（24時間）
+const MAX_TTL_MINUTES = 1440;
+
+// 端末から送られた更新日時として受け付ける範囲（端末の時計のずれ・オフラインの期間）
+const CLIENT_CLOCK_SKEW_MS = 5 * 60 * 1000;
+const MAX_CLIENT_TIMESTAMP_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// 表示色の形式（#rrggbb）
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+// カタログのカテゴリ
+const STATUS_CATEGORIES = ['activity', 'state'];
+
+// リクエスト数の制限で数えないメソッド（これ以外を変更系のリクエストとして数える）
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// ミドルウェア
+if (config.TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(config.TRUST_PROXY) ? parseInt(config.TRUST_PROXY, 10) : config.TRUST_PROXY);
+}
+app.use(cors());
+// エラーレスポンスを { error, code, message, details } の形式にそろえる（本文の解析エラーを含むため最初に使う）
+app.use('/api', structuredErrors());
+// リストアはアーカイブ全体を受け取るため、他のAPIより大きなリクエストを許可
+app.use('/api/admin/restore', express.json({ limit: config.RESTORE_MAX_BYTES }));
+app.use(express.json());
+// ブラウザに配信するのは public/ のみ（DBファイル・設定ファイルを配信しない）
+app.use(express.static(path.join(__dirname, 'public')));
+app.use('/api', auth.authenticate, auth.restrictApiTokens);
+// サインインの試行は接続元ごと、その他の変更系のリクエストはトークンごとに回数を制限
+app.use('/api/auth/login', rateLimit({ windowMs: config.RATE_LIMIT_WINDOW_MS, max: config.RATE_LIMIT_MAX_LOGINS }));
+app.use('/api', rateLimit({
+    windowMs: config.RATE_LIMIT_WINDOW_MS,
+    max: config.RATE_LIMIT_MAX_MUTATIONS,
+    skip: (req) => SAFE_METHODS.includes(req.method)
+}));
+app.use('/api', idempotency({ ttlMs: config.IDEMPOTENCY_KEY_TTL_MS }));
+
+// SSEで配信する全体のスナップショット（初回接続時、または再送できないほど遅れて再接続した場合に送信）
+function getSseSnapshot() {
+    try {
+        return {
+            members: db.getAllMembers(),
+            catalog: db.getStatusOptions({ includeDisabled: true })
+        };
+    } catch (error) {
+        console.error('Error reading snapshot from DB:', error);
+        return readData();
+    }
+}
+
+// SSE配信（イベントIDを付与し、再接続時に取りこぼしたイベントを再送する）
+const sseHub = createSseHub({
+    bufferSize: config.SSE_REPLAY_BUFFER_SIZE,
+    getSnapshot: getSseSnapshot
+});
+
+// 履歴レコードをAPIのレスポンス形式に変換
+function toHistoryResponse(h) {
+    return {
+        id: h.id,
+        member: {
+            id: h.member_id,
+            name: h.member_name
+        },
+        activity: h.activity,
+        state: h.state,
+        message: h.message,
+        until_at: h.until_at,
+        source: h.source,
+        changed_at: h.changed_at,
+        // 変更前の値と変更された項目（記録される前の履歴は null）
+        previous: h.changed_fields ? {
+            activity: h.previous_activity,
+            state: h.previous_state,
+            message: h.previous_message
+        } : null,
+        changed_fields: h.changed_fields ? JSON.parse(h.changed_fields) : null
+    };
+}
+
+// イベントバスのイベントを種別付きのSSEイベントとして配信（差分のみを送る）
+events.subscribe(({ type, payload }) => {
+    // リストアで全体が変わった場合は差分ではなくスナップショットを送る
+    if (type === EVENT_TYPES.DATA_RESTORED) {
+        sseHub.publish('snapshot', getSseSnapshot());
+        return;
+    }
+    if (type === EVENT_TYPES.HISTORY_APPENDED) {
+        const { entry, member } = payload;
+        sseHub.publish(type, { entry: toHistoryResponse({ ...entry, member_name: member.name }) });
+        return;
+    }
+    if (type === EVENT_TYPES.HISTORY_CORRECTED) {
+        const { action, historyId, member, entry } = payload;
+        sseHub.publish(type, {
+            action,
+            historyId,
+            member: { id: member.id, name: member.name },
+            entry: entry ? toHistoryResponse(entry) : null
+        });
+        return;
+    }
+    // SSEはサインインしていない画面にも届くため、声かけはIDのみを送る（内容は各端末が /api/nudges で取得する）
+    if (type === EVENT_TYPES.NUDGE_SENT || type === EVENT_TYPES.NUDGE_UPDATED) {
+        sseHub.publish(type, { nudgeId: payload.nudge.id });
+        return;
+    }
+    sseHub.publish(type, payload);
+});
+
+// 入力チェックのルール（lib/validation.js のスキーマで使う）
+// 数値のID（パスの :id）
+const ID_PARAMS = { id: { type: 'integer', required: true, min: 1 } };
+
+// メンバーのプロフィール
+const MEMBER_PROFILE_FIELDS = {
+    name: { type: 'string', label: '名前', trim: true, minLength: 1, maxLength: 20 },
+    emoji: { type: 'string', minLength: 1, maxLength: 16, message: '絵文字の指定が不正です' },
+    color: { type: 'string', pattern: COLOR_PATTERN, message: '色は #rrggbb 形式で指定してください' }
+};
+
+// ID の並び（表示順の変更）
+const ORDER_IDS_RULE = { type: 'array', required: true, minLength: 1, items: { type: 'integer', unique: true } };
+
+// カタログ項目
+const STATUS_OPTION_FIELDS = {
+    label: { type: 'string', label: 'ラベル', trim: true, minLength: 1, maxLength: 30 },
+    emoji: { type: 'string', maxLength: 16, message: '絵文字の指定が不正です' },
+    color: MEMBER_PROFILE_FIELDS.color,
+    enabled: { type: 'boolean' },
+    ttlMinutes: { type: 'integer', nullable: true, min: 1, max: MAX_TTL_MINUTES },
+    fallbackLabel: { type: 'string', nullable: true }
+};
+
+// ひとことメッセージ（null または空文字は「クリア」）
+const STATUS_MESSAGE_RULE = { type: 'string', label: 'メッセージ', nullable: true, trim: true, maxLength: 50 };
+
+// 履歴の一覧の絞り込み・ページング
+const HISTORY_LIST_QUERY = {
+    from: { type: 'datetime' },
+    to: { type: 'datetime' },
+    limit: { type: 'integer', min: 1, max: 1000 },
+    offset: { type: 'integer', min: 0 }
+};
+
+// 履歴の一覧のクエリを取り出す（期間はSQLで比較するためISO形式にそろえる）
+function parseHistoryListQuery(query) {
+    return {
+        from: query.from ? new Date(query.from).toISOString() : null,
+        to: query.to ? new Date(query.to).toISOString() : null,
+        limit: query.limit !== undefined ? parseInt(query.limit, 10) : 100,
+        offset: query.offset !== undefined ? parseInt(query.offset, 10) : 0
+    };
+}
+
+// メンバーのETag（版数）
+function memberEtag(member) {
+    return `"${member.version}"`;
+}
+
+// If-Match ヘッダーから版数の一覧を取り出す（未指定は null、'*' は任意の版、形式が不正な場合は空の配列）
+function parseIfMatch(value) {
+    if (value === undefined) {
+        return null;
+    }
+    if (value.trim() === '*') {
+        return '*';
+    }
+    const versions = value.split(',').map(tag => /^(?:W\/)?"(\d+)"$/.exec(tag.trim()));
+    return versions.every(Boolean) ? versions.map(match => parseInt(match[1], 10)) : [];
+}
+
+// If-Match の版数とメンバーの現在の版数が一致するか
+function matchesIfMatch(ifMatch, member) {
+    return ifMatch === null || ifMatch === '*' || ifMatch.includes(member.version);
+}
+
+// 端末から送られた更新日時の範囲のチェック（オフライン中の更新の再送用。エラーメッセージを返す。問題なければ null）
+function validateClientTimestamp(timestamp) {
+    if (!timestamp) {
+        return null;
+    }
+    const time = Date.parse(timestamp);
+    if (time > Date.now() + CLIENT_CLOCK_SKEW_MS) {
+        return 'timestamp に未来の日時は指定できません';
+    }
+    if (time < Date.now() - MAX_CLIENT_TIMESTAMP_AGE_MS) {
+        return 'timestamp が古すぎます（7日以内）';
+    }
+    return null;
+}
+
+// Webhookの登録内容（isNew: 登録時。変更時は指定した項目のみ）
+function webhookFields({ isNew }) {
+    const available = Object.values(EVENT_TYPES);
+    return {
+        url: { type: 'url', required: isNew },
+        events: {
+            type: 'array',
+            minLength: 1,
+            items: { type: 'string', enum: available },
+            message: `events は ${available.join('・')} から1つ以上指定してください`
+        },
+        memberId: { type: 'integer', nullable: true },
+        secret: { type: 'string', minLength: 16 },
+        enabled: { type: 'boolean' }
+    };
+}
+
+// Webhook情報をAPIのレスポンス形式に変換（シークレットは返さない）
+function toWebhookResponse(webhook) {
+    const { secret, ...rest } = webhook;
+    return rest;
+}
+
+// Web Pushの購読情報（ブラウザの PushSubscription.toJSON() の形式）
+const PUSH_SUBSCRIPTION_FIELDS = {
+    endpoint: { type: 'url', required: true, message: 'endpoint が不正です' },
+    keys: {
+        type: 'object',
+        required: true,
+        properties: {
+            p256dh: { type: 'string', required: true },
+            auth: { type: 'string', required: true }
+        }
+    }
+};
+
+// 予定（partial: 変更する項目のみ指定された場合）
+function scheduleFields({ partial }) {
+    return {
+        name: { type: 'string', label: '予定の名前', nullable: true, trim: true, maxLength: 30 },
+        days: {
+            type: 'array',
+            required: !partial,
+            minLength: 1,
+            items: { type: 'integer', min: 0, max: 6, unique: true },
+            message: 'days は曜日（0=日曜〜6=土曜）の配列で指定してください'
+        },
+        startTime: { type: 'time', required: !partial },
+        endTime: { type: 'time', nullable: true },
+        activity: { type: 'string', nullable: true },
+        state: { type: 'string', nullable: true },
+        enabled: { type: 'boolean' }
+    };
+}
+
+// フォールバックのラベルが同じカテゴリに存在するかチェック
+function isValidFallbackLabel(category, label, fallbackLabel) {
+    if (fallbackLabel === undefined || fallbackLabel === null) {
+        return true;
+    }
+    return fallbackLabel !== label && Boolean(db.findStatusOption(category, fallbackLabel));
+}
+
+// 入力値と既存値から保存するメッセージ・戻り予定を決定
+function resolveStatusDetails({ message, until }, existingMember) {
+    const resolvedMessage = message === undefined
+        ? (existingMember?.message || null)
+        : (message ? message.trim() || null : null);
+    const resolvedUntil = until === undefined
+        ? (existingMember?.until_at || null)
+        : (until ? new Date(until).toISOString() : null);
+    return { message: resolvedMessage, untilAt: resolvedUntil };
+}
+
+// 状況の値がカタログの有効な項目かチェック（null/undefined は「変更なし」として許可）
+function isAllowedStatusValue(category, value) {
+    if (value === null || value === undefined) {
+        return true;
+    }
+    if (typeof value !== 'string') {
+        return false;
+    }
+    const option = db.findStatusOption(category, value);
+    return Boolean(option && option.enabled);
+}
+
+// API: 設定を取得
+app.get('/api/config', (req, res) => {
+    res.json({
+        port: PORT
+    });
+});
+
+// API: サインイン（PINで端末トークンを発行）
+// メンバー: { memberId, pin, deviceName } / 管理者: { admin: true, pin, deviceName }
+app.post('/api/auth/login', validate({
+    body: {
+        memberId: { type: 'integer' },
+        admin: { type: 'boolean' },
+        pin: { type: 'string', label: 'PIN', required: true },
+        deviceName: { type: 'string', nullable: true }
+    }
+}), (req, res) => {
+    const { memberId, admin, pin, deviceName } = req.body;
+    const name = deviceName ? deviceName.slice(0, 100) : null;
+
+    try {
+        if (admin === true) {
+            if (!auth.verifyAdminPassphrase(pin)) {
+                return res.status(401).json({ error: 'パスフレーズが正しくありません', code: 'INVALID_PIN' });
+            }
+            const token = auth.issueDeviceToken({ memberId: null, scope: 'admin', deviceName: name });
+            return res.json({ success: true, token, member: null, isAdmin: true });
+        }
+
+        const member = Number.isInteger(memberId) ? db.getMemberById(memberId) : null;
+        if (!member || member.archived_at) {
+            return res.status(404).json({ error: 'メンバーが見つかりません', code: 'MEMBER_NOT_FOUND' });
+        }
+        if (!member.has_pin) {
+            return res.status(403).json({ error: 'PINが設定されていません。管理者に設定を依頼してください', code: 'PIN_NOT_SET' });
+        }
+        if (!auth.verifyPin(pin, db.getMemberPinHash(member.id))) {
+            return res.status(401).json({ error: 'PINが正しくありません', code: 'INVALID_PIN' });
+        }
+
+        const token = auth.issueDeviceToken({ memberId: member.id, scope: 'member', deviceName: name });
+        res.json({ success: true, token, member, isAdmin: Boolean(member.is_admin) });
+    } catch (error) {
+        console.error('Error signing in:', error);
+        res.status(500).json({ error: 'サインインに失敗しました' });
+    }
+});
+
+// API: サインアウト（この端末のトークンを失効）
+app.post('/api/auth/logout', auth.requireAuth, (req, res) => {
+    try {
+        db.revokeDeviceToken(req.auth.tokenId);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error signing out:', error);
+        res.status(500).json({ error: 'サインアウトに失敗しました' });
+    }
+});
+
+// API: 現在のサインイン状態を取得
+app.get('/api/auth/me', (req, res) => {
+    if (!req.auth) {
+        return res.json({ authenticated: false, member: null, isAdmin: false });
+    }
+    res.json({ authenticated: true, member: req.auth.member, isAdmin: req.auth.isAdmin });
+});
+
+// API: APIトークンの一覧（メンバーは自分の分、管理者は全員分。memberId で絞り込み）
+app.get('/api/tokens', auth.requireAuth, validate({
+    query: { memberId: { type: 'integer' } }
+}), (req, res) => {
+    const memberId = req.auth.isAdmin
+        ? (req.query.memberId !== undefined ? parseInt(req.query.memberId, 10) : null)
+        : req.auth.member.id;
+
+    try {
+        res.json({ tokens: db.getApiTokens(memberId) });
+    } catch (error) {
+        console.error('Error fetching API tokens:', error);
+        res.status(500).json({ error: 'APIトークンの取得に失敗しました' });
+    }
+});
+
+// API: APIトークンを発行（本人または管理者。平文のトークンはこのレスポンスでのみ返す）
+// 例: { name: 'ノートPC' }（管理者は memberId も指定）
+// 状況・履歴の取得はサインインなしでできるため、発行するのは更新も可能なトークン（permission = 'write'）のみ
+app.post('/api/tokens', auth.requireAuth, validate({
+    body: {
+        memberId: { type: 'integer' },
+        permission: { type: 'string', enum: ['write'] },
+        name: { type: 'string', label: '名前', nullable: true, trim: true, maxLength: 50 }
+    }
+}), (req, res) => {
+    const { name, permission = 'write' } = req.body;
+    const memberId = req.body.memberId !== undefined ? req.body.memberId : req.auth.member?.id;
+
+    // 管理者トークンはメンバーに紐付かないため memberId の指定が必要
+    if (memberId === undefined) {
+        return rejectField(res, 'memberId', 'required', 'memberId が必要です');
+    }
+    if (!auth.canActAsMember(req.auth, memberId)) {
+        return res.status(403).json({ error: '他のメンバーのAPIトークンは発行できません' });
+    }
+
+    try {
+        const member = db.getMemberById(memberId);
+        if (!member || member.archived_at) {
+            return res.status(404).json({ error: 'メンバーが見つかりません', code: 'MEMBER_NOT_FOUND' });
+        }
+
+        const { token, apiToken } = auth.issueApiToken({
+            memberId,
+            permission,
+            name: name ? name.trim() || null : null
+        });
+        res.status(201).json({ success: true, token, apiToken });
+    } catch (error) {
+        console.error('Error creating API token:', error);
+        res.status(500).json({ error: 'APIトークンの発行に失敗しました' });
+    }
+});
+
+// API: APIトークンを失効（本人または管理者）
+app.delete('/api/tokens/:id', auth.requireAuth, validate({ params: ID_PARAMS }), (req, res) => {
+    try {
+        const apiToken = db.getApiTokenById(parseInt(req.params.id, 10));
+        if (!apiToken) {
+            return res.status(404).json({ error: 'APIトークンが見つかりません' });
+        }
+        if (!auth.canActAsMember(req.auth, apiToken.member_id)) {
+            return res.status(403).json({ error: '他のメンバーのAPIトークンは失効できません' });
+        }
+
+        db.revokeApiToken(apiToken.id);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error revoking API token:', error);
+        res.status(500).json({ error: 'APIトークンの失効に失敗しました' });
+    }
+});
+
+// API: メンバー一覧を取得
+app.get('/api/members', validate({
+    query: { includeArchived: { type: 'boolean' } }
+}), (req, res) => {
+    try {
+        const includeArchived = req.query.includeArchived === 'true';
+        const members = db.getAllMembers({ includeArchived });
+        res.json({ members });
+    } catch (error) {
+        console.error('Error fetching members:', error);
+        res.status(500).json({ error: 'メンバーの取得に失敗しました' });
+    }
+});
+
+// API: メンバーを登録
+app.post('/api/members', auth.requireAdmin, validate({
+    body: { ...MEMBER_PROFILE_FIELDS, name: { ...MEMBER_PROFILE_FIELDS.name, required: true } }
+}), (req, res) => {
+    const { name, emoji, color } = req.body;
+
+    try {
+        if (db.getMemberByName(name.trim())) {
+            return res.status(409).json({ error: '同じ名前のメンバーが既に存在します', code: 'DUPLICATE_NAME' });
+        }
+
+        const member = db.createMember({ name: name.trim(), emoji, color });
+        events.publish(EVENT_TYPES.MEMBER_CREATED, { member });
+        res.status(201).json({ success: true, member });
+    } catch (error) {
+        console.error('Error creating member:', error);
+        res.status(500).json({ error: 'メンバーの登録に失敗しました' });
+    }
+});
+
+// API: メンバーの表示順を変更
+app.put('/api/members/order', auth.requireAdmin, validate({
+    body: { ids: { ...ORDER_IDS_RULE, message: 'ids は重複のないメンバーIDの配列で指定してください' } }
+}), (req, res) => {
+    const { ids } = req.body;
+
+    try {
+        // アーカイブ済みを含む全メンバーのIDを1回ずつ指定した場合のみ受け付ける（並び順が一部だけ古いまま残らないようにする）
+        const memberIds = db.getAllMembers({ includeArchived: true }).map(member => member.id);
+        const idSet = new Set(ids);
+        if (idSet.size !== ids.length || idSet.size !== memberIds.length || !memberIds.every(id => idSet.has(id))) {
+            return rejectField(res, 'ids', 'not_allowed', 'ids には全てのメンバーのIDを1回ずつ指定してください');
+        }
+
+        const members = db.reorderMembers(ids);
+        events.publish(EVENT_TYPES.MEMBERS_REORDERED, { members });
+        res.json({ success: true, members });
+    } catch (error) {
+        console.error('Error reordering members:', error);
+        res.status(500).json({ error: '表示順の変更に失敗しました' });
+    }
+});
+
+// API: メンバーのプロフィール変更（名前変更・アーカイブ・管理者権限を含む）
+// 名前・絵文字・色は本人も変更可能、アーカイブと管理者権限は管理者のみ
+app.patch('/api/members/:id', auth.requireAuth, validate({
+    params: ID_PARAMS,
+    body: { ...MEMBER_PROFILE_FIELDS, archived: { type: 'boolean' }, isAdmin: { type: 'boolean' } },
+    requireAny: ['name', 'emoji', 'color', 'archived', 'isAdmin']
+}), (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    const { name, emoji, color, archived, isAdmin } = req.body;
+
+    if (!auth.canActAsMember(req.auth, id)) {
+        return res.status(403).json({ error: 'このメンバーは変更できません' });
+    }
+    if ((archived !== undefined || isAdmin !== undefined) && !req.auth.isAdmin) {
+        return res.status(403).json({ error: '管理者権限が必要です', code: 'ADMIN_REQUIRED' });
+    }
+
+    try {
+        const existing = db.getMemberById(id);
+        if (!existing) {
+            return res.status(404).json({ error: 'メンバーが見つかりません', code: 'MEMBER_NOT_FOUND' });
+        }
+
+        const newName = name !== undefined ? name.trim() : undefined;
+        if (newName !== undefined && newName !== existing.name && db.getMemberByName(newName)) {
+            return res.status(409).json({ error: '同じ名前のメンバーが既に存在します', code: 'DUPLICATE_NAME' });
+        }
+
+        const member = db.updateMember(id, { name: newName, emoji, color, archived, isAdmin });
+
+        events.publish(EVENT_TYPES.MEMBER_UPDATED, { member, previousName: existing.name });
+        res.json({ success: true, member });
+    } catch (error) {
+        console.error('Error updating member:', error);
+        res.status(500).json({ error: 'メンバーの更新に失敗しました' });
+    }
+});
+
+// API: メンバーのPINを設定（本人は変更、管理者は設定・リセット）
+app.put('/api/members/:id/pin', auth.requireAuth, validate({
+    params: ID_PARAMS,
+    body: { pin: { type: 'string', required: true, minLength: 4, maxLength: 64, message: 'PINは4〜64文字で指定してください' } }
+}), (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    const { pin } = req.body;
+
+    if (!auth.canActAsMember(req.auth, id)) {
+        return res.status(403).json({ error: 'このメンバーのPINは変更できません' });
+    }
+
+    try {
+        const member = db.getMemberById(id);
+        if (!member) {
+            return res.status(404).json({ error: 'メンバーが見つかりません', code: 'MEMBER_NOT_FOUND' });
+        }
+
+        db.setMemberPinHash(id, auth.hashPin(pin));
+
+        // 本人以外（管理者）によるリセットの場合は、既存の端末をすべてサインアウトさせる
+        const isSelf = req.auth.member && req.auth.member.id === id;
+        if (!isSelf) {
+            db.revokeMemberDeviceTokens(id);
+        }
+
+        res.json({ success: true, member: db.getMemberById(id) });
+    } catch (error) {
+        console.error('Error setting PIN:', error);
+        res.status(500).json({ error: 'PINの設定に失敗しました' });
+    }
+});
+
+// API: 活動・状態カタログを取得
+app.get('/api/catalog', validate({
+    query: { includeDisabled: { type: 'boolean' } }
+}), (req, res) => {
+    try {
+        const includeDisabled = req.query.includeDisabled === 'true';
+        const options = db.getStatusOptions({ includeDisabled });
+        res.json({ options });
+    } catch (error) {
+        console.error('Error fetching catalog:', error);
+        res.status(500).json({ error: 'カタログの取得に失敗しました' });
+    }
+});
+
+// API: カタログ項目を追加
+app.post('/api/catalog', auth.requireAdmin, validate({
+    body: {
+        ...STATUS_OPTION_FIELDS,
+        category: { type: 'string', required: true, enum: STATUS_CATEGORIES },
+        label: { ...STATUS_OPTION_FIELDS.label, required: true }
+    }
+}), (req, res) => {
+    const { category, label, emoji, color, enabled, ttlMinutes, fallbackLabel } = req.body;
+
+    try {
+        if (db.findStatusOption(category, label.trim())) {
+            return res.status(409).json({ error: '同じラベルの項目が既に存在します', code: 'DUPLICATE_LABEL' });
+        }
+        if (!isValidFallbackLabel(category, label.trim(), fallbackLabel)) {
+            return rejectField(res, 'fallbackLabel', 'not_allowed', 'fallbackLabel は同じカテゴリの別の項目を指定してください');
+        }
+
+        const option = db.createStatusOption({
+            category,
+            label: label.trim(),
+            emoji,
+            color,
+            enabled,
+            ttlMinutes,
+            fallbackLabel
+        });
+        events.publish(EVENT_TYPES.CATALOG_CHANGED, { options: db.getStatusOptions({ includeDisabled: true }) });
+        res.status(201).json({ success: true, option });
+    } catch (error) {
+        console.error('Error creating catalog option:', error);
+        res.status(500).json({ error: 'カタログ項目の追加に失敗しました' });
+    }
+});
+
+// API: カタログ項目の表示順を変更
+app.put('/api/catalog/order', auth.requireAdmin, validate({
+    body: {
+        category: { type: 'string', required: true, enum: STATUS_CATEGORIES },
+        ids: { ...ORDER_IDS_RULE, message: 'ids は重複のないカタログ項目IDの配列で指定してください' }
+    }
+}), (req, res) => {
+    const { category, ids } = req.body;
+
+    try {
+        const options = db.reorderStatusOptions(category, ids);
+        events.publish(EVENT_TYPES.CATALOG_CHANGED, { options: db.getStatusOptions({ includeDisabled: true }) });
+        res.json({ success: true, options });
+    } catch (error) {
+        console.error('Error reordering catalog:', error);
+        res.status(500).json({ error: '表示順の変更に失敗しました' });
+    }
+});
+
+// API: カタログ項目を変更（無効化を含む。過去の履歴表示のため削除はしない）
+app.patch('/api/catalog/:id', auth.requireAdmin, validate({
+    params: ID_PARAMS,
+    body: STATUS_OPTION_FIELDS
+}), (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    const { label, emoji, color, enabled, ttlMinutes, fallbackLabel } = req.body;
+
+    try {
+        const existing = db.getStatusOptionById(id);
+        if (!existing) {
+            return res.status(404).json({ error: 'カタログ項目が見つかりません' });
+        }
+
+        const newLabel = label !== undefined ? label.trim() : undefined;
+        if (newLabel !== undefined && newLabel !== existing.label && db.findStatusOption(existing.category, newLabel)) {
+            return res.status(409).json({ error: '同じラベルの項目が既に存在します', code: 'DUPLICATE_LABEL' });
+        }
+        if (!isValidFallbackLabel(existing.category, newLabel || existing.label, fallbackLabel)) {
+            return rejectField(res, 'fallbackLabel', 'not_allowed', 'fallbackLabel は同じカテゴリの別の項目を指定してください');
+        }
+
+        const option = db.updateStatusOption(id, {
+            label: newLabel,
+            emoji,
+            color,
+            enabled,
+            ttlMinutes,
+            fallbackLabel
+        });
+        events.publish(EVENT_TYPES.CATALOG_CHANGED, { options: db.getStatusOptions({ includeDisabled: true }) });
+        res.json({ success: true, option });
+    } catch (error) {
+        console.error('Error updating catalog option:', error);
+        res.status(500).json({ error: 'カタログ項目の更新に失敗しました' });
+    }
+});
+
+// API: 全メンバーの状況を取得
+app.get('/api/status', (req, res) => {
+    try {
+        const members = db.getAllMembers();
+        res.json({ members });
+    } catch (error) {
+        console.error('Error fetching status from DB:', error);
+        // フォールバック: JSONファイルから読み込み
+        const data = readData();
+        res.json(data);
+    }
+});
+
+// API: SSEストリームエンドポイント
+app.get('/api/status/stream', (req, res) => {
+    // 接続直後に取りこぼしたイベント、または現在の状態のスナップショットを送信
+    sseHub.connect(req, res);
+});
+
+// API: メンバーの状況を更新（本人または管理者のみ。name を省略した場合はサインイン中のメンバー）
+// If-Match: メンバーの版数（ETag）を指定した場合は、その版から変わっていない場合のみ更新する（変わっていれば 412）
+app.post('/api/status', auth.requireAuth, validate({
+    body: {
+        name: { type: 'string', label: '名前' },
+        activity: { type: 'string', nullable: true },
+        state: { type: 'string', nullable: true },
+        message: STATUS_MESSAGE_RULE,
+        until: { type: 'datetime', label: '戻り予定', nullable: true, allowEmpty: true },
+        duration: { type: 'integer', nullable: true, min: 1, max: MAX_TTL_MINUTES },
+        timestamp: { type: 'datetime', nullable: true }
+    }
+}), (req, res) => {
+    const { activity, state, message, until, duration, timestamp: clientTimestamp } = req.body;
+    const name = req.body.name || req.auth.member?.name;
+    const ifMatch = parseIfMatch(req.get('If-Match'));
+
+    if (!name) {
+        return rejectField(res, 'name', 'required', '名前が必要です');
+    }
+    if (Array.isArray(ifMatch) && ifMatch.length === 0) {
+        return res.status(400).json({ error: 'If-Match はメンバーのETag（例: "3"）で指定してください', code: 'INVALID_IF_MATCH' });
+    }
+
+    const timestampError = validateClientTimestamp(clientTimestamp);
+    if (timestampError) {
+        return rejectField(res, 'timestamp', 'out_of_range', timestampError);
+    }
+
+    try {
+        // オフライン中の更新を再送する場合は、端末で操作した日時を使う
+        const timestamp = clientTimestamp ? new Date(clientTimestamp).toISOString() : new Date().toISOString();
+
+        // 既存メンバー情報を取得（nullの場合に既存値を保持するため）
+        const existingMember = db.getMemberByName(name);
+
+        // 登録済みのメンバーのみ更新可能
+        if (!existingMember || existingMember.archived_at) {
+            return res.status(404).json({ error: 'メンバーが見つかりません', code: 'MEMBER_NOT_FOUND' });
+        }
+        if (!auth.canActAsMember(req.auth, existingMember.id)) {
+            return res.status(403).json({ error: '他のメンバーの状況は変更できません' });
+        }
+        if (!matchesIfMatch(ifMatch, existingMember)) {
+            res.set('ETag', memberEtag(existingMember));
+            return res.status(412).json({ error: '他の端末で状況が更新されています', code: 'VERSION_MISMATCH', member: existingMember });
+        }
+
+        // カタログにない（または無効化された）値は受け付けない
+        if (!isAllowedStatusValue('activity', activity)) {
+            return rejectField(res, 'activity', 'not_allowed', '選択できない活動です');
+        }
+        if (!isAllowedStatusValue('state', state)) {
+            return rejectField(res, 'state', 'not_allowed', '選択できない状態です');
+        }
+
+        // 集約済みの期間の日時で履歴を追加すると、日ごとの集計と二重に数えられるため受け付けない
+        const compactedUntil = db.getHistoryCompactedUntil();
+        if (compactedUntil && Date.parse(timestamp) < stats.parseTimestamp(compactedUntil)) {
+            return res.status(409).json({ error: '集約済みの期間の更新は記録できません', code: 'HISTORY_COMPACTED' });
+        }
+
+        // 履歴の変更元（APIトークンからの更新は 'api'）
+        const source = req.auth.scope === 'api' ? 'api' : 'manual';
+
+        // 再送された更新より後に別の更新（他の端末・自動解除）がある場合は、現在の状況は変えずに履歴のみ記録
+        if (existingMember.timestamp && Date.parse(timestamp) < stats.parseTimestamp(existingMember.timestamp)) {
+            const { message: lateMessage, untilAt: lateUntilAt } = resolveStatusDetails({ message, until }, existingMember);
+            const lateEntry = db.insertHistory(
+                existingMember.id,
+                activity !== null && activity !== undefined ? activity : (existingMember.activity || ''),
+                state !== null && state !== undefined ? state : (existingMember.state || ''),
+                timestamp,
+                { message: lateMessage, untilAt: lateUntilAt, source }
+            );
+            events.publish(EVENT_TYPES.HISTORY_APPENDED, { entry: lateEntry, member: existingMember });
+            return res.json({ success: true, applied: false, member: existingMember, data: db.getAllMembers() });
+        }
+
+        // メンバー情報を更新
+        // activity/state が null または undefined の場合は既存値を保持
+        // message/until は undefined の場合のみ既存値を保持（null で消去）
+        const { message: resolvedMessage, untilAt } = resolveStatusDetails({ message, until }, existingMember);
+        const now = new Date(timestamp);
+        const update = {
+            activity: activity !== null && activity !== undefined ? activity : (existingMember.activity || ''),
+            state: state !== null && state !== undefined ? state : (existingMember.state || ''),
+            message: resolvedMessage,
+            untilAt
+        };
+
+        // 同じボタンを押し直した場合など、活動・状態・ひとこと・戻り予定がどれも変わらない場合は履歴に記録しない
+        const unchanged = update.activity === (existingMember.activity || '')
+            && update.state === (existingMember.state || '')
+            && (update.message || null) === (existingMember.message || null)
+            && (update.untilAt || null) === (existingMember.until_at || null);
+
+        // 読み込んだ版から変わっていない場合のみ、メンバーの更新と履歴の追加をまとめて保存
+        const result = db.applyStatusUpdate(existingMember.id, {
+            ...update,
+            expectedVersion: existingMember.version,
+            activityExpiresAt: expiry.resolveExpiresAt('activity', activity, existingMember, duration, now),
+            stateExpiresAt: expiry.resolveExpiresAt('state', state, existingMember, duration, now),
+            timestamp,
+            history: unchanged ? null : { source }
+        });
+        if (result.conflict) {
+            res.set('ETag', memberEtag(result.member));
+            return res.status(409).json({ error: '同時に別の更新があったため保存できませんでした。もう一度お試しください', code: 'UPDATE_CONFLICT', member: result.member });
+        }
+
+        const { member, history: historyEntry } = result;
+        events.publish(EVENT_TYPES.MEMBER_UPDATED, { member });
+        if (historyEntry) {
+            events.publish(EVENT_TYPES.HISTORY_APPENDED, { entry: historyEntry, member });
+        }
+
+        // 全メンバーを取得してレスポンス（history は取り消し（undo）に使う記録された履歴）
+        const allMembers = db.getAllMembers();
+        res.set('ETag', memberEtag(member));
+        res.json({
+            success: true,
+            applied: true,
+            member,
+            history: historyEntry ? toHistoryResponse({ ...historyEntry, member_name: member.name }) : null,
+            data: allMembers
+        });
+    } catch (error) {
+        console.error('Error updating status:', error);
+
+        // フォールバック: JSONファイルのみで処理
+        const data = readData();
+        const memberIndex = data.members.findIndex(m => m.name === name);
+        const timestamp = new Date().toISOString();
+
+        if (memberIndex >= 0) {
+            data.members[memberIndex] = {
+                name,
+                activity: activity !== null && activity !== undefined ? activity : data.members[memberIndex].activity || '',
+                state: state !== null && state !== undefined ? state : data.members[memberIndex].state || '',
+                timestamp
+            };
+        } else {
+            data.members.push({
+                name,
+                activity: activity !== null && activity !== undefined ? activity : '',
+                state: state !== null && state !== undefined ? state : '',
+                timestamp
+            });
+        }
+
+        if (writeData(data)) {
+            events.publish(EVENT_TYPES.MEMBER_UPDATED, { member: data.members.find(m => m.name === name) });
+            res.json({ success: true, data: data.members });
+        } else {
+            res.status(500).json({ error: 'データの保存に失敗しました' });
+        }
+    }
+});
+
+// 取り消し（undo）できる変更元（予定・自動解除などの自動の変更は取り消さない）
+const UNDOABLE_SOURCES = ['manual', 'api'];
+
+// 取り消し後の状況を決定（1つ前の履歴の値に戻す。1つ前がなければ未設定）
+// 戻した値の自動解除日時は1つ前の変更の日時から数え直す（既に過ぎている場合は自動解除の処理で解除される）
+function resolveUndoRestore(member, previous) {
+    const restore = {
+        activity: previous ? previous.activity || '' : '',
+        state: previous ? previous.state || '' : '',
+        message: previous ? previous.message : null,
+        untilAt: previous ? previous.until_at : null,
+        timestamp: previous ? previous.changed_at : null
+    };
+    ['activity', 'state'].forEach(category => {
+        const value = restore[category];
+        restore[`${category}ExpiresAt`] = value && value !== member[category]
+            ? expiry.resolveExpiresAt(category, value, member, undefined, new Date(previous.changed_at))
+            : (value ? member[`${category}_expires_at`] : null);
+    });
+    return restore;
+}
+
+// API: 直前の変更を取り消す（本人または管理者のみ。変更から UNDO_WINDOW_MS 以内の、ボタン・APIからの変更のみ）
+// { name, historyId }: historyId を指定した場合は、その履歴がメンバーの最新の変更である場合のみ取り消す
+// If-Match: POST /api/status と同じく、指定した版から変わっていない場合のみ取り消す（変わっていれば 412）
+app.post('/api/status/undo', auth.requireAuth, validate({
+    body: {
+        name: { type: 'string', label: '名前' },
+        historyId: { type: 'integer' }
+    }
+}), (req, res) => {
+    const { historyId } = req.body;
+    const name = req.body.name || req.auth.member?.name;
+    const ifMatch = parseIfMatch(req.get('If-Match'));
+
+    if (!name) {
+        return rejectField(res, 'name', 'required', '名前が必要です');
+    }
+    if (Array.isArray(ifMatch) && ifMatch.length === 0) {
+        return res.status(400).json({ error: 'If-Match はメンバーのETag（例: "3"）で指定してください', code: 'INVALID_IF_MATCH' });
+    }
+
+    try {
+        const member = db.getMemberByName(name);
+        if (!member || member.archived_at) {
+            return res.status(404).json({ error: 'メンバーが見つかりません', code: 'MEMBER_NOT_FOUND' });
+        }
+        if (!auth.canActAsMember(req.auth, member.id)) {
+            return res.status(403).json({ error: '他のメンバーの変更は取り消せません' });
+        }
+        if (!matchesIfMatch(ifMatch, member)) {
+            res.set('ETag', memberEtag(member));
+            return res.status(412).json({ error: '他の端末で状況が更新されています', code: 'VERSION_MISMATCH', member });
+        }
+
+        const { latest, previous } = db.getLatestHistoryEntries(member.id);
+        if (!latest) {
+            return res.status(409).json({ error: '取り消せる変更がありません', code: 'NOTHING_TO_UNDO' });
+        }
+        if (historyId !== undefined && latest.id !== historyId) {
+            return res.status(409).json({ error: 'この後に別の変更があるため取り消せません', code: 'UNDO_SUPERSEDED' });
+        }
+        if (!UNDOABLE_SOURCES.includes(latest.source)) {
+            return res.status(409).json({ error: '自動で記録された変更は取り消せません', code: 'UNDO_NOT_ALLOWED' });
+        }
+        if (Date.now() - stats.parseTimestamp(latest.changed_at) > config.UNDO_WINDOW_MS) {
+            return res.status(409).json({ error: '取り消せる時間を過ぎました', code: 'UNDO_WINDOW_EXPIRED' });
+        }
+
+        const result = db.undoLatestHistory(
+            member.id,
+            latest.id,
+            resolveUndoRestore(member, previous),
+            req.auth.member ? req.auth.member.id : null
+        );
+        if (!result) {
+            return res.status(409).json({ error: 'この後に別の変更があるため取り消せません', code: 'UNDO_SUPERSEDED' });
+        }
+
+        events.publish(EVENT_TYPES.MEMBER_UPDATED, { member: result.member });
+        events.publish(EVENT_TYPES.HISTORY_CORRECTED, { action: 'undo', historyId: latest.id, member: result.member });
+        res.set('ETag', memberEtag(result.member));
+        res.json({
+            success: true,
+            member: result.member,
+            undone: toHistoryResponse({ ...result.entry, member_name: member.name }),
+            data: db.getAllMembers()
+        });
+    } catch (error) {
+        console.error('Error undoing status:', error);
+        res.status(500).json({ error: '変更の取り消しに失敗しました' });
+    }
+});
+
+// API: 特定メンバーの状況を削除（履歴も削除されるため管理者のみ）
+app.delete('/api/status/:name', auth.requireAdmin, (req, res) => {
+    const { name } = req.params;
+
+    try {
+        const member = db.getMemberByName(name);
+
+        // データベースから削除（履歴もCASCADEで削除される）
+        const deleted = member && db.deleteMember(name);
+
+        if (!deleted) {
+            return res.status(404).json({ error: 'メンバーが見つかりません', code: 'MEMBER_NOT_FOUND' });
+        }
+
+        events.publish(EVENT_TYPES.MEMBER_DELETED, { member: { id: member.id, name: member.name } });
+
+        const allMembers = db.getAllMembers();
+        res.json({ success: true, data: allMembers });
+    } catch (error) {
+        console.error('Error deleting member:', error);
+
+        // フォールバック: JSONファイルのみで処理
+        const data = readData();
+        data.members = data.members.filter(m => m.name !== name);
+
+        if (writeData(data)) {
+            events.publish(EVENT_TYPES.MEMBER_DELETED, { member: { name } });
+            res.json({ success: true, data: data.members });
+        } else {
+            res.status(500).json({ error: 'データの削除に失敗しました' });
+        }
+    }
+});
+
+// API: 全履歴取得
+app.get('/api/history', validate({ query: HISTORY_LIST_QUERY }), (req, res) => {
+    try {
+        const options = parseHistoryListQuery(req.query);
+        const { history, total } = db.getAllHistory(options);
+
+        res.json({
+            history: history.map(toHistoryResponse),
+            total,
+            limit: options.limit,
+            offset: options.offset
+        });
+    } catch (error) {
+        console.error('Error fetching history:', error);
+        res.status(500).json({ error: '履歴の取得に失敗しました' });
+    }
+});
+
+// エクスポート時に1回で読み込む履歴の件数
+const EXPORT_CHUNK_SIZE = 500;
+
+// API: 履歴のエクスポート（全件を古い順にストリーミング）
+// 例: /api/history/export?format=csv&member=はー&from=2026-10-01T00:00:00Z
+app.get('/api/history/export', validate({
+    query: {
+        format: { type: 'string', enum: historyExport.getExportFormats() },
+        member: { type: 'string' },
+        from: { type: 'datetime' },
+        to: { type: 'datetime' }
+    }
+}), async (req, res) => {
+    const { format = 'csv', member: memberName } = req.query;
+    const { from, to } = parseHistoryListQuery(req.query);
+
+    let member = null;
+    try {
+        if (memberName) {
+            member = db.getMemberByName(memberName);
+            if (!member) {
+                return res.status(404).json({ error: 'メンバーが見つかりません', code: 'MEMBER_NOT_FOUND' });
+            }
+        }
+    } catch (error) {
+        console.error('Error exporting history:', error);
+        return res.status(500).json({ error: '履歴のエクスポートに失敗しました' });
+    }
+
+    const rangeEnd = to ? Math.min(Date.parse(to), Date.now()) : Date.now();
+    const writer = historyExport.createExportWriter(format, { rangeEnd });
+    const filename = `family-history${member ? `-${member.id}` : ''}-${new Date().toISOString().slice(0, 10)}.${writer.extension}`;
+
+    res.setHeader('Content-Type', writer.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    // 書き込みバッファが一杯になったら空くまで（または切断されるまで）待つ
+    const write = async (chunk) => {
+        if (chunk && !res.write(chunk)) {
+            await new Promise(resolve => {
+                res.once('drain', resolve);
+                res.once('close', resolve);
+            });
+        }
+    };
+
+    try {
+        await write(writer.start());
+
+        let after = null;
+        while (!res.destroyed) {
+            const rows = db.getHistoryChunk({
+                memberId: member ? member.id : null,
+                from,
+                to,
+                after,
+                limit: EXPORT_CHUNK_SIZE
+            });
+            if (rows.length === 0) {
+                break;
+            }
+
+            await write(rows.map(writer.row).join(''));
+            after = rows[rows.length - 1];
+        }
+
+        await write(writer.end());
+        res.end();
+    } catch (error) {
+        // ヘッダー送信後のためエラーレスポンスは返せない
+        console.error('Error exporting history:', error);
+        res.destroy(error);
+    }
+});
+
+// 修正の記録をAPI用の形式に変換
+function toCorrectionResponse(c) {
+    return {
+        id: c.id,
+        history_id: c.history_id,
+        member: {
+            id: c.member_id,
+            name: c.member_name
+        },
+        action: c.action,
+        before: JSON.parse(c.before),
+        after: c.after ? JSON.parse(c.after) : null,
+        corrected_by: c.corrected_by ? { id: c.corrected_by, name: c.corrected_by_name } : null,
+        created_at: c.created_at
+    };
+}
+
+// API: 履歴の取り消し・修正・削除の記録（管理者は全員分、メンバーは自分の分のみ）
+// 例: /api/history/corrections?member=はー&limit=50
+app.get('/api/history/corrections', auth.requireAuth, validate({
+    query: {
+        member: { type: 'string' },
+        limit: HISTORY_LIST_QUERY.limit
+    }
+}), (req, res) => {
+    const { member: memberName } = req.query;
+    const { limit } = parseHistoryListQuery(req.query);
+
+    try {
+        let memberId = req.auth.isAdmin ? null : req.auth.member.id;
+        if (memberName) {
+            const member = db.getMemberByName(memberName);
+            if (!member) {
+                return res.status(404).json({ error: 'メンバーが見つかりません', code: 'MEMBER_NOT_FOUND' });
+            }
+            if (!auth.canActAsMember(req.auth, member.id)) {
+                return res.status(403).json({ error: '他のメンバーの記録は表示できません' });
+            }
+            memberId = member.id;
+        }
+
+        const corrections = db.getHistoryCorrections({ memberId, limit });
+        res.json({ corrections: corrections.map(toCorrectionResponse) });
+    } catch (error) {
+        console.error('Error fetching history corrections:', error);
+        res.status(500).json({ error: '修正の記録の取得に失敗しました' });
+    }
+});
+
+// 修正・削除できる履歴か確認（本人または管理者の、最新ではない・集約されていない履歴。問題なければ null）
+function checkHistoryCorrectable(entry, reqAuth) {
+    if (!entry) {
+        return { status: 404, error: '履歴が見つかりません', code: 'HISTORY_NOT_FOUND' };
+    }
+    if (!auth.canActAsMember(reqAuth, entry.member_id)) {
+        return { status: 403, error: '他のメンバーの履歴は変更できません' };
+    }
+    const { latest } = db.getLatestHistoryEntries(entry.member_id);
+    if (latest && latest.id === entry.id) {
+        return { status: 409, error: '最新の履歴は、取り消しか状況の更新で変更してください', code: 'LATEST_HISTORY_LOCKED' };
+    }
+    const compactedUntil = db.getHistoryCompactedUntil();
+    if (compactedUntil && stats.parseTimestamp(entry.changed_at) < stats.parseTimestamp(compactedUntil)) {
+        return { status: 409, error: '集約済みの期間の履歴は変更できません', code: 'HISTORY_COMPACTED' };
+    }
+    return null;
+}
+
+// API: 過去の履歴を修正（{ activity, state, message }。含まれない項目は変更しない）
+app.patch('/api/history/:id', auth.requireAuth, validate({
+    params: ID_PARAMS,
+    body: {
+        activity: { type: 'string', nullable: true },
+        state: { type: 'string', nullable: true },
+        message: STATUS_MESSAGE_RULE
+    },
+    requireAny: ['activity', 'state', 'message']
+}), (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    const { activity, state, message } = req.body;
+
+    try {
+        const entry = db.getHistoryEntryById(id);
+        const problem = checkHistoryCorrectable(entry, req.auth);
+        if (problem) {
+            return res.status(problem.status).json({ error: problem.error, code: problem.code });
+        }
+
+        // 元の値のままの項目は、カタログで無効化されていても受け付ける
+        if (activity !== undefined && activity !== entry.activity && (activity === null || !isAllowedStatusValue('activity', activity))) {
+            return rejectField(res, 'activity', 'not_allowed', '選択できない活動です');
+        }
+        if (state !== undefined && state !== entry.state && (state === null || !isAllowedStatusValue('state', state))) {
+            return rejectField(res, 'state', 'not_allowed', '選択できない状態です');
+        }
+
+        const updated = db.updateHistoryEntry(id, {
+            activity,
+            state,
+            message: message === undefined ? undefined : resolveStatusDetails({ message }, null).message
+        }, req.auth.member ? req.auth.member.id : null);
+
+        events.publish(EVENT_TYPES.HISTORY_CORRECTED, {
+            action: 'edit',
+            historyId: id,
+            member: { id: entry.member_id, name: entry.member_name },
+            entry: updated
+        });
+        res.json({ entry: toHistoryResponse(updated) });
+    } catch (error) {
+        console.error('Error updating history entry:', error);
+        res.status(500).json({ error: '履歴の修正に失敗しました' });
+    }
+});
+
+// API: 過去の履歴を削除
+app.delete('/api/history/:id', auth.requireAuth, validate({ params: ID_PARAMS }), (req, res) => {
+    const id = parseInt(req.params.id, 10);
+
+    try {
+        const problem = checkHistoryCorrectable(db.getHistoryEntryById(id), req.auth);
+        if (problem) {
+            return res.status(problem.status).json({ error: problem.error, code: problem.code });
+        }
+
+        const deleted = db.deleteHistoryEntry(id, req.auth.member ? req.auth.member.id : null);
+        events.publish(EVENT_TYPES.HISTORY_CORRECTED, {
+            action: 'delete',
+            historyId: id,
+            member: { id: deleted.member_id, name: deleted.member_name }
+        });
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting history entry:', error);
+        res.status(500).json({ error: '履歴の削除に失敗しました' });
+    }
+});
+
+// API: メンバー別履歴取得
+app.get('/api/history/:name', validate({ query: HISTORY_LIST_QUERY }), (req, res) => {
+    try {
+        const { name } = req.params;
+        const options = parseHistoryListQuery(req.query);
+
+        // メンバーの存在確認
+        const member = db.getMemberByName(name);
+        if (!member) {
+            return res.status(404).json({ error: 'メンバーが見つかりません', code: 'MEMBER_NOT_FOUND' });
+        }
+
+        const { history, total } = db.getHistoryByMemberId(member.id, options);
+
+        res.json({
+            member: {
+                id: member.id,
+                name: member.name
+            },
+            history: history.map(h => toHistoryResponse({ ...h, member_id: member.id, member_name: member.name })),
+            total,
+            limit: options.limit,
+            offset: options.offset
+        });
+    } catch (error) {
+        console.error('Error fetching member history:', error);
+        res.status(500).json({ error: '履歴の取得に失敗しました' });
+    }
+});
+
+// API: バックアップの取得（管理者のみ）
+// format=json: 移植可能なJSONアーカイブ、format=sqlite: オンラインバックアップAPIによるDBファイルのスナップショット
+app.get('/api/admin/backup', auth.requireAdmin, validate({
+    query: { format: { type: 'string', enum: ['json', 'sqlite'] } }
+}), async (req, res) => {
+    const { format = 'json' } = req.query;
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..+$/, '');
+
+    try {
+        if (format === 'json') {
+            res.setHeader('Content-Disposition', `attachment; filename="family-board-${stamp}.json"`);
+            return res.json(db.exportArchive());
+        }
+
+        const tempFile = path.join(os.tmpdir(), `family-board-${stamp}-${process.pid}.db`);
+        await db.backupToFile(tempFile);
+        res.download(tempFile, `family-board-${stamp}.db`, (error) => {
+            if (error) {
+                console.error('Error sending backup:', error);
+            }
+            fs.unlink(tempFile, () => {});
+        });
+    } catch (error) {
+        console.error('Error creating backup:', error);
+        res.status(500).json({ error: 'バックアップの作成に失敗しました' });
+    }
+});
+
+// API: JSONアーカイブからの復元（管理者のみ）
+// mode=replace: 全て置き換え、mode=merge: 名前と日時で統合。dryRun=true で変更内容の報告のみ
+app.post('/api/admin/restore', auth.requireAdmin, validate({
+    query: {
+        mode: { type: 'string', enum: backup.RESTORE_MODES },
+        dryRun: { type: 'boolean' }
+    }
+}), (req, res) => {
+    const { mode = 'merge' } = req.query;
+    const dryRun = req.query.dryRun === 'true';
+
+    try {
+        const { currentVersion } = db.getMigrationStatus();
+        const validationError = backup.validateArchive(req.body, currentVersion);
+        if (validationError) {
+            return res.status(400).json({ error: validationError, code: 'INVALID_ARCHIVE' });
+        }
+
+        const report = db.restoreArchive(req.body, { mode, dryRun });
+        if (!dryRun) {
+            console.log(`Data restored (${mode}): ${report.members.added.length} members added, ${report.history.added} history entries added`);
+            events.publish(EVENT_TYPES.DATA_RESTORED, { report });
+        }
+        res.json({ success: true, report });
+    } catch (error) {
+        console.error('Error restoring backup:', error);
+        res.status(500).json({ error: '復元に失敗しました' });
+    }
+});
+
+// API: 保持期間を過ぎた履歴を日ごとの滞在時間に集約して削除（管理者のみ。定期実行を待たずに実行）
+// retentionDays を省略した場合は HISTORY_RETENTION_DAYS。dryRun=true で件数の確認のみ
+app.post('/api/admin/history/compact', auth.requireAdmin, validate({
+    query: { dryRun: { type: 'boolean' } },
+    body: { retentionDays: { type: 'integer', min: 1 } }
+}), (req, res) => {
+    const { retentionDays = config.HISTORY_RETENTION_DAYS } = req.body;
+    const dryRun = req.query.dryRun === 'true';
+
+    if (retentionDays < 1) {
+        return rejectField(res, 'retentionDays', 'required', 'retentionDays は1以上の整数で指定してください（HISTORY_RETENTION_DAYS が未設定の場合は必須）');
+    }
+
+    try {
+        const result = retention.compactHistory({ retentionDays, timeZone: config.FAMILY_TIMEZONE, dryRun });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Error compacting history:', error);
+        res.status(500).json({ error: '履歴の集約に失敗しました' });
+    }
+});
+
+// Webhook登録時に events を省略した場合のイベント種別（状況の変更と削除）
+const DEFAULT_WEBHOOK_EVENTS = [EVENT_TYPES.MEMBER_UPDATED, EVENT_TYPES.MEMBER_DELETED];
+
+// Webhookの配信（データベース初期化後に開始）
+let webhookDispatcher = null;
+
+// API: Webhook一覧（管理者のみ）
+app.get('/api/webhooks', auth.requireAdmin, (req, res) => {
+    try {
+        res.json({ webhooks: db.getWebhooks().map(toWebhookResponse) });
+    } catch (error) {
+        console.error('Error fetching webhooks:', error);
+        res.status(500).json({ error: 'Webhookの取得に失敗しました' });
+    }
+});
+
+// API: Webhookの登録（管理者のみ。secret を省略した場合は生成し、このレスポンスでのみ返す）
+app.post('/api/webhooks', auth.requireAdmin, validate({ body: webhookFields({ isNew: true }) }), (req, res) => {
+    const { url, events: eventTypes = DEFAULT_WEBHOOK_EVENTS, memberId = null, enabled = true } = req.body;
+    const secret = req.body.secret || webhooks.generateSecret();
+
+    try {
+        if (memberId !== null && !db.getMemberById(memberId)) {
+            return res.status(404).json({ error: 'メンバーが見つかりません', code: 'MEMBER_NOT_FOUND' });
+        }
+
+        const webhook = db.createWebhook({ url, eventTypes, memberId, secret, enabled });
+        res.status(201).json({ success: true, webhook: toWebhookResponse(webhook), secret });
+    } catch (error) {
+        console.error('Error creating webhook:', error);
+        res.status(500).json({ error: 'Webhookの登録に失敗しました' });
+    }
+});
+
+// API: Webhookの変更（管理者のみ）
+app.patch('/api/webhooks/:id', auth.requireAdmin, validate({
+    params: ID_PARAMS,
+    body: webhookFields({ isNew: false })
+}), (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    const { url, events: eventTypes, memberId, secret, enabled } = req.body;
+
+    try {
+        if (!db.getWebhookById(id)) {
+            return res.status(404).json({ error: 'Webhookが見つかりません' });
+        }
+        if (memberId !== undefined && memberId !== null && !db.getMemberById(memberId)) {
+            return res.status(404).json({ error: 'メンバーが見つかりません', code: 'MEMBER_NOT_FOUND' });
+        }
+
+        const webhook = db.updateWebhook(id, { url, eventTypes, memberId, secret, enabled });
+        res.json({ success: true, webhook: toWebhookResponse(webhook) });
+    } catch (error) {
+        console.error('Error updating webhook:', error);
+        res.status(500).json({ error: 'Webhookの更新に失敗しました' });
+    }
+});
+
+// API: Webhookの削除（管理者のみ。配信ログも削除される）
+app.delete('/api/webhooks/:id', auth.requireAdmin, validate({ params: ID_PARAMS }), (req, res) => {
+    try {
+        if (!db.deleteWebhook(parseInt(req.params.id, 10))) {
+            return res.status(404).json({ error: 'Webhookが見つかりません' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting webhook:', error);
+        res.status(500).json({ error: 'Webhookの削除に失敗しました' });
+    }
+});
+
+// API: テストイベントの送信（管理者のみ）
+app.post('/api/webhooks/:id/test', auth.requireAdmin, validate({ params: ID_PARAMS }), (req, res) => {
+    if (!webhookDispatcher) {
+        return res.status(503).json({ error: 'Webhookの配信が開始されていません' });
+    }
 
-const app = express();
-const PORT = config.PORT;
-const DATA_FILE = path.join(__dirname, 'family-status.json');
+    try {
+        const webhook = db.getWebhookById(parseInt(req.params.id, 10));
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhookが見つかりません' });
+        }
 
-// SSE接続を管理する配列
-const sseClients = [];
+        const delivery = webhookDispatcher.sendTestEvent(webhook);
+        res.status(202).json({ success: true, delivery });
+    } catch (error) {
+        console.error('Error sending test webhook:', error);
+        res.status(500).json({ error: 'テスト送信に失敗しました' });
+    }
+});
 
-// ミドルウェア
-app.use(cors());
-app.use(express.json());
-app.use(express.static(__dirname));
+// API: Webhookの配信ログ（管理者のみ、新しい順）
+app.get('/api/webhooks/:id/deliveries', auth.requireAdmin, validate({
+    params: ID_PARAMS,
+    query: { limit: { type: 'integer', min: 1, max: 500 } }
+}), (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 50;
 
-// データファイルの初期化
-function initDataFile() {
-    if (!fs.existsSync(DATA_FILE)) {
-        const initialData = {
-            members: []
-        };
-        fs.writeFileSync(DATA_FILE, JSON.stringify(initialData, null, 2));
+    try {
+        if (!db.getWebhookById(id)) {
+            return res.status(404).json({ error: 'Webhookが見つかりません' });
+        }
+        res.json({ deliveries: db.getWebhookDeliveries(id, limit) });
+    } catch (error) {
+        console.error('Error fetching webhook deliveries:', error);
+        res.status(500).json({ error: '配信ログの取得に失敗しました' });
     }
+});
+
+// 通知の設定の持ち主（メンバーのトークンはメンバー単位、管理者トークンは端末単位）
+function getPreferenceOwner(authInfo) {
+    return authInfo.member ? { memberId: authInfo.member.id } : { deviceTokenId: authInfo.tokenId };
 }
 
-// データの読み込み
-function readData() {
+// API: 自分の通知の設定（未設定の場合は既定値）
+app.get('/api/notification-preferences', auth.requireAuth, (req, res) => {
     try {
-        const data = fs.readFileSync(DATA_FILE, 'utf8');
-        return JSON.parse(data);
+        const preferences = notificationPreferences.withDefaults(db.getNotificationPreferences(getPreferenceOwner(req.auth)));
+        res.json({ preferences, timeZone: config.FAMILY_TIMEZONE });
     } catch (error) {
-        console.error('Error reading data:', error);
-        return { members: [] };
+        console.error('Error fetching notification preferences:', error);
+        res.status(500).json({ error: '通知の設定の取得に失敗しました' });
+    }
+});
+
+// API: 自分の通知の設定を保存（省略した項目は既定値に戻る）
+app.put('/api/notification-preferences', auth.requireAuth, validate({
+    body: notificationPreferences.PREFERENCES_FIELDS
+}), (req, res) => {
+    const validationError = notificationPreferences.validatePreferences(req.body);
+    if (validationError) {
+        return rejectField(res, 'quietHours', 'invalid_format', validationError);
     }
-}
 
-// データの書き込み
-function writeData(data) {
     try {
-        fs.writeFileSync(DATA_FILE, JSON.stringify(data, null, 2));
-        return true;
+        const saved = db.saveNotificationPreferences(
+            getPreferenceOwner(req.auth),
+            notificationPreferences.withDefaults(req.body)
+        );
+        res.json({ success: true, preferences: saved, timeZone: config.FAMILY_TIMEZONE });
     } catch (error) {
-        console.error('Error writing data:', error);
-        return false;
+        console.error('Error saving notification preferences:', error);
+        res.status(500).json({ error: '通知の設定の保存に失敗しました' });
     }
-}
+});
 
-// SSEクライアントにデータをブロードキャスト
-function broadcastToClients(data) {
-    const message = `data: ${JSON.stringify(data)}\n\n`;
-    let disconnectedClients = [];
-
-    sseClients.forEach((client, index) => {
-        try {
-            if (!client.res.writableEnded) {
-                client.res.write(message);
-            } else {
-                disconnectedClients.push(index);
-            }
-        } catch (error) {
-            console.error('Error sending SSE message:', error);
-            disconnectedClients.push(index);
-        }
-    });
+// Web Pushの送信（データベース初期化後に開始）
+let pushNotifier = null;
+let vapidKeys = null;
 
-    // 切断されたクライアントを削除
-    disconnectedClients.reverse().forEach(index => {
-        sseClients.splice(index, 1);
-    });
+// API: Web Pushの購読に使う公開鍵
+app.get('/api/push/vapid-public-key', (req, res) => {
+    if (!vapidKeys) {
+        return res.status(503).json({ error: 'プッシュ通知が開始されていません' });
+    }
+    res.json({ publicKey: vapidKeys.publicKey });
+});
 
-    if (disconnectedClients.length > 0) {
-        console.log(`Removed ${disconnectedClients.length} disconnected clients. Active: ${sseClients.length}`);
+// API: この端末のプッシュ通知の購読を登録
+app.post('/api/push/subscriptions', auth.requireAuth, validate({ body: PUSH_SUBSCRIPTION_FIELDS }), (req, res) => {
+    try {
+        const { endpoint, keys } = req.body;
+        const subscription = db.savePushSubscription({
+            deviceTokenId: req.auth.tokenId,
+            memberId: req.auth.member ? req.auth.member.id : null,
+            endpoint,
+            p256dh: keys.p256dh,
+            auth: keys.auth
+        });
+        res.status(201).json({ success: true, subscription: { id: subscription.id, created_at: subscription.created_at } });
+    } catch (error) {
+        console.error('Error saving push subscription:', error);
+        res.status(500).json({ error: 'プッシュ通知の登録に失敗しました' });
     }
-}
+});
 
-// API: 設定を取得
-app.get('/api/config', (req, res) => {
-    res.json({
-        port: PORT
-    });
+// API: この端末のプッシュ通知の購読を解除
+app.delete('/api/push/subscriptions', auth.requireAuth, validate({
+    body: { endpoint: { type: 'string', required: true } }
+}), (req, res) => {
+    const { endpoint } = req.body;
+
+    try {
+        if (!db.deletePushSubscription(endpoint, req.auth.tokenId)) {
+            return res.status(404).json({ error: '購読が見つかりません' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting push subscription:', error);
+        res.status(500).json({ error: 'プッシュ通知の解除に失敗しました' });
+    }
 });
 
-// API: 全メンバーの状況を取得
-app.get('/api/status', (req, res) => {
+// API: この端末にテスト通知を送信
+app.post('/api/push/test', auth.requireAuth, async (req, res) => {
+    if (!pushNotifier) {
+        return res.status(503).json({ error: 'プッシュ通知が開始されていません' });
+    }
+
     try {
-        const members = db.getAllMembers();
-        res.json({ members });
+        const subscriptions = db.getActivePushSubscriptions({ deviceTokenId: req.auth.tokenId });
+        if (subscriptions.length === 0) {
+            return res.status(404).json({ error: 'この端末はプッシュ通知を購読していません' });
+        }
+
+        const results = await pushNotifier.sendToSubscriptions(subscriptions, {
+            title: '家族状況共有',
+            body: 'テスト通知です',
+            tag: 'push-test',
+            url: '/'
+        });
+        res.json({ success: results.every(r => r.ok), results });
     } catch (error) {
-        console.error('Error fetching status from DB:', error);
-        // フォールバック: JSONファイルから読み込み
-        const data = readData();
-        res.json(data);
+        console.error('Error sending test push:', error);
+        res.status(500).json({ error: 'テスト通知の送信に失敗しました' });
     }
 });
 
-// API: SSEストリームエンドポイント
-app.get('/api/status/stream', (req, res) => {
-    // SSEヘッダーの設定（nginx/openrestyのバッファリングを無効化）
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
-    res.setHeader('Connection', 'keep-alive');
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('X-Accel-Buffering', 'no'); // nginxのバッファリングを無効化
+// 声かけへの返事として選べる言葉
+const NUDGE_RESPONSES = ['今行く', 'あとで', '了解'];
 
-    // ステータスコードを明示的に設定
-    res.status(200);
+// 自分宛ての声かけを取得（見つからない・相手が自分でない場合はエラーのレスポンスを返して null）
+function findOwnNudge(req, res) {
+    const nudge = db.getNudgeById(parseInt(req.params.id, 10));
+    if (!nudge) {
+        res.status(404).json({ error: '声かけが見つかりません' });
+        return null;
+    }
+    if (!req.auth.member || nudge.to_member_id !== req.auth.member.id) {
+        res.status(403).json({ error: '自分宛ての声かけではありません' });
+        return null;
+    }
+    return nudge;
+}
 
-    // 即座にヘッダーを送信
-    res.flushHeaders();
+// API: 自分が送った・受け取った声かけ（新しい順。メンバーに紐付かない管理者トークンは全員分）
+app.get('/api/nudges', auth.requireAuth, validate({
+    query: { limit: { type: 'integer', min: 1, max: 200 } }
+}), (req, res) => {
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 20;
 
-    // 接続直後に現在の状態を送信
     try {
-        const members = db.getAllMembers();
-        res.write(`data: ${JSON.stringify({ members })}\n\n`);
+        const nudges = db.getNudgesForMember(req.auth.member ? req.auth.member.id : null, limit);
+        res.json({ nudges, responses: NUDGE_RESPONSES });
     } catch (error) {
-        console.error('Error fetching status for SSE:', error);
-        const data = readData();
-        res.write(`data: ${JSON.stringify(data)}\n\n`);
+        console.error('Error fetching nudges:', error);
+        res.status(500).json({ error: '声かけの取得に失敗しました' });
     }
+});
 
-    // クライアントを接続リストに追加
-    const clientId = Date.now() + Math.random();
-    const client = { id: clientId, res };
-    sseClients.push(client);
+// API: 声かけを送る（メンバーとしてサインインしている場合のみ）
+app.post('/api/nudges', auth.requireAuth, validate({
+    body: {
+        to: { type: 'integer', required: true, message: 'to（相手のメンバーID）が必要です' },
+        message: STATUS_MESSAGE_RULE
+    }
+}), (req, res) => {
+    const { to, message } = req.body;
 
-    console.log(`SSE Client ${clientId.toFixed(3)} connected. Active clients: ${sseClients.length}`);
+    if (!req.auth.member) {
+        return res.status(403).json({ error: '声かけはメンバーとしてサインインして送ってください' });
+    }
+    if (to === req.auth.member.id) {
+        return rejectField(res, 'to', 'not_allowed', '自分には声かけできません');
+    }
 
-    // クライアント切断時の処理
-    req.on('close', () => {
-        const index = sseClients.findIndex(c => c.id === clientId);
-        if (index !== -1) {
-            sseClients.splice(index, 1);
+    try {
+        const target = db.getMemberById(to);
+        if (!target || target.archived_at) {
+            return res.status(404).json({ error: 'メンバーが見つかりません', code: 'MEMBER_NOT_FOUND' });
         }
-        console.log(`SSE Client ${clientId.toFixed(3)} disconnected. Active clients: ${sseClients.length}`);
-    });
+
+        const nudge = db.createNudge({
+            fromMemberId: req.auth.member.id,
+            toMemberId: to,
+            message: message ? message.trim() || null : null
+        });
+        events.publish(EVENT_TYPES.NUDGE_SENT, { nudge });
+        res.status(201).json({ success: true, nudge });
+    } catch (error) {
+        console.error('Error sending nudge:', error);
+        res.status(500).json({ error: '声かけの送信に失敗しました' });
+    }
 });
 
-// API: メンバーの状況を更新
-app.post('/api/status', (req, res) => {
-    const { name, activity, state } = req.body;
+// API: 声かけが届いたことを記録（相手のみ。画面を開いている端末がSSEで受け取ったときに送る）
+app.post('/api/nudges/:id/delivered', auth.requireAuth, validate({ params: ID_PARAMS }), (req, res) => {
+    try {
+        const nudge = findOwnNudge(req, res);
+        if (!nudge) {
+            return;
+        }
 
-    if (!name) {
-        return res.status(400).json({ error: '名前が必要です' });
+        const updated = db.markNudgeDelivered(nudge.id);
+        if (updated) {
+            events.publish(EVENT_TYPES.NUDGE_UPDATED, { nudge: updated });
+        }
+        res.json({ success: true, nudge: updated || nudge });
+    } catch (error) {
+        console.error('Error marking nudge delivered:', error);
+        res.status(500).json({ error: '声かけの更新に失敗しました' });
     }
+});
 
-    try {
-        const timestamp = new Date().toISOString();
+// API: 声かけに返事をする（相手のみ）
+app.post('/api/nudges/:id/acknowledge', auth.requireAuth, validate({
+    params: ID_PARAMS,
+    body: { response: { type: 'string', required: true, enum: NUDGE_RESPONSES } }
+}), (req, res) => {
+    const { response } = req.body;
 
-        // 既存メンバー情報を取得（nullの場合に既存値を保持するため）
-        const existingMember = db.getMemberByName(name);
+    try {
+        const nudge = findOwnNudge(req, res);
+        if (!nudge) {
+            return;
+        }
+        if (nudge.status === 'acknowledged') {
+            return res.status(409).json({ error: 'この声かけには返事済みです', code: 'NUDGE_ALREADY_ACKNOWLEDGED' });
+        }
 
-        // メンバー情報を更新または追加
-        // activity/state が null または undefined の場合は既存値を保持
-        const member = db.insertOrUpdateMember({
-            name,
-            activity: activity !== null && activity !== undefined ? activity : (existingMember?.activity || ''),
-            state: state !== null && state !== undefined ? state : (existingMember?.state || ''),
-            timestamp
-        });
+        const updated = db.acknowledgeNudge(nudge.id, response);
+        events.publish(EVENT_TYPES.NUDGE_UPDATED, { nudge: updated });
+        res.json({ success: true, nudge: updated });
+    } catch (error) {
+        console.error('Error acknowledging nudge:', error);
+        res.status(500).json({ error: '声かけへの返事に失敗しました' });
+    }
+});
 
-        // 履歴に記録（実際に保存された値を記録）
-        db.insertHistory(member.id, member.activity || '', member.state || '', timestamp);
+// 予定の活動・状態がカタログの有効な項目かチェック（問題があれば入力エラーのレスポンスを返して false）
+function checkScheduleStatusValues(res, { activity, state }) {
+    if (!isAllowedStatusValue('activity', activity)) {
+        rejectField(res, 'activity', 'not_allowed', '無効な活動です');
+        return false;
+    }
+    if (!isAllowedStatusValue('state', state)) {
+        rejectField(res, 'state', 'not_allowed', '無効な状態です');
+        return false;
+    }
+    return true;
+}
 
-        // JSONファイルにも書き込み（後方互換性のため）
-        const data = readData();
-        const memberIndex = data.members.findIndex(m => m.name === name);
+// 操作できる予定を取得（見つからない・本人または管理者でない場合はエラーのレスポンスを返して null）
+function findEditableSchedule(req, res) {
+    const schedule = db.getScheduleById(parseInt(req.params.id, 10));
+    if (!schedule) {
+        res.status(404).json({ error: '予定が見つかりません' });
+        return null;
+    }
+    if (!auth.canActAsMember(req.auth, schedule.member_id)) {
+        res.status(403).json({ error: 'このメンバーの予定は変更できません' });
+        return null;
+    }
+    return schedule;
+}
 
-        if (memberIndex >= 0) {
-            data.members[memberIndex] = {
-                name,
-                activity: activity !== null && activity !== undefined ? activity : data.members[memberIndex].activity || '',
-                state: state !== null && state !== undefined ? state : data.members[memberIndex].state || '',
-                timestamp
-            };
-        } else {
-            data.members.push({
-                name,
-                activity: activity !== null && activity !== undefined ? activity : '',
-                state: state !== null && state !== undefined ? state : '',
-                timestamp
-            });
-        }
-        writeData(data);
+// API: 繰り返しの予定と、今日以降の予定を適用しない日
+// 例: /api/schedules?memberId=1
+app.get('/api/schedules', auth.requireAuth, validate({
+    query: { memberId: { type: 'integer' } }
+}), (req, res) => {
+    const memberId = req.query.memberId !== undefined ? parseInt(req.query.memberId, 10) : null;
 
-        // 全メンバーを取得してレスポンス
-        const allMembers = db.getAllMembers();
-        res.json({ success: true, data: allMembers });
+    try {
+        res.json({
+            schedules: db.getSchedules(memberId),
+            exceptions: db.getScheduleExceptions({
+                memberId,
+                fromDate: stats.formatZonedDate(Date.now(), config.FAMILY_TIMEZONE)
+            }),
+            timeZone: config.FAMILY_TIMEZONE
+        });
     } catch (error) {
-        console.error('Error updating status:', error);
+        console.error('Error fetching schedules:', error);
+        res.status(500).json({ error: '予定の取得に失敗しました' });
+    }
+});
 
-        // フォールバック: JSONファイルのみで処理
-        const data = readData();
-        const memberIndex = data.members.findIndex(m => m.name === name);
-        const timestamp = new Date().toISOString();
+// API: 予定を追加（本人または管理者）
+// 例: { memberId: 1, name: '仕事', days: [1,2,3,4,5], startTime: '09:00', endTime: '18:00', activity: '仕事中' }
+app.post('/api/schedules', auth.requireAuth, validate({
+    body: { memberId: { type: 'integer', required: true }, ...scheduleFields({ partial: false }) }
+}), (req, res) => {
+    const { memberId, name, days, startTime, endTime, activity, state, enabled } = req.body;
 
-        if (memberIndex >= 0) {
-            data.members[memberIndex] = {
-                name,
-                activity: activity !== null && activity !== undefined ? activity : data.members[memberIndex].activity || '',
-                state: state !== null && state !== undefined ? state : data.members[memberIndex].state || '',
-                timestamp
-            };
-        } else {
-            data.members.push({
-                name,
-                activity: activity !== null && activity !== undefined ? activity : '',
-                state: state !== null && state !== undefined ? state : '',
-                timestamp
-            });
-        }
+    if (!auth.canActAsMember(req.auth, memberId)) {
+        return res.status(403).json({ error: 'このメンバーの予定は変更できません' });
+    }
+    if (!checkScheduleStatusValues(res, { activity, state })) {
+        return;
+    }
+    if (!activity && !state) {
+        return rejectField(res, 'activity', 'required', '活動または状態を指定してください');
+    }
+    if (endTime === startTime) {
+        return rejectField(res, 'endTime', 'invalid_format', '開始と終了は別の時刻を指定してください');
+    }
 
-        if (writeData(data)) {
-            res.json({ success: true, data: data.members });
-        } else {
-            res.status(500).json({ error: 'データの保存に失敗しました' });
+    try {
+        const member = db.getMemberById(memberId);
+        if (!member || member.archived_at) {
+            return res.status(404).json({ error: 'メンバーが見つかりません', code: 'MEMBER_NOT_FOUND' });
         }
+
+        const schedule = db.createSchedule({
+            memberId,
+            name: name ? name.trim() || null : null,
+            days: [...days].sort((a, b) => a - b),
+            startTime,
+            endTime: endTime || null,
+            activity: activity || null,
+            state: state || null,
+            enabled: enabled !== false
+        });
+        res.status(201).json({ success: true, schedule });
+    } catch (error) {
+        console.error('Error creating schedule:', error);
+        res.status(500).json({ error: '予定の追加に失敗しました' });
     }
 });
 
-// API: 特定メンバーの状況を削除
-app.delete('/api/status/:name', (req, res) => {
-    const { name } = req.params;
+// API: 予定を変更（指定した項目のみ）
+app.patch('/api/schedules/:id', auth.requireAuth, validate({
+    params: ID_PARAMS,
+    body: scheduleFields({ partial: true })
+}), (req, res) => {
+    if (!checkScheduleStatusValues(res, req.body)) {
+        return;
+    }
 
     try {
-        // データベースから削除（履歴もCASCADEで削除される）
-        const deleted = db.deleteMember(name);
+        const schedule = findEditableSchedule(req, res);
+        if (!schedule) {
+            return;
+        }
 
-        if (!deleted) {
-            return res.status(404).json({ error: 'メンバーが見つかりません' });
+        const changes = {};
+        ['name', 'days', 'startTime', 'endTime', 'activity', 'state', 'enabled'].forEach(key => {
+            if (req.body[key] !== undefined) {
+                changes[key] = req.body[key];
+            }
+        });
+        if (changes.name !== undefined) {
+            changes.name = changes.name ? changes.name.trim() || null : null;
+        }
+        if (changes.days) {
+            changes.days = [...changes.days].sort((a, b) => a - b);
         }
+        ['endTime', 'activity', 'state'].forEach(key => {
+            if (changes[key] === '') {
+                changes[key] = null;
+            }
+        });
 
-        // JSONファイルからも削除（後方互換性のため）
-        const data = readData();
-        data.members = data.members.filter(m => m.name !== name);
-        writeData(data);
+        const activity = changes.activity !== undefined ? changes.activity : schedule.activity;
+        const state = changes.state !== undefined ? changes.state : schedule.state;
+        if (!activity && !state) {
+            return rejectField(res, 'activity', 'required', '活動または状態を指定してください');
+        }
+        const startTime = changes.startTime || schedule.start_time;
+        const endTime = changes.endTime !== undefined ? changes.endTime : schedule.end_time;
+        if (endTime === startTime) {
+            return rejectField(res, 'endTime', 'invalid_format', '開始と終了は別の時刻を指定してください');
+        }
 
-        const allMembers = db.getAllMembers();
-        res.json({ success: true, data: allMembers });
+        const updated = db.updateSchedule(schedule.id, changes);
+        res.json({ success: true, schedule: updated });
     } catch (error) {
-        console.error('Error deleting member:', error);
-
-        // フォールバック: JSONファイルのみで処理
-        const data = readData();
-        data.members = data.members.filter(m => m.name !== name);
-
-        if (writeData(data)) {
-            res.json({ success: true, data: data.members });
-        } else {
-            res.status(500).json({ error: 'データの削除に失敗しました' });
-        }
+        console.error('Error updating schedule:', error);
+        res.status(500).json({ error: '予定の変更に失敗しました' });
     }
 });
 
-// API: 全履歴取得
-app.get('/api/history', (req, res) => {
+// API: 予定を削除
+app.delete('/api/schedules/:id', auth.requireAuth, validate({ params: ID_PARAMS }), (req, res) => {
     try {
-        const { from, to, limit = 100, offset = 0 } = req.query;
+        const schedule = findEditableSchedule(req, res);
+        if (!schedule) {
+            return;
+        }
 
-        // パラメータバリデーション
-        const parsedLimit = Math.min(parseInt(limit, 10) || 100, 1000);
-        const parsedOffset = parseInt(offset, 10) || 0;
+        db.deleteSchedule(schedule.id);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting schedule:', error);
+        res.status(500).json({ error: '予定の削除に失敗しました' });
+    }
+});
 
-        if (parsedLimit > 1000) {
-            return res.status(400).json({ error: 'Limit exceeds maximum (1000)' });
-        }
+// API: 予定を適用しない日を追加（scheduleId を省略するとそのメンバーの全ての予定が対象）
+// 例: { memberId: 1, date: '2026-11-03', note: '祝日' }
+app.post('/api/schedules/exceptions', auth.requireAuth, validate({
+    body: {
+        memberId: { type: 'integer', required: true },
+        scheduleId: { type: 'integer', nullable: true },
+        date: { type: 'date', required: true },
+        note: { type: 'string', label: 'メモ', nullable: true, trim: true, maxLength: 50 }
+    }
+}), (req, res) => {
+    const { memberId, scheduleId, date, note } = req.body;
 
-        const options = {
-            from: from || null,
-            to: to || null,
-            limit: parsedLimit,
-            offset: parsedOffset
-        };
+    if (!auth.canActAsMember(req.auth, memberId)) {
+        return res.status(403).json({ error: 'このメンバーの予定は変更できません' });
+    }
 
-        const { history, total } = db.getAllHistory(options);
+    try {
+        if (Number.isInteger(scheduleId)) {
+            const schedule = db.getScheduleById(scheduleId);
+            if (!schedule || schedule.member_id !== memberId) {
+                return res.status(404).json({ error: '予定が見つかりません' });
+            }
+        }
 
-        res.json({
-            history: history.map(h => ({
-                id: h.id,
-                member: {
-                    id: h.member_id,
-                    name: h.member_name
-                },
-                activity: h.activity,
-                state: h.state,
-                changed_at: h.changed_at
-            })),
-            total,
-            limit: parsedLimit,
-            offset: parsedOffset
+        const exception = db.createScheduleException({
+            memberId,
+            scheduleId: Number.isInteger(scheduleId) ? scheduleId : null,
+            date,
+            note: note ? note.trim() || null : null
         });
+        res.status(201).json({ success: true, exception });
     } catch (error) {
-        console.error('Error fetching history:', error);
-        res.status(500).json({ error: '履歴の取得に失敗しました' });
+        console.error('Error creating schedule exception:', error);
+        res.status(500).json({ error: '予定を適用しない日の追加に失敗しました' });
     }
 });
 
-// API: メンバー別履歴取得
-app.get('/api/history/:name', (req, res) => {
+// API: 予定を適用しない日を削除
+app.delete('/api/schedules/exceptions/:id', auth.requireAuth, validate({ params: ID_PARAMS }), (req, res) => {
     try {
-        const { name } = req.params;
-        const { from, to, limit = 100, offset = 0 } = req.query;
-
-        // メンバーの存在確認
-        const member = db.getMemberByName(name);
-        if (!member) {
-            return res.status(404).json({ error: 'メンバーが見つかりません' });
+        const exception = db.getScheduleExceptionById(parseInt(req.params.id, 10));
+        if (!exception) {
+            return res.status(404).json({ error: '予定を適用しない日が見つかりません' });
         }
+        if (!auth.canActAsMember(req.auth, exception.member_id)) {
+            return res.status(403).json({ error: 'このメンバーの予定は変更できません' });
+        }
+
+        db.deleteScheduleException(exception.id);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting schedule exception:', error);
+        res.status(500).json({ error: '予定を適用しない日の削除に失敗しました' });
+    }
+});
+
+// 集計期間の上限（日数）
+const MAX_STATS_RANGE_DAYS = 366;
+
+// API: 活動・状態ごとの滞在時間の集計
+// 例: /api/stats?member=はー&from=2026-10-12&to=2026-10-18&bucket=day
+app.get('/api/stats', validate({
+    query: {
+        member: { type: 'string', required: true, message: 'member（メンバー名）が必要です' },
+        from: { type: 'datetime', message: '期間は YYYY-MM-DD またはISO形式の日時で指定してください' },
+        to: { type: 'datetime', message: '期間は YYYY-MM-DD またはISO形式の日時で指定してください' },
+        bucket: { type: 'string', enum: ['day', 'week'] },
+        tz: { type: 'string' }
+    }
+}), (req, res) => {
+    const { member: memberName, from, to, bucket } = req.query;
+    const timeZone = req.query.tz || config.FAMILY_TIMEZONE;
 
-        // パラメータバリデーション
-        const parsedLimit = Math.min(parseInt(limit, 10) || 100, 1000);
-        const parsedOffset = parseInt(offset, 10) || 0;
+    if (!stats.isValidTimeZone(timeZone)) {
+        return rejectField(res, 'tz', 'not_allowed', 'タイムゾーンの指定が不正です', 'query');
+    }
+
+    const now = Date.now();
+    const rangeFrom = from ? stats.parseRangeBoundary(from, timeZone, false) : stats.defaultRangeStart(now, timeZone);
+    const rangeTo = to ? stats.parseRangeBoundary(to, timeZone, true) : now;
+
+    if (Number.isNaN(rangeFrom) || Number.isNaN(rangeTo)) {
+        return rejectField(res, Number.isNaN(rangeFrom) ? 'from' : 'to', 'invalid_format', '期間は YYYY-MM-DD またはISO形式の日時で指定してください', 'query');
+    }
+    if (rangeFrom >= rangeTo) {
+        return rejectField(res, 'to', 'out_of_range', '終了日時は開始日時より後にしてください', 'query');
+    }
+    if (rangeTo - rangeFrom > MAX_STATS_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+        return rejectField(res, 'to', 'out_of_range', `期間は${MAX_STATS_RANGE_DAYS}日以内で指定してください`, 'query');
+    }
 
-        if (parsedLimit > 1000) {
-            return res.status(400).json({ error: 'Limit exceeds maximum (1000)' });
+    try {
+        const member = db.getMemberByName(memberName);
+        if (!member) {
+            return res.status(404).json({ error: 'メンバーが見つかりません', code: 'MEMBER_NOT_FOUND' });
         }
 
-        const options = {
-            from: from || null,
-            to: to || null,
-            limit: parsedLimit,
-            offset: parsedOffset
-        };
+        const fromIso = new Date(rangeFrom).toISOString();
+        const toIso = new Date(rangeTo).toISOString();
 
-        const { history, total } = db.getHistoryByMemberId(member.id, options);
+        // 集約済みの期間は日ごとの滞在時間を使い、残っている履歴はその後の分のみ数える
+        const compactedUntil = db.getHistoryCompactedUntil();
+        const rawFrom = compactedUntil ? Math.min(Math.max(rangeFrom, Date.parse(compactedUntil)), rangeTo) : rangeFrom;
+        const rawFromIso = new Date(rawFrom).toISOString();
+        const entries = db.getHistoryForPeriod(member.id, rawFromIso, toIso)
+            .map(e => (stats.parseTimestamp(e.changed_at) < rawFrom ? { ...e, changed_at: rawFromIso } : e));
+        const dailySummaries = rawFrom > rangeFrom
+            ? db.getHistoryDailySummaries(
+                member.id,
+                stats.formatZonedDate(rangeFrom, config.FAMILY_TIMEZONE),
+                stats.formatZonedDate(rawFrom - 1, config.FAMILY_TIMEZONE)
+            )
+            : [];
+
+        const { totals, buckets } = stats.computeTimeSpent(entries, {
+            from: rangeFrom,
+            to: rangeTo,
+            bucket: bucket || null,
+            timeZone,
+            now,
+            dailySummaries
+        });
 
         res.json({
             member: {
                 id: member.id,
                 name: member.name
             },
-            history: history.map(h => ({
-                id: h.id,
-                member: {
-                    id: member.id,
-                    name: member.name
-                },
-                activity: h.activity,
-                state: h.state,
-                changed_at: h.changed_at
-            })),
-            total,
-            limit: parsedLimit,
-            offset: parsedOffset
+            timezone: timeZone,
+            from: fromIso,
+            to: toIso,
+            bucket: bucket || null,
+            unit: 'seconds',
+            compactedUntil,
+            totals,
+            buckets
         });
     } catch (error) {
-        console.error('Error fetching member history:', error);
-        res.status(500).json({ error: '履歴の取得に失敗しました' });
+        console.error('Error computing stats:', error);
+        res.status(500).json({ error: '集計に失敗しました' });
     }
 });
 
-// ファイル変更を監視してSSEクライアントにブロードキャスト
-let watchTimeout = null;
-fs.watch(DATA_FILE, (eventType) => {
-    // 短時間の複数回の変更を1回にまとめる（デバウンス）
-    if (watchTimeout) {
-        clearTimeout(watchTimeout);
-    }
-    watchTimeout = setTimeout(() => {
-        try {
-            const members = db.getAllMembers();
-            broadcastToClients({ members });
-        } catch (error) {
-            console.error('Error broadcasting from DB:', error);
-            const data = readData();
-            broadcastToClients(data);
-        }
-        console.log(`File changed (${eventType}), broadcasted to ${sseClients.length} clients`);
-    }, 100);
-});
+// どのルートにも一致しない /api のリクエストと、処理中の例外（本文のJSONの解析エラーなど）
+app.use('/api', apiNotFound);
+app.use(handleErrors);
 
 // Keep-Alive: 定期的にハートビートを送信（接続維持）
-setInterval(() => {
-    if (sseClients.length > 0) {
-        sseClients.forEach(client => {
-            try {
-                if (!client.res.writableEnded) {
-                    client.res.write(':heartbeat\n\n');
-                }
-            } catch (error) {
-                // 書き込みエラーは無視（次のクリーンアップで削除される）
-            }
-        });
-    }
-}, 30000); // 30秒ごと
+setInterval(() => sseHub.heartbeat(), 30000); // 30秒ごと
 
 // サーバー起動
-initDataFile();
-
 // データベース初期化とマイグレーション
 try {
-    db.initDatabase();
+    // 未適用のマイグレーションを適用（既存JSONデータの取り込みを含む）
+    db.initDatabase({ jsonImportPath: DATA_FILE });
     console.log('Database initialized successfully');
 
-    // 既存JSONデータからの移行
-    const migrationResult = db.migrateFromJSON(DATA_FILE);
-    console.log(`Data migration completed: ${migrationResult.migrated} migrated, ${migrationResult.skipped} skipped`);
+    // 旧形式のJSONファイルへの書き出し（任意）
+    if (config.JSON_EXPORT_ENABLED) {
+        startJsonExport(() => db.getAllMembers({ includeArchived: true }));
+        console.log(`JSON export enabled: ${DATA_FILE}`);
+    }
+
+    // Webhookの配信（再送待ちの配信も定期的に処理）
+    webhookDispatcher = webhooks.startWebhookDispatcher({
+        intervalMs: config.WEBHOOK_CHECK_INTERVAL_MS,
+        maxAttempts: config.WEBHOOK_MAX_ATTEMPTS,
+        retryBaseMs: config.WEBHOOK_RETRY_BASE_MS
+    });
+
+    // Web Push通知
+    vapidKeys = push.loadVapidKeys({ publicKey: config.VAPID_PUBLIC_KEY, privateKey: config.VAPID_PRIVATE_KEY });
+    pushNotifier = push.startPushNotifier({
+        vapidKeys,
+        subject: config.VAPID_SUBJECT,
+        timeZone: config.FAMILY_TIMEZONE,
+        onNudgeDelivered: (id) => {
+            const nudge = db.markNudgeDelivered(id);
+            if (nudge) {
+                events.publish(EVENT_TYPES.NUDGE_UPDATED, { nudge });
+            }
+        }
+    });
+
+    // 繰り返しの予定
+    schedules.startScheduleRunner({
+        intervalMs: config.SCHEDULE_CHECK_INTERVAL_MS,
+        timeZone: config.FAMILY_TIMEZONE,
+        onApplied: (applied) => {
+            applied.forEach(({ member, history }) => {
+                events.publish(EVENT_TYPES.MEMBER_UPDATED, { member });
+                events.publish(EVENT_TYPES.HISTORY_APPENDED, { entry: history, member });
+            });
+        }
+    });
+
+    // 保持期間を過ぎた履歴の集約
+    retention.startRetentionJob({
+        intervalMs: config.HISTORY_COMPACTION_INTERVAL_MS,
+        retentionDays: config.HISTORY_RETENTION_DAYS,
+        timeZone: config.FAMILY_TIMEZONE
+    });
+
+    // 活動・状態の自動解除
+    expiry.startExpiryScheduler({
+        intervalMs: config.EXPIRY_CHECK_INTERVAL_MS,
+        onExpired: (expired) => {
+            console.log(`Expired statuses reverted for ${expired.length} members`);
+            expired.forEach(({ member, history }) => {
+                events.publish(EVENT_TYPES.MEMBER_UPDATED, { member });
+                events.publish(EVENT_TYPES.HISTORY_APPENDED, { entry: history, member });
+            });
+        }
+    });
 } catch (error) {
     console.error('Database initialization failed:', error);
     console.log('Server will continue with JSON-only mode');
@@ -407,4 +2042,7 @@ app.listen(PORT, () => {
     console.log(`サーバーが起動しました: http://localhost:${PORT}`);
     console.log(`SSE endpoint: http://localhost:${PORT}/api/status/stream`);
     console.log(`History endpoint: http://localhost:${PORT}/api/history`);
+    if (!config.ADMIN_PASSPHRASE) {
+        console.warn('WARNING: ADMIN_PASSPHRASE is not set. Admin sign-in is disabled; set it, or run "npm run admin -- members set-pin <name> <pin> --admin" to create an admin member.');
+    }
 });